@@ -1,32 +1,101 @@
 // server.js — Enhanced with free AI, database persistence, and better email options
 // Install deps:
-//   npm i express cors uuid nodemailer web-push dotenv openai sqlite3 chrono-node date-fns-tz axios
+//   npm i express cors uuid nodemailer web-push dotenv openai sqlite3 chrono-node date-fns-tz undici
 // Optional (dev): npm i -D nodemon
 
 require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
 const nodemailer = require('nodemailer');
 const webpush = require('web-push');
 const OpenAI = require('openai');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
-const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Agent, buildConnector } = require('undici');
 const chrono = require('chrono-node');
-const { zonedTimeToUtc } = require('date-fns-tz');
+const { toZonedTime, fromZonedTime, formatInTimeZone, getTimezoneOffset } = require('date-fns-tz');
 
 // ---- Config ----
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Used for users whose time zone is not known yet (see requestTimezone)
 const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Karachi';
+// Language for users who haven't picked one and whose browser asks for none we support
+const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'en';
 const DEFAULT_NOTIFY_EMAIL = process.env.DEFAULT_NOTIFY_EMAIL || null;
 const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'tasks.db');
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS) || 30;
+// Base URL for links handed out by the server (calendar feeds); defaults to the request's host
+const PUBLIC_URL = process.env.PUBLIC_URL || null;
+// Links built without a request to go on (emails, push payloads)
+const serverBaseUrl = () => PUBLIC_URL || `http://localhost:${PORT}`;
+// The web app, for links in emails (digest preferences)
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
 
-// AI Provider options: 'openai', 'groq', 'local'
+// Digest emails: how often send times are checked, and how late a digest may still go out
+const DIGEST_POLL_MS = Number(process.env.DIGEST_POLL_MS) || 5 * 60 * 1000;
+const DIGEST_WINDOW_MINUTES = Number(process.env.DIGEST_WINDOW_MINUTES) || 3 * 60;
+
+// Reminder scheduler
+const REMINDER_POLL_MS = Number(process.env.REMINDER_POLL_MS) || 60 * 1000;
+const REMINDER_MAX_ATTEMPTS = Number(process.env.REMINDER_MAX_ATTEMPTS) || 5;
+// What to do with reminders that came due while the server was down: 'send', 'skip' or 'recent'
+const REMINDER_CATCHUP = process.env.REMINDER_CATCHUP || 'recent';
+const REMINDER_CATCHUP_GRACE_MINUTES = Number(process.env.REMINDER_CATCHUP_GRACE_MINUTES) || 24 * 60;
+// Minutes before due, used when neither the task nor the settings specify reminders (e.g. "1440,60")
+const DEFAULT_REMINDER_OFFSETS = (process.env.DEFAULT_REMINDER_OFFSETS || '60')
+  .split(',').map(v => parseInt(v, 10)).filter(v => v >= 0);
+
+// Signs the short-lived tokens in push notifications that let the service worker complete or
+// snooze a task. Without a fixed secret, tokens issued before a restart stop working.
+const ACTION_TOKEN_SECRET = process.env.ACTION_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const ACTION_TOKEN_TTL_HOURS = Number(process.env.ACTION_TOKEN_TTL_HOURS) || 12;
+const SNOOZE_MAX_MINUTES = 7 * 24 * 60;
+
+// Email-to-task: mail to <INBOUND_EMAIL_LOCAL_PART>+<user secret>@<INBOUND_EMAIL_DOMAIN> is posted as raw
+// MIME to /api/inbound/email by the mail gateway, which sends INBOUND_EMAIL_SECRET in X-Inbound-Secret. Both the
+// domain and the secret have to be set; without the secret the endpoint turns every post away.
+const INBOUND_EMAIL_DOMAIN = process.env.INBOUND_EMAIL_DOMAIN || null;
+const INBOUND_EMAIL_LOCAL_PART = process.env.INBOUND_EMAIL_LOCAL_PART || 'tasks';
+const INBOUND_EMAIL_SECRET = process.env.INBOUND_EMAIL_SECRET || null;
+const INBOUND_EMAIL_ENABLED = Boolean(INBOUND_EMAIL_DOMAIN && INBOUND_EMAIL_SECRET);
+const INBOUND_NOTES_MAX_CHARS = 10000;
+
+// Deleted tasks stay in the trash this long before they are purged
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Most tasks one POST /api/tasks/batch may act on
+const BATCH_MAX_TASKS = Number(process.env.BATCH_MAX_TASKS) || 500;
+
+// A timer running longer than this was probably left on; the app offers to stop it at an earlier time
+const TIMER_STALE_HOURS = Number(process.env.TIMER_STALE_HOURS) || 12;
+
+// Outbound webhooks: a delivery is retried with backoff until WEBHOOK_MAX_ATTEMPTS; the log is kept
+// for WEBHOOK_LOG_RETENTION_DAYS
+const WEBHOOK_POLL_MS = Number(process.env.WEBHOOK_POLL_MS) || 60 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const WEBHOOK_LOG_RETENTION_DAYS = Number(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 30;
+// Hosts webhooks may reach even though they resolve to a private address (comma-separated), for
+// trying webhooks against a receiver on this machine, e.g. WEBHOOK_ALLOWED_HOSTS=localhost
+const WEBHOOK_ALLOWED_HOSTS = new Set(
+  (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+);
+
+// AI Provider options: 'openai', 'groq', 'compatible' (any OpenAI-compatible server) or 'local'
 const PARSER_PROVIDER = process.env.PARSER_PROVIDER || 'groq';
+// Providers tried in order until one answers, e.g. "compatible,groq,local". The local parser always
+// ends the chain. Defaults to PARSER_PROVIDER's usual fallbacks.
+const PARSER_CHAIN = process.env.PARSER_CHAIN || null;
+const PARSER_TIMEOUT_MS = Number(process.env.PARSER_TIMEOUT_MS) || 15000;
 
 // ---- Middleware ----
 app.use(cors());
@@ -38,642 +107,6811 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
     console.error('❌ Database connection failed:', err.message);
   } else {
     console.log('🗄️  Connected to SQLite database');
-    initDatabase();
   }
 });
 
-function initDatabase() {
+// Transactions share the one connection, so they run one at a time, and while one is open every
+// query from outside it waits for it to end: other requests and the schedulers neither join it nor
+// get rolled back with it. Queries that belong to the transaction are known by their async context.
+const transactionContext = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
+let openTransaction = null;   // { ended } while a transaction holds the connection
+let outsideQueries = 0;       // in flight and not part of a transaction
+let outsideDrained = null;    // lets a transaction waiting to BEGIN know they finished
+
+// Queries issued before the connection opens are queued by sqlite3,
+// so the schema can be prepared right away and awaited in startServer.
+const dbReady = initDatabase();
+
+// Runs one sqlite3 call, first waiting out any transaction it is not part of
+async function dbQuery(execute) {
+  const inside = openTransaction !== null && transactionContext.getStore() === openTransaction;
+  if (!inside) {
+    while (openTransaction) await openTransaction.ended;
+    outsideQueries++;
+  }
+  try {
+    return await new Promise(execute);
+  } finally {
+    if (!inside && --outsideQueries === 0 && outsideDrained) outsideDrained();
+  }
+}
+
+// Promise wrappers around the sqlite3 callback API
+function dbRun(sql, params = []) {
+  return dbQuery((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+function dbGet(sql, params = []) {
+  return dbQuery((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+function dbAll(sql, params = []) {
+  return dbQuery((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+// Runs `work` in a transaction and returns its result; it is rolled back if `work` throws. Only
+// database calls belong in `work`: everything else waits while it holds the connection. Called
+// from inside a transaction, `work` just joins it.
+function withTransaction(work) {
+  if (openTransaction !== null && transactionContext.getStore() === openTransaction) return work();
+
+  const turn = transactionQueue.then(async () => {
+    let end;
+    const transaction = { ended: new Promise(resolve => { end = resolve; }) };
+    openTransaction = transaction;
+    try {
+      while (outsideQueries) await new Promise(resolve => { outsideDrained = resolve; });
+      outsideDrained = null;
+      return await transactionContext.run(transaction, async () => {
+        await dbRun('BEGIN');
+        try {
+          const result = await work();
+          await dbRun('COMMIT');
+          return result;
+        } catch (err) {
+          await dbRun('ROLLBACK');
+          throw err;
+        }
+      });
+    } finally {
+      openTransaction = null;
+      end();
+    }
+  });
+  transactionQueue = turn.catch(() => {});
+  return turn;
+}
+
+// Adds a column to an existing table (older databases predate it)
+async function addColumnIfMissing(table, column, definition) {
+  const columns = await dbAll(`PRAGMA table_info(${table})`);
+  if (!columns.some(c => c.name === column)) {
+    await dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+async function initDatabase() {
   const createTableSQL = `
     CREATE TABLE IF NOT EXISTS tasks (
       id TEXT PRIMARY KEY,
       title TEXT NOT NULL,
+      notes TEXT,
       due_date TEXT,
       completed INTEGER DEFAULT 0,
       email TEXT,
+      recurrence TEXT,
+      series_id TEXT,
+      occurrence INTEGER DEFAULT 1,
+      reminder_offsets TEXT,
+      user_id TEXT,
+      project_id TEXT,
+      parent_id TEXT,
+      position INTEGER DEFAULT 0,
+      deleted_at TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `;
-  
-  db.run(createTableSQL, (err) => {
-    if (err) {
-      console.error('❌ Failed to create tasks table:', err.message);
-    } else {
-      console.log('✅ Tasks table ready');
-    }
-  });
+
+  try {
+    await dbRun(createTableSQL);
+    await addColumnIfMissing('tasks', 'recurrence', 'TEXT');
+    await addColumnIfMissing('tasks', 'series_id', 'TEXT');
+    await addColumnIfMissing('tasks', 'occurrence', 'INTEGER DEFAULT 1');
+    await addColumnIfMissing('tasks', 'reminder_offsets', 'TEXT');
+    await addColumnIfMissing('tasks', 'user_id', 'TEXT');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_tasks_user ON tasks (user_id)');
+    await addColumnIfMissing('tasks', 'project_id', 'TEXT');
+    await addColumnIfMissing('tasks', 'notes', 'TEXT');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_tasks_user_due ON tasks (user_id, due_date)');
+    // Subtasks are tasks with a parent (one level deep), ordered by position
+    await addColumnIfMissing('tasks', 'parent_id', 'TEXT');
+    await addColumnIfMissing('tasks', 'position', 'INTEGER DEFAULT 0');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks (parent_id, position)');
+    // Deleted tasks keep their row (the trash) until purged; every read skips them
+    await addColumnIfMissing('tasks', 'deleted_at', 'TEXT');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_tasks_user_deleted ON tasks (user_id, deleted_at)');
+    // Board column (see statuses); a top-level task's position is its place in that column
+    await addColumnIfMissing('tasks', 'status_id', 'TEXT');
+    // Planned effort in minutes, e.g. "(2h)" in the input
+    await addColumnIfMissing('tasks', 'estimate_minutes', 'INTEGER');
+    // low, medium or high, e.g. "!high" in the input
+    await addColumnIfMissing('tasks', 'priority', 'TEXT');
+    console.log('✅ Tasks table ready');
+
+    // Audit log: one row per create/update/complete/delete with the changed fields' old and new values
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS task_events (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL,
+        user_id TEXT,
+        action TEXT NOT NULL,
+        source TEXT,
+        old_values TEXT,
+        new_values TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_task_events_task ON task_events (task_id, created_at)');
+
+    // Tracked time, one row per timer session. ended_at is null while the timer runs; a user has at
+    // most one running timer, and it survives restarts.
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS time_entries (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_time_entries_task ON time_entries (task_id)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_time_entries_user ON time_entries (user_id, started_at)');
+    await dbRun('CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running ON time_entries (user_id) WHERE ended_at IS NULL');
+
+    await initTaskSearch();
+
+    // Projects group tasks (one per task); tags are many-to-many through task_tags
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS projects (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        color TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, name)
+      )
+    `);
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        color TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, name)
+      )
+    `);
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS task_tags (
+        task_id TEXT NOT NULL,
+        tag_id TEXT NOT NULL,
+        PRIMARY KEY (task_id, tag_id)
+      )
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_task_tags_tag ON task_tags (tag_id)');
+    // Board columns, in position order. Tasks in a `done` column are completed; tasks without a
+    // status sit in the first open column, or the first done one once completed.
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS statuses (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        color TEXT,
+        done INTEGER DEFAULT 0,
+        position INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, name)
+      )
+    `);
+    console.log('✅ Projects, tags and statuses tables ready');
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE,
+        name TEXT,
+        password_hash TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    // Hash of the secret in the user's calendar feed URL (null = feed disabled)
+    await addColumnIfMissing('users', 'calendar_token_hash', 'TEXT');
+    // Only a hash of each bearer token is stored
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        last_used_at TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Users table ready');
+
+    // One row per reminder delivery; status: pending | sent | failed | cancelled | skipped
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS reminders (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL,
+        remind_at TEXT NOT NULL,
+        offset_minutes INTEGER,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TEXT,
+        last_error TEXT,
+        sent_at TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_reminders_due ON reminders (status, next_attempt_at)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_reminders_task ON reminders (task_id)');
+    await addColumnIfMissing('reminders', 'offset_minutes', 'INTEGER');
+    console.log('✅ Reminders table ready');
+
+    // Webhook registrations (events is a JSON array) and one row per delivery; status:
+    // pending | delivered | failed | cancelled
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        description TEXT,
+        active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks (user_id)');
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TEXT,
+        response_status INTEGER,
+        last_error TEXT,
+        delivered_at TEXT,
+        redelivery_of TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_hook ON webhook_deliveries (webhook_id, created_at)');
+    console.log('✅ Webhooks tables ready');
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS push_subscriptions (
+        id TEXT PRIMARY KEY,
+        endpoint TEXT NOT NULL UNIQUE,
+        keys TEXT NOT NULL,
+        label TEXT,
+        user_agent TEXT,
+        user_id TEXT,
+        last_success_at TEXT,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await addColumnIfMissing('push_subscriptions', 'user_id', 'TEXT');
+    console.log('✅ Push subscriptions table ready');
+
+    // Key/value store for per-user preferences (values are JSON)
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS user_settings (
+        user_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, key)
+      )
+    `);
+  } catch (err) {
+    console.error('❌ Failed to create tasks table:', err.message);
+    throw err;
+  }
+}
+
+// Full-text search over title and notes. tasks_fts is an external-content FTS5 table kept in
+// sync by triggers; builds of SQLite without FTS5 fall back to LIKE matching.
+let ftsAvailable = false;
+
+async function initTaskSearch() {
+  try {
+    const existing = await dbGet("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'tasks_fts'");
+    await dbRun(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(
+        title, notes, content='tasks', content_rowid='rowid'
+      )
+    `);
+    await dbRun(`
+      CREATE TRIGGER IF NOT EXISTS tasks_fts_insert AFTER INSERT ON tasks BEGIN
+        INSERT INTO tasks_fts (rowid, title, notes) VALUES (new.rowid, new.title, new.notes);
+      END
+    `);
+    await dbRun(`
+      CREATE TRIGGER IF NOT EXISTS tasks_fts_delete AFTER DELETE ON tasks BEGIN
+        INSERT INTO tasks_fts (tasks_fts, rowid, title, notes) VALUES ('delete', old.rowid, old.title, old.notes);
+      END
+    `);
+    await dbRun(`
+      CREATE TRIGGER IF NOT EXISTS tasks_fts_update AFTER UPDATE OF title, notes ON tasks BEGIN
+        INSERT INTO tasks_fts (tasks_fts, rowid, title, notes) VALUES ('delete', old.rowid, old.title, old.notes);
+        INSERT INTO tasks_fts (rowid, title, notes) VALUES (new.rowid, new.title, new.notes);
+      END
+    `);
+    // Index the tasks that existed before the search table
+    if (!existing) await dbRun("INSERT INTO tasks_fts (tasks_fts) VALUES ('rebuild')");
+    ftsAvailable = true;
+    console.log('✅ Task search index ready');
+  } catch (err) {
+    console.warn('⚠️ FTS5 unavailable, task search falls back to LIKE:', err.message);
+  }
+}
+
+function mapTaskRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    notes: row.notes || '',
+    dueDate: row.due_date,
+    completed: Boolean(row.completed),
+    email: row.email || undefined,
+    recurrence: row.recurrence ? JSON.parse(row.recurrence) : null,
+    seriesId: row.series_id || row.id,
+    occurrence: row.occurrence || 1,
+    // null means "use the default reminders"
+    reminderOffsets: row.reminder_offsets ? JSON.parse(row.reminder_offsets) : null,
+    userId: row.user_id,
+    projectId: row.project_id || null,
+    parentId: row.parent_id || null,
+    position: row.position || 0,
+    statusId: row.status_id || null,
+    estimateMinutes: row.estimate_minutes || null,
+    priority: row.priority || null,
+    tags: [],
+    deletedAt: row.deleted_at || undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Fills in `tags` (names) for a list of mapped tasks with one query
+async function attachTags(tasks) {
+  if (!tasks.length) return tasks;
+  const placeholders = tasks.map(() => '?').join(', ');
+  const rows = await dbAll(
+    `SELECT task_tags.task_id, tags.name FROM task_tags
+     JOIN tags ON tags.id = task_tags.tag_id
+     WHERE task_tags.task_id IN (${placeholders})
+     ORDER BY tags.name`,
+    tasks.map(t => t.id)
+  );
+  const byTask = new Map(tasks.map(t => [t.id, t]));
+  for (const row of rows) byTask.get(row.task_id).tags.push(row.name);
+  return tasks;
+}
+
+// Fills in `trackedMinutes` (finished sessions plus a running one so far) for a list of mapped tasks
+async function attachTrackedTime(tasks) {
+  if (!tasks.length) return tasks;
+  const placeholders = tasks.map(() => '?').join(', ');
+  const rows = await dbAll(
+    `SELECT task_id, SUM(julianday(COALESCE(ended_at, ?)) - julianday(started_at)) * 1440 AS minutes
+     FROM time_entries WHERE task_id IN (${placeholders}) GROUP BY task_id`,
+    [new Date().toISOString(), ...tasks.map(t => t.id)]
+  );
+  const minutes = new Map(rows.map(row => [row.task_id, Math.round(row.minutes)]));
+  for (const task of tasks) task.trackedMinutes = minutes.get(task.id) || 0;
+  return tasks;
+}
+
+// ---- Task queries (GET /api/tasks) ----
+const TASK_SORTS = {
+  created: 'tasks.created_at',
+  updated: 'tasks.updated_at',
+  // Undated tasks sort after dated ones when ascending
+  due: "COALESCE(tasks.due_date, '9999-12-31T23:59:59.999Z')",
+  title: 'tasks.title COLLATE NOCASE'
+};
+const TASK_PAGE_SIZE = 50;
+const TASK_PAGE_MAX = 500;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Cursors are opaque to clients: the sort key and id of the last task on the previous page
+function encodeCursor(sortKey, id) {
+  return Buffer.from(JSON.stringify([sortKey, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [sortKey, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof id !== 'string') throw new Error('bad cursor');
+    return { sortKey, id };
+  } catch {
+    throw badRequest('Invalid cursor');
+  }
 }
 
-// Database helper functions
+function parseDateParam(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(String(value));
+  if (isNaN(date)) throw badRequest(`${name} must be a date`);
+  return date.toISOString();
+}
+
+// Every word must match; each is a prefix so "dent" finds "dentist"
+function toFtsQuery(q) {
+  return q
+    .split(/\s+/)
+    .map(word => word.replace(/"/g, ''))
+    .filter(Boolean)
+    .map(word => `"${word}"*`)
+    .join(' ');
+}
+
+// Turns query-string parameters into validated filters for dbOperations.queryTasks
+function parseTaskQuery(query) {
+  const status = query.status || 'all';
+  if (!['all', 'open', 'completed'].includes(status)) {
+    throw badRequest('status must be all, open or completed');
+  }
+  const sort = query.sort || 'created';
+  if (!TASK_SORTS[sort]) {
+    throw badRequest(`sort must be one of ${Object.keys(TASK_SORTS).join(', ')}`);
+  }
+  const order = (query.order || (sort === 'created' || sort === 'updated' ? 'desc' : 'asc')).toLowerCase();
+  if (!['asc', 'desc'].includes(order)) throw badRequest('order must be asc or desc');
+
+  let limit = TASK_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw badRequest('limit must be a positive integer');
+    limit = Math.min(limit, TASK_PAGE_MAX);
+  }
+
+  return {
+    status,
+    overdue: query.overdue === 'true' || query.overdue === '1',
+    undated: query.undated === 'true' || query.undated === '1',
+    dueFrom: parseDateParam(query.dueFrom, 'dueFrom'),
+    dueTo: parseDateParam(query.dueTo, 'dueTo'),
+    q: typeof query.q === 'string' ? query.q.trim() : '',
+    projectId: query.projectId || null,
+    tag: query.tag ? String(query.tag).replace(/^#/, '') : null,
+    sort,
+    order,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null
+  };
+}
+
+// Fills in `subtasks` (in checklist order) for a list of mapped top-level tasks
+async function attachSubtasks(tasks) {
+  if (!tasks.length) return tasks;
+  const placeholders = tasks.map(() => '?').join(', ');
+  const rows = await dbAll(
+    `SELECT * FROM tasks WHERE parent_id IN (${placeholders}) AND deleted_at IS NULL ORDER BY position, created_at`,
+    tasks.map(t => t.id)
+  );
+  const byTask = new Map(tasks.map(t => [t.id, t]));
+  for (const task of tasks) task.subtasks = [];
+  for (const row of rows) byTask.get(row.parent_id).subtasks.push(mapTaskRow(row));
+  return tasks;
+}
+
+// Database helper functions. Reads are scoped to a user; writes go through a scoped read first.
 const dbOperations = {
-  getAllTasks: () => {
-    return new Promise((resolve, reject) => {
-      db.all('SELECT * FROM tasks ORDER BY created_at DESC', (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows.map(row => ({
-          id: row.id,
-          title: row.title,
-          dueDate: row.due_date,
-          completed: Boolean(row.completed),
-          email: row.email || undefined,
-          createdAt: row.created_at,
-          updatedAt: row.updated_at
-        })));
-      });
-    });
+  getAllTasks: (userId) => {
+    return dbAll('SELECT * FROM tasks WHERE user_id = ? AND deleted_at IS NULL ORDER BY created_at DESC', [userId])
+      .then(rows => attachTags(rows.map(mapTaskRow)));
   },
 
-  createTask: (task) => {
-    return new Promise((resolve, reject) => {
-      const sql = `INSERT INTO tasks (id, title, due_date, completed, email) VALUES (?, ?, ?, ?, ?)`;
-      db.run(sql, [task.id, task.title, task.dueDate, task.completed ? 1 : 0, task.email], function(err) {
-        if (err) reject(err);
-        else resolve({ ...task, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() });
-      });
-    });
+  // Filtered, sorted page of a user's tasks; `filters` comes from parseTaskQuery
+  queryTasks: async (userId, filters) => {
+    // Subtasks come back nested under their parent
+    const where = ['tasks.user_id = ?', 'tasks.parent_id IS NULL', 'tasks.deleted_at IS NULL'];
+    const params = [userId];
+
+    if (filters.status === 'open') where.push('tasks.completed = 0');
+    if (filters.status === 'completed') where.push('tasks.completed = 1');
+    if (filters.overdue) {
+      where.push('tasks.completed = 0 AND tasks.due_date IS NOT NULL AND tasks.due_date < ?');
+      params.push(new Date().toISOString());
+    }
+    if (filters.undated) where.push('tasks.due_date IS NULL');
+    if (filters.dueFrom) {
+      where.push('tasks.due_date >= ?');
+      params.push(filters.dueFrom);
+    }
+    if (filters.dueTo) {
+      where.push('tasks.due_date <= ?');
+      params.push(filters.dueTo);
+    }
+    if (filters.projectId === 'none') {
+      where.push('tasks.project_id IS NULL');
+    } else if (filters.projectId) {
+      where.push('tasks.project_id = ?');
+      params.push(filters.projectId);
+    }
+    if (filters.tag) {
+      where.push(`tasks.id IN (
+        SELECT task_tags.task_id FROM task_tags JOIN tags ON tags.id = task_tags.tag_id
+        WHERE tags.user_id = ? AND tags.name = ?
+      )`);
+      params.push(userId, filters.tag);
+    }
+    if (filters.q) {
+      const match = toFtsQuery(filters.q);
+      if (ftsAvailable && match) {
+        where.push('tasks.rowid IN (SELECT rowid FROM tasks_fts WHERE tasks_fts MATCH ?)');
+        params.push(match);
+      } else {
+        where.push("(tasks.title LIKE ? OR IFNULL(tasks.notes, '') LIKE ?)");
+        params.push(`%${filters.q}%`, `%${filters.q}%`);
+      }
+    }
+
+    // Keyset pagination on (sort key, id) so pages stay stable while tasks are added
+    const sortExpr = TASK_SORTS[filters.sort];
+    const op = filters.order === 'asc' ? '>' : '<';
+    if (filters.cursor) {
+      where.push(`(${sortExpr} ${op} ? OR (${sortExpr} = ? AND tasks.id ${op} ?))`);
+      params.push(filters.cursor.sortKey, filters.cursor.sortKey, filters.cursor.id);
+    }
+
+    const dir = filters.order.toUpperCase();
+    const rows = await dbAll(
+      `SELECT tasks.*, ${sortExpr} AS sort_key FROM tasks
+       WHERE ${where.join(' AND ')}
+       ORDER BY sort_key ${dir}, tasks.id ${dir}
+       LIMIT ?`,
+      [...params, filters.limit + 1]
+    );
+
+    const page = rows.slice(0, filters.limit);
+    const last = page[page.length - 1];
+    const nextCursor = rows.length > filters.limit ? encodeCursor(last.sort_key, last.id) : null;
+    const tasks = await attachTags(page.map(mapTaskRow));
+    return { tasks: await attachSubtasks(await attachTrackedTime(tasks)), nextCursor };
   },
 
-  updateTask: (id, updates) => {
-    return new Promise((resolve, reject) => {
-      const sql = `UPDATE tasks SET title = ?, due_date = ?, completed = ?, email = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
-      db.run(sql, [updates.title, updates.dueDate, updates.completed ? 1 : 0, updates.email, id], function(err) {
-        if (err) reject(err);
-        else if (this.changes === 0) reject(new Error('Task not found'));
-        else resolve();
-      });
-    });
+  createTask: async (task) => {
+    // createdAt is only passed when restoring an import
+    const sql = `INSERT INTO tasks (id, title, notes, due_date, completed, email, recurrence, series_id, occurrence, reminder_offsets, user_id, project_id, parent_id, position, status_id, estimate_minutes, priority, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`;
+    const params = [
+      task.id, task.title, task.notes || null, task.dueDate, task.completed ? 1 : 0, task.email,
+      task.recurrence ? JSON.stringify(task.recurrence) : null,
+      task.seriesId || task.id,
+      task.occurrence || 1,
+      task.reminderOffsets ? JSON.stringify(task.reminderOffsets) : null,
+      task.userId,
+      task.projectId || null,
+      task.parentId || null,
+      task.position || 0,
+      task.statusId || null,
+      task.estimateMinutes || null,
+      task.priority || null,
+      task.createdAt || null
+    ];
+    await dbRun(sql, params);
+    return { ...task, createdAt: task.createdAt || new Date().toISOString(), updatedAt: new Date().toISOString() };
   },
 
-  deleteTask: (id) => {
-    return new Promise((resolve, reject) => {
-      db.run('DELETE FROM tasks WHERE id = ?', [id], function(err) {
-        if (err) reject(err);
-        else if (this.changes === 0) reject(new Error('Task not found'));
-        else resolve();
-      });
+  updateTask: async (id, updates) => {
+    const sql = `UPDATE tasks SET title = ?, notes = ?, due_date = ?, completed = ?, email = ?, recurrence = ?, reminder_offsets = ?, project_id = ?, status_id = ?, estimate_minutes = ?, priority = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+    const recurrence = updates.recurrence ? JSON.stringify(updates.recurrence) : null;
+    const reminderOffsets = updates.reminderOffsets ? JSON.stringify(updates.reminderOffsets) : null;
+    const params = [updates.title, updates.notes || null, updates.dueDate, updates.completed ? 1 : 0, updates.email, recurrence, reminderOffsets, updates.projectId || null, updates.statusId || null, updates.estimateMinutes || null, updates.priority || null, id];
+    const result = await dbRun(sql, params);
+    if (result.changes === 0) throw new Error('Task not found');
+  },
+
+  // Moves a task and its subtasks to the trash; returns the deletion time
+  trashTask: async (id) => {
+    const deletedAt = new Date().toISOString();
+    const result = await dbRun('UPDATE tasks SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL', [deletedAt, id]);
+    if (result.changes === 0) throw new Error('Task not found');
+    await dbRun('UPDATE tasks SET deleted_at = ? WHERE parent_id = ? AND deleted_at IS NULL', [deletedAt, id]);
+    return deletedAt;
+  },
+
+  // Brings back a trashed task and the subtasks that were trashed along with it
+  restoreTask: async (id) => {
+    const row = await dbGet('SELECT deleted_at FROM tasks WHERE id = ?', [id]);
+    if (!row?.deleted_at) throw new Error('Task not found');
+    await dbRun('UPDATE tasks SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    await dbRun('UPDATE tasks SET deleted_at = NULL WHERE parent_id = ? AND deleted_at = ?', [id, row.deleted_at]);
+  },
+
+  // Trashed tasks, newest first; subtasks only show up on their own when their parent is not in the trash
+  listTrash: (userId) => {
+    return dbAll(
+      `SELECT * FROM tasks WHERE user_id = ? AND deleted_at IS NOT NULL
+       AND (parent_id IS NULL OR parent_id IN (SELECT id FROM tasks WHERE deleted_at IS NULL))
+       ORDER BY deleted_at DESC`,
+      [userId]
+    ).then(rows => attachTags(rows.map(mapTaskRow)));
+  },
+
+  // Permanently removes trashed tasks, for one user (emptying the trash) and/or older than `before`
+  purgeTrash: async ({ userId, before } = {}) => {
+    const where = ['deleted_at IS NOT NULL'];
+    const params = [];
+    if (userId) {
+      where.push('user_id = ?');
+      params.push(userId);
+    }
+    if (before) {
+      where.push('deleted_at < ?');
+      params.push(before);
+    }
+    const trashed = `SELECT id FROM tasks WHERE ${where.join(' AND ')}`;
+    await dbRun(`DELETE FROM task_tags WHERE task_id IN (${trashed})`, params);
+    await dbRun(`DELETE FROM task_events WHERE task_id IN (${trashed})`, params);
+    await dbRun(`DELETE FROM time_entries WHERE task_id IN (${trashed})`, params);
+    const result = await dbRun(`DELETE FROM tasks WHERE ${where.join(' AND ')}`, params);
+    return result.changes;
+  },
+
+  // Permanently removes a task (trashed or not) with its subtasks, history and tracked time
+  purgeTask: async (id) => {
+    const result = await dbRun('DELETE FROM tasks WHERE id = ?', [id]);
+    if (result.changes === 0) throw new Error('Task not found');
+    await dbRun('DELETE FROM task_tags WHERE task_id = ? OR task_id IN (SELECT id FROM tasks WHERE parent_id = ?)', [id, id]);
+    await dbRun('DELETE FROM task_events WHERE task_id = ? OR task_id IN (SELECT id FROM tasks WHERE parent_id = ?)', [id, id]);
+    await dbRun('DELETE FROM time_entries WHERE task_id = ? OR task_id IN (SELECT id FROM tasks WHERE parent_id = ?)', [id, id]);
+    await dbRun('DELETE FROM tasks WHERE parent_id = ?', [id]);
+  },
+
+  listSubtasks: (parentId) => {
+    return dbAll('SELECT * FROM tasks WHERE parent_id = ? AND deleted_at IS NULL ORDER BY position, created_at', [parentId])
+      .then(rows => rows.map(mapTaskRow));
+  },
+
+  nextSubtaskPosition: (parentId) => {
+    return dbGet('SELECT MAX(position) AS max FROM tasks WHERE parent_id = ?', [parentId])
+      .then(row => (row.max === null ? 0 : row.max + 1));
+  },
+
+  // `ids` must be exactly the parent's subtasks, in their new order
+  reorderSubtasks: (parentId, ids) => {
+    return withTransaction(async () => {
+      for (const [position, id] of ids.entries()) {
+        await dbRun('UPDATE tasks SET position = ? WHERE id = ? AND parent_id = ?', [position, id, parentId]);
+      }
     });
   },
 
-  getTask: (id) => {
-    return new Promise((resolve, reject) => {
-      db.get('SELECT * FROM tasks WHERE id = ?', [id], (err, row) => {
-        if (err) reject(err);
-        else if (!row) resolve(null);
-        else resolve({
-          id: row.id,
-          title: row.title,
-          dueDate: row.due_date,
-          completed: Boolean(row.completed),
-          email: row.email || undefined
-        });
-      });
+  // Puts a top-level task into board column `statusId` (`defaults` resolves tasks without a status)
+  // before `beforeId`, or last, and renumbers the column. Ties in position go to the newest task,
+  // so new tasks show at the top of their column.
+  placeInColumn: (userId, taskId, statusId, beforeId, defaults) => {
+    return withTransaction(async () => {
+      const rows = await dbAll(
+        `SELECT id FROM tasks WHERE user_id = ? AND parent_id IS NULL AND deleted_at IS NULL AND id != ?
+         AND COALESCE(status_id, CASE WHEN completed = 1 THEN ? ELSE ? END) = ?
+         ORDER BY position, created_at DESC`,
+        [userId, taskId, defaults.done, defaults.open, statusId]
+      );
+      const ids = rows.map(row => row.id);
+      const index = beforeId ? ids.indexOf(beforeId) : -1;
+      ids.splice(index >= 0 ? index : ids.length, 0, taskId);
+
+      for (const [position, id] of ids.entries()) {
+        await dbRun('UPDATE tasks SET position = ? WHERE id = ?', [position, id]);
+      }
     });
+  },
+
+  setSubtasksProject: (parentId, projectId) => {
+    return dbRun('UPDATE tasks SET project_id = ? WHERE parent_id = ?', [projectId || null, parentId]);
+  },
+
+  completeSubtasks: (parentId) => {
+    return dbRun(
+      'UPDATE tasks SET completed = 1, updated_at = CURRENT_TIMESTAMP WHERE parent_id = ? AND completed = 0 AND deleted_at IS NULL',
+      [parentId]
+    );
+  },
+
+  // Trashed tasks are only found with { includeDeleted: true }
+  getTask: async (id, userId, { includeDeleted = false } = {}) => {
+    const row = await dbGet('SELECT * FROM tasks WHERE id = ? AND user_id = ?', [id, userId]);
+    if (!row || (row.deleted_at && !includeDeleted)) return null;
+    const tasks = await attachTrackedTime(await attachTags([mapTaskRow(row)]));
+    const [task] = row.parent_id ? tasks : await attachSubtasks(tasks);
+    return task;
+  },
+
+  // Unscoped lookups for background jobs (the reminder scheduler) only
+  findTaskById: (id) => {
+    return dbGet('SELECT * FROM tasks WHERE id = ?', [id]).then(row => (row ? mapTaskRow(row) : null));
+  },
+
+  listOpenDatedTasks: () => {
+    return dbAll('SELECT * FROM tasks WHERE completed = 0 AND due_date IS NOT NULL AND deleted_at IS NULL')
+      .then(rows => rows.map(mapTaskRow));
+  },
+
+  countTasks: () => {
+    return dbGet('SELECT COUNT(*) AS count FROM tasks').then(row => row.count);
   }
 };
 
-// ---- Storage for reminders and push subscriptions ----
-/** Map<taskId, Timeout> */
-let reminders = new Map();
-/** @type {Array<any>} Web Push subscriptions */
-let pushSubscriptions = [];
+function mapProjectRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    color: row.color || undefined,
+    taskCount: row.task_count,
+    openCount: row.open_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
 
-// ---- Email Configuration (Free Options) ----
-let transporter = null;
+function mapTagRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    color: row.color || undefined,
+    taskCount: row.task_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
 
-// Free email service configurations
-const emailConfigs = {
-  // Gmail (free with app password)
-  gmail: {
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_APP_PASSWORD // Use app password, not regular password
+function mapStatusRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    color: row.color || undefined,
+    done: Boolean(row.done),
+    position: row.position || 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// A new user's board; columns can be renamed, added, removed and reordered
+const DEFAULT_STATUSES = [
+  { name: 'Todo', color: '#6b7280' },
+  { name: 'Doing', color: '#3b82f6' },
+  { name: 'Blocked', color: '#ef4444' },
+  { name: 'Done', color: '#22c55e', done: true }
+];
+
+const projectOperations = {
+  list: (userId) => {
+    return dbAll(
+      `SELECT projects.*, COUNT(tasks.id) AS task_count, COALESCE(SUM(tasks.completed = 0), 0) AS open_count
+       FROM projects LEFT JOIN tasks
+         ON tasks.project_id = projects.id AND tasks.parent_id IS NULL AND tasks.deleted_at IS NULL
+       WHERE projects.user_id = ? GROUP BY projects.id ORDER BY projects.name`,
+      [userId]
+    ).then(rows => rows.map(mapProjectRow));
+  },
+
+  get: (id, userId) => {
+    return dbGet('SELECT * FROM projects WHERE id = ? AND user_id = ?', [id, userId])
+      .then(row => (row ? mapProjectRow(row) : null));
+  },
+
+  findByName: (name, userId) => {
+    return dbGet('SELECT * FROM projects WHERE name = ? AND user_id = ?', [name, userId])
+      .then(row => (row ? mapProjectRow(row) : null));
+  },
+
+  create: async (userId, { name, color }) => {
+    const id = uuidv4();
+    await dbRun('INSERT INTO projects (id, user_id, name, color) VALUES (?, ?, ?, ?)', [id, userId, name, color || null]);
+    return projectOperations.get(id, userId);
+  },
+
+  update: (id, userId, { name, color }) => {
+    return dbRun(
+      'UPDATE projects SET name = ?, color = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+      [name, color || null, id, userId]
+    );
+  },
+
+  // Tasks in a deleted project stay, without a project
+  delete: async (id, userId) => {
+    const result = await dbRun('DELETE FROM projects WHERE id = ? AND user_id = ?', [id, userId]);
+    if (result.changes) {
+      await dbRun('UPDATE tasks SET project_id = NULL WHERE project_id = ? AND user_id = ?', [id, userId]);
     }
+    return result.changes;
+  }
+};
+
+const tagOperations = {
+  list: (userId) => {
+    return dbAll(
+      `SELECT tags.*, COUNT(tasks.id) AS task_count
+       FROM tags LEFT JOIN task_tags ON task_tags.tag_id = tags.id
+       LEFT JOIN tasks ON tasks.id = task_tags.task_id AND tasks.deleted_at IS NULL
+       WHERE tags.user_id = ? GROUP BY tags.id ORDER BY tags.name`,
+      [userId]
+    ).then(rows => rows.map(mapTagRow));
   },
-  
-  
-  // Custom SMTP (for services like ProtonMail Bridge, etc.)
-  custom: {
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT ? Number(process.env.EMAIL_PORT) : 587,
-    secure: process.env.EMAIL_SECURE === 'true',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD
+
+  get: (id, userId) => {
+    return dbGet('SELECT * FROM tags WHERE id = ? AND user_id = ?', [id, userId])
+      .then(row => (row ? mapTagRow(row) : null));
+  },
+
+  findByName: (name, userId) => {
+    return dbGet('SELECT * FROM tags WHERE name = ? AND user_id = ?', [name, userId])
+      .then(row => (row ? mapTagRow(row) : null));
+  },
+
+  create: async (userId, { name, color }) => {
+    const id = uuidv4();
+    await dbRun('INSERT INTO tags (id, user_id, name, color) VALUES (?, ?, ?, ?)', [id, userId, name, color || null]);
+    return tagOperations.get(id, userId);
+  },
+
+  update: (id, userId, { name, color }) => {
+    return dbRun(
+      'UPDATE tags SET name = ?, color = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+      [name, color || null, id, userId]
+    );
+  },
+
+  delete: async (id, userId) => {
+    const result = await dbRun('DELETE FROM tags WHERE id = ? AND user_id = ?', [id, userId]);
+    if (result.changes) await dbRun('DELETE FROM task_tags WHERE tag_id = ?', [id]);
+    return result.changes;
+  },
+
+  // Replaces a task's tags, creating tags that do not exist yet; returns the names
+  setForTask: async (taskId, userId, names) => {
+    const tags = [];
+    for (const name of normalizeTagNames(names)) {
+      tags.push((await tagOperations.findByName(name, userId)) || (await tagOperations.create(userId, { name })));
     }
+    await dbRun('DELETE FROM task_tags WHERE task_id = ?', [taskId]);
+    for (const tag of tags) {
+      await dbRun('INSERT OR IGNORE INTO task_tags (task_id, tag_id) VALUES (?, ?)', [taskId, tag.id]);
+    }
+    return tags.map(t => t.name).sort((a, b) => a.localeCompare(b));
   }
 };
 
-if (process.env.EMAIL_USER && (process.env.EMAIL_PASSWORD || process.env.EMAIL_APP_PASSWORD)) {
-  const emailService = process.env.EMAIL_SERVICE || 'gmail';
-  const config = emailConfigs[emailService];
-  
-  if (config) {
-    try {
-      transporter = nodemailer.createTransport(config);
-      transporter.verify().then(() => {
-        console.log(`📧 Email transporter ready (${emailService})`);
-      }).catch(err => {
-        console.warn('⚠️ Email transporter verify failed:', err?.message || err);
-      });
-    } catch (err) {
-      console.warn('⚠️ Failed to create email transporter:', err?.message || err);
+const statusOperations = {
+  // The default columns are created the first time a user's board is read
+  list: async (userId) => {
+    const query = () => dbAll('SELECT * FROM statuses WHERE user_id = ? ORDER BY position, created_at', [userId]);
+    let rows = await query();
+    if (!rows.length) {
+      for (const [position, status] of DEFAULT_STATUSES.entries()) {
+        await dbRun(
+          'INSERT OR IGNORE INTO statuses (id, user_id, name, color, done, position) VALUES (?, ?, ?, ?, ?, ?)',
+          [uuidv4(), userId, status.name, status.color, status.done ? 1 : 0, position]
+        );
+      }
+      rows = await query();
+    }
+    return rows.map(mapStatusRow);
+  },
+
+  get: (id, userId) => {
+    return dbGet('SELECT * FROM statuses WHERE id = ? AND user_id = ?', [id, userId])
+      .then(row => (row ? mapStatusRow(row) : null));
+  },
+
+  findByName: (name, userId) => {
+    return dbGet('SELECT * FROM statuses WHERE name = ? AND user_id = ?', [name, userId])
+      .then(row => (row ? mapStatusRow(row) : null));
+  },
+
+  // New columns go last
+  create: async (userId, { name, color, done }) => {
+    const id = uuidv4();
+    await dbRun(
+      `INSERT INTO statuses (id, user_id, name, color, done, position)
+       VALUES (?, ?, ?, ?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM statuses WHERE user_id = ?))`,
+      [id, userId, name, color || null, done ? 1 : 0, userId]
+    );
+    return statusOperations.get(id, userId);
+  },
+
+  update: (id, userId, { name, color, done }) => {
+    return dbRun(
+      'UPDATE statuses SET name = ?, color = ?, done = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+      [name, color || null, done ? 1 : 0, id, userId]
+    );
+  },
+
+  // Tasks in a deleted column go back to the first column of their kind
+  delete: async (id, userId) => {
+    const result = await dbRun('DELETE FROM statuses WHERE id = ? AND user_id = ?', [id, userId]);
+    if (result.changes) {
+      await dbRun('UPDATE tasks SET status_id = NULL WHERE status_id = ? AND user_id = ?', [id, userId]);
+    }
+    return result.changes;
+  },
+
+  // `ids` must be exactly the user's columns, in their new order
+  reorder: (userId, ids) => {
+    return withTransaction(async () => {
+      for (const [position, id] of ids.entries()) {
+        await dbRun('UPDATE statuses SET position = ? WHERE id = ? AND user_id = ?', [position, id, userId]);
+      }
+    });
+  },
+
+  // Columns for tasks without a status: the first open one and the first done one
+  defaults: async (userId) => {
+    const statuses = await statusOperations.list(userId);
+    return {
+      open: statuses.find(status => !status.done)?.id ?? null,
+      done: statuses.find(status => status.done)?.id ?? null
+    };
+  }
+};
+
+function normalizeTagNames(names) {
+  if (!Array.isArray(names)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const raw of names) {
+    const name = String(raw || '').trim().replace(/^#/, '');
+    if (name && name.length <= 50 && !seen.has(name.toLowerCase())) {
+      seen.add(name.toLowerCase());
+      out.push(name);
     }
   }
-} else {
-  console.log('ℹ️ Email not configured. Set EMAIL_USER and EMAIL_PASSWORD/EMAIL_APP_PASSWORD to enable');
-  console.log('ℹ️ Supported services: gmail, outlook, yahoo, custom');
-  console.log('ℹ️ For Gmail/Yahoo, use app passwords instead of regular passwords');
+  return out;
 }
 
-// ---- Web Push Setup ----
-if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
-  webpush.setVapidDetails(
-    process.env.VAPID_SUBJECT || 'mailto:you@example.com',
-    process.env.VAPID_PUBLIC_KEY,
-    process.env.VAPID_PRIVATE_KEY
-  );
-  console.log('🔔 Web Push enabled');
-} else {
-  console.log('ℹ️ Web Push not configured (set VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY to enable)');
+// Project id for a task: an explicit id must belong to the user, a name is created on demand
+async function resolveProjectId(userId, { projectId, projectName }) {
+  if (projectId) {
+    const project = await projectOperations.get(projectId, userId);
+    if (!project) throw Object.assign(new Error('Project not found'), { status: 400 });
+    return project.id;
+  }
+  if (projectName) {
+    const project = (await projectOperations.findByName(projectName, userId)) ||
+      (await projectOperations.create(userId, { name: projectName }));
+    return project.id;
+  }
+  return null;
 }
 
-// ---- AI Providers Setup ----
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-  try {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    console.log('🤖 OpenAI client initialized');
-  } catch (e) {
-    console.warn('⚠️ Failed to init OpenAI client:', e?.message || e);
+function mapUserRow(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name || undefined,
+    calendarFeed: !!row.calendar_token_hash,
+    createdAt: row.created_at
+  };
+}
+
+const userOperations = {
+  create: async ({ email, name, passwordHash }) => {
+    const id = uuidv4();
+    await dbRun(
+      'INSERT INTO users (id, email, name, password_hash) VALUES (?, ?, ?, ?)',
+      [id, email, name || null, passwordHash]
+    );
+    return userOperations.get(id);
+  },
+
+  get: (id) => {
+    return dbGet('SELECT * FROM users WHERE id = ?', [id]).then(row => (row ? mapUserRow(row) : null));
+  },
+
+  // Includes the password hash; only for login
+  findByEmail: (email) => {
+    return dbGet('SELECT * FROM users WHERE email = ?', [email]);
+  },
+
+  count: () => {
+    return dbGet('SELECT COUNT(*) AS count FROM users').then(row => row.count);
+  },
+
+  // Issues a new calendar feed token (invalidating the old one) and returns it once
+  rotateCalendarToken: async (userId) => {
+    const token = crypto.randomBytes(24).toString('hex');
+    await dbRun('UPDATE users SET calendar_token_hash = ? WHERE id = ?', [hashToken(token), userId]);
+    return token;
+  },
+
+  disableCalendarFeed: (userId) => {
+    return dbRun('UPDATE users SET calendar_token_hash = NULL WHERE id = ?', [userId]);
+  },
+
+  findByCalendarToken: (token) => {
+    return dbGet('SELECT * FROM users WHERE calendar_token_hash = ?', [hashToken(token)])
+      .then(row => (row ? mapUserRow(row) : null));
+  },
+
+  // Data from before accounts existed belongs to the first user who registers
+  claimOrphanedData: async (userId) => {
+    const tasks = await dbRun('UPDATE tasks SET user_id = ? WHERE user_id IS NULL', [userId]);
+    await dbRun('UPDATE push_subscriptions SET user_id = ? WHERE user_id IS NULL', [userId]);
+    return tasks.changes;
+  }
+};
+
+const sessionOperations = {
+  create: async (userId) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    await dbRun(
+      'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+      [hashToken(token), userId, expiresAt]
+    );
+    return { token, expiresAt };
+  },
+
+  // Returns the user id for a valid, unexpired token
+  resolve: async (token) => {
+    const tokenHash = hashToken(token);
+    const row = await dbGet('SELECT * FROM sessions WHERE token_hash = ?', [tokenHash]);
+    if (!row) return null;
+    if (new Date(row.expires_at) <= new Date()) {
+      await dbRun('DELETE FROM sessions WHERE token_hash = ?', [tokenHash]);
+      return null;
+    }
+    await dbRun('UPDATE sessions SET last_used_at = ? WHERE token_hash = ?', [new Date().toISOString(), tokenHash]);
+    return row.user_id;
+  },
+
+  revoke: (token) => {
+    return dbRun('DELETE FROM sessions WHERE token_hash = ?', [hashToken(token)]);
+  }
+};
+
+function mapReminderRow(row) {
+  return {
+    id: row.id,
+    taskId: row.task_id,
+    remindAt: row.remind_at,
+    offsetMinutes: row.offset_minutes,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error || undefined,
+    sentAt: row.sent_at || undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Reminder persistence used by the scheduler
+const reminderOperations = {
+  create: (taskId, remindAt, offsetMinutes) => {
+    const id = uuidv4();
+    return dbRun(
+      `INSERT INTO reminders (id, task_id, remind_at, offset_minutes, next_attempt_at) VALUES (?, ?, ?, ?, ?)`,
+      [id, taskId, remindAt, offsetMinutes, remindAt]
+    ).then(() => id);
+  },
+
+  cancelForTask: (taskId) => {
+    return dbRun(
+      `UPDATE reminders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE task_id = ? AND status = 'pending'`,
+      [taskId]
+    ).then(result => result.changes);
+  },
+
+  listForTask: (taskId) => {
+    return dbAll('SELECT * FROM reminders WHERE task_id = ? ORDER BY remind_at', [taskId])
+      .then(rows => rows.map(mapReminderRow));
+  },
+
+  countForTask: (taskId) => {
+    return dbGet('SELECT COUNT(*) AS count FROM reminders WHERE task_id = ?', [taskId]).then(row => row.count);
+  },
+
+  countPending: () => {
+    return dbGet(`SELECT COUNT(*) AS count FROM reminders WHERE status = 'pending'`).then(row => row.count);
+  },
+
+  nextWake: () => {
+    return dbGet(`SELECT MIN(next_attempt_at) AS at FROM reminders WHERE status = 'pending'`).then(row => row.at);
+  },
+
+  listDue: (now) => {
+    return dbAll(
+      `SELECT * FROM reminders WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at`,
+      [now]
+    ).then(rows => rows.map(mapReminderRow));
+  },
+
+  markSent: (id) => {
+    return dbRun(
+      `UPDATE reminders SET status = 'sent', attempts = attempts + 1, sent_at = ?, last_error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [new Date().toISOString(), id]
+    );
+  },
+
+  markFailed: (id, error, nextAttemptAt) => {
+    // A retry time keeps the row pending; without one the reminder has given up
+    return dbRun(
+      `UPDATE reminders SET status = ?, attempts = attempts + 1, last_error = ?, next_attempt_at = COALESCE(?, next_attempt_at), updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [nextAttemptAt ? 'pending' : 'failed', error, nextAttemptAt, id]
+    );
+  },
+
+  setStatus: (id, status) => {
+    return dbRun(`UPDATE reminders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [status, id]);
+  }
+};
+
+const settingsOperations = {
+  get: (userId, key, fallback) => {
+    return dbGet('SELECT value FROM user_settings WHERE user_id = ? AND key = ?', [userId, key])
+      .then(row => (row ? JSON.parse(row.value) : fallback));
+  },
+
+  set: (userId, key, value) => {
+    return dbRun(
+      `INSERT INTO user_settings (user_id, key, value) VALUES (?, ?, ?)
+       ON CONFLICT(user_id, key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+      [userId, key, JSON.stringify(value)]
+    );
+  },
+
+  // Every user's value for one key, as [{ userId, value }]
+  listByKey: (key) => {
+    return dbAll('SELECT user_id, value FROM user_settings WHERE key = ?', [key])
+      .then(rows => rows.map(row => ({ userId: row.user_id, value: JSON.parse(row.value) })));
+  },
+
+  findUserId: (key, value) => {
+    return dbGet('SELECT user_id FROM user_settings WHERE key = ? AND value = ?', [key, JSON.stringify(value)])
+      .then(row => (row ? row.user_id : null));
+  }
+};
+
+// ---- Task history ----
+// Fields tracked in task_events; a change to anything else (position, email) is not logged
+const TASK_HISTORY_FIELDS = [
+  'title', 'notes', 'dueDate', 'completed', 'recurrence', 'reminderOffsets', 'estimateMinutes', 'priority', 'projectId', 'statusId', 'tags'
+];
+
+function pickHistoryFields(task) {
+  const values = {};
+  for (const field of TASK_HISTORY_FIELDS) {
+    if (task[field] !== undefined) values[field] = task[field];
+  }
+  return values;
+}
+
+// Old and new values of the tracked fields that differ between two versions of a task
+function diffTask(before, after) {
+  const oldValues = {};
+  const newValues = {};
+  for (const field of TASK_HISTORY_FIELDS) {
+    if (after[field] === undefined) continue;
+    if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+      oldValues[field] = before[field] ?? null;
+      newValues[field] = after[field] ?? null;
+    }
+  }
+  return { oldValues, newValues };
+}
+
+function mapTaskEventRow(row) {
+  return {
+    id: row.id,
+    taskId: row.task_id,
+    action: row.action,
+    source: row.source || 'app',
+    actor: row.user_id ? { id: row.user_id, name: row.user_name || row.user_email || undefined } : null,
+    oldValues: row.old_values ? JSON.parse(row.old_values) : null,
+    newValues: row.new_values ? JSON.parse(row.new_values) : null,
+    createdAt: row.created_at
+  };
+}
+
+const taskEventOperations = {
+  // action: created, updated, completed, reopened, deleted or restored; source: app, import, calendar or recurrence
+  record: (taskId, userId, action, { oldValues = null, newValues = null, source = 'app' } = {}) => {
+    return dbRun(
+      'INSERT INTO task_events (id, task_id, user_id, action, source, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [
+        uuidv4(), taskId, userId, action, source,
+        oldValues ? JSON.stringify(oldValues) : null,
+        newValues ? JSON.stringify(newValues) : null
+      ]
+    );
+  },
+
+  listForTask: (taskId) => {
+    return dbAll(
+      `SELECT task_events.*, users.name AS user_name, users.email AS user_email FROM task_events
+       LEFT JOIN users ON users.id = task_events.user_id
+       WHERE task_events.task_id = ? ORDER BY task_events.created_at DESC, task_events.rowid DESC`,
+      [taskId]
+    ).then(rows => rows.map(mapTaskEventRow));
+  },
+
+  // Tasks completed since `since` that are still completed and not deleted
+  listCompletedSince: (userId, since) => {
+    return dbAll(
+      `SELECT DISTINCT tasks.* FROM task_events JOIN tasks ON tasks.id = task_events.task_id
+       WHERE tasks.user_id = ? AND task_events.action = 'completed' AND task_events.created_at >= ?
+       AND tasks.completed = 1 AND tasks.deleted_at IS NULL
+       ORDER BY tasks.title COLLATE NOCASE`,
+      // task_events.created_at is SQLite's "YYYY-MM-DD HH:MM:SS" in UTC
+      [userId, since.toISOString().replace('T', ' ').slice(0, 19)]
+    ).then(rows => rows.map(mapTaskRow));
+  }
+};
+
+// Logs a new task with all of its tracked values
+function recordTaskCreated(task, userId, source = 'app') {
+  return taskEventOperations.record(task.id, userId, 'created', { newValues: pickHistoryFields(task), source });
+}
+
+// Logs an edit; completing or reopening is its own action so the timeline can call it out
+function recordTaskUpdated(before, after, userId) {
+  const { oldValues, newValues } = diffTask(before, after);
+  if (!Object.keys(newValues).length) return Promise.resolve();
+  let action = 'updated';
+  if ('completed' in newValues) action = newValues.completed ? 'completed' : 'reopened';
+  return taskEventOperations.record(after.id, userId, action, { oldValues, newValues });
+}
+
+// ---- Time tracking ----
+function mapTimeEntryRow(row) {
+  const end = row.ended_at ? new Date(row.ended_at) : new Date();
+  const minutes = Math.max(0, Math.round((end - new Date(row.started_at)) / 60000));
+  return {
+    id: row.id,
+    taskId: row.task_id,
+    taskTitle: row.task_title ?? undefined,
+    startedAt: row.started_at,
+    endedAt: row.ended_at || null,
+    minutes,
+    // Running for so long it was probably forgotten
+    stale: !row.ended_at && minutes > TIMER_STALE_HOURS * 60
+  };
+}
+
+const timeEntryOperations = {
+  // The user's running timer, with its task's title
+  running: (userId) => {
+    return dbGet(
+      `SELECT time_entries.*, tasks.title AS task_title FROM time_entries
+       JOIN tasks ON tasks.id = time_entries.task_id
+       WHERE time_entries.user_id = ? AND time_entries.ended_at IS NULL`,
+      [userId]
+    ).then(row => (row ? mapTimeEntryRow(row) : null));
+  },
+
+  // Fails with a UNIQUE violation when the user already has a running timer
+  start: async (userId, taskId, startedAt) => {
+    const id = uuidv4();
+    await dbRun('INSERT INTO time_entries (id, task_id, user_id, started_at) VALUES (?, ?, ?, ?)', [id, taskId, userId, startedAt]);
+    return timeEntryOperations.running(userId);
+  },
+
+  stop: (id, endedAt) => {
+    return dbRun('UPDATE time_entries SET ended_at = ? WHERE id = ? AND ended_at IS NULL', [endedAt, id]);
+  },
+
+  // Stops a timer running on the task or one of its subtasks; returns whether one was running
+  stopForTask: async (taskId) => {
+    const result = await dbRun(
+      `UPDATE time_entries SET ended_at = ? WHERE ended_at IS NULL
+       AND task_id IN (SELECT id FROM tasks WHERE id = ? OR parent_id = ?)`,
+      [new Date().toISOString(), taskId, taskId]
+    );
+    return result.changes > 0;
+  },
+
+  // Finished sessions restored from an import
+  restore: (userId, taskId, { startedAt, endedAt }) => {
+    return dbRun(
+      'INSERT INTO time_entries (id, task_id, user_id, started_at, ended_at) VALUES (?, ?, ?, ?, ?)',
+      [uuidv4(), taskId, userId, startedAt, endedAt]
+    );
+  },
+
+  listForUser: (userId) => {
+    return dbAll('SELECT * FROM time_entries WHERE user_id = ? ORDER BY started_at', [userId]).then(rows => rows.map(mapTimeEntryRow));
+  },
+
+  countRunning: () => {
+    return dbGet('SELECT COUNT(*) AS count FROM time_entries WHERE ended_at IS NULL').then(row => row.count);
+  },
+
+  // Sessions that started in [from, to], with their task and project; trashed tasks still count
+  listForReport: (userId, { from, to }) => {
+    const where = ['time_entries.user_id = ?'];
+    const params = [userId];
+    if (from) {
+      where.push('time_entries.started_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      where.push('time_entries.started_at <= ?');
+      params.push(to);
+    }
+    return dbAll(
+      `SELECT time_entries.*, tasks.title AS task_title, tasks.estimate_minutes, tasks.project_id,
+         projects.name AS project_name
+       FROM time_entries
+       JOIN tasks ON tasks.id = time_entries.task_id
+       LEFT JOIN projects ON projects.id = tasks.project_id
+       WHERE ${where.join(' AND ')}
+       ORDER BY time_entries.started_at`,
+      params
+    );
+  }
+};
+
+// Starts a timer on a task. The user's running timer (on another task) is stopped first; starting
+// the one that is already running leaves it be. Returns the new timer and the one it stopped.
+async function startTimer(userId, task) {
+  const running = await timeEntryOperations.running(userId);
+  if (running?.taskId === task.id) return { entry: running, stopped: null };
+
+  const now = new Date().toISOString();
+  if (running) await timeEntryOperations.stop(running.id, now);
+  const entry = await timeEntryOperations.start(userId, task.id, now);
+  return { entry, stopped: running ? stoppedEntry(running, now) : null };
+}
+
+// A running entry as it reads once stopped at `endedAt`
+function stoppedEntry(entry, endedAt) {
+  const minutes = Math.max(0, Math.round((new Date(endedAt) - new Date(entry.startedAt)) / 60000));
+  return { ...entry, endedAt, minutes, stale: false };
+}
+
+const TIME_REPORT_GROUPS = ['task', 'project', 'day'];
+const TIME_REPORT_COLUMNS = {
+  task: ['task_id', 'task', 'project', 'minutes', 'hours', 'estimate_minutes', 'sessions'],
+  project: ['project_id', 'project', 'minutes', 'hours', 'sessions'],
+  day: ['day', 'minutes', 'hours', 'sessions']
+};
+
+// Sums sessions (rows of listForReport) per task, project or day in `timeZone`. A session counts
+// towards the day it started; a running one counts up to now.
+function buildTimeReport(rows, groupBy, timeZone) {
+  const groups = new Map();
+  let totalMinutes = 0;
+  for (const row of rows) {
+    let key;
+    let fields;
+    if (groupBy === 'task') {
+      key = row.task_id;
+      fields = { taskId: row.task_id, title: row.task_title, project: row.project_name || null, estimateMinutes: row.estimate_minutes || null };
+    } else if (groupBy === 'project') {
+      key = row.project_id || 'none';
+      fields = { projectId: row.project_id || null, project: row.project_name || null };
+    } else {
+      key = formatInTimeZone(new Date(row.started_at), timeZone, 'yyyy-MM-dd');
+      fields = { day: key };
+    }
+    if (!groups.has(key)) groups.set(key, { ...fields, minutes: 0, sessions: 0 });
+    const group = groups.get(key);
+    const { minutes } = mapTimeEntryRow(row);
+    group.minutes += minutes;
+    group.sessions += 1;
+    totalMinutes += minutes;
+  }
+  const order = groupBy === 'day' ? (a, b) => a.day.localeCompare(b.day) : (a, b) => b.minutes - a.minutes;
+  return { rows: [...groups.values()].sort(order), totalMinutes };
+}
+
+function timeReportToCsv(report, groupBy) {
+  const lines = [TIME_REPORT_COLUMNS[groupBy].join(',')];
+  for (const row of report.rows) {
+    const hours = (row.minutes / 60).toFixed(2);
+    const cells = groupBy === 'task'
+      ? [row.taskId, row.title, row.project, row.minutes, hours, row.estimateMinutes, row.sessions]
+      : groupBy === 'project'
+        ? [row.projectId, row.project, row.minutes, hours, row.sessions]
+        : [row.day, row.minutes, hours, row.sessions];
+    lines.push(cells.map(csvCell).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ---- Storage for push subscriptions ----
+function mapPushRow(row) {
+  return {
+    id: row.id,
+    endpoint: row.endpoint,
+    keys: JSON.parse(row.keys),
+    label: row.label || undefined,
+    userAgent: row.user_agent || undefined,
+    lastSuccessAt: row.last_success_at || undefined,
+    lastError: row.last_error || undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const pushOperations = {
+  // Re-subscribing the same browser refreshes its keys and moves it to whoever is signed in now
+  upsert: async (userId, sub, label, userAgent) => {
+    const existing = await dbGet('SELECT id FROM push_subscriptions WHERE endpoint = ?', [sub.endpoint]);
+    const id = existing ? existing.id : uuidv4();
+    await dbRun(
+      `INSERT INTO push_subscriptions (id, endpoint, keys, label, user_agent, user_id) VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(endpoint) DO UPDATE SET keys = excluded.keys, label = COALESCE(excluded.label, label),
+         user_agent = excluded.user_agent, user_id = excluded.user_id, last_error = NULL, updated_at = CURRENT_TIMESTAMP`,
+      [id, sub.endpoint, JSON.stringify(sub.keys || {}), label || null, userAgent || null, userId]
+    );
+    return { id, created: !existing };
+  },
+
+  list: (userId) => {
+    return dbAll('SELECT * FROM push_subscriptions WHERE user_id = ? ORDER BY created_at', [userId])
+      .then(rows => rows.map(mapPushRow));
+  },
+
+  // Subscriptions that should receive a reminder for `task`: the owner's devices
+  listForTask: (task) => {
+    return pushOperations.list(task.userId);
+  },
+
+  get: (id, userId) => {
+    return dbGet('SELECT * FROM push_subscriptions WHERE id = ? AND user_id = ?', [id, userId])
+      .then(row => (row ? mapPushRow(row) : null));
+  },
+
+  deleteById: (id, userId) => {
+    return dbRun('DELETE FROM push_subscriptions WHERE id = ? AND user_id = ?', [id, userId]).then(result => result.changes);
+  },
+
+  deleteByEndpoint: (endpoint, userId) => {
+    return dbRun('DELETE FROM push_subscriptions WHERE endpoint = ? AND user_id = ?', [endpoint, userId])
+      .then(result => result.changes);
+  },
+
+  markSuccess: (id) => {
+    return dbRun(
+      `UPDATE push_subscriptions SET last_success_at = ?, last_error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [new Date().toISOString(), id]
+    );
+  },
+
+  markError: (id, error) => {
+    return dbRun(
+      `UPDATE push_subscriptions SET last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [error, id]
+    );
+  }
+};
+
+const pushConfigured = () => !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+// Sends one notification; subscriptions the push service reports as gone are removed
+async function sendPush(sub, payload) {
+  try {
+    await webpush.sendNotification({ endpoint: sub.endpoint, keys: sub.keys }, JSON.stringify(payload));
+    await pushOperations.markSuccess(sub.id);
+    return { ok: true };
+  } catch (err) {
+    const error = String(err?.statusCode || err?.message || err);
+    if (err?.statusCode === 404 || err?.statusCode === 410) {
+      console.warn(`⚠️ Push subscription expired; removing device ${sub.label || sub.id}`);
+      await dbRun('DELETE FROM push_subscriptions WHERE id = ?', [sub.id]);
+    } else {
+      console.warn('⚠️ Push send failed:', error);
+      await pushOperations.markError(sub.id, error);
+    }
+    return { ok: false, error };
+  }
+}
+
+// ---- Email Configuration (Free Options) ----
+let transporter = null;
+
+// Free email service configurations
+const emailConfigs = {
+  // Gmail (free with app password)
+  gmail: {
+    service: 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_APP_PASSWORD // Use app password, not regular password
+    }
+  },
+  
+  
+  // Custom SMTP (for services like ProtonMail Bridge, etc.)
+  custom: {
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT ? Number(process.env.EMAIL_PORT) : 587,
+    secure: process.env.EMAIL_SECURE === 'true',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASSWORD
+    }
+  }
+};
+
+if (process.env.EMAIL_USER && (process.env.EMAIL_PASSWORD || process.env.EMAIL_APP_PASSWORD)) {
+  const emailService = process.env.EMAIL_SERVICE || 'gmail';
+  const config = emailConfigs[emailService];
+  
+  if (config) {
+    try {
+      transporter = nodemailer.createTransport(config);
+      transporter.verify().then(() => {
+        console.log(`📧 Email transporter ready (${emailService})`);
+      }).catch(err => {
+        console.warn('⚠️ Email transporter verify failed:', err?.message || err);
+      });
+    } catch (err) {
+      console.warn('⚠️ Failed to create email transporter:', err?.message || err);
+    }
+  }
+} else {
+  console.log('ℹ️ Email not configured. Set EMAIL_USER and EMAIL_PASSWORD/EMAIL_APP_PASSWORD to enable');
+  console.log('ℹ️ Supported services: gmail, outlook, yahoo, custom');
+  console.log('ℹ️ For Gmail/Yahoo, use app passwords instead of regular passwords');
+}
+
+// ---- Languages ----
+// Text the server writes for a person (reminders, digests, email replies, push notifications)
+// comes from SERVER_MESSAGES in their language: the one saved in their settings, else the
+// first supported one their browser asks for, else DEFAULT_LANGUAGE.
+
+const SUPPORTED_LANGUAGES = ['en', 'de', 'fr', 'es'];
+// Intl locale used for dates and plural rules
+const LANGUAGE_LOCALES = { en: 'en-US', de: 'de-DE', fr: 'fr-FR', es: 'es-ES' };
+const LANGUAGE_NAMES = { en: 'English', de: 'German', fr: 'French', es: 'Spanish' };
+
+// A message is a string, or { one, other } picked by params.count. "{name}" is replaced by
+// params.name. Keys missing from a language fall back to English.
+const SERVER_MESSAGES = {
+  en: {
+    'reminder.subject': '📋 Task Reminder: {title}',
+    'reminder.heading': '⏰ Task Reminder',
+    'reminder.footer': 'This reminder was sent from your task manager.',
+    'reminder.text': 'Task Reminder: "{title}" {dueIn} ({due}).',
+    'reminder.pushTitle': '📋 Task Reminder',
+    'reminder.pushBody': '"{title}" {dueIn} ({due})',
+    'reminder.actionFailed': "Couldn't update the task. Tap to open it.",
+    'action.complete': '✓ Mark done',
+    'action.snooze10': 'Snooze 10 min',
+    'action.snooze60': 'Snooze 1 hour',
+    'due.in': 'is due in {time}',
+    'due.inHeading': 'Due in {time}',
+    'due.now': 'is due now',
+    'due.nowHeading': 'Due now',
+    'due.ago': 'was due {time} ago',
+    'due.agoHeading': 'Overdue by {time}',
+    'unit.week': { one: '{count} week', other: '{count} weeks' },
+    'unit.day': { one: '{count} day', other: '{count} days' },
+    'unit.hour': { one: '{count} hour', other: '{count} hours' },
+    'unit.minute': { one: '{count} minute', other: '{count} minutes' },
+    'digest.footer': 'You get this digest because you turned it on in your task manager settings.',
+    'digest.preferences': 'Digest preferences',
+    'digest.unsubscribe': 'Unsubscribe',
+    'digest.weeklySubject': { one: '✅ Your week: {count} task completed', other: '✅ Your week: {count} tasks completed' },
+    'digest.weeklyHeading': '✅ Your weekly summary',
+    'digest.weeklyIntro': "Here's what you finished in the last 7 days and what's coming up.",
+    'digest.completed': 'Completed this week',
+    'digest.stillOverdue': 'Still overdue',
+    'digest.comingUp': 'Coming up',
+    'digest.dailySubject': '🗓️ Your agenda for {date}',
+    'digest.dailyIntro': "Good morning! Here's what's on your plate.",
+    'digest.dailyIntroName': "Good morning, {name}! Here's what's on your plate.",
+    'digest.overdue': 'Overdue',
+    'digest.dueToday': 'Due today',
+    'digest.laterThisWeek': 'Later this week',
+    'unsubscribe.expiredHeading': 'Link expired',
+    'unsubscribe.expired': 'This unsubscribe link is no longer valid. You can change digest emails in the app settings.',
+    'unsubscribe.confirmHeading': 'Unsubscribe from digest emails?',
+    'unsubscribe.confirm': "You'll stop getting daily and weekly digest emails. Task reminders are not affected.",
+    'unsubscribe.button': 'Unsubscribe',
+    'unsubscribe.doneHeading': "You're unsubscribed",
+    'unsubscribe.done': "You won't get daily or weekly digest emails any more. Task reminders are not affected.",
+    'inbound.heading': '📥 Task created',
+    'inbound.due': 'Due {due}',
+    'inbound.noDue': 'No due date',
+    'inbound.added': 'Your email was added to your task manager.',
+    'inbound.notes': 'The original message is in the task notes.',
+    'inbound.open': 'Open tasks',
+    'inbound.text': 'Task created: "{title}" ({due}).'
+  },
+  de: {
+    'reminder.subject': '📋 Erinnerung: {title}',
+    'reminder.heading': '⏰ Erinnerung',
+    'reminder.footer': 'Diese Erinnerung kommt von deinem Task-Manager.',
+    'reminder.text': 'Erinnerung: „{title}“ {dueIn} ({due}).',
+    'reminder.pushTitle': '📋 Erinnerung',
+    'reminder.pushBody': '„{title}“ {dueIn} ({due})',
+    'reminder.actionFailed': 'Die Aufgabe konnte nicht geändert werden. Tippe, um sie zu öffnen.',
+    'action.complete': '✓ Erledigt',
+    'action.snooze10': '10 Min. später',
+    'action.snooze60': '1 Std. später',
+    'due.in': 'ist in {time} fällig',
+    'due.inHeading': 'Fällig in {time}',
+    'due.now': 'ist jetzt fällig',
+    'due.nowHeading': 'Jetzt fällig',
+    'due.ago': 'war vor {time} fällig',
+    'due.agoHeading': 'Seit {time} überfällig',
+    'unit.week': { one: '{count} Woche', other: '{count} Wochen' },
+    'unit.day': { one: '{count} Tag', other: '{count} Tagen' },
+    'unit.hour': { one: '{count} Stunde', other: '{count} Stunden' },
+    'unit.minute': { one: '{count} Minute', other: '{count} Minuten' },
+    'digest.footer': 'Du bekommst diese Zusammenfassung, weil du sie in den Einstellungen aktiviert hast.',
+    'digest.preferences': 'Einstellungen',
+    'digest.unsubscribe': 'Abbestellen',
+    'digest.weeklySubject': { one: '✅ Deine Woche: {count} Aufgabe erledigt', other: '✅ Deine Woche: {count} Aufgaben erledigt' },
+    'digest.weeklyHeading': '✅ Deine Wochenübersicht',
+    'digest.weeklyIntro': 'Das hast du in den letzten 7 Tagen erledigt, und das steht als Nächstes an.',
+    'digest.completed': 'Diese Woche erledigt',
+    'digest.stillOverdue': 'Noch überfällig',
+    'digest.comingUp': 'Demnächst',
+    'digest.dailySubject': '🗓️ Dein Tag: {date}',
+    'digest.dailyIntro': 'Guten Morgen! Das steht heute an.',
+    'digest.dailyIntroName': 'Guten Morgen, {name}! Das steht heute an.',
+    'digest.overdue': 'Überfällig',
+    'digest.dueToday': 'Heute fällig',
+    'digest.laterThisWeek': 'Später diese Woche',
+    'unsubscribe.expiredHeading': 'Link abgelaufen',
+    'unsubscribe.expired': 'Dieser Abmeldelink ist nicht mehr gültig. Du kannst die Zusammenfassungen in den Einstellungen der App ändern.',
+    'unsubscribe.confirmHeading': 'Von den Zusammenfassungen abmelden?',
+    'unsubscribe.confirm': 'Du bekommst dann keine täglichen oder wöchentlichen Zusammenfassungen mehr. Erinnerungen an Aufgaben sind davon nicht betroffen.',
+    'unsubscribe.button': 'Abmelden',
+    'unsubscribe.doneHeading': 'Du bist abgemeldet',
+    'unsubscribe.done': 'Du bekommst keine täglichen oder wöchentlichen Zusammenfassungen mehr. Erinnerungen an Aufgaben sind davon nicht betroffen.',
+    'inbound.heading': '📥 Aufgabe erstellt',
+    'inbound.due': 'Fällig {due}',
+    'inbound.noDue': 'Kein Fälligkeitsdatum',
+    'inbound.added': 'Deine E-Mail wurde zu deinem Task-Manager hinzugefügt.',
+    'inbound.notes': 'Die ursprüngliche Nachricht steht in den Notizen der Aufgabe.',
+    'inbound.open': 'Aufgaben öffnen',
+    'inbound.text': 'Aufgabe erstellt: „{title}“ ({due}).'
+  },
+  fr: {
+    'reminder.subject': '📋 Rappel : {title}',
+    'reminder.heading': '⏰ Rappel',
+    'reminder.footer': 'Ce rappel vous a été envoyé par votre gestionnaire de tâches.',
+    'reminder.text': 'Rappel : « {title} » {dueIn} ({due}).',
+    'reminder.pushTitle': '📋 Rappel',
+    'reminder.pushBody': '« {title} » {dueIn} ({due})',
+    'reminder.actionFailed': "Impossible de mettre à jour la tâche. Touchez pour l'ouvrir.",
+    'action.complete': '✓ Terminée',
+    'action.snooze10': 'Dans 10 min',
+    'action.snooze60': 'Dans 1 heure',
+    'due.in': 'est à faire dans {time}',
+    'due.inHeading': 'Échéance dans {time}',
+    'due.now': 'est à faire maintenant',
+    'due.nowHeading': 'Échéance maintenant',
+    'due.ago': 'était à faire il y a {time}',
+    'due.agoHeading': 'En retard de {time}',
+    'unit.week': { one: '{count} semaine', other: '{count} semaines' },
+    'unit.day': { one: '{count} jour', other: '{count} jours' },
+    'unit.hour': { one: '{count} heure', other: '{count} heures' },
+    'unit.minute': { one: '{count} minute', other: '{count} minutes' },
+    'digest.footer': 'Vous recevez ce récapitulatif parce que vous l’avez activé dans les paramètres.',
+    'digest.preferences': 'Préférences du récapitulatif',
+    'digest.unsubscribe': 'Se désabonner',
+    'digest.weeklySubject': { one: '✅ Votre semaine : {count} tâche terminée', other: '✅ Votre semaine : {count} tâches terminées' },
+    'digest.weeklyHeading': '✅ Votre bilan de la semaine',
+    'digest.weeklyIntro': 'Voici ce que vous avez terminé ces 7 derniers jours et ce qui arrive.',
+    'digest.completed': 'Terminées cette semaine',
+    'digest.stillOverdue': 'Toujours en retard',
+    'digest.comingUp': 'À venir',
+    'digest.dailySubject': '🗓️ Votre programme du {date}',
+    'digest.dailyIntro': 'Bonjour ! Voici ce qui vous attend.',
+    'digest.dailyIntroName': 'Bonjour {name} ! Voici ce qui vous attend.',
+    'digest.overdue': 'En retard',
+    'digest.dueToday': "À faire aujourd'hui",
+    'digest.laterThisWeek': 'Plus tard cette semaine',
+    'unsubscribe.expiredHeading': 'Lien expiré',
+    'unsubscribe.expired': "Ce lien de désabonnement n'est plus valide. Vous pouvez modifier les récapitulatifs dans les paramètres de l'application.",
+    'unsubscribe.confirmHeading': 'Se désabonner des récapitulatifs ?',
+    'unsubscribe.confirm': 'Vous ne recevrez plus de récapitulatifs quotidiens ou hebdomadaires. Les rappels de tâches ne sont pas concernés.',
+    'unsubscribe.button': 'Se désabonner',
+    'unsubscribe.doneHeading': 'Vous êtes désabonné',
+    'unsubscribe.done': 'Vous ne recevrez plus de récapitulatifs quotidiens ou hebdomadaires. Les rappels de tâches ne sont pas concernés.',
+    'inbound.heading': '📥 Tâche créée',
+    'inbound.due': 'Échéance : {due}',
+    'inbound.noDue': "Pas d'échéance",
+    'inbound.added': 'Votre e-mail a été ajouté à votre gestionnaire de tâches.',
+    'inbound.notes': 'Le message d’origine se trouve dans les notes de la tâche.',
+    'inbound.open': 'Ouvrir les tâches',
+    'inbound.text': 'Tâche créée : « {title} » ({due}).'
+  },
+  es: {
+    'reminder.subject': '📋 Recordatorio: {title}',
+    'reminder.heading': '⏰ Recordatorio',
+    'reminder.footer': 'Este recordatorio te lo envía tu gestor de tareas.',
+    'reminder.text': 'Recordatorio: «{title}» {dueIn} ({due}).',
+    'reminder.pushTitle': '📋 Recordatorio',
+    'reminder.pushBody': '«{title}» {dueIn} ({due})',
+    'reminder.actionFailed': 'No se pudo actualizar la tarea. Toca para abrirla.',
+    'action.complete': '✓ Hecha',
+    'action.snooze10': 'Posponer 10 min',
+    'action.snooze60': 'Posponer 1 hora',
+    'due.in': 'vence en {time}',
+    'due.inHeading': 'Vence en {time}',
+    'due.now': 'vence ahora',
+    'due.nowHeading': 'Vence ahora',
+    'due.ago': 'venció hace {time}',
+    'due.agoHeading': 'Atrasada {time}',
+    'unit.week': { one: '{count} semana', other: '{count} semanas' },
+    'unit.day': { one: '{count} día', other: '{count} días' },
+    'unit.hour': { one: '{count} hora', other: '{count} horas' },
+    'unit.minute': { one: '{count} minuto', other: '{count} minutos' },
+    'digest.footer': 'Recibes este resumen porque lo activaste en la configuración.',
+    'digest.preferences': 'Preferencias del resumen',
+    'digest.unsubscribe': 'Darse de baja',
+    'digest.weeklySubject': { one: '✅ Tu semana: {count} tarea completada', other: '✅ Tu semana: {count} tareas completadas' },
+    'digest.weeklyHeading': '✅ Tu resumen semanal',
+    'digest.weeklyIntro': 'Esto es lo que terminaste en los últimos 7 días y lo que viene.',
+    'digest.completed': 'Completadas esta semana',
+    'digest.stillOverdue': 'Aún atrasadas',
+    'digest.comingUp': 'Próximamente',
+    'digest.dailySubject': '🗓️ Tu agenda para el {date}',
+    'digest.dailyIntro': '¡Buenos días! Esto es lo que tienes hoy.',
+    'digest.dailyIntroName': '¡Buenos días, {name}! Esto es lo que tienes hoy.',
+    'digest.overdue': 'Atrasadas',
+    'digest.dueToday': 'Para hoy',
+    'digest.laterThisWeek': 'Más adelante esta semana',
+    'unsubscribe.expiredHeading': 'Enlace caducado',
+    'unsubscribe.expired': 'Este enlace para darse de baja ya no es válido. Puedes cambiar los resúmenes en la configuración de la aplicación.',
+    'unsubscribe.confirmHeading': '¿Darte de baja de los resúmenes?',
+    'unsubscribe.confirm': 'Dejarás de recibir resúmenes diarios y semanales. Los recordatorios de tareas no cambian.',
+    'unsubscribe.button': 'Darme de baja',
+    'unsubscribe.doneHeading': 'Te has dado de baja',
+    'unsubscribe.done': 'Ya no recibirás resúmenes diarios ni semanales. Los recordatorios de tareas no cambian.',
+    'inbound.heading': '📥 Tarea creada',
+    'inbound.due': 'Vence {due}',
+    'inbound.noDue': 'Sin fecha límite',
+    'inbound.added': 'Tu correo se ha añadido a tu gestor de tareas.',
+    'inbound.notes': 'El mensaje original está en las notas de la tarea.',
+    'inbound.open': 'Abrir tareas',
+    'inbound.text': 'Tarea creada: «{title}» ({due}).'
+  }
+};
+
+function isSupportedLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language);
+}
+
+function translate(language, key, params = {}) {
+  let message = SERVER_MESSAGES[language]?.[key] ?? SERVER_MESSAGES.en[key] ?? key;
+  if (typeof message === 'object') {
+    const locale = LANGUAGE_LOCALES[language] || LANGUAGE_LOCALES.en;
+    message = message[new Intl.PluralRules(locale).select(params.count)] || message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined ? String(params[name]) : m));
+}
+
+// A date in the user's language and zone; `options` are Intl.DateTimeFormat options
+function formatUserDate(date, language, timeZone, options) {
+  return new Date(date).toLocaleString(LANGUAGE_LOCALES[language] || LANGUAGE_LOCALES.en, { ...options, timeZone });
+}
+
+// The best supported match for an Accept-Language header ("de-CH,de;q=0.9,en;q=0.8"), or null
+function pickLanguage(acceptLanguage) {
+  const ranked = String(acceptLanguage || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { language: tag.trim().toLowerCase().split('-')[0], q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(entry => entry.q > 0 && isSupportedLanguage(entry.language))
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  return ranked[0]?.language || null;
+}
+
+async function getUserLanguage(userId) {
+  const language = userId ? await settingsOperations.get(userId, 'language', null) : null;
+  return isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+}
+
+// A language picked in settings wins; until then the browser's is used and saved, so emails
+// sent later match the app
+async function requestLanguage(req) {
+  const saved = await settingsOperations.get(req.user.id, 'language', null);
+  if (isSupportedLanguage(saved)) return saved;
+  const detected = pickLanguage(req.get('Accept-Language'));
+  if (detected) {
+    await settingsOperations.set(req.user.id, 'language', detected);
+    return detected;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+// ---- Email templates ----
+// Every email shares one layout; templates return { subject, html, text } for transporter.sendMail.
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
+  ));
+}
+
+// `body` is HTML built (and escaped) by a template; `links` go in the footer
+function renderEmailLayout({ heading, body, footer, links = [] }) {
+  const linkHtml = links
+    .map(({ href, label }) => `<a href="${escapeHtml(href)}" style="color: #888;">${escapeHtml(label)}</a>`)
+    .join(' · ');
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">${escapeHtml(heading)}</h2>
+      ${body}
+      <p style="color: #888; font-size: 12px;">
+        ${escapeHtml(footer)}${linkHtml ? `<br>${linkHtml}` : ''}
+      </p>
+    </div>
+  `;
+}
+
+function reminderEmail({ title, dueIn, humanDue, language = DEFAULT_LANGUAGE }) {
+  return {
+    subject: translate(language, 'reminder.subject', { title }),
+    html: renderEmailLayout({
+      heading: translate(language, 'reminder.heading'),
+      body: `
+      <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="margin: 0; color: #555;">"${escapeHtml(title)}"</h3>
+        <p style="margin: 10px 0 0 0; color: #666;">${escapeHtml(dueIn.heading)} (${escapeHtml(humanDue)})</p>
+      </div>`,
+      footer: translate(language, 'reminder.footer')
+    }),
+    text: translate(language, 'reminder.text', { title, dueIn: dueIn.sentence, due: humanDue })
+  };
+}
+
+// sections: [{ title, items: [{ title, detail }] }]; empty sections are left out
+function digestEmail({ subject, heading, intro, sections, preferencesUrl, unsubscribeUrl, language = DEFAULT_LANGUAGE }) {
+  const filled = sections.filter(section => section.items.length);
+  const sectionHtml = filled.map(section => `
+      <h3 style="color: #555; margin: 24px 0 8px;">${escapeHtml(section.title)} (${section.items.length})</h3>
+      <ul style="padding-left: 20px; margin: 0; color: #333;">
+        ${section.items.map(item => `<li style="margin: 4px 0;">${escapeHtml(item.title)}${
+          item.detail ? ` <span style="color: #888;">— ${escapeHtml(item.detail)}</span>` : ''
+        }</li>`).join('\n        ')}
+      </ul>`).join('');
+  const sectionText = filled.map(section => [
+    `${section.title.toUpperCase()} (${section.items.length})`,
+    ...section.items.map(item => `- ${item.title}${item.detail ? ` — ${item.detail}` : ''}`)
+  ].join('\n')).join('\n\n');
+
+  return {
+    subject,
+    html: renderEmailLayout({
+      heading,
+      body: `<p style="color: #666;">${escapeHtml(intro)}</p>${sectionHtml}`,
+      footer: translate(language, 'digest.footer'),
+      links: [
+        { href: preferencesUrl, label: translate(language, 'digest.preferences') },
+        { href: unsubscribeUrl, label: translate(language, 'digest.unsubscribe') }
+      ]
+    }),
+    text: `${heading}\n\n${intro}\n\n${sectionText}\n\n` +
+      `${translate(language, 'digest.preferences')}: ${preferencesUrl}\n` +
+      `${translate(language, 'digest.unsubscribe')}: ${unsubscribeUrl}\n`
+  };
+}
+
+function taskFromEmailReply({ title, humanDue, subject, language = DEFAULT_LANGUAGE }) {
+  const due = humanDue ? translate(language, 'inbound.due', { due: humanDue }) : translate(language, 'inbound.noDue');
+  return {
+    subject: `Re: ${subject}`,
+    html: renderEmailLayout({
+      heading: translate(language, 'inbound.heading'),
+      body: `
+      <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="margin: 0; color: #555;">"${escapeHtml(title)}"</h3>
+        <p style="margin: 10px 0 0 0; color: #666;">${escapeHtml(due)}</p>
+      </div>`,
+      footer: `${translate(language, 'inbound.added')} ${translate(language, 'inbound.notes')}`,
+      links: [{ href: APP_URL, label: translate(language, 'inbound.open') }]
+    }),
+    text: `${translate(language, 'inbound.text', { title, due })}\n\n${translate(language, 'inbound.notes')}\n` +
+      `${translate(language, 'inbound.open')}: ${APP_URL}`
+  };
+}
+
+// ---- Web Push Setup ----
+if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || 'mailto:you@example.com',
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+  console.log('🔔 Web Push enabled');
+} else {
+  console.log('ℹ️ Web Push not configured (set VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY to enable)');
+}
+
+// ---- AI Providers Setup ----
+// Every LLM provider is reached through the OpenAI chat completions API. `compatible` is a
+// self-hosted llama.cpp, Ollama or vLLM server (LLM_BASE_URL, e.g. http://localhost:11434/v1).
+// responseFormat is 'json_schema', 'json_object' or 'none', depending on what the server supports.
+const LLM_PROVIDERS = {
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || undefined,
+    model: OPENAI_MODEL,
+    responseFormat: process.env.OPENAI_RESPONSE_FORMAT || 'json_schema',
+    timeoutMs: Number(process.env.OPENAI_TIMEOUT_MS) || PARSER_TIMEOUT_MS
+  },
+  groq: {
+    apiKey: process.env.GROQ_API_KEY,
+    baseURL: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
+    model: process.env.GROQ_MODEL || 'meta-llama/llama-4-maverick-17b-128e-instruct',
+    responseFormat: process.env.GROQ_RESPONSE_FORMAT || 'json_object',
+    timeoutMs: Number(process.env.GROQ_TIMEOUT_MS) || PARSER_TIMEOUT_MS
+  },
+  compatible: {
+    // Local servers usually accept any key
+    apiKey: process.env.LLM_API_KEY || 'not-needed',
+    baseURL: process.env.LLM_BASE_URL,
+    model: process.env.LLM_MODEL,
+    responseFormat: process.env.LLM_RESPONSE_FORMAT || 'json_object',
+    timeoutMs: Number(process.env.LLM_TIMEOUT_MS) || PARSER_TIMEOUT_MS
+  }
+};
+
+const llmClients = {};
+for (const [name, config] of Object.entries(LLM_PROVIDERS)) {
+  const configured = name === 'compatible' ? config.baseURL && config.model : config.apiKey;
+  if (!configured) continue;
+  try {
+    // The chain moves on to the next provider instead of retrying
+    llmClients[name] = new OpenAI({ apiKey: config.apiKey, baseURL: config.baseURL, timeout: config.timeoutMs, maxRetries: 0 });
+    console.log(`🤖 ${name} parser configured (${config.model})`);
+  } catch (e) {
+    console.warn(`⚠️ Failed to init ${name} client:`, e?.message || e);
+  }
+}
+if (!llmClients.groq && PARSER_PROVIDER === 'groq' && !PARSER_CHAIN) {
+  console.log('ℹ️ GROQ_API_KEY not set. Get free API key from: https://console.groq.com/');
+}
+
+const DEFAULT_PARSER_CHAINS = {
+  openai: ['openai', 'groq', 'local'],
+  groq: ['groq', 'local'],
+  compatible: ['compatible', 'local'],
+  local: ['local']
+};
+
+const PARSER_PROVIDERS = (PARSER_CHAIN ? PARSER_CHAIN.split(',') : DEFAULT_PARSER_CHAINS[PARSER_PROVIDER] || DEFAULT_PARSER_CHAINS.groq)
+  .map(name => name.trim())
+  .filter((name, i, names) => {
+    if (name !== 'local' && !LLM_PROVIDERS[name]) {
+      console.warn(`⚠️ Unknown parser provider "${name}" in PARSER_CHAIN`);
+      return false;
+    }
+    return names.indexOf(name) === i;
+  });
+if (!PARSER_PROVIDERS.includes('local')) PARSER_PROVIDERS.push('local');
+
+// ---- Time zones ----
+// Dates are stored in UTC. Everything read from or written for a person (parsed text, repeat
+// rules, reminder and digest emails) uses their IANA zone: the X-Timezone header the app sends,
+// else the one saved in their settings, else DEFAULT_TIMEZONE.
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string' && timeZone.length > 0;
+  } catch {
+    return false;
+  }
+}
+
+async function getUserTimezone(userId) {
+  const timeZone = await settingsOperations.get(userId, 'timezone', null);
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+}
+
+// The first zone a client reports is saved as the user's, so emails sent later match the app
+async function requestTimezone(req) {
+  const header = req.get('X-Timezone');
+  const saved = await settingsOperations.get(req.user.id, 'timezone', null);
+  if (isValidTimeZone(header)) {
+    if (!saved) await settingsOperations.set(req.user.id, 'timezone', header);
+    return header;
+  }
+  return isValidTimeZone(saved) ? saved : DEFAULT_TIMEZONE;
+}
+
+// A wall-clock reading ("2026-03-29T02:30:00") in `timeZone` as a UTC instant. A reading skipped
+// when the clocks went forward lands after the jump (03:30), as calendar apps do; an ambiguous one
+// when they go back is the first of the two.
+function fromWallTime(wall, timeZone) {
+  const asUtc = Date.parse(`${wall}Z`);
+  // The offsets half a day either side: the same, or the ones before and after a change that day
+  const candidates = [-12, 12].map(hours => (
+    new Date(asUtc - getTimezoneOffset(timeZone, new Date(asUtc + hours * 60 * 60 * 1000)))
+  ));
+  return candidates.find(date => formatInTimeZone(date, timeZone, "yyyy-MM-dd'T'HH:mm:ss") === wall) || candidates[0];
+}
+
+// The user's calendar day containing `date`, as UTC instants (DST days are 23 or 25 hours long)
+function zonedDayRange(date, timeZone) {
+  const day = formatInTimeZone(date, timeZone, 'yyyy-MM-dd');
+  const start = fromWallTime(`${day}T00:00:00`, timeZone);
+  const nextDay = formatInTimeZone(new Date(start.getTime() + 36 * 60 * 60 * 1000), timeZone, 'yyyy-MM-dd');
+  return { day, start, end: fromWallTime(`${nextDay}T00:00:00`, timeZone) };
+}
+
+// `time` ("09:00") on the calendar day `days` after today in `timeZone`
+function zonedWallTime(days, time, timeZone, now = new Date()) {
+  const [y, m, d] = formatInTimeZone(now, timeZone, 'yyyy-MM-dd').split('-').map(Number);
+  const day = new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+  return fromWallTime(`${day}T${time}:00`, timeZone);
+}
+
+// chrono works on a fixed UTC offset; this is the one `timeZone` has right now
+function chronoReference(timeZone, now = new Date()) {
+  return { instant: now, timezone: getTimezoneOffset(timeZone, now) / 60000 };
+}
+
+// A chrono result as a UTC instant. The wall-clock reading goes through fromWallTime so a
+// date past a DST change gets that day's offset rather than today's. `time` ("23:59:59")
+// replaces the time of day.
+function chronoToDate(components, timeZone, time = null) {
+  if (components.isCertain('timezoneOffset') && !time) return components.date();
+  const pad = (n, size = 2) => String(n).padStart(size, '0');
+  const day = `${pad(components.get('year'), 4)}-${pad(components.get('month'))}-${pad(components.get('day'))}`;
+  return fromWallTime(
+    `${day}T${time || `${pad(components.get('hour'))}:${pad(components.get('minute'))}:${pad(components.get('second'))}`}`,
+    timeZone
+  );
+}
+
+const CHRONO_PARSERS = { en: chrono, de: chrono.de, fr: chrono.fr, es: chrono.es };
+
+// The first date in `text`, read by every supported language's chrono parser with the user's
+// first. The longest match wins, so French "demain à 15h" beats English "15h" while a German
+// user can still type "tomorrow at 9".
+function parseDateText(text, timeZone, language = DEFAULT_LANGUAGE) {
+  const order = [language, ...SUPPORTED_LANGUAGES.filter(l => l !== language)].filter(isSupportedLanguage);
+  // Typographic apostrophes ("aujourd’hui") keep the text's length, so indexes still line up
+  const plain = String(text).replace(/’/g, "'");
+  let best = null;
+  for (const lang of order) {
+    const [result] = CHRONO_PARSERS[lang].parse(plain, chronoReference(timeZone), { forwardDate: true });
+    if (result && (!best || result.text.length > best.text.length)) best = result;
+  }
+  return best;
+}
+
+// ---- Recurrence ----
+// Rules are stored as JSON on the task:
+//   { freq: 'daily'|'weekly'|'monthly'|'yearly', interval, byWeekday?, byMonthDay?, until?, count? }
+// byWeekday uses JS day numbers (0 = Sunday). Only the live instance of a series
+// carries the rule; completing it hands the rule over to the next instance.
+
+const RECURRENCE_FREQS = ['daily', 'weekly', 'monthly', 'yearly'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_PATTERN = '(?:mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun)(?:day|nesday|rsday|urday)?';
+const UNIT_TO_FREQ = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' };
+const DEFAULT_RECURRENCE_HOUR = 9;
+
+function weekdayIndex(name) {
+  const key = String(name).toLowerCase().slice(0, 3);
+  return WEEKDAY_NAMES.findIndex(d => d.startsWith(key));
+}
+
+function parseWeekdayList(text) {
+  const days = (text.match(new RegExp(WEEKDAY_PATTERN, 'gi')) || []).map(weekdayIndex);
+  return [...new Set(days.filter(d => d >= 0))].sort((a, b) => a - b);
+}
+
+// Validate a rule coming from a parser or the API; returns null when unusable
+function normalizeRecurrence(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const freq = String(raw.freq || '').toLowerCase();
+  if (!RECURRENCE_FREQS.includes(freq)) return null;
+
+  const rule = { freq, interval: 1 };
+  const interval = parseInt(raw.interval, 10);
+  if (interval > 0 && interval <= 365) rule.interval = interval;
+
+  if (Array.isArray(raw.byWeekday) && raw.byWeekday.length) {
+    const days = raw.byWeekday
+      .map(d => (typeof d === 'number' ? d : weekdayIndex(d)))
+      .filter(d => Number.isInteger(d) && d >= 0 && d <= 6);
+    if (days.length) {
+      rule.freq = 'weekly';
+      rule.byWeekday = [...new Set(days)].sort((a, b) => a - b);
+    }
+  }
+
+  const monthDay = parseInt(raw.byMonthDay, 10);
+  if (rule.freq === 'monthly' && monthDay >= 1 && monthDay <= 31) rule.byMonthDay = monthDay;
+
+  if (raw.until) {
+    const until = new Date(raw.until);
+    if (!isNaN(until.getTime())) rule.until = until.toISOString();
+  }
+
+  const count = parseInt(raw.count, 10);
+  if (count > 0) rule.count = count;
+
+  // Time of day the series is due at (see seriesRule)
+  if (typeof raw.time === 'string' && /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d$/.test(raw.time)) rule.time = raw.time;
+
+  return rule;
+}
+
+const RECURRENCE_PATTERNS = [
+  { re: /\b(?:every|each)\s+(?:weekday|workday|business day)s?\b|\bon weekdays\b/i,
+    build: () => ({ freq: 'weekly', byWeekday: [1, 2, 3, 4, 5] }) },
+  { re: /\b(?:every|each)\s+weekend\b|\bon weekends\b/i,
+    build: () => ({ freq: 'weekly', byWeekday: [0, 6] }) },
+  { re: new RegExp(`\\b(?:every|each)\\s+(${WEEKDAY_PATTERN}(?:(?:\\s*,\\s*|\\s+and\\s+|\\s*&\\s*)${WEEKDAY_PATTERN})*)\\b`, 'i'),
+    build: (m) => ({ freq: 'weekly', byWeekday: parseWeekdayList(m[1]) }) },
+  { re: /\b(?:every|each)\s+(\d{1,2})(?:st|nd|rd|th)?(?:\s+day)?\s+of\s+(?:the|each|every)\s+month\b/i,
+    build: (m) => ({ freq: 'monthly', byMonthDay: parseInt(m[1], 10) }) },
+  { re: /\b(?:on\s+)?the\s+(\d{1,2})(?:st|nd|rd|th)\s+of\s+(?:each|every)\s+month\b/i,
+    build: (m) => ({ freq: 'monthly', byMonthDay: parseInt(m[1], 10) }) },
+  { re: /\bevery\s+(\d+)\s+(day|week|month|year)s?\b/i,
+    build: (m) => ({ freq: UNIT_TO_FREQ[m[2].toLowerCase()], interval: parseInt(m[1], 10) }) },
+  { re: /\bevery\s+other\s+(day|week|month|year)\b/i,
+    build: (m) => ({ freq: UNIT_TO_FREQ[m[1].toLowerCase()], interval: 2 }) },
+  { re: /\b(?:every|each)\s+(day|week|month|year)\b/i,
+    build: (m) => ({ freq: UNIT_TO_FREQ[m[1].toLowerCase()] }) },
+  // A bare adverb doubles as an adjective ("weekly report", "daily standup"), so it only counts at
+  // the end of the text or before a time, day or end condition ("water plants daily at 8am")
+  { re: /\b(daily|weekly|monthly|yearly|annually)(?=[.!]?\s*$|\s+(?:at|on|from|starting|until|for\s+\d+\s+(?:times|occurrences))\b)/i,
+    build: (m) => ({ freq: m[1].toLowerCase() === 'annually' ? 'yearly' : m[1].toLowerCase() }) },
+];
+
+// The simpler rules in the other supported languages ("jeden Montag", "tous les 2 jours",
+// "cada semana"). Weekdays are listed from Sunday like WEEKDAY_NAMES; `workdays` means Monday
+// to Friday and `monthDay` captures the day in "jeden Monat am 1.".
+const RECURRENCE_WORDS = {
+  de: {
+    every: '(?:jeden|jede|jedes|alle)',
+    and: 'und',
+    workdays: '(?:werktags|an\\s+werktagen)',
+    monthDay: 'am\\s+(\\d{1,2})\\.',
+    weekdays: ['sonntag', 'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag'],
+    units: { tag: 'daily', woche: 'weekly', monat: 'monthly', jahr: 'yearly' },
+    adverbs: { täglich: 'daily', wöchentlich: 'weekly', monatlich: 'monthly', jährlich: 'yearly' }
+  },
+  fr: {
+    every: '(?:chaque|tous\\s+les|toutes\\s+les)',
+    and: 'et',
+    workdays: '(?:en\\s+semaine|les\\s+jours\\s+ouvrés|(?:chaque|tous\\s+les)\\s+jours?\\s+ouvrés?)',
+    monthDay: 'le\\s+(\\d{1,2})(?:er|e)?',
+    weekdays: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'],
+    units: { jour: 'daily', semaine: 'weekly', mois: 'monthly', année: 'yearly', an: 'yearly' },
+    adverbs: { quotidiennement: 'daily', hebdomadairement: 'weekly', mensuellement: 'monthly', annuellement: 'yearly' }
+  },
+  es: {
+    every: '(?:cada|todos\\s+los|todas\\s+las)',
+    and: 'y',
+    workdays: '(?:entre\\s+semana|(?:los|cada|todos\\s+los)\\s+días\\s+(?:laborables|hábiles))',
+    monthDay: 'el\\s+(?:día\\s+)?(\\d{1,2})',
+    weekdays: ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'],
+    units: { día: 'daily', semana: 'weekly', mes: 'monthly', año: 'yearly' },
+    adverbs: { diariamente: 'daily', semanalmente: 'weekly', mensualmente: 'monthly', anualmente: 'yearly' }
+  }
+};
+
+// \b only knows ASCII letters, so these patterns bound words with \p{L} lookarounds
+for (const words of Object.values(RECURRENCE_WORDS)) {
+  const alternation = (list) => [...list].sort((a, b) => b.length - a.length).join('|');
+  const days = `(?:${alternation(words.weekdays)})s?`;
+  const dayIndex = (name) => words.weekdays.findIndex(d => name.toLowerCase().startsWith(d));
+  RECURRENCE_PATTERNS.push(
+    { re: new RegExp(`(?<!\\p{L})${words.workdays}(?!\\p{L})`, 'iu'),
+      build: () => ({ freq: 'weekly', byWeekday: [1, 2, 3, 4, 5] }) },
+    { re: new RegExp(`(?<!\\p{L})${words.every}\\s+(${days}(?:(?:\\s*,\\s*|\\s+${words.and}\\s+)${days})*)(?!\\p{L})`, 'iu'),
+      build: (m) => ({
+        freq: 'weekly',
+        byWeekday: [...new Set(m[1].match(new RegExp(days, 'giu')).map(dayIndex))].sort((a, b) => a - b)
+      }) },
+    { re: new RegExp(`(?<!\\p{L})${words.every}\\s+(?:(\\d+)\\.?\\s+)?(${alternation(Object.keys(words.units))})(?:s|e|n|es|en)?(?!\\p{L})`, 'iu'),
+      build: (m) => ({ freq: words.units[m[2].toLowerCase()], interval: m[1] ? parseInt(m[1], 10) : 1 }) },
+    { re: new RegExp(`(?<!\\p{L})(${alternation(Object.keys(words.adverbs))})(?!\\p{L})`, 'iu'),
+      build: (m) => ({ freq: words.adverbs[m[1].toLowerCase()] }) }
+  );
+}
+
+const MONTH_DAY_PHRASES = Object.values(RECURRENCE_WORDS).map(
+  words => new RegExp(`(?<!\\p{L})${words.monthDay}(?![\\p{L}\\d])`, 'iu')
+);
+
+// "until", "bis", "jusqu'au", "hasta" before a repeat rule's end date
+const UNTIL_PHRASE = /(?<!\p{L})(?:until|bis(?:\s+(?:zum|zur|am))?|jusqu['’](?:au|à)|hasta(?:\s+el)?)(?!\p{L})/iu;
+
+// Pull a recurrence phrase (and its end condition) out of free text
+function parseRecurrence(text, timeZone = DEFAULT_TIMEZONE, language = DEFAULT_LANGUAGE) {
+  let rest = String(text || '');
+  let raw = null;
+
+  for (const pattern of RECURRENCE_PATTERNS) {
+    const m = rest.match(pattern.re);
+    if (m) {
+      raw = pattern.build(m);
+      rest = rest.replace(m[0], ' ');
+      break;
+    }
+  }
+  if (!raw) return { recurrence: null, text: String(text || '') };
+
+  // "every 2 weeks on Monday and Thursday"
+  if (raw.freq === 'weekly' && !raw.byWeekday) {
+    const on = rest.match(new RegExp(`\\bon\\s+(${WEEKDAY_PATTERN}(?:(?:\\s*,\\s*|\\s+and\\s+|\\s*&\\s*)${WEEKDAY_PATTERN})*)\\b`, 'i'));
+    if (on) {
+      raw.byWeekday = parseWeekdayList(on[1]);
+      rest = rest.replace(on[0], ' ');
+    }
+  }
+
+  // "every 15th" on a monthly interval rule
+  if (raw.freq === 'monthly' && !raw.byMonthDay) {
+    const on = [/\bon\s+the\s+(\d{1,2})(?:st|nd|rd|th)\b/i, ...MONTH_DAY_PHRASES]
+      .map(re => rest.match(re))
+      .find(Boolean);
+    if (on) {
+      raw.byMonthDay = parseInt(on[1], 10);
+      rest = rest.replace(on[0], ' ');
+    }
+  }
+
+  const count = rest.match(/\b(?:for\s+)?(\d+)\s+(?:times|occurrences)\b/i);
+  if (count) {
+    raw.count = parseInt(count[1], 10);
+    rest = rest.replace(count[0], ' ');
+  }
+
+  const until = rest.match(UNTIL_PHRASE);
+  if (until) {
+    const untilIdx = until.index;
+    const afterUntil = rest.slice(untilIdx + until[0].length);
+    const result = parseDateText(afterUntil, timeZone, language);
+    if (result) {
+      // "until March" runs through the end of that day
+      const time = result.start.isCertain('hour') ? null : '23:59:59';
+      raw.until = chronoToDate(result.start, timeZone, time).toISOString();
+      rest = `${rest.slice(0, untilIdx)}${afterUntil.slice(0, result.index)} ${afterUntil.slice(result.index + result.text.length)}`;
+    }
+  }
+
+  return {
+    recurrence: normalizeRecurrence(raw),
+    text: rest.replace(/\s+/g, ' ').trim()
+  };
+}
+
+function daysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
+// Monday-based week number of a UTC calendar date, used to honour "every N weeks" with several weekdays
+function weekNumber(d) {
+  const days = Math.floor(d.getTime() / 86400000);
+  return Math.floor((days + 3) / 7);
+}
+
+// Next occurrence strictly after `from`, computed on the wall clock of `timeZone`. The time of day
+// is the rule's own when seriesRule stamped one, so an instance pushed past a DST gap doesn't take
+// the rest of the series with it.
+function nextOccurrence(rule, from, timeZone = DEFAULT_TIMEZONE) {
+  const [date, clock] = formatInTimeZone(from, timeZone, "yyyy-MM-dd'T'HH:mm:ss").split('T');
+  const [year, month, day] = date.split('-').map(Number);
+  // Calendar arithmetic on a UTC date, which has no DST of its own
+  const local = new Date(Date.UTC(year, month - 1, day));
+  const next = new Date(local);
+  const interval = rule.interval || 1;
+
+  switch (rule.freq) {
+    case 'daily':
+      next.setUTCDate(next.getUTCDate() + interval);
+      break;
+    case 'weekly':
+      if (rule.byWeekday && rule.byWeekday.length) {
+        const startWeek = weekNumber(local);
+        do {
+          next.setUTCDate(next.getUTCDate() + 1);
+        } while (
+          !rule.byWeekday.includes(next.getUTCDay()) ||
+          (weekNumber(next) - startWeek) % interval !== 0
+        );
+      } else {
+        next.setUTCDate(next.getUTCDate() + 7 * interval);
+      }
+      break;
+    case 'monthly': {
+      const monthDay = rule.byMonthDay || day;
+      next.setUTCDate(1);
+      next.setUTCMonth(next.getUTCMonth() + interval);
+      next.setUTCDate(Math.min(monthDay, daysInMonth(next.getUTCFullYear(), next.getUTCMonth())));
+      break;
+    }
+    case 'yearly':
+      next.setUTCDate(1);
+      next.setUTCFullYear(next.getUTCFullYear() + interval);
+      next.setUTCDate(Math.min(day, daysInMonth(next.getUTCFullYear(), next.getUTCMonth())));
+      break;
+    default:
+      return null;
+  }
+
+  return fromWallTime(`${next.toISOString().slice(0, 10)}T${rule.time || clock}`, timeZone);
+}
+
+// The rule a series hands to its next instance, stamped with the time of day the instance was due
+// at. Later instances keep that time even when one of them lands in a DST gap and is due later.
+function seriesRule(rule, dueDate, timeZone = DEFAULT_TIMEZONE) {
+  if (!rule || rule.time || !dueDate) return rule;
+  return { ...rule, time: formatInTimeZone(new Date(dueDate), timeZone, 'HH:mm:ss') };
+}
+
+// First due date of a new series: snap the parsed date (or today at 9am) onto the rule
+function firstOccurrence(rule, dueDate, timeZone = DEFAULT_TIMEZONE) {
+  const now = new Date();
+  let start;
+  if (dueDate) {
+    start = toZonedTime(new Date(dueDate), timeZone);
+  } else {
+    start = toZonedTime(now, timeZone);
+    start.setHours(DEFAULT_RECURRENCE_HOUR, 0, 0, 0);
+  }
+
+  if (rule.byWeekday && rule.byWeekday.length) {
+    while (!rule.byWeekday.includes(start.getDay())) start.setDate(start.getDate() + 1);
+  } else if (rule.byMonthDay) {
+    const candidate = new Date(start);
+    candidate.setDate(Math.min(rule.byMonthDay, daysInMonth(start.getFullYear(), start.getMonth())));
+    if (candidate < start) {
+      candidate.setDate(1);
+      candidate.setMonth(candidate.getMonth() + 1);
+      candidate.setDate(Math.min(rule.byMonthDay, daysInMonth(candidate.getFullYear(), candidate.getMonth())));
+    }
+    start = candidate;
+  }
+
+  const pad = (n) => String(n).padStart(2, '0');
+  let first = fromWallTime(
+    `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}T${pad(start.getHours())}:${pad(start.getMinutes())}:${pad(start.getSeconds())}`,
+    timeZone
+  );
+  if (first <= now) first = nextOccurrence(rule, first, timeZone);
+  return first.toISOString();
+}
+
+// Due date for the instance after `task`, or null when the series has ended
+function nextDueDate(task, timeZone = DEFAULT_TIMEZONE) {
+  const rule = seriesRule(task.recurrence, task.dueDate, timeZone);
+  if (!rule) return null;
+
+  const occurrence = task.occurrence || 1;
+  if (rule.count && occurrence >= rule.count) return null;
+
+  // Undated series advance from the completion time
+  const base = task.dueDate ? new Date(task.dueDate) : new Date();
+  let next = nextOccurrence(rule, base, timeZone);
+  // Catch up if the instance was completed long after it was due
+  while (next && next <= new Date() && task.dueDate) {
+    next = nextOccurrence(rule, next, timeZone);
+  }
+  if (!next) return null;
+  if (rule.until && next > new Date(rule.until)) return null;
+  return next.toISOString();
+}
+
+// ---- Reminder Offsets ----
+// A task's reminders are a list of minutes before its due date ([1440, 60, 0] =
+// one day before, one hour before and at due time).
+
+const MAX_REMINDER_OFFSET = 60 * 24 * 365;
+const OFFSET_UNIT_MINUTES = { m: 1, min: 1, minute: 1, h: 60, hr: 60, hour: 60, d: 1440, day: 1440, w: 10080, week: 10080 };
+
+// Returns a sorted (largest first) list, or null when `raw` is not a list
+function normalizeReminderOffsets(raw) {
+  if (!Array.isArray(raw)) return null;
+  const offsets = raw
+    .map(v => parseInt(v, 10))
+    .filter(v => Number.isInteger(v) && v >= 0 && v <= MAX_REMINDER_OFFSET);
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+const MAX_ESTIMATE_MINUTES = 30 * 24 * 60;
+
+// A task's estimate: whole minutes, or null for none
+function normalizeEstimateMinutes(raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  const minutes = Number(raw);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_ESTIMATE_MINUTES) {
+    throw badRequest(`estimateMinutes must be a whole number of minutes up to ${MAX_ESTIMATE_MINUTES}`);
+  }
+  return minutes;
+}
+
+// A task's priority: low, medium or high, or null for none
+function normalizePriority(raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (!PRIORITIES.includes(raw)) {
+    throw badRequest(`priority must be one of ${PRIORITIES.join(', ')}`);
+  }
+  return raw;
+}
+
+async function getDefaultReminderOffsets(userId) {
+  return settingsOperations.get(userId, 'defaultReminderOffsets', DEFAULT_REMINDER_OFFSETS);
+}
+
+// "90" -> "1 hour 30 minutes", "1440" -> "1 day"
+function formatMinutes(total, language = 'en') {
+  const units = [['week', 10080], ['day', 1440], ['hour', 60], ['minute', 1]];
+  const parts = [];
+  let rest = Math.round(total);
+  for (const [name, size] of units) {
+    const n = Math.floor(rest / size);
+    if (n > 0 && parts.length < 2) {
+      parts.push(translate(language, `unit.${name}`, { count: n }));
+      rest -= n * size;
+    }
+  }
+  return parts.join(' ') || translate(language, 'unit.minute', { count: 0 });
+}
+
+function formatOffset(offset) {
+  return offset ? `${formatMinutes(offset)} before` : 'at due time';
+}
+
+// Wording for a reminder based on how far away the due time really is
+function describeDueIn(due, now = new Date(), language = DEFAULT_LANGUAGE) {
+  const minutes = Math.round((due.getTime() - now.getTime()) / 60000);
+  const say = (key, time) => ({
+    sentence: translate(language, key, { time }),
+    heading: translate(language, `${key}Heading`, { time })
+  });
+  if (minutes >= 1) return say('due.in', formatMinutes(minutes, language));
+  if (minutes > -1) return say('due.now');
+  return say('due.ago', formatMinutes(-minutes, language));
+}
+
+// "remind me 1 day before, 1 hour before and at due time": any mix of "<amounts> before" and
+// "at due time" items, each joined by a comma or "and"
+const REMIND_BEFORE = String.raw`(?:(?:\d+\s*|(?:an?|one)\s+)(?:minutes?|mins?|m|hours?|hrs?|h|days?|d|weeks?|w)\b(?:\s*,\s*|\s+and\s+|\s+)?)+before\b`;
+const REMIND_AT_DUE = String.raw`(?:at|on)\s+(?:the\s+)?due(?:\s+(?:time|date))?\b|when\s+(?:it'?s\s+)?due\b`;
+const REMIND_ITEM = `(?:${REMIND_BEFORE}|${REMIND_AT_DUE})`;
+const REMIND_PHRASE = new RegExp(String.raw`,?\s*\bremind(?:\s+me)?\s+(${REMIND_ITEM}(?:\s*,?\s*(?:and\s+)?${REMIND_ITEM})*)`, 'i');
+
+// "erinnere mich 1 Tag vorher", "rappelle-moi 2 heures avant", "recuérdame 30 minutos antes", with
+// the same lists as in English: "erinnere mich 1 Tag vorher, 1 Stunde vorher und bei Fälligkeit"
+const REMIND_WORDS = {
+  de: { remind: 'erinnere?\\s+mich', and: 'und', before: '(?:vorher|davor)', due: '(?:zur|bei)\\s+Fälligkeit',
+    units: { minute: 1, min: 1, stunde: 60, std: 60, tag: 1440, woche: 10080 } },
+  fr: { remind: 'rappelle[-\\s]moi', and: 'et', before: 'avant', due: "à\\s+l['’]échéance",
+    units: { minute: 1, min: 1, heure: 60, h: 60, jour: 1440, semaine: 10080 } },
+  es: { remind: '(?:recuérdame|avísame)', and: 'y', before: 'antes', due: 'al\\s+vencer',
+    units: { minuto: 1, min: 1, hora: 60, h: 60, día: 1440, semana: 10080 } }
+};
+
+const REMIND_PHRASES = Object.values(REMIND_WORDS).map(words => {
+  const unit = `(${Object.keys(words.units).sort((a, b) => b.length - a.length).join('|')})(?:s|n|en|e)?(?!\\p{L})`;
+  const item = `(?:(?:\\d+\\s*${unit}(?:\\s*,\\s*|\\s+${words.and}\\s+|\\s+)?)+${words.before}|${words.due})(?!\\p{L})`;
+  return {
+    re: new RegExp(`,?\\s*(?<!\\p{L})${words.remind}\\s+(${item}(?:\\s*,?\\s*(?:${words.and}\\s+)?${item})*)`, 'iu'),
+    amounts: new RegExp(`(\\d+)\\s*${unit}`, 'giu'),
+    due: new RegExp(words.due, 'iu'),
+    units: words.units
+  };
+});
+
+function parseLocalizedReminderPhrase(text) {
+  for (const phrase of REMIND_PHRASES) {
+    const m = text.match(phrase.re);
+    if (!m) continue;
+    const offsets = [...m[1].matchAll(phrase.amounts)]
+      .map(([, amount, unit]) => parseInt(amount, 10) * phrase.units[unit.toLowerCase()]);
+    if (phrase.due.test(m[1])) offsets.push(0);
+    return {
+      reminderOffsets: normalizeReminderOffsets(offsets),
+      text: text.replace(m[0], ' ').replace(/\s+/g, ' ').trim()
+    };
+  }
+  return { reminderOffsets: null, text };
+}
+
+// Pull "remind me 1 day and 30 minutes before" (or a list, see REMIND_PHRASE) out of free text
+function parseReminderPhrase(text) {
+  const m = String(text || '').match(REMIND_PHRASE);
+  if (!m) return parseLocalizedReminderPhrase(String(text || ''));
+
+  const offsets = [];
+  const amounts = m[1].matchAll(/\b(?:(\d+)\s*|(?:an?|one)\s+)(minute|min|m|hour|hr|h|day|d|week|w)s?\b/gi);
+  for (const [, amount, unit] of amounts) {
+    const n = amount ? parseInt(amount, 10) : 1;
+    offsets.push(n * OFFSET_UNIT_MINUTES[unit.toLowerCase()]);
+  }
+  if (/\bdue\b/i.test(m[1])) offsets.push(0);
+
+  return {
+    reminderOffsets: normalizeReminderOffsets(offsets),
+    text: String(text).replace(m[0], ' ').replace(/\s+/g, ' ').trim()
+  };
+}
+
+// ---- AI Parsing Functions ----
+
+// "(2h)", "(90 min)", "(1h 30m)" -> minutes
+const DURATION_PHRASE = /\s*\((?=\s*\d)(?:\s*(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?(?:\s*(\d+)\s*m(?:in(?:ute)?s?)?)?\s*\)/i;
+// "!high", "!low", "!!"
+const PRIORITY_MARK = /(^|\s)(?:!(high|medium|low)\b|(!!+))/i;
+// "email sam@example.com", "notify sam@example.com"; a bare address stays in the title
+const RECIPIENT_PHRASE = /,?\s*\b(?:e-?mail|notify|cc)\s+([^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+)/i;
+
+// Priority, duration and recipient cues for parseInputLocal; each is removed from the text
+function parseLocalDetails(text) {
+  const details = { text, priority: null, durationMinutes: null, email: null };
+
+  const duration = details.text.match(DURATION_PHRASE);
+  if (duration && (duration[1] || duration[2])) {
+    details.durationMinutes = Math.round(Number(duration[1] || 0) * 60 + Number(duration[2] || 0)) || null;
+    details.text = details.text.replace(duration[0], '');
+  }
+
+  const mark = details.text.match(PRIORITY_MARK);
+  if (mark) {
+    details.priority = mark[2] ? mark[2].toLowerCase() : 'high';
+    details.text = details.text.replace(mark[0], mark[1]);
+  } else if (/\b(urgent|urgente|asap|dringend)\b/i.test(details.text)) {
+    details.priority = 'high';
+  }
+
+  const recipient = details.text.match(RECIPIENT_PHRASE);
+  if (recipient) {
+    details.email = recipient[1].toLowerCase();
+    details.text = details.text.replace(recipient[0], '');
+  }
+
+  details.text = details.text.replace(/\s+/g, ' ').trim();
+  return details;
+}
+
+// Relative dates for parseInputLocal when chrono finds none, per language
+const RELATIVE_WORDS = {
+  en: { in: 'in', hours: 'hours?', minutes: 'minutes?|min', today: 'today', tomorrow: 'tomorrow', nextWeek: 'next week' },
+  de: { in: 'in', hours: 'stunden?', minutes: 'minuten?|min', today: 'heute', tomorrow: 'morgen', nextWeek: 'nächste woche' },
+  fr: { in: 'dans', hours: 'heures?', minutes: 'minutes?|min', today: "aujourd'hui", tomorrow: 'demain', nextWeek: 'semaine prochaine' },
+  es: { in: 'en', hours: 'horas?', minutes: 'minutos?|min', today: 'hoy', tomorrow: 'mañana', nextWeek: 'próxima semana|semana que viene' }
+};
+
+// Words left in front of a date chrono didn't take in ("a las 15:30", "el viernes")
+const DATE_PARTICLES = {
+  en: 'at|on|by',
+  de: 'um|am|bis',
+  fr: 'à|le|au|pour',
+  es: 'a|el|para'
+};
+
+// Enhanced local parser with better time handling. Dates are read in every supported
+// language (see parseDateText); `language` only decides which one goes first.
+async function parseInputLocal(input, timeZone = DEFAULT_TIMEZONE, language = DEFAULT_LANGUAGE) {
+  const out = {
+    title: String(input || '').trim(),
+    dueDate: null,
+    recurrence: null,
+    reminderOffsets: null,
+    priority: null,
+    tags: [],
+    durationMinutes: null,
+    email: null,
+    datePhrase: null
+  };
+  // Rough: the regexes either match a phrase or don't, but chrono is surer than the fallbacks
+  let dueConfidence = 0.6;
+  
+  try {
+    const details = parseLocalDetails(out.title);
+    out.title = details.text || out.title;
+    out.priority = details.priority;
+    out.durationMinutes = details.durationMinutes;
+    out.email = details.email;
+
+    // "remind me 30 minutes before" would otherwise be read as a date
+    const reminder = parseReminderPhrase(out.title);
+    out.reminderOffsets = reminder.reminderOffsets;
+    out.title = reminder.text || out.title;
+
+    // Strip "every Monday", "daily", "every 2 weeks until ..." before date parsing
+    const recurring = parseRecurrence(out.title, timeZone, language);
+    out.recurrence = recurring.recurrence;
+    out.title = recurring.text || out.title;
+
+    const first = parseDateText(out.title, timeZone, language);
+    
+    if (first) {
+      const dt = chronoToDate(first.start, timeZone);
+      if (dt instanceof Date && !isNaN(dt.getTime())) {
+        out.dueDate = dt.toISOString();
+        dueConfidence = 0.9;
+        const end = first.index + first.text.length;
+        out.datePhrase = out.title.slice(first.index, end) || null;
+        
+        // Remove the time part from title if it was parsed
+        if (first.text) {
+          const particles = [DATE_PARTICLES[language], DATE_PARTICLES.en].filter(Boolean).join('|');
+          const before = out.title.slice(0, first.index).replace(new RegExp(`(?<!\\p{L})(?:${particles})\\s*$`, 'iu'), '');
+          out.title = `${before} ${out.title.slice(end)}`;
+          // Clean up extra spaces
+          out.title = out.title.replace(/\s+/g, ' ').trim();
+        }
+      }
+    } else {
+      // Enhanced heuristics for relative times, in the user's language and then English
+      const now = new Date();
+      const word = (pattern) => out.title.match(new RegExp(`(?<!\\p{L})(?:${pattern})(?!\\p{L})`, 'iu'));
+      for (const words of [RELATIVE_WORDS[language], RELATIVE_WORDS.en].filter(Boolean)) {
+        // Handle "in X hours/minutes"
+        const inTimeMatch = word(`${words.in}\\s+(\\d+)\\s+(${words.hours}|${words.minutes})`);
+        const relative = [['tomorrow', 1, '09:00'], ['today', 0, '17:00'], ['nextWeek', 7, '09:00']]
+          .map(([key, days, time]) => ({ match: word(words[key]), days, time }))
+          .find(({ match }) => match);
+        if (inTimeMatch) {
+          const amount = parseInt(inTimeMatch[1]);
+          const minutes = new RegExp(`^(?:${words.hours})$`, 'iu').test(inTimeMatch[2]) ? amount * 60 : amount;
+          const dueTime = new Date(now.getTime() + minutes * 60 * 1000);
+          out.dueDate = dueTime.toISOString();
+          out.datePhrase = inTimeMatch[0];
+          out.title = out.title.replace(inTimeMatch[0], '').replace(/\s+/g, ' ').trim();
+        } else if (relative) {
+          out.dueDate = zonedWallTime(relative.days, relative.time, timeZone, now).toISOString();
+          out.datePhrase = relative.match[0];
+        }
+        if (out.dueDate) break;
+      }
+    }
+  } catch (err) {
+    console.warn('⚠️ Local parsing error:', err?.message);
+  }
+
+  if (out.recurrence) {
+    out.dueDate = firstOccurrence(out.recurrence, out.dueDate, timeZone);
+  }
+
+  const found = (value, sure) => (value === null ? 0.5 : sure);
+  out.confidence = {
+    title: 0.6,
+    dueDate: found(out.dueDate, dueConfidence),
+    recurrence: found(out.recurrence, 0.9),
+    reminderOffsets: found(out.reminderOffsets, 0.9),
+    priority: found(out.priority, 0.8),
+    tags: 1,
+    durationMinutes: found(out.durationMinutes, 0.9),
+    email: found(out.email, 0.8)
+  };
+  return out;
+}
+
+// What every provider extracts. LLMs get it in the prompt (and as response_format where
+// supported); their answers are checked against it in validateParsed.
+const PARSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', description: 'the cleaned task description, without the date, reminder or other details' },
+    dueDate: { type: ['string', 'null'], description: 'ISO 8601 date-time, or null; the first occurrence for repeating tasks' },
+    recurrence: {
+      type: ['object', 'null'],
+      description: 'repeating tasks only; omit keys that do not apply',
+      properties: {
+        freq: { enum: ['daily', 'weekly', 'monthly', 'yearly'] },
+        interval: { type: 'integer', minimum: 1 },
+        byWeekday: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 }, description: 'Sunday = 0' },
+        byMonthDay: { type: 'integer', minimum: 1, maximum: 31 },
+        until: { type: 'string', description: 'ISO 8601' },
+        count: { type: 'integer', minimum: 1 }
+      }
+    },
+    reminderOffsets: {
+      type: ['array', 'null'],
+      items: { type: 'integer', minimum: 0 },
+      description: 'minutes before dueDate the user asked to be reminded ("1 day before" = 1440, "at due time" = 0), or null'
+    },
+    priority: { enum: ['low', 'medium', 'high', null], description: 'only when stated or clearly implied ("urgent", "asap")' },
+    tags: { type: 'array', items: { type: 'string' }, description: 'labels the user names ("tag it work"), not guesses' },
+    durationMinutes: { type: ['integer', 'null'], minimum: 1, description: 'how long the task will take, e.g. "(2h)" = 120' },
+    email: { type: ['string', 'null'], description: 'an email address the user wants notified, or null' },
+    datePhrase: { type: ['string', 'null'], description: 'the exact words of the input that give dueDate, or null' },
+    confidence: {
+      type: 'object',
+      description: 'for each field above, how sure you are of it from 0 to 1',
+      additionalProperties: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  },
+  required: ['title', 'dueDate']
+};
+
+const PARSED_FIELDS = ['title', 'dueDate', 'recurrence', 'reminderOffsets', 'priority', 'tags', 'durationMinutes', 'email'];
+const PRIORITIES = ['low', 'medium', 'high'];
+
+// Examples in the user's language, added after the English ones
+const PROMPT_EXAMPLES = {
+  de: `"Zahnarzt morgen um 15 Uhr, dringend" → {"title": "Zahnarzt", "dueDate": "2024-01-16T15:00:00.000Z", "priority": "high"}
+"Jeden Montag Müll rausbringen" → {"title": "Müll rausbringen", "dueDate": "2024-01-22T09:00:00.000Z", "recurrence": {"freq": "weekly", "interval": 1, "byWeekday": [1]}}`,
+  fr: `"Appeler le plombier demain à 10h" → {"title": "Appeler le plombier", "dueDate": "2024-01-16T10:00:00.000Z", "recurrence": null}
+"Payer le loyer tous les mois le 1er" → {"title": "Payer le loyer", "dueDate": "2024-02-01T09:00:00.000Z", "recurrence": {"freq": "monthly", "interval": 1, "byMonthDay": 1}}`,
+  es: `"Llamar a mamá mañana a las 6 de la tarde" → {"title": "Llamar a mamá", "dueDate": "2024-01-16T18:00:00.000Z", "recurrence": null}
+"Revisar el correo cada día a las 9" → {"title": "Revisar el correo", "dueDate": "2024-01-16T09:00:00.000Z", "recurrence": {"freq": "daily", "interval": 1}}`
+};
+
+function parsePrompt(timeZone, language = DEFAULT_LANGUAGE) {
+  const examples = PROMPT_EXAMPLES[language] ? `\n${PROMPT_EXAMPLES[language]}` : '';
+  return `You are a task parser. Extract task information from natural language input.
+Current time: ${formatInTimeZone(new Date(), timeZone, "yyyy-MM-dd'T'HH:mm:ssXXX (EEEE)")}
+Timezone: ${timeZone} (read times like "at 9" in this zone; give dates with their UTC offset or in UTC)
+Language: the user usually writes in ${LANGUAGE_NAMES[language] || LANGUAGE_NAMES.en}, but may use any language. Read dates in the language of the input and keep the title in that language; never translate it.
+
+Return ONLY valid JSON matching this JSON schema:
+${JSON.stringify(PARSE_SCHEMA)}
+
+Examples:
+"Call mom in 2 hours" → {"title": "Call mom", "dueDate": "2024-01-15T14:00:00.000Z", "recurrence": null, "confidence": {"title": 0.9, "dueDate": 0.95}}
+"Dentist Friday 3pm, remind me 1 day and 30 minutes before" → {"title": "Dentist", "dueDate": "2024-01-19T15:00:00.000Z", "recurrence": null, "reminderOffsets": [1440, 30]}
+"Urgent: draft the budget (2h) tomorrow at 3pm, email sam@example.com" → {"title": "Draft the budget", "dueDate": "2024-01-16T15:00:00.000Z", "priority": "high", "durationMinutes": 120, "email": "sam@example.com"}
+"Buy groceries" → {"title": "Buy groceries", "dueDate": null, "recurrence": null}
+"Pay rent every 1st of the month" → {"title": "Pay rent", "dueDate": "2024-02-01T09:00:00.000Z", "recurrence": {"freq": "monthly", "interval": 1, "byMonthDay": 1}}
+"Standup every weekday at 9am until March" → {"title": "Standup", "dueDate": "2024-01-16T09:00:00.000Z", "recurrence": {"freq": "weekly", "interval": 1, "byWeekday": [1, 2, 3, 4, 5], "until": "2024-03-01T00:00:00.000Z"}}${examples}`;
+}
+
+// Checks a provider's answer field by field. Invalid values are dropped (with confidence 0)
+// rather than failing the whole parse; `confidence` holds 0-1 per field.
+function validateParsed(parsed, input, timeZone = DEFAULT_TIMEZONE) {
+  const raw = parsed && typeof parsed === 'object' ? parsed : {};
+  const reported = raw.confidence && typeof raw.confidence === 'object' ? raw.confidence : {};
+  const out = {};
+  const confidence = {};
+  const accept = (field, value, fallbackConfidence = 0.5) => {
+    out[field] = value;
+    const given = Number(reported[field]);
+    confidence[field] = Number.isFinite(given) ? Math.min(1, Math.max(0, given)) : fallbackConfidence;
+  };
+  const reject = (field, value) => {
+    out[field] = value;
+    confidence[field] = 0;
+  };
+
+  if (typeof raw.title === 'string' && raw.title.trim()) accept('title', raw.title.trim().slice(0, 500));
+  else reject('title', String(input || '').trim());
+
+  // A date-time without an offset is wall-clock time in the user's zone
+  const due = !raw.dueDate ? null
+    : /(?:Z|[+-]\d{2}:?\d{2})$/i.test(String(raw.dueDate)) ? new Date(raw.dueDate)
+      : fromZonedTime(String(raw.dueDate), timeZone);
+  if (due && isNaN(due.getTime())) reject('dueDate', null);
+  else accept('dueDate', due ? due.toISOString() : null);
+
+  const recurrence = normalizeRecurrence(raw.recurrence);
+  if (raw.recurrence && !recurrence) reject('recurrence', null);
+  else accept('recurrence', recurrence);
+  if (out.recurrence) out.dueDate = firstOccurrence(out.recurrence, out.dueDate, timeZone);
+
+  const offsets = raw.reminderOffsets == null ? null : normalizeReminderOffsets(raw.reminderOffsets);
+  if (raw.reminderOffsets != null && !offsets) reject('reminderOffsets', null);
+  else accept('reminderOffsets', offsets && offsets.length ? offsets : null);
+
+  const priority = typeof raw.priority === 'string' ? raw.priority.toLowerCase() : raw.priority;
+  if (priority != null && !PRIORITIES.includes(priority)) reject('priority', null);
+  else accept('priority', priority || null);
+
+  if (raw.tags != null && !Array.isArray(raw.tags)) reject('tags', []);
+  else accept('tags', normalizeTagNames(raw.tags || []));
+
+  const duration = raw.durationMinutes == null ? null : Math.round(Number(raw.durationMinutes));
+  if (duration !== null && !(duration > 0 && duration <= 30 * 24 * 60)) reject('durationMinutes', null);
+  else accept('durationMinutes', duration);
+
+  const email = typeof raw.email === 'string' ? raw.email.trim().toLowerCase() : raw.email;
+  if (email && !(typeof email === 'string' && EMAIL_PATTERN.test(email))) reject('email', null);
+  else accept('email', email || null);
+
+  // Only kept when it really is part of the input, so clients can highlight it
+  const phrase = typeof raw.datePhrase === 'string' ? raw.datePhrase.trim() : '';
+  out.datePhrase = phrase && String(input || '').toLowerCase().includes(phrase.toLowerCase()) ? phrase : null;
+
+  return { ...out, confidence };
+}
+
+// One provider from LLM_PROVIDERS; throws so parseWithProviders can move on to the next
+async function parseInputLlm(name, input, timeZone, language) {
+  const config = LLM_PROVIDERS[name];
+  const responseFormat = {
+    json_schema: { type: 'json_schema', json_schema: { name: 'task', schema: PARSE_SCHEMA } },
+    json_object: { type: 'json_object' }
+  }[config.responseFormat];
+
+  const resp = await llmClients[name].chat.completions.create({
+    model: config.model,
+    messages: [
+      { role: 'system', content: parsePrompt(timeZone, language) },
+      { role: 'user', content: input }
+    ],
+    temperature: 0.1,
+    ...(responseFormat ? { response_format: responseFormat } : {})
+  });
+
+  const content = resp.choices?.[0]?.message?.content?.trim();
+  if (!content) throw new Error('Empty completion');
+
+  // Extract JSON from response (in case there's extra text)
+  const jsonMatch = content.match(/\{.*\}/s);
+  return validateParsed(JSON.parse(jsonMatch ? jsonMatch[0] : content), input, timeZone);
+}
+
+// "#tag" and "@project" tokens (an "@" inside an email address is left alone)
+function extractOrganizerTokens(input) {
+  const tags = [];
+  let project = null;
+  const text = String(input || '')
+    .replace(/(^|\s)#([\p{L}\p{N}_-]+)/gu, (m, lead, tag) => {
+      tags.push(tag);
+      return lead;
+    })
+    .replace(/(^|\s)@([\p{L}\p{N}_-]+)/gu, (m, lead, name) => {
+      project = project || name;
+      return lead;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+  return { text, tags: normalizeTagNames(tags), project };
+}
+
+// Main parsing function: organizer tokens first, then the provider chain. The result has
+// every PARSE_SCHEMA field plus `confidence`, `provider` (who answered) and `project`.
+// Times without a zone ("tomorrow at 9") are read in `timeZone`; `language` is the one the
+// user usually writes in (other languages are still understood).
+async function parseInput(input, { timeZone = DEFAULT_TIMEZONE, language = DEFAULT_LANGUAGE } = {}) {
+  const { text, tags, project } = extractOrganizerTokens(input);
+  const parsed = await parseWithProviders(text || input, timeZone, language);
+  return { ...parsed, tags: normalizeTagNames([...tags, ...parsed.tags]), project };
+}
+
+async function parseWithProviders(input, timeZone, language) {
+  for (const name of PARSER_PROVIDERS) {
+    if (name === 'local') break;
+    if (!llmClients[name]) continue;
+    try {
+      return { ...(await parseInputLlm(name, input, timeZone, language)), provider: name };
+    } catch (err) {
+      console.warn(`⚠️ ${name} parsing failed, trying the next provider:`, err?.status || err?.message || err);
+    }
+  }
+  return { ...(await parseInputLocal(input, timeZone, language)), provider: 'local' };
+}
+
+// ---- Reminder Functions ----
+// Reminders are rows in the `reminders` table. A single timer wakes the scheduler at the
+// next pending reminder (or after REMINDER_POLL_MS, whichever comes first), so long
+// horizons and restarts are handled without one setTimeout per task.
+async function scheduleReminder(task, replace = false) {
+  if (!task) return;
+  if (replace) await cancelReminder(task.id);
+  if (!task.dueDate || task.completed) return;
+
+  const now = new Date();
+  const due = new Date(task.dueDate);
+  if (isNaN(due.getTime())) {
+    console.warn(`⚠️ Invalid dueDate for task ${task.id}:`, task.dueDate);
+    return;
+  }
+
+  // Skip if overdue
+  if (due <= now) {
+    console.log(`⏰ Skipping reminder for overdue task "${task.title}" (${task.id})`);
+    return;
+  }
+
+  const offsets = task.reminderOffsets || await getDefaultReminderOffsets(task.userId);
+
+  // Offsets whose time has already passed collapse into a single reminder sent right away
+  let sendNow = null;
+  let scheduled = 0;
+  for (const offset of offsets) {
+    const target = new Date(due.getTime() - offset * 60 * 1000);
+    if (target <= now) {
+      sendNow = sendNow === null ? offset : Math.min(sendNow, offset);
+      continue;
+    }
+    await reminderOperations.create(task.id, target.toISOString(), offset);
+    scheduled++;
+  }
+  if (sendNow !== null) {
+    await reminderOperations.create(task.id, now.toISOString(), sendNow);
+    scheduled++;
+  }
+
+  if (scheduled) {
+    console.log(`⏰ ${scheduled} reminder(s) scheduled for "${task.title}" (${offsets.map(formatOffset).join(', ')})`);
+    reminderScheduler.wake();
+  }
+}
+
+async function cancelReminder(taskId) {
+  const cancelled = await reminderOperations.cancelForTask(taskId);
+  if (cancelled) {
+    console.log(`🗑️ Cancelled reminder for task ${taskId}`);
+  }
+}
+
+function parseSnoozeMinutes(value) {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > SNOOZE_MAX_MINUTES) {
+    throw badRequest(`minutes must be a whole number from 1 to ${SNOOZE_MAX_MINUTES}`);
+  }
+  return minutes;
+}
+
+// Adds one reminder `minutes` from now; the task's other reminders stay as they are
+async function snoozeReminder(task, minutes) {
+  if (task.completed) throw badRequest('Task is already completed');
+  if (!task.dueDate) throw badRequest('Task has no due date');
+  const remindAt = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+  await reminderOperations.create(task.id, remindAt, null);
+  console.log(`😴 Snoozed "${task.title}" for ${minutes} min`);
+  reminderScheduler.wake();
+  return remindAt;
+}
+
+// Exponential backoff between delivery attempts: 1, 2, 4, 8... minutes
+function reminderRetryDelay(attempts) {
+  return Math.min(60 * 1000 * 2 ** attempts, 60 * 60 * 1000);
+}
+
+const reminderScheduler = {
+  timer: null,
+  started: false,
+  running: false,
+  rerun: false,
+
+  start() {
+    this.started = true;
+    this.wake();
+  },
+
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  },
+
+  shutdown() {
+    this.started = false;
+    this.stop();
+  },
+
+  // Re-arm the timer for the earliest pending reminder
+  wake() {
+    if (!this.started) return;
+    this.stop();
+    // Outside any open transaction, so the timer's tick never runs as part of it
+    transactionContext.exit(() => reminderOperations.nextWake().then((at) => {
+      const delay = at ? Math.max(0, new Date(at).getTime() - Date.now()) : REMINDER_POLL_MS;
+      this.stop();
+      this.timer = setTimeout(() => this.tick(), Math.min(delay, REMINDER_POLL_MS));
+    }).catch((err) => {
+      console.error('❌ Reminder scheduler wake failed:', err?.message || err);
+      this.timer = setTimeout(() => this.tick(), REMINDER_POLL_MS);
+    }));
+  },
+
+  async tick() {
+    // A tick already in progress re-runs once it finishes
+    if (this.running) {
+      this.rerun = true;
+      return;
+    }
+    this.running = true;
+
+    try {
+      const due = await reminderOperations.listDue(new Date().toISOString());
+      for (const reminder of due) {
+        await deliverReminder(reminder);
+      }
+    } catch (err) {
+      console.error('❌ Reminder scheduler tick failed:', err?.message || err);
+    } finally {
+      this.running = false;
+    }
+
+    if (this.rerun) {
+      this.rerun = false;
+      return this.tick();
+    }
+    this.wake();
+  }
+};
+
+async function deliverReminder(reminder) {
+  const task = await dbOperations.findTaskById(reminder.taskId);
+  if (!task || task.completed || !task.dueDate || task.deletedAt) {
+    await reminderOperations.setStatus(reminder.id, 'cancelled');
+    return;
+  }
+
+  try {
+    await sendReminder(task, new Date(task.dueDate));
+    await reminderOperations.markSent(reminder.id);
+    liveEvents.publish(task.userId, 'reminder.fired', {
+      taskId: task.id,
+      parentId: task.parentId,
+      title: task.title,
+      dueDate: task.dueDate,
+      offsetMinutes: reminder.offsetMinutes
+    });
+  } catch (err) {
+    const attempts = reminder.attempts + 1;
+    const retryAt = attempts < REMINDER_MAX_ATTEMPTS
+      ? new Date(Date.now() + reminderRetryDelay(reminder.attempts)).toISOString()
+      : null;
+    await reminderOperations.markFailed(reminder.id, String(err?.message || err), retryAt);
+    console.error(
+      `❌ Reminder for "${task.title}" failed (attempt ${attempts}/${REMINDER_MAX_ATTEMPTS})`,
+      retryAt ? `— retrying at ${retryAt}` : '— giving up',
+      err?.message || err
+    );
+  }
+}
+
+// Applies REMINDER_CATCHUP to reminders that came due while the server was down
+async function catchUpMissedReminders() {
+  const missed = await reminderOperations.listDue(new Date().toISOString());
+  if (!missed.length) return;
+
+  const graceStart = Date.now() - REMINDER_CATCHUP_GRACE_MINUTES * 60 * 1000;
+  let skipped = 0;
+  for (const reminder of missed) {
+    const skip = REMINDER_CATCHUP === 'skip' ||
+      (REMINDER_CATCHUP === 'recent' && new Date(reminder.remindAt).getTime() < graceStart);
+    if (skip) {
+      await reminderOperations.setStatus(reminder.id, 'skipped');
+      skipped++;
+    }
+  }
+
+  console.log(`⏰ ${missed.length} reminders were missed while offline (${skipped} skipped, policy: ${REMINDER_CATCHUP})`);
+}
+
+// Buttons on push reminders; sw.js maps them to POST /api/notifications/action
+const NOTIFICATION_ACTIONS = [
+  { action: 'complete', title: 'action.complete' },
+  { action: 'snooze-10', title: 'action.snooze10' },
+  { action: 'snooze-60', title: 'action.snooze60' }
+];
+
+async function sendReminder(task, due) {
+  const language = await getUserLanguage(task.userId);
+  const dueIn = describeDueIn(due, new Date(), language);
+  // Subtasks are named together with their parent ("Write changelog (Prepare release)")
+  const parent = task.parentId ? await dbOperations.findTaskById(task.parentId) : null;
+  const title = parent ? `${task.title} (${parent.title})` : task.title;
+  const humanDue = formatUserDate(due, language, await getUserTimezone(task.userId), {
+    hour: 'numeric', 
+    minute: '2-digit', 
+    day: '2-digit', 
+    month: 'short', 
+    year: 'numeric'
+  });
+  
+  console.log(`🔔 Reminder: "${title}" ${dueIn.sentence} (${humanDue})`);
+
+  // The scheduler retries a reminder when every configured channel failed
+  let delivered = false;
+  const failures = [];
+
+  // Email notification
+  const owner = task.userId ? await userOperations.get(task.userId) : null;
+  const toEmail = task.email || owner?.email || DEFAULT_NOTIFY_EMAIL;
+  if (transporter && toEmail) {
+    try {
+      await transporter.sendMail({
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+        to: toEmail,
+        ...reminderEmail({ title, dueIn, humanDue, language })
+      });
+      console.log(`📧 Email sent to ${toEmail}`);
+      delivered = true;
+    } catch (err) {
+      console.warn('⚠️ Email send failed:', err?.message || err);
+      failures.push(`email: ${err?.message || err}`);
+    }
+  }
+
+  // Web Push notification
+  const subscriptions = pushConfigured() ? await pushOperations.listForTask(task) : [];
+  if (subscriptions.length) {
+    const payload = {
+      title: translate(language, 'reminder.pushTitle'),
+      body: translate(language, 'reminder.pushBody', { title, dueIn: dueIn.sentence, due: humanDue }),
+      data: {
+        taskId: task.id,
+        // Clicking the notification opens the app on this task
+        url: `/?task=${encodeURIComponent(task.id)}`,
+        // The action buttons post the token here without opening the app
+        actionUrl: `${serverBaseUrl()}/api/notifications/action`,
+        actionToken: signActionToken(task),
+        // Shown by sw.js when a button's request fails
+        actionFailed: translate(language, 'reminder.actionFailed')
+      },
+      actions: NOTIFICATION_ACTIONS.map(({ action, title }) => ({ action, title: translate(language, title) })),
+      icon: '/icon-192.png',
+      badge: '/icon-192.png'
+    };
+    
+    for (const sub of subscriptions) {
+      const result = await sendPush(sub, payload);
+      if (result.ok) delivered = true;
+      else failures.push(`push: ${result.error}`);
+    }
+  }
+
+  if (!delivered && failures.length) {
+    throw new Error(failures.join('; '));
+  }
+
+  // Only once the reminder went out, so the scheduler's retries don't repeat it
+  await emitWebhookEvent(task.userId, 'reminder.fired', { task, dueIn: dueIn.sentence });
+}
+
+// ---- Digest emails ----
+// A daily agenda (overdue, due today, the week ahead) and a weekly summary of completed tasks,
+// sent at each user's chosen local time. Preferences live in user_settings under 'digest'.
+const DEFAULT_DIGEST_SETTINGS = { daily: false, weekly: false, time: '08:00', weeklyDay: 1 };
+const DIGEST_KINDS = ['daily', 'weekly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function getDigestSettings(userId) {
+  return { ...DEFAULT_DIGEST_SETTINGS, ...(await settingsOperations.get(userId, 'digest', {})) };
+}
+
+// Merges a PUT /api/settings `digest` object into the current preferences
+function normalizeDigestSettings(input, current) {
+  if (!input || typeof input !== 'object') throw badRequest('digest must be an object');
+  const next = { ...current };
+  for (const kind of DIGEST_KINDS) {
+    if (input[kind] !== undefined) {
+      if (typeof input[kind] !== 'boolean') throw badRequest(`digest.${kind} must be true or false`);
+      next[kind] = input[kind];
+    }
+  }
+  if (input.time !== undefined) {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(input.time)) throw badRequest('digest.time must be HH:MM');
+    next.time = input.time;
+  }
+  if (input.weeklyDay !== undefined) {
+    if (!Number.isInteger(input.weeklyDay) || input.weeklyDay < 0 || input.weeklyDay > 6) {
+      throw badRequest('digest.weeklyDay must be 0 (Sunday) to 6');
+    }
+    next.weeklyDay = input.weeklyDay;
+  }
+  return next;
+}
+
+// The unsubscribe link works without signing in, so each user gets a random token for it
+async function getDigestUnsubscribeToken(userId) {
+  let token = await settingsOperations.get(userId, 'digestToken', null);
+  if (!token) {
+    token = crypto.randomBytes(24).toString('hex');
+    await settingsOperations.set(userId, 'digestToken', token);
+  }
+  return token;
+}
+
+// Renders one digest for a user; `empty` is true when there is nothing to report
+async function buildDigest(user, kind, now = new Date()) {
+  const timeZone = await getUserTimezone(user.id);
+  const language = await getUserLanguage(user.id);
+  const say = (key, params) => translate(language, key, params);
+  const today = zonedDayRange(now, timeZone);
+  const tasks = await dbOperations.getAllTasks(user.id);
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const label = (task) => {
+    const parent = task.parentId ? byId.get(task.parentId) : null;
+    return parent ? `${task.title} (${parent.title})` : task.title;
+  };
+  const dueBetween = (from, to) => tasks
+    .filter(t => !t.completed && t.dueDate && new Date(t.dueDate) >= from && new Date(t.dueDate) < to)
+    .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+  const overdue = dueBetween(new Date(0), now).map(t => ({
+    title: label(t),
+    detail: describeDueIn(new Date(t.dueDate), now, language).heading
+  }));
+  const atTime = (t) => formatUserDate(t.dueDate, language, timeZone, { hour: 'numeric', minute: '2-digit' });
+  const onDay = (t) => formatUserDate(t.dueDate, language, timeZone, {
+    weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit'
+  });
+
+  let subject;
+  let heading;
+  let intro;
+  let sections;
+  if (kind === 'weekly') {
+    const completed = await taskEventOperations.listCompletedSince(user.id, new Date(now.getTime() - 7 * DAY_MS));
+    const nextWeek = dueBetween(now, new Date(today.end.getTime() + 7 * DAY_MS));
+    subject = say('digest.weeklySubject', { count: completed.length });
+    heading = say('digest.weeklyHeading');
+    intro = say('digest.weeklyIntro');
+    sections = [
+      { title: say('digest.completed'), items: completed.map(t => ({ title: label(t) })) },
+      { title: say('digest.stillOverdue'), items: overdue },
+      { title: say('digest.comingUp'), items: nextWeek.map(t => ({ title: label(t), detail: onDay(t) })) }
+    ];
+  } else {
+    const dueToday = dueBetween(now, today.end);
+    const upcoming = dueBetween(today.end, new Date(today.end.getTime() + 6 * DAY_MS));
+    const date = formatUserDate(now, language, timeZone, { weekday: 'long', day: 'numeric', month: 'long' });
+    subject = say('digest.dailySubject', { date });
+    heading = `🗓️ ${date}`;
+    intro = user.name ? say('digest.dailyIntroName', { name: user.name }) : say('digest.dailyIntro');
+    sections = [
+      { title: say('digest.overdue'), items: overdue },
+      { title: say('digest.dueToday'), items: dueToday.map(t => ({ title: label(t), detail: atTime(t) })) },
+      { title: say('digest.laterThisWeek'), items: upcoming.map(t => ({ title: label(t), detail: onDay(t) })) }
+    ];
+  }
+
+  const unsubscribeUrl = `${serverBaseUrl()}/api/digest/unsubscribe?token=${await getDigestUnsubscribeToken(user.id)}`;
+  const email = digestEmail({
+    subject, heading, intro, sections, preferencesUrl: `${APP_URL}/?settings=digest`, unsubscribeUrl, language
+  });
+  return { ...email, unsubscribeUrl, empty: sections.every(section => !section.items.length) };
+}
+
+async function sendDigest(user, kind, now = new Date()) {
+  const digest = await buildDigest(user, kind, now);
+  if (digest.empty) {
+    console.log(`📰 Nothing for ${user.email}'s ${kind} digest`);
+    return false;
+  }
+  await transporter.sendMail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: user.email,
+    subject: digest.subject,
+    html: digest.html,
+    text: digest.text,
+    list: { unsubscribe: digest.unsubscribeUrl },
+    // Lets mail clients unsubscribe with a POST to that URL instead of opening it (RFC 8058)
+    headers: { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+  });
+  console.log(`📰 ${kind} digest sent to ${user.email}`);
+  return true;
+}
+
+// Sends the user's digests that are due: once per local day, at or up to DIGEST_WINDOW_MINUTES
+// after their send time (a server that was down all morning skips that day's digest)
+async function sendDueDigests(userId, settings, now = new Date()) {
+  const timeZone = await getUserTimezone(userId);
+  const { day } = zonedDayRange(now, timeZone);
+  const minutesLate = (now - fromWallTime(`${day}T${settings.time}:00`, timeZone)) / 60000;
+  if (minutesLate < 0 || minutesLate > DIGEST_WINDOW_MINUTES) return;
+
+  // ISO weekday 1-7 (Monday first) -> 0-6 (Sunday first)
+  const weekday = Number(formatInTimeZone(now, timeZone, 'i')) % 7;
+  const due = DIGEST_KINDS.filter(kind => settings[kind] && (kind === 'daily' || weekday === settings.weeklyDay));
+  if (!due.length) return;
+
+  const user = await userOperations.get(userId);
+  if (!user) return;
+  const lastSent = await settingsOperations.get(userId, 'digestLastSent', {});
+  for (const kind of due) {
+    if (lastSent[kind] === day) continue;
+    try {
+      await sendDigest(user, kind, now);
+      lastSent[kind] = day;
+      await settingsOperations.set(userId, 'digestLastSent', lastSent);
+    } catch (err) {
+      // Left unmarked so the next check retries while the window is open
+      console.warn(`⚠️ ${kind} digest for ${user.email} failed:`, err?.message || err);
+    }
+  }
+}
+
+const digestScheduler = {
+  timer: null,
+  running: false,
+
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.tick(), DIGEST_POLL_MS);
+    this.tick();
+  },
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  },
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      for (const { userId, value } of await settingsOperations.listByKey('digest')) {
+        const settings = { ...DEFAULT_DIGEST_SETTINGS, ...value };
+        if (settings.daily || settings.weekly) await sendDueDigests(userId, settings);
+      }
+    } catch (err) {
+      console.error('❌ Digest scheduler tick failed:', err?.message || err);
+    } finally {
+      this.running = false;
+    }
+  }
+};
+
+// ---- Statistics ----
+const STATS_DEFAULT_DAYS = 30;
+const STATS_MAX_DAYS = 366;
+
+const statsOperations = {
+  // Completed top-level tasks with when they were completed: the latest "completed" event, or
+  // updated_at for tasks that were imported already done. `reminded` is 1 once a reminder went out.
+  listCompleted: (userId) => {
+    return dbAll(
+      `SELECT tasks.id, tasks.due_date, tasks.created_at,
+         COALESCE(
+           (SELECT MAX(task_events.created_at) FROM task_events
+            WHERE task_events.task_id = tasks.id AND task_events.action = 'completed'),
+           tasks.updated_at
+         ) AS completed_at,
+         EXISTS (SELECT 1 FROM reminders WHERE reminders.task_id = tasks.id AND reminders.status = 'sent') AS reminded
+       FROM tasks
+       WHERE tasks.user_id = ? AND tasks.completed = 1 AND tasks.parent_id IS NULL AND tasks.deleted_at IS NULL`,
+      [userId]
+    );
+  },
+
+  countOverdue: (userId) => {
+    return dbGet(
+      `SELECT COUNT(*) AS count FROM tasks
+       WHERE user_id = ? AND completed = 0 AND parent_id IS NULL AND deleted_at IS NULL
+       AND due_date IS NOT NULL AND due_date < ?`,
+      [userId, new Date().toISOString()]
+    ).then(row => row.count);
+  }
+};
+
+// Calendar-day arithmetic on "2025-03-01" strings
+function shiftDay(day, days) {
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+// The Monday starting the week that contains `day`
+function weekStart(day) {
+  return shiftDay(day, -((new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7));
+}
+
+// ?from=&to= are calendar days in the user's zone, both included; the default is the last 30 days
+function parseStatsRange(query, timeZone) {
+  for (const name of ['from', 'to']) {
+    const value = query[name];
+    if (value !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || shiftDay(value, 0) !== value)) {
+      throw badRequest(`${name} must be a date like 2025-03-01`);
+    }
+  }
+  const to = query.to || formatInTimeZone(new Date(), timeZone, 'yyyy-MM-dd');
+  const from = query.from || shiftDay(to, 1 - STATS_DEFAULT_DAYS);
+  if (from > to) throw badRequest('from must not be after to');
+  if (shiftDay(from, STATS_MAX_DAYS) <= to) throw badRequest(`The range can cover at most ${STATS_MAX_DAYS} days`);
+  return { from, to };
+}
+
+const onTimeRate = ({ onTime, late }) => (onTime + late ? Math.round((onTime / (onTime + late)) * 1000) / 1000 : null);
+
+// Completion counts per day and week, on-time rate (with and without a reminder sent), lead time
+// and streaks for the days in `range`. The current streak looks back past the range; it is still
+// alive when nothing was completed yet today.
+function buildStats(rows, { from, to }, timeZone, overdue) {
+  const daily = new Map();
+  for (let day = from; day <= to; day = shiftDay(day, 1)) {
+    daily.set(day, { date: day, completed: 0, onTime: 0, late: 0 });
+  }
+  const reminders = { withReminder: { onTime: 0, late: 0 }, withoutReminder: { onTime: 0, late: 0 } };
+  const leadTimes = [];
+  const activeDays = new Set();
+
+  for (const row of rows) {
+    const completedAt = parseDbTimestamp(row.completed_at);
+    if (!completedAt) continue;
+    const day = formatInTimeZone(completedAt, timeZone, 'yyyy-MM-dd');
+    activeDays.add(day);
+    const bucket = daily.get(day);
+    if (!bucket) continue;
+
+    bucket.completed += 1;
+    const createdAt = parseDbTimestamp(row.created_at);
+    if (createdAt && completedAt >= createdAt) leadTimes.push(completedAt - createdAt);
+    if (row.due_date) {
+      const outcome = completedAt <= new Date(row.due_date) ? 'onTime' : 'late';
+      bucket[outcome] += 1;
+      reminders[row.reminded ? 'withReminder' : 'withoutReminder'][outcome] += 1;
+    }
+  }
+
+  const weekly = new Map();
+  for (const bucket of daily.values()) {
+    const start = weekStart(bucket.date);
+    if (!weekly.has(start)) weekly.set(start, { weekStart: start, completed: 0, onTime: 0, late: 0 });
+    const week = weekly.get(start);
+    week.completed += bucket.completed;
+    week.onTime += bucket.onTime;
+    week.late += bucket.late;
+  }
+
+  let longest = 0;
+  let run = 0;
+  for (const bucket of daily.values()) {
+    run = bucket.completed ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+  const today = formatInTimeZone(new Date(), timeZone, 'yyyy-MM-dd');
+  let current = 0;
+  for (let day = activeDays.has(today) ? today : shiftDay(today, -1); activeDays.has(day); day = shiftDay(day, -1)) {
+    current += 1;
+  }
+
+  const hours = (ms) => Math.round(ms / 360000) / 10;
+  leadTimes.sort((a, b) => a - b);
+  const middle = Math.floor(leadTimes.length / 2);
+  const totals = [...daily.values()].reduce(
+    (sum, bucket) => ({
+      completed: sum.completed + bucket.completed,
+      onTime: sum.onTime + bucket.onTime,
+      late: sum.late + bucket.late
+    }),
+    { completed: 0, onTime: 0, late: 0 }
+  );
+
+  return {
+    from,
+    to,
+    timeZone,
+    totals: { ...totals, onTimeRate: onTimeRate(totals), overdue },
+    daily: [...daily.values()],
+    weekly: [...weekly.values()],
+    reminders: {
+      withReminder: { ...reminders.withReminder, onTimeRate: onTimeRate(reminders.withReminder) },
+      withoutReminder: { ...reminders.withoutReminder, onTimeRate: onTimeRate(reminders.withoutReminder) }
+    },
+    leadTime: leadTimes.length
+      ? {
+          averageHours: hours(leadTimes.reduce((sum, ms) => sum + ms, 0) / leadTimes.length),
+          medianHours: hours(
+            leadTimes.length % 2 ? leadTimes[middle] : (leadTimes[middle - 1] + leadTimes[middle]) / 2
+          )
+        }
+      : { averageHours: null, medianHours: null },
+    streaks: { current, longest }
+  };
+}
+
+// ---- Webhooks ----
+// Users register URLs that receive task events as signed JSON POSTs. Each event queued for a hook
+// is a row in webhook_deliveries; webhookDispatcher sends it and retries failures with exponential
+// backoff. The rows double as the delivery log.
+const WEBHOOK_EVENTS = ['task.created', 'task.updated', 'task.completed', 'task.deleted', 'reminder.fired'];
+
+function mapWebhookRow(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    description: row.description || '',
+    events: JSON.parse(row.events),
+    active: Boolean(row.active),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function mapWebhookDeliveryRow(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    // pending | delivered | failed | cancelled
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    responseStatus: row.response_status || null,
+    lastError: row.last_error || null,
+    deliveredAt: row.delivered_at || null,
+    redeliveryOf: row.redelivery_of || null,
+    payload: JSON.parse(row.payload),
+    createdAt: row.created_at
+  };
+}
+
+const newWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const webhookOperations = {
+  list: (userId) => {
+    return dbAll('SELECT * FROM webhooks WHERE user_id = ? ORDER BY created_at', [userId])
+      .then(rows => rows.map(mapWebhookRow));
+  },
+
+  get: (id, userId) => {
+    return dbGet('SELECT * FROM webhooks WHERE id = ? AND user_id = ?', [id, userId])
+      .then(row => (row ? mapWebhookRow(row) : null));
+  },
+
+  // The signing secret is only shown when it is created or rotated
+  create: async (userId, { url, events, description = '', active = true }) => {
+    const id = uuidv4();
+    const secret = newWebhookSecret();
+    await dbRun(
+      'INSERT INTO webhooks (id, user_id, url, secret, events, description, active) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [id, userId, url, secret, JSON.stringify(events), description, active ? 1 : 0]
+    );
+    return { ...(await webhookOperations.get(id, userId)), secret };
+  },
+
+  update: (id, userId, { url, events, description, active }) => {
+    return dbRun(
+      `UPDATE webhooks SET url = COALESCE(?, url), events = COALESCE(?, events), description = COALESCE(?, description),
+         active = COALESCE(?, active), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ?`,
+      [url ?? null, events ? JSON.stringify(events) : null, description ?? null, active === undefined ? null : active ? 1 : 0, id, userId]
+    ).then(result => result.changes);
+  },
+
+  rotateSecret: async (id) => {
+    const secret = newWebhookSecret();
+    await dbRun('UPDATE webhooks SET secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [secret, id]);
+    return secret;
+  },
+
+  // Removes the hook along with its delivery log
+  delete: async (id, userId) => {
+    const result = await dbRun('DELETE FROM webhooks WHERE id = ? AND user_id = ?', [id, userId]);
+    if (result.changes) await dbRun('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+    return result.changes;
+  },
+
+  // The user's active hooks that subscribe to `event`
+  listForEvent: (userId, event) => {
+    return dbAll('SELECT * FROM webhooks WHERE user_id = ? AND active = 1', [userId])
+      .then(rows => rows.map(mapWebhookRow).filter(hook => hook.events.includes(event)));
+  }
+};
+
+const webhookDeliveryOperations = {
+  create: async (webhookId, event, payload, redeliveryOf = null) => {
+    const id = uuidv4();
+    await dbRun(
+      `INSERT INTO webhook_deliveries (id, webhook_id, event, payload, next_attempt_at, redelivery_of) VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, webhookId, event, JSON.stringify(payload), new Date().toISOString(), redeliveryOf]
+    );
+    return id;
+  },
+
+  get: (id, webhookId) => {
+    return dbGet('SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?', [id, webhookId])
+      .then(row => (row ? mapWebhookDeliveryRow(row) : null));
+  },
+
+  // Newest first
+  listForWebhook: (webhookId, limit) => {
+    return dbAll(
+      'SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?',
+      [webhookId, limit]
+    ).then(rows => rows.map(mapWebhookDeliveryRow));
+  },
+
+  countPending: () => {
+    return dbGet(`SELECT COUNT(*) AS count FROM webhook_deliveries WHERE status = 'pending'`).then(row => row.count);
+  },
+
+  nextWake: () => {
+    return dbGet(`SELECT MIN(next_attempt_at) AS at FROM webhook_deliveries WHERE status = 'pending'`).then(row => row.at);
+  },
+
+  // Due deliveries with what it takes to send them (raw payload, URL, secret)
+  listDue: (now) => {
+    return dbAll(
+      `SELECT webhook_deliveries.*, webhooks.url, webhooks.secret, webhooks.active FROM webhook_deliveries
+       JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+       WHERE webhook_deliveries.status = 'pending' AND webhook_deliveries.next_attempt_at <= ?
+       ORDER BY webhook_deliveries.next_attempt_at`,
+      [now]
+    );
+  },
+
+  markDelivered: (id, responseStatus) => {
+    return dbRun(
+      `UPDATE webhook_deliveries SET status = 'delivered', attempts = attempts + 1, response_status = ?, last_error = NULL,
+         delivered_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [responseStatus, new Date().toISOString(), id]
+    );
+  },
+
+  markFailed: (id, error, responseStatus, nextAttemptAt) => {
+    // A retry time keeps the row pending; without one the delivery has given up
+    return dbRun(
+      `UPDATE webhook_deliveries SET status = ?, attempts = attempts + 1, response_status = ?, last_error = ?,
+         next_attempt_at = COALESCE(?, next_attempt_at), updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [nextAttemptAt ? 'pending' : 'failed', responseStatus, error, nextAttemptAt, id]
+    );
+  },
+
+  setStatus: (id, status) => {
+    return dbRun(`UPDATE webhook_deliveries SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [status, id]);
+  },
+
+  // Finished deliveries older than `before`
+  purge: (before) => {
+    return dbRun(
+      `DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?`,
+      // created_at is SQLite's "YYYY-MM-DD HH:MM:SS" in UTC
+      [before.toISOString().replace('T', ' ').slice(0, 19)]
+    ).then(result => result.changes);
+  }
+};
+
+// Loopback, private, link-local, shared, multicast and other reserved ranges. A webhook must not be
+// a way to reach this server or the network it runs in. IPv4 rules also cover IPv4-mapped IPv6.
+const RESERVED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  RESERVED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001::', 23], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  RESERVED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const isAllowedWebhookHost = (host) => WEBHOOK_ALLOWED_HOSTS.has(host.replace(/^\[|\]$/g, '').toLowerCase());
+const isReservedAddress = ({ address, family }) => RESERVED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+
+const blockedWebhookTarget = () => Object.assign(badRequest('url must point to a public address'), { blocked: true });
+
+// Throws (with `blocked` set) when the URL's host resolves to a reserved address, unless the host is
+// in WEBHOOK_ALLOWED_HOSTS. Runs when a hook is saved; deliveries check again as they connect (see
+// webhookAgent).
+async function checkWebhookTarget(url) {
+  const host = new URL(url).hostname;
+  if (isAllowedWebhookHost(host)) return;
+  const addresses = await dns.promises.lookup(host.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+  if (addresses.some(isReservedAddress)) throw blockedWebhookTarget();
+}
+
+// Deliveries check the addresses their connection resolves, so the address that passed is the one
+// connected to: a host whose DNS answer changes after a check (rebinding) can't point a delivery at
+// this server or its network. Addresses written in the URL skip the lookup and are checked first.
+const connectWebhookSocket = buildConnector({
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+      if (err) return callback(err);
+      if (!isAllowedWebhookHost(hostname) && addresses.some(isReservedAddress)) return callback(blockedWebhookTarget());
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+});
+const webhookAgent = new Agent({
+  connect(options, callback) {
+    const address = options.hostname.replace(/^\[|\]$/g, '');
+    const family = net.isIP(address);
+    if (family && !isAllowedWebhookHost(address) && isReservedAddress({ address, family })) {
+      return callback(blockedWebhookTarget());
+    }
+    connectWebhookSocket(options, callback);
+  }
+});
+
+// Validates a registration; with `partial` (updates) fields may be left out
+async function parseWebhookInput(body, { partial = false } = {}) {
+  const input = body || {};
+  const fields = {};
+  if (input.url !== undefined || !partial) {
+    let url = null;
+    try {
+      url = new URL(String(input.url ?? ''));
+    } catch {
+      // handled below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) throw badRequest('url must be an http or https URL');
+    try {
+      await checkWebhookTarget(url.toString());
+    } catch (err) {
+      if (err.blocked) throw err;
+      throw badRequest(`Couldn't resolve ${url.hostname}`);
+    }
+    fields.url = url.toString();
+  }
+  if (input.events !== undefined || !partial) {
+    if (!Array.isArray(input.events) || !input.events.length || !input.events.every(e => WEBHOOK_EVENTS.includes(e))) {
+      throw badRequest(`events must list one or more of ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    fields.events = [...new Set(input.events)];
+  }
+  if (input.description !== undefined) {
+    if (typeof input.description !== 'string' || input.description.length > 200) {
+      throw badRequest('description must be text (max 200 characters)');
+    }
+    fields.description = input.description.trim();
+  }
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') throw badRequest('active must be true or false');
+    fields.active = input.active;
+  }
+  return fields;
+}
+
+// Queues `event` for each of the user's hooks that subscribe to it. A webhook problem must not fail
+// the request that caused the event, so this never throws. Every hook gets the same payload id,
+// which redeliveries keep too, so receivers can drop duplicates.
+async function emitWebhookEvent(userId, event, data) {
+  if (!userId) return;
+  try {
+    const hooks = await webhookOperations.listForEvent(userId, event);
+    if (!hooks.length) return;
+    const payload = { id: uuidv4(), event, createdAt: new Date().toISOString(), data };
+    for (const hook of hooks) {
+      await webhookDeliveryOperations.create(hook.id, event, payload);
+    }
+    webhookDispatcher.wake();
+  } catch (err) {
+    console.error(`❌ Failed to queue webhook event ${event}:`, err?.message || err);
+  }
+}
+
+// X-Webhook-Signature: "sha256=" + hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>" with the
+// hook's secret. Receivers recompute it, and reject old timestamps to stop replays.
+function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Exponential backoff between delivery attempts: 1, 2, 4, 8... minutes
+function webhookRetryDelay(attempts) {
+  return Math.min(60 * 1000 * 2 ** attempts, 60 * 60 * 1000);
+}
+
+// Timeouts, network errors, 5xx, 408 and 429 are worth retrying; other answers won't change
+const isRetryableStatus = (status) => !status || status >= 500 || status === 408 || status === 429;
+
+async function deliverWebhook(delivery) {
+  if (!delivery.active) {
+    await webhookDeliveryOperations.setStatus(delivery.id, 'cancelled');
+    return;
+  }
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  let responseStatus = null;
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TaskManager-Webhook/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signWebhook(delivery.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      dispatcher: webhookAgent,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    responseStatus = response.status;
+    // Only the status goes in the log: echoing the body would let anyone read what a service they
+    // point a hook at answers
+    await response.body?.cancel();
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    await webhookDeliveryOperations.markDelivered(delivery.id, responseStatus);
+  } catch (caught) {
+    // fetch reports connection errors, a blocked address among them, as "fetch failed"
+    const err = caught?.cause?.blocked ? caught.cause : caught;
+    const attempts = delivery.attempts + 1;
+    const retryAt = !err?.blocked && attempts < WEBHOOK_MAX_ATTEMPTS && isRetryableStatus(responseStatus)
+      ? new Date(Date.now() + webhookRetryDelay(delivery.attempts)).toISOString()
+      : null;
+    const error = err?.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS} ms` : String(err?.message || err);
+    await webhookDeliveryOperations.markFailed(delivery.id, error, responseStatus, retryAt);
+    console.warn(
+      `⚠️ Webhook ${delivery.event} to ${delivery.url} failed (attempt ${attempts}/${WEBHOOK_MAX_ATTEMPTS})`,
+      retryAt ? `— retrying at ${retryAt}` : '— giving up',
+      error
+    );
+  }
+}
+
+// Same shape as the reminder scheduler: sleeps until the earliest pending delivery
+const webhookDispatcher = {
+  timer: null,
+  started: false,
+  running: false,
+  rerun: false,
+
+  start() {
+    this.started = true;
+    this.wake();
+  },
+
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  },
+
+  shutdown() {
+    this.started = false;
+    this.stop();
+  },
+
+  wake() {
+    if (!this.started) return;
+    this.stop();
+    // Outside any open transaction, so the timer's tick never runs as part of it
+    transactionContext.exit(() => webhookDeliveryOperations.nextWake().then((at) => {
+      const delay = at ? Math.max(0, new Date(at).getTime() - Date.now()) : WEBHOOK_POLL_MS;
+      this.stop();
+      this.timer = setTimeout(() => this.tick(), Math.min(delay, WEBHOOK_POLL_MS));
+    }).catch((err) => {
+      console.error('❌ Webhook dispatcher wake failed:', err?.message || err);
+      this.timer = setTimeout(() => this.tick(), WEBHOOK_POLL_MS);
+    }));
+  },
+
+  async tick() {
+    if (this.running) {
+      this.rerun = true;
+      return;
+    }
+    this.running = true;
+
+    try {
+      const due = await webhookDeliveryOperations.listDue(new Date().toISOString());
+      for (const delivery of due) {
+        await deliverWebhook(delivery);
+      }
+    } catch (err) {
+      console.error('❌ Webhook dispatcher tick failed:', err?.message || err);
+    } finally {
+      this.running = false;
+    }
+
+    if (this.rerun) {
+      this.rerun = false;
+      return this.tick();
+    }
+    this.wake();
+  }
+};
+
+// ---- Live updates ----
+// Server-Sent Events to every open tab of a user. Route handlers and the reminder
+// scheduler publish task.created / task.updated / task.deleted / tasks.changed (refetch)
+// and reminder.fired; clients apply them instead of polling.
+
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+
+const liveEvents = {
+  clients: new Map(), // userId -> Set of open responses
+  nextId: 1,
+  heartbeat: null,
+
+  subscribe(userId, res) {
+    if (!this.clients.has(userId)) this.clients.set(userId, new Set());
+    this.clients.get(userId).add(res);
+    // Comments keep proxies from closing idle streams
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => {
+        for (const set of this.clients.values()) for (const client of set) client.write(': ping\n\n');
+      }, LIVE_HEARTBEAT_MS);
+      this.heartbeat.unref();
+    }
+  },
+
+  unsubscribe(userId, res) {
+    const set = this.clients.get(userId);
+    if (!set) return;
+    set.delete(res);
+    if (!set.size) this.clients.delete(userId);
+    if (!this.clients.size && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  },
+
+  publish(userId, type, data) {
+    const set = this.clients.get(userId);
+    if (!set) return;
+    const message = `id: ${this.nextId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of set) res.write(message);
+  },
+
+  closeAll() {
+    for (const set of this.clients.values()) for (const res of set) res.end();
+    this.clients.clear();
+    if (this.heartbeat) clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+};
+
+// ---- iCalendar ----
+// Dated tasks are published as a subscribable feed (VEVENT by default, VTODO with
+// ?kind=todo) and .ics files can be imported as tasks. Only the subset of RFC 5545
+// that maps onto tasks is handled.
+
+const ICS_EVENT_MINUTES = 30;
+const ICS_UID_DOMAIN = 'task-manager';
+const RRULE_FREQS = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY' };
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeIcsText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+// Content lines are folded at 75 octets with CRLF + space
+function foldIcsLine(line) {
+  const out = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+// SQLite's CURRENT_TIMESTAMP is UTC without a zone ("2025-03-01 09:00:00")
+function parseDbTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// 2025-03-01T09:00:00.000Z -> 20250301T090000Z
+function formatIcsDate(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Only the live instance of a series carries its rule, so COUNT is what is left of it
+function recurrenceToRRule(task) {
+  const rule = task.recurrence;
+  if (!rule || !RRULE_FREQS[rule.freq]) return null;
+  const parts = [`FREQ=${RRULE_FREQS[rule.freq]}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byWeekday?.length) parts.push(`BYDAY=${rule.byWeekday.map(d => ICS_WEEKDAYS[d]).join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) parts.push(`UNTIL=${formatIcsDate(rule.until)}`);
+  if (rule.count) parts.push(`COUNT=${Math.max(1, rule.count - (task.occurrence || 1) + 1)}`);
+  return parts.join(';');
+}
+
+function buildCalendar(tasks, { kind = 'event', defaultOffsets = [], name = 'Tasks' } = {}) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Task Manager//Tasks//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    'X-PUBLISHED-TTL:PT15M'
+  ];
+
+  for (const task of tasks) {
+    if (!task.dueDate) continue;
+    const component = kind === 'todo' ? 'VTODO' : 'VEVENT';
+    const parent = task.parentId ? byId.get(task.parentId) : null;
+    const summary = parent ? `${task.title} (${parent.title})` : task.title;
+
+    lines.push(`BEGIN:${component}`);
+    lines.push(`UID:${task.id}@${ICS_UID_DOMAIN}`);
+    lines.push(`DTSTAMP:${formatIcsDate(parseDbTimestamp(task.updatedAt) || Date.now())}`);
+    lines.push(`SUMMARY:${escapeIcsText(summary)}`);
+    if (task.notes) lines.push(`DESCRIPTION:${escapeIcsText(task.notes)}`);
+    if (task.tags?.length) lines.push(`CATEGORIES:${task.tags.map(escapeIcsText).join(',')}`);
+
+    if (kind === 'todo') {
+      lines.push(`DUE:${formatIcsDate(task.dueDate)}`);
+      lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+      if (parent) lines.push(`RELATED-TO:${parent.id}@${ICS_UID_DOMAIN}`);
+    } else {
+      const end = new Date(new Date(task.dueDate).getTime() + ICS_EVENT_MINUTES * 60 * 1000);
+      lines.push(`DTSTART:${formatIcsDate(task.dueDate)}`);
+      lines.push(`DTEND:${formatIcsDate(end)}`);
+      if (task.completed) lines.push('TRANSP:TRANSPARENT');
+    }
+
+    const rrule = recurrenceToRRule(task);
+    if (rrule) lines.push(`RRULE:${rrule}`);
+
+    if (!task.completed) {
+      for (const offset of task.reminderOffsets ?? defaultOffsets) {
+        lines.push('BEGIN:VALARM');
+        lines.push('ACTION:DISPLAY');
+        lines.push(`DESCRIPTION:${escapeIcsText(summary)}`);
+        lines.push(`TRIGGER:${offset === 0 ? 'PT0S' : `-PT${offset}M`}`);
+        lines.push('END:VALARM');
+      }
+    }
+    lines.push(`END:${component}`);
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Splits unfolded content lines into { name, params, value }
+function parseIcsLines(text) {
+  const unfolded = String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '');
+  const lines = [];
+  for (const raw of unfolded.split('\n')) {
+    if (!raw.trim()) continue;
+    const colon = raw.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    if (colon === -1) continue;
+    const [name, ...paramParts] = raw.slice(0, colon).split(';');
+    const params = {};
+    for (const part of paramParts) {
+      const [key, value = ''] = part.split('=');
+      params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+    }
+    lines.push({ name: name.toUpperCase(), params, value: raw.slice(colon + 1) });
+  }
+  return lines;
+}
+
+// DATE-TIME in UTC, with a TZID, floating (the importing user's zone) or an all-day DATE (9am local)
+function parseIcsDate(value, params = {}, timeZone = DEFAULT_TIMEZONE) {
+  const m = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s = '00', utc] = m;
+  if (utc) return new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}Z`);
+
+  const local = h
+    ? `${y}-${mo}-${d}T${h}:${mi}:${s}`
+    : `${y}-${mo}-${d}T${String(DEFAULT_RECURRENCE_HOUR).padStart(2, '0')}:00:00`;
+  if (params.TZID) {
+    const zoned = fromZonedTime(local, params.TZID);
+    if (!isNaN(zoned.getTime())) return zoned;
+  }
+  return fromZonedTime(local, timeZone);
+}
+
+// -PT1H30M -> -90 (minutes); null when it is not a duration
+function parseIcsDuration(value) {
+  const m = String(value).match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const [, sign, w = 0, d = 0, h = 0, mi = 0, s = 0] = m;
+  const minutes = Number(w) * 10080 + Number(d) * 1440 + Number(h) * 60 + Number(mi) + Math.round(Number(s) / 60);
+  return sign === '-' ? -minutes : minutes;
+}
+
+function rruleToRecurrence(value, timeZone) {
+  const parts = Object.fromEntries(
+    String(value).split(';').map(p => p.split('=')).map(([k, v]) => [k.toUpperCase(), v])
+  );
+  const freq = Object.keys(RRULE_FREQS).find(key => RRULE_FREQS[key] === parts.FREQ);
+  if (!freq) return null;
+  // "2nd Monday" style rules (BYDAY=2MO) have no equivalent here
+  if (parts.BYDAY && /\d/.test(parts.BYDAY)) return null;
+
+  const until = parts.UNTIL ? parseIcsDate(parts.UNTIL, {}, timeZone) : null;
+  return normalizeRecurrence({
+    freq,
+    interval: parts.INTERVAL,
+    byWeekday: parts.BYDAY ? parts.BYDAY.split(',').map(d => ICS_WEEKDAYS.indexOf(d)) : undefined,
+    byMonthDay: parts.BYMONTHDAY,
+    until: until ? until.toISOString() : undefined,
+    count: parts.COUNT
+  });
+}
+
+// VEVENT/VTODO components as task fields; `warnings` lists what could not be mapped
+function parseCalendar(text, timeZone = DEFAULT_TIMEZONE) {
+  const items = [];
+  let current = null;
+  let alarm = null;
+
+  for (const { name, params, value } of parseIcsLines(text)) {
+    if (name === 'BEGIN' && (value === 'VEVENT' || value === 'VTODO')) {
+      current = { kind: value, alarms: [], categories: [], warnings: [] };
+    } else if (name === 'END' && current && value === current.kind) {
+      items.push(current);
+      current = null;
+    } else if (!current) {
+      continue;
+    } else if (name === 'BEGIN' && value === 'VALARM') {
+      alarm = {};
+    } else if (name === 'END' && value === 'VALARM') {
+      if (alarm.trigger) current.alarms.push(alarm);
+      alarm = null;
+    } else if (alarm) {
+      if (name === 'TRIGGER') alarm.trigger = { value, params };
+    } else if (name === 'UID') {
+      current.uid = value;
+    } else if (name === 'SUMMARY') {
+      current.summary = unescapeIcsText(value).trim();
+    } else if (name === 'DESCRIPTION') {
+      current.description = unescapeIcsText(value);
+    } else if (name === 'DTSTART' || name === 'DUE' || name === 'DTEND') {
+      current[name.toLowerCase()] = parseIcsDate(value, params, timeZone);
+    } else if (name === 'STATUS') {
+      current.completed = value.toUpperCase() === 'COMPLETED';
+    } else if (name === 'CATEGORIES') {
+      current.categories.push(...value.split(/(?<!\\),/).map(unescapeIcsText));
+    } else if (name === 'RRULE') {
+      current.recurrence = rruleToRecurrence(value, timeZone);
+      if (!current.recurrence) current.warnings.push(`Unsupported RRULE ignored: ${value}`);
+    }
+  }
+
+  return items.map(item => {
+    // Tasks are due at DUE for to-dos and at the start of events
+    const due = item.kind === 'VTODO' ? item.due || item.dtstart : item.dtstart || item.due;
+    const offsets = [];
+    for (const { trigger } of item.alarms) {
+      let at = null;
+      if (trigger.params.VALUE === 'DATE-TIME') {
+        at = parseIcsDate(trigger.value, {}, timeZone);
+      } else if (due) {
+        const minutes = parseIcsDuration(trigger.value);
+        const base = trigger.params.RELATED === 'END' ? item.dtend || item.due || due : due;
+        if (minutes !== null) at = new Date(base.getTime() + minutes * 60 * 1000);
+      }
+      const offset = at && due ? Math.round((due.getTime() - at.getTime()) / 60000) : null;
+      if (offset !== null && offset >= 0 && offset <= MAX_REMINDER_OFFSET) offsets.push(offset);
+      else item.warnings.push(`Alarm ${trigger.value} ignored`);
+    }
+
+    return {
+      uid: item.uid || null,
+      title: item.summary || '',
+      notes: item.description || '',
+      dueDate: due && !isNaN(due.getTime()) ? due.toISOString() : null,
+      completed: !!item.completed,
+      recurrence: due ? item.recurrence || null : null,
+      reminderOffsets: offsets.length ? normalizeReminderOffsets(offsets) : null,
+      tags: item.categories.filter(Boolean),
+      warnings: item.warnings
+    };
+  });
+}
+
+// ---- Export / Import ----
+// Backups and bulk loading. JSON round-trips everything (including subtasks, series data
+// and tracked time); CSV and Markdown are for spreadsheets and notes. Imports are validated
+// row by row and can be dry-run first.
+
+const EXPORT_FORMATS = {
+  json: { type: 'application/json', ext: 'json' },
+  csv: { type: 'text/csv', ext: 'csv' },
+  md: { type: 'text/markdown', ext: 'md' }
+};
+const CSV_COLUMNS = [
+  'id', 'title', 'notes', 'due_date', 'completed', 'status', 'priority', 'email', 'project', 'tags',
+  'recurrence', 'reminder_offsets', 'estimate_minutes', 'parent_id', 'position', 'created_at', 'updated_at'
+];
+const IMPORT_MAX_ROWS = 5000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Tasks of a user in export shape: project and board column by name, subtasks after their parent
+async function exportTasks(userId) {
+  const tasks = await dbOperations.getAllTasks(userId);
+  const projects = new Map((await projectOperations.list(userId)).map(p => [p.id, p]));
+  const statuses = new Map((await statusOperations.list(userId)).map(s => [s.id, s]));
+  const entries = new Map();
+  for (const entry of await timeEntryOperations.listForUser(userId)) {
+    entries.set(entry.taskId, [...(entries.get(entry.taskId) || []), { startedAt: entry.startedAt, endedAt: entry.endedAt }]);
+  }
+  const rows = tasks.map(task => ({
+    id: task.id,
+    title: task.title,
+    notes: task.notes || '',
+    dueDate: task.dueDate || null,
+    completed: task.completed,
+    status: statuses.get(task.statusId)?.name || null,
+    priority: task.priority || null,
+    email: task.email || null,
+    project: projects.get(task.projectId)?.name || null,
+    tags: task.tags,
+    recurrence: task.recurrence,
+    seriesId: task.seriesId,
+    occurrence: task.occurrence,
+    reminderOffsets: task.reminderOffsets,
+    estimateMinutes: task.estimateMinutes,
+    timeEntries: entries.get(task.id) || [],
+    parentId: task.parentId,
+    position: task.position,
+    createdAt: parseDbTimestamp(task.createdAt)?.toISOString() || null,
+    updatedAt: parseDbTimestamp(task.updatedAt)?.toISOString() || null
+  }));
+  return rows.sort((a, b) => (a.parentId ? 1 : 0) - (b.parentId ? 1 : 0) || a.position - b.position);
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function tasksToCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push([
+      row.id, row.title, row.notes, row.dueDate, row.completed, row.status, row.priority, row.email, row.project,
+      row.tags.join(';'),
+      row.recurrence ? JSON.stringify(row.recurrence) : '',
+      row.reminderOffsets ? row.reminderOffsets.join(';') : '',
+      row.estimateMinutes,
+      row.parentId, row.position, row.createdAt, row.updatedAt
+    ].map(csvCell).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+// CSV rows as objects keyed like the JSON export ("due_date" and "Due Date" -> dueDate)
+function csvToRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.map(h => h.trim().toLowerCase().replace(/[^a-z0-9]+(.)/g, (_, ch) => ch.toUpperCase()));
+  return rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, cells[i] ?? ''])));
+}
+
+function tasksToMarkdown(rows, user) {
+  const lines = [`# Tasks for ${user.name || user.email}`, '', `_Exported ${new Date().toISOString()}_`];
+  const children = new Map();
+  for (const row of rows) {
+    if (row.parentId) children.set(row.parentId, [...(children.get(row.parentId) || []), row]);
+  }
+  const line = (row, indent = '') => {
+    const parts = [`${indent}- [${row.completed ? 'x' : ' '}] ${row.title}`];
+    if (row.dueDate) parts.push(`(due ${row.dueDate})`);
+    if (row.tags.length) parts.push(row.tags.map(t => `#${t}`).join(' '));
+    return parts.join(' ');
+  };
+
+  const groups = new Map();
+  for (const row of rows.filter(r => !r.parentId)) {
+    const key = row.project || '';
+    groups.set(key, [...(groups.get(key) || []), row]);
+  }
+  // Named projects alphabetically, then tasks without one
+  const sorted = [...groups].sort(([a], [b]) => (a ? 0 : 1) - (b ? 0 : 1) || a.localeCompare(b));
+  for (const [project, group] of sorted) {
+    lines.push('', `## ${project || 'No project'}`, '');
+    for (const row of group) {
+      lines.push(line(row));
+      if (row.notes) lines.push(...row.notes.split('\n').map(n => `  > ${n}`));
+      for (const child of children.get(row.id) || []) lines.push(line(child, '  '));
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function parseBooleanCell(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['', 'false', '0', 'no', 'n'].includes(text)) return false;
+  if (['true', '1', 'yes', 'y', 'x', 'done'].includes(text)) return true;
+  return null;
+}
+
+// One import row -> { task, errors }. `task` holds the fields createTask needs.
+function validateImportRecord(record) {
+  const errors = [];
+  const title = typeof record.title === 'string' ? record.title.trim() : '';
+  if (!title) errors.push('title is required');
+  else if (title.length > 500) errors.push('title is longer than 500 characters');
+
+  let dueDate = null;
+  if (record.dueDate) {
+    const date = new Date(record.dueDate);
+    if (isNaN(date.getTime())) errors.push(`dueDate "${record.dueDate}" is not a date`);
+    else dueDate = date.toISOString();
+  }
+
+  const completed = parseBooleanCell(record.completed);
+  if (completed === null) errors.push(`completed "${record.completed}" is not true or false`);
+
+  const status = record.status ? String(record.status).trim() : null;
+  if (status && validateOrganizer({ name: status })) errors.push(`status "${status}" is not a valid column name`);
+
+  const priority = record.priority ? String(record.priority).trim().toLowerCase() : null;
+  if (priority && !PRIORITIES.includes(priority)) errors.push(`priority "${record.priority}" is not one of ${PRIORITIES.join(', ')}`);
+
+  const email = record.email ? String(record.email).trim() : null;
+  if (email && !EMAIL_PATTERN.test(email)) errors.push(`email "${email}" is not valid`);
+
+  let recurrence = null;
+  if (record.recurrence) {
+    try {
+      const raw = typeof record.recurrence === 'string' ? JSON.parse(record.recurrence) : record.recurrence;
+      recurrence = normalizeRecurrence(raw);
+    } catch {
+      // reported below
+    }
+    if (!recurrence) errors.push('recurrence is not a valid rule');
+  }
+
+  let reminderOffsets = null;
+  if (record.reminderOffsets !== undefined && record.reminderOffsets !== null && record.reminderOffsets !== '') {
+    const raw = Array.isArray(record.reminderOffsets)
+      ? record.reminderOffsets
+      : String(record.reminderOffsets).split(/[;,\s]+/).filter(Boolean);
+    reminderOffsets = normalizeReminderOffsets(raw);
+    if (reminderOffsets.length !== raw.length) errors.push('reminderOffsets must be minutes before due');
+  }
+
+  let estimateMinutes = null;
+  try {
+    estimateMinutes = normalizeEstimateMinutes(record.estimateMinutes);
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  // Tracked sessions (JSON only). A timer still running at export time is left out.
+  const timeEntries = [];
+  if (record.timeEntries !== undefined && record.timeEntries !== null && record.timeEntries !== '') {
+    if (!Array.isArray(record.timeEntries)) errors.push('timeEntries must be a list');
+    for (const entry of Array.isArray(record.timeEntries) ? record.timeEntries : []) {
+      if (!entry?.endedAt) continue;
+      const start = new Date(entry.startedAt);
+      const end = new Date(entry.endedAt);
+      if (isNaN(start.getTime()) || isNaN(end.getTime()) || end < start) {
+        errors.push(`time entry ${JSON.stringify(entry)} needs a startedAt before its endedAt`);
+      } else {
+        timeEntries.push({ startedAt: start.toISOString(), endedAt: end.toISOString() });
+      }
+    }
+  }
+
+  const tags = normalizeTagNames(
+    Array.isArray(record.tags) ? record.tags : String(record.tags || '').split(/[;,\s]+/)
+  );
+
+  let createdAt = null;
+  if (record.createdAt) {
+    const date = parseDbTimestamp(String(record.createdAt));
+    if (!date) errors.push(`createdAt "${record.createdAt}" is not a date`);
+    // Stored the way SQLite's CURRENT_TIMESTAMP writes it
+    else createdAt = date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  return {
+    errors,
+    task: {
+      title,
+      notes: typeof record.notes === 'string' ? record.notes : '',
+      dueDate,
+      completed: !!completed,
+      status,
+      priority,
+      email: email || undefined,
+      recurrence: completed ? null : recurrence,
+      reminderOffsets,
+      estimateMinutes,
+      timeEntries,
+      project: record.project ? String(record.project).trim() : null,
+      tags,
+      sourceId: record.id ? String(record.id) : null,
+      sourceParentId: record.parentId ? String(record.parentId) : null,
+      position: Number.isInteger(Number(record.position)) ? Number(record.position) : 0,
+      createdAt
+    }
+  };
+}
+
+// Plain text: one task per line through the natural-language parser. Markdown is
+// understood well enough to load an export back: "## Project" headings, "- [x]"
+// checkboxes and indented items as subtasks of the item above.
+async function textToRecords(text, timeZone, language) {
+  const records = [];
+  let project = null;
+  let parent = null;
+  for (const [i, raw] of String(text).split(/\r?\n/).entries()) {
+    const heading = raw.match(/^##\s+(.+)$/);
+    if (heading) {
+      project = heading[1].trim() === 'No project' ? null : heading[1].trim();
+      continue;
+    }
+    const m = raw.match(/^(\s*)(?:[-*+]|\d+[.)])?\s*(?:\[([ xX])\]\s*)?(.*)$/);
+    const line = m[3].trim();
+    if (!line || /^#\s/.test(raw) || /^>/.test(line) || /^_.*_$/.test(line)) continue;
+
+    // Markdown exports write "(due 2025-03-01T09:00:00.000Z)"; use those dates as they are
+    const exported = line.match(/\s*\(due (\S+)\)/);
+    const parsed = await parseInput(exported ? line.replace(exported[0], '') : line, { timeZone, language });
+    const record = {
+      id: `line-${i + 1}`,
+      parentId: m[1] && parent ? parent.id : null,
+      title: parsed.title,
+      dueDate: exported ? exported[1] : parsed.dueDate,
+      completed: m[2] ? m[2].toLowerCase() === 'x' : false,
+      recurrence: parsed.recurrence,
+      reminderOffsets: parsed.reminderOffsets,
+      project: parsed.project || project,
+      tags: parsed.tags
+    };
+    if (!record.parentId) parent = record;
+    records.push(record);
+  }
+  return records;
+}
+
+// Validates every record, then (unless dryRun) creates the valid ones. Rows are 1-based.
+// `projects` ([{ name, color }]) and `statuses` ([{ name, color, done }]) from a JSON export are
+// created first so they keep their colors.
+async function importRecords(userId, records, { dryRun, projects = [], statuses = [] }) {
+  const results = records.map((record, i) => ({ row: i + 1, ...validateImportRecord(record) }));
+
+  // Subtasks point at a parent in the same file; parents are created first
+  const sourceIds = new Set(results.map(r => r.task.sourceId).filter(Boolean));
+  for (const result of results) {
+    const parentId = result.task.sourceParentId;
+    if (parentId && !sourceIds.has(parentId) && !(await dbOperations.getTask(parentId, userId))) {
+      result.errors.push(`parent ${parentId} is not in the import`);
+    }
+  }
+
+  const valid = results.filter(r => !r.errors.length);
+  const created = [];
+  if (!dryRun) {
+    for (const project of Array.isArray(projects) ? projects : []) {
+      if (validateOrganizer(project) || (await projectOperations.findByName(project.name.trim(), userId))) continue;
+      await projectOperations.create(userId, { name: project.name.trim(), color: project.color });
+    }
+    await statusOperations.list(userId);
+    for (const status of Array.isArray(statuses) ? statuses : []) {
+      if (validateStatus(status) || (await statusOperations.findByName(status.name.trim(), userId))) continue;
+      await statusOperations.create(userId, { name: status.name.trim(), color: status.color, done: status.done });
+    }
+
+    const idMap = new Map();
+    const ordered = [...valid].sort((a, b) => (a.task.sourceParentId ? 1 : 0) - (b.task.sourceParentId ? 1 : 0));
+    for (const { task: row } of ordered) {
+      const id = uuidv4();
+      if (row.sourceId) idMap.set(row.sourceId, id);
+      const parentId = row.sourceParentId ? idMap.get(row.sourceParentId) || row.sourceParentId : null;
+      const task = await dbOperations.createTask({
+        id,
+        title: row.title,
+        notes: row.notes,
+        dueDate: row.dueDate,
+        completed: row.completed,
+        priority: row.priority,
+        email: row.email,
+        recurrence: parentId ? null : row.recurrence,
+        seriesId: id,
+        occurrence: 1,
+        reminderOffsets: row.reminderOffsets,
+        estimateMinutes: row.estimateMinutes,
+        userId,
+        projectId: await resolveProjectId(userId, { projectName: row.project }),
+        parentId,
+        position: row.position,
+        statusId: parentId ? null : await resolveImportStatusId(userId, row),
+        createdAt: row.createdAt
+      });
+      task.tags = await tagOperations.setForTask(id, userId, row.tags);
+      for (const entry of row.timeEntries) await timeEntryOperations.restore(userId, id, entry);
+      await recordTaskCreated(task, userId, 'import');
+      await scheduleReminder(task);
+      created.push(task);
+    }
+  }
+
+  return {
+    dryRun,
+    total: results.length,
+    valid: valid.length,
+    created: created.length,
+    errors: results.filter(r => r.errors.length).map(({ row, errors }) => ({ row, errors })),
+    tasks: dryRun ? valid.map(({ row, task }) => ({ row, ...task })) : created
+  };
+}
+
+// Board column of an imported task, created on demand. A column of the other kind (a done
+// column for an open task) is left out, so the task lands in the first column of its own kind.
+async function resolveImportStatusId(userId, row) {
+  if (!row.status) return null;
+  const status = (await statusOperations.findByName(row.status, userId)) ||
+    (await statusOperations.create(userId, { name: row.status, done: row.completed }));
+  return status.done === row.completed ? status.id : null;
+}
+
+// ---- Inbound email ----
+// Just enough MIME to turn a forwarded email into a task: headers (with RFC 2047 encoded words),
+// multipart bodies, base64 / quoted-printable and the common charsets. Attachments are ignored.
+
+function decodeCharset(buffer, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+// `raw` holds one byte per character (latin1) so charsets can be applied part by part
+function decodeTransferEncoding(raw, encoding, charset) {
+  let bytes;
+  switch ((encoding || '').toLowerCase()) {
+    case 'base64':
+      bytes = Buffer.from(raw.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+      break;
+    case 'quoted-printable':
+      bytes = Buffer.from(
+        raw.replace(/=\r?\n/g, '').replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'latin1'
+      );
+      break;
+    default:
+      bytes = Buffer.from(raw, 'latin1');
+  }
+  return decodeCharset(bytes, charset);
+}
+
+// "=?utf-8?Q?Caf=C3=A9?=" -> "Café"; whitespace between adjacent encoded words is dropped
+function decodeHeaderWords(value) {
+  return String(value || '')
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, text) => (
+      encoding.toUpperCase() === 'B'
+        ? decodeCharset(Buffer.from(text, 'base64'), charset)
+        : decodeTransferEncoding(text.replace(/_/g, ' '), 'quoted-printable', charset)
+    ));
+}
+
+// "text/plain; charset=utf-8" -> { value: 'text/plain', params: { charset: 'utf-8' } }
+function parseHeaderParams(header) {
+  const [value, ...rest] = String(header || '').split(';');
+  const params = {};
+  for (const param of rest) {
+    const eq = param.indexOf('=');
+    if (eq === -1) continue;
+    params[param.slice(0, eq).trim().toLowerCase()] = param.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+  }
+  return { value: value.trim().toLowerCase(), params };
+}
+
+function parseMimePart(raw) {
+  const split = raw.search(/\r?\n\r?\n/);
+  const headerText = split === -1 ? raw : raw.slice(0, split);
+  const body = split === -1 ? '' : raw.slice(split).replace(/^\r?\n\r?\n/, '');
+  const headers = {};
+  // Folded header lines continue with whitespace
+  for (const line of headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    (headers[name] = headers[name] || []).push(line.slice(colon + 1).trim());
+  }
+  return { headers, body };
+}
+
+const headerValue = (part, name) => (part.headers[name] || [])[0] || '';
+
+// Lowercased addresses from "Ann <ann@example.com>, bob@example.com"
+function parseAddresses(value) {
+  return (String(value || '').match(/[^\s<>,;:"()]+@[^\s<>,;:"()]+/g) || []).map(address => address.toLowerCase());
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(p|div|li|tr|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+// The readable text of a part: text/plain preferred over text/html, forwarded messages included
+function extractText(part) {
+  const { value: type, params } = parseHeaderParams(headerValue(part, 'content-type') || 'text/plain');
+  const disposition = parseHeaderParams(headerValue(part, 'content-disposition')).value;
+  const encoding = headerValue(part, 'content-transfer-encoding');
+
+  if (type.startsWith('multipart/') && params.boundary) {
+    const delimiter = `--${params.boundary}`;
+    const parts = part.body.split(delimiter).slice(1)
+      .filter(chunk => !chunk.startsWith('--'))
+      .map(chunk => parseMimePart(chunk.replace(/^[ \t]*\r?\n/, '').replace(/\r?\n$/, '')));
+    if (type === 'multipart/alternative') {
+      const plain = parts.find(p => parseHeaderParams(headerValue(p, 'content-type') || 'text/plain').value === 'text/plain');
+      return extractText(plain || parts[parts.length - 1] || { headers: {}, body: '' });
+    }
+    return parts.map(extractText).filter(Boolean).join('\n\n');
+  }
+  if (type === 'message/rfc822') {
+    const inner = parseMimePart(decodeTransferEncoding(part.body, encoding, 'latin1'));
+    const summary = ['from', 'date', 'subject']
+      .filter(name => headerValue(inner, name))
+      .map(name => `${name[0].toUpperCase()}${name.slice(1)}: ${decodeHeaderWords(headerValue(inner, name))}`);
+    return `---------- Forwarded message ----------\n${summary.join('\n')}\n\n${extractText(inner)}`;
+  }
+  if (disposition === 'attachment' || !type.startsWith('text/')) return '';
+
+  const text = decodeTransferEncoding(part.body, encoding, params.charset);
+  return (type === 'text/html' ? htmlToText(text) : text).replace(/\r\n/g, '\n').trim();
+}
+
+function parseEmail(raw) {
+  const message = parseMimePart(raw);
+  const from = decodeHeaderWords(headerValue(message, 'from'));
+  return {
+    from,
+    sender: parseAddresses(from)[0] || null,
+    replyTo: parseAddresses(headerValue(message, 'reply-to'))[0] || null,
+    recipients: ['to', 'cc', 'delivered-to', 'x-original-to']
+      .flatMap(name => (message.headers[name] || []).flatMap(parseAddresses)),
+    subject: decodeHeaderWords(headerValue(message, 'subject')).replace(/\s+/g, ' ').trim(),
+    date: headerValue(message, 'date'),
+    messageId: headerValue(message, 'message-id'),
+    references: headerValue(message, 'references'),
+    // Replying to auto-replies and mailing lists risks mail loops
+    automated: /^(?!no\b)./i.test(headerValue(message, 'auto-submitted')) ||
+      /^(bulk|list|junk)$/i.test(headerValue(message, 'precedence')),
+    text: extractText(message)
+  };
+}
+
+const DEFAULT_INBOUND_SETTINGS = { senders: [], parseBody: false };
+
+async function getInboundSettings(userId) {
+  return { ...DEFAULT_INBOUND_SETTINGS, ...(await settingsOperations.get(userId, 'inboundEmail', {})) };
+}
+
+function inboundAddress(token) {
+  return INBOUND_EMAIL_ENABLED && token ? `${INBOUND_EMAIL_LOCAL_PART}+${token}@${INBOUND_EMAIL_DOMAIN}` : null;
+}
+
+// The user a message is for: the secret in a "tasks+<secret>@" recipient, or else a sender
+// that exactly one user has allow-listed
+async function resolveInboundUser(email) {
+  const localPart = INBOUND_EMAIL_LOCAL_PART.toLowerCase();
+  for (const address of email.recipients) {
+    const [local] = address.split('@');
+    if (!local.startsWith(`${localPart}+`)) continue;
+    const userId = await settingsOperations.findUserId('inboundToken', local.slice(localPart.length + 1));
+    if (userId) return userId;
+  }
+  if (!email.sender) return null;
+  const allowed = (await settingsOperations.listByKey('inboundEmail'))
+    .filter(({ value }) => Array.isArray(value.senders) && value.senders.includes(email.sender));
+  return allowed.length === 1 ? allowed[0].userId : null;
+}
+
+// "Re: Fwd: Dentist Friday 3pm" -> "Dentist Friday 3pm"
+function stripReplyPrefixes(subject) {
+  return subject.replace(/^(\s*(re|fwd?|aw|wg|tr)\s*(\[\d+\])?\s*:\s*)+/i, '').trim();
+}
+
+function emailNotes(email) {
+  const header = [`From: ${email.from}`, email.date && `Date: ${email.date}`, `Subject: ${email.subject}`]
+    .filter(Boolean).join('\n');
+  const notes = `${header}\n\n${email.text}`.trim();
+  return notes.length > INBOUND_NOTES_MAX_CHARS ? `${notes.slice(0, INBOUND_NOTES_MAX_CHARS)}\n…` : notes;
+}
+
+async function createTaskFromEmail(userId, email) {
+  const settings = await getInboundSettings(userId);
+  const subject = stripReplyPrefixes(email.subject);
+  const timeZone = await getUserTimezone(userId);
+  const language = await getUserLanguage(userId);
+  const parsed = await parseInput(subject || 'Email', { timeZone, language });
+
+  // With parseBody, the first line of the message can add a due date, reminders, #tags or @project
+  const firstLine = settings.parseBody
+    ? email.text.split('\n').map(line => line.trim()).find(line => line && !line.startsWith('>'))
+    : null;
+  if (firstLine) {
+    const fromBody = await parseInput(firstLine, { timeZone, language });
+    parsed.dueDate = parsed.dueDate || fromBody.dueDate;
+    parsed.recurrence = parsed.recurrence || fromBody.recurrence;
+    parsed.reminderOffsets = parsed.reminderOffsets || fromBody.reminderOffsets;
+    parsed.project = parsed.project || fromBody.project;
+    parsed.tags = [...parsed.tags, ...fromBody.tags];
+  }
+
+  const id = uuidv4();
+  const recurrence = normalizeRecurrence(parsed.recurrence);
+  const task = await dbOperations.createTask({
+    id,
+    title: (parsed.title || subject || 'Email').trim().slice(0, 500),
+    notes: emailNotes(email),
+    dueDate: parsed.dueDate || (recurrence ? firstOccurrence(recurrence, null, timeZone) : null),
+    completed: false,
+    email: email.sender,
+    recurrence,
+    seriesId: id,
+    occurrence: 1,
+    reminderOffsets: normalizeReminderOffsets(parsed.reminderOffsets),
+    estimateMinutes: parsed.durationMinutes || null,
+    priority: parsed.priority || null,
+    userId,
+    projectId: await resolveProjectId(userId, { projectName: parsed.project })
+  });
+  task.tags = await tagOperations.setForTask(id, userId, parsed.tags);
+  await recordTaskCreated(task, userId, 'email');
+  await scheduleReminder(task);
+  liveEvents.publish(userId, 'task.created', task);
+  await emitWebhookEvent(userId, 'task.created', { task });
+  return task;
+}
+
+async function sendTaskFromEmailReply(email, task) {
+  if (!transporter || email.automated) return;
+  const language = await getUserLanguage(task.userId);
+  const humanDue = task.dueDate
+    ? formatUserDate(task.dueDate, language, await getUserTimezone(task.userId), {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    })
+    : null;
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: email.replyTo || email.sender,
+      ...taskFromEmailReply({ title: task.title, humanDue, subject: email.subject || task.title, language }),
+      inReplyTo: email.messageId || undefined,
+      references: [email.references, email.messageId].filter(Boolean).join(' ') || undefined,
+      headers: { 'Auto-Submitted': 'auto-replied' }
+    });
+  } catch (err) {
+    console.warn(`⚠️ Could not confirm email task to ${email.sender}:`, err?.message || err);
+  }
+}
+
+// ---- Authentication ----
+// Bearer tokens are random; the sessions table stores their SHA-256 so a leaked
+// database cannot be replayed. Passwords use scrypt from node:crypto.
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 64, (err, key) => {
+      if (err) reject(err);
+      else resolve(`scrypt$${salt}$${key.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+    crypto.scrypt(password, salt, 64, (err, key) => {
+      if (err) reject(err);
+      else resolve(crypto.timingSafeEqual(key, Buffer.from(hash, 'hex')));
+    });
+  });
+}
+
+function getBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  // EventSource cannot send headers, so the event stream takes the token as ?token=
+  if (req.method === 'GET' && req.path === '/events' && typeof req.query.token === 'string') {
+    return req.query.token;
+  }
+  return null;
+}
+
+// Notification action tokens are "<payload>.<signature>" (base64url, HMAC-SHA256). They name one
+// task and its owner and expire after ACTION_TOKEN_TTL_HOURS; all they allow is completing or
+// snoozing that task.
+function signActionToken(task) {
+  const payload = Buffer.from(JSON.stringify({
+    t: task.id,
+    u: task.userId,
+    exp: Date.now() + ACTION_TOKEN_TTL_HOURS * 60 * 60 * 1000
+  })).toString('base64url');
+  const signature = crypto.createHmac('sha256', ACTION_TOKEN_SECRET).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+// Returns { taskId, userId } for a valid, unexpired token, otherwise null
+function verifyActionToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+  const expected = crypto.createHmac('sha256', ACTION_TOKEN_SECRET).update(payload).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const { t, u, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return exp > Date.now() ? { taskId: t, userId: u } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Routes registered after this middleware require a signed-in user (req.user)
+async function requireAuth(req, res, next) {
+  try {
+    const token = getBearerToken(req);
+    const userId = token ? await sessionOperations.resolve(token) : null;
+    const user = userId ? await userOperations.get(userId) : null;
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    req.token = token;
+    next();
+  } catch (err) {
+    console.error('Auth middleware error:', err);
+    res.status(500).json({ error: 'Failed to authenticate' });
+  }
+}
+
+// ---- Routes ----
+
+// Health check
+app.get('/api/health', async (req, res) => {
+  try {
+    res.json({
+      status: 'OK',
+      tasks: await dbOperations.countTasks(),
+      reminders: await reminderOperations.countPending(),
+      uptime: process.uptime(),
+      database: 'connected',
+      aiProvider: PARSER_PROVIDER,
+      parserChain: PARSER_PROVIDERS.filter(name => name === 'local' || llmClients[name]),
+      emailConfigured: !!transporter,
+      pushConfigured: pushConfigured()
+    });
+  } catch (err) {
+    res.status(500).json({ 
+      status: 'ERROR', 
+      error: err.message,
+      database: 'error' 
+    });
+  }
+});
+
+// Register a new account and sign in
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { password, name } = req.body || {};
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+    if (await userOperations.findByEmail(email)) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const isFirstUser = (await userOperations.count()) === 0;
+    const user = await userOperations.create({ email, name, passwordHash: await hashPassword(password) });
+    if (isFirstUser) {
+      const claimed = await userOperations.claimOrphanedData(user.id);
+      if (claimed) console.log(`👤 Assigned ${claimed} existing tasks to ${email}`);
+    }
+
+    const session = await sessionOperations.create(user.id);
+    console.log(`👤 New user registered: ${email}`);
+    res.status(201).json({ user, ...session });
+  } catch (err) {
+    console.error('POST /api/auth/register error:', err);
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+// Sign in with email and password
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const row = email && typeof password === 'string' ? await userOperations.findByEmail(email) : null;
+    if (!row || !(await verifyPassword(password, row.password_hash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const session = await sessionOperations.create(row.id);
+    res.json({ user: mapUserRow(row), ...session });
+  } catch (err) {
+    console.error('POST /api/auth/login error:', err);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+// Calendar feed. Calendar apps cannot send headers, so the secret is in the URL.
+app.get('/api/calendar.ics', async (req, res) => {
+  try {
+    const user = req.query.token ? await userOperations.findByCalendarToken(String(req.query.token)) : null;
+    if (!user) {
+      return res.status(404).type('text/plain').send('Calendar not found');
+    }
+
+    const kind = req.query.kind === 'todo' ? 'todo' : 'event';
+    const tasks = await dbOperations.getAllTasks(user.id);
+    const ics = buildCalendar(tasks, {
+      kind,
+      defaultOffsets: await getDefaultReminderOffsets(user.id),
+      name: user.name ? `${user.name}'s tasks` : 'Tasks'
+    });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="tasks.ics"');
+    res.send(ics);
+  } catch (err) {
+    console.error('GET /api/calendar.ics error:', err);
+    res.status(500).type('text/plain').send('Failed to build calendar');
+  }
+});
+
+// Buttons on a push reminder. The service worker has no session, so the notification carries
+// a signed token for its task: { token, action: 'complete' | 'snooze', minutes }
+app.post('/api/notifications/action', async (req, res) => {
+  try {
+    const { token, action, minutes } = req.body || {};
+    const claims = verifyActionToken(token);
+    if (!claims) {
+      return res.status(401).json({ error: 'Invalid or expired action token' });
+    }
+    const task = await dbOperations.getTask(claims.taskId, claims.userId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (action === 'complete') {
+      // Tapping "Mark done" twice (or after completing it in the app) is fine
+      if (task.completed) return res.json({ ok: true, task });
+      const { task: updatedTask } = await applyTaskUpdate(claims.userId, task, { completed: true });
+      return res.json({ ok: true, task: updatedTask });
+    }
+    if (action === 'snooze') {
+      const remindAt = await snoozeReminder(task, parseSnoozeMinutes(minutes));
+      return res.json({ ok: true, remindAt });
+    }
+    res.status(400).json({ error: 'action must be complete or snooze' });
+  } catch (err) {
+    console.error('POST /api/notifications/action error:', err);
+    if (err.status === 400) {
+      res.status(400).json({ error: err.message });
+    } else {
+      res.status(500).json({ error: 'Failed to run notification action' });
+    }
+  }
+});
+
+// Digest emails link here with their token. Opening the link only asks, so a mail scanner that
+// follows it unsubscribes no one; the confirmation form and one-click mail clients (RFC 8058, see
+// List-Unsubscribe-Post in sendDigest) POST to the same URL.
+async function findDigestUnsubscriber(req, res) {
+  const token = String(req.query.token || '');
+  const userId = token ? await settingsOperations.findUserId('digestToken', token) : null;
+  if (!userId) {
+    const language = pickLanguage(req.get('Accept-Language')) || DEFAULT_LANGUAGE;
+    res.status(404).type('html').send(renderEmailLayout({
+      heading: translate(language, 'unsubscribe.expiredHeading'),
+      body: `<p>${escapeHtml(translate(language, 'unsubscribe.expired'))}</p>`
+    }));
+  }
+  return userId;
+}
+
+app.get('/api/digest/unsubscribe', async (req, res) => {
+  try {
+    const userId = await findDigestUnsubscriber(req, res);
+    if (!userId) return;
+    const language = await getUserLanguage(userId);
+    // No action attribute: the form posts back to this URL, token included
+    res.type('html').send(renderEmailLayout({
+      heading: translate(language, 'unsubscribe.confirmHeading'),
+      body: `<p>${escapeHtml(translate(language, 'unsubscribe.confirm'))}</p>
+      <form method="post">
+        <button type="submit" style="background: #2563eb; color: #fff; border: 0; border-radius: 6px; padding: 10px 16px; font-size: 14px; cursor: pointer;">${
+          escapeHtml(translate(language, 'unsubscribe.button'))
+        }</button>
+      </form>`,
+      links: [{ href: `${APP_URL}/?settings=digest`, label: translate(language, 'digest.preferences') }]
+    }));
+  } catch (err) {
+    console.error('GET /api/digest/unsubscribe error:', err);
+    res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+});
+
+app.post('/api/digest/unsubscribe', async (req, res) => {
+  try {
+    const userId = await findDigestUnsubscriber(req, res);
+    if (!userId) return;
+    const settings = await getDigestSettings(userId);
+    await settingsOperations.set(userId, 'digest', { ...settings, daily: false, weekly: false });
+    console.log(`📰 User ${userId} unsubscribed from digests`);
+    const language = await getUserLanguage(userId);
+    res.type('html').send(renderEmailLayout({
+      heading: translate(language, 'unsubscribe.doneHeading'),
+      body: `<p>${escapeHtml(translate(language, 'unsubscribe.done'))}</p>`,
+      links: [{ href: `${APP_URL}/?settings=digest`, label: translate(language, 'digest.preferences') }]
+    }));
+  } catch (err) {
+    console.error('POST /api/digest/unsubscribe error:', err);
+    res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+});
+
+// Raw MIME from the mail gateway (see INBOUND_EMAIL_* in the config)
+app.post('/api/inbound/email', express.raw({ type: () => true, limit: '10mb' }), async (req, res) => {
+  try {
+    if (!INBOUND_EMAIL_SECRET) {
+      return res.status(503).json({ error: 'Inbound email is not configured on the server' });
+    }
+    // Digests have the same length whatever was sent, so the comparison doesn't give the length away
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    if (!crypto.timingSafeEqual(digest(String(req.get('X-Inbound-Secret') || '')), digest(INBOUND_EMAIL_SECRET))) {
+      return res.status(401).json({ error: 'Invalid inbound secret' });
+    }
+    const raw = Buffer.isBuffer(req.body) ? req.body.toString('latin1') : '';
+    if (!/^[\w-]+:/m.test(raw)) return res.status(400).json({ error: 'Expected a raw MIME message' });
+
+    const email = parseEmail(raw);
+    const userId = await resolveInboundUser(email);
+    // No reply to rejected mail: the From address may well be forged
+    if (!userId) {
+      console.warn(`📥 Rejected inbound email from ${email.sender || 'unknown sender'}`);
+      return res.status(403).json({ error: 'Sender is not allowed' });
+    }
+
+    const task = await createTaskFromEmail(userId, email);
+    console.log(`📥 Created task "${task.title}" from an email by ${email.sender}`);
+    await sendTaskFromEmailReply(email, task);
+    res.json(task);
+  } catch (err) {
+    console.error('POST /api/inbound/email error:', err);
+    res.status(500).json({ error: 'Failed to create task from email' });
+  }
+});
+
+// Everything below needs a signed-in user
+app.use('/api', requireAuth);
+
+// Live event stream (text/event-stream) for the signed-in user
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  // Browsers wait this long before reconnecting on their own
+  res.write('retry: 5000\n\n');
+
+  liveEvents.subscribe(req.user.id, res);
+  req.on('close', () => liveEvents.unsubscribe(req.user.id, res));
+});
+
+// Current user
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Sign out (revokes the token used for this request)
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await sessionOperations.revoke(req.token);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('POST /api/auth/logout error:', err);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+// Public device info (the endpoint and keys stay on the server)
+function toDevice(sub) {
+  return {
+    id: sub.id,
+    label: sub.label,
+    userAgent: sub.userAgent,
+    endpointHost: new URL(sub.endpoint).host,
+    lastSuccessAt: sub.lastSuccessAt,
+    lastError: sub.lastError,
+    createdAt: sub.createdAt
+  };
+}
+
+// Save push subscription
+app.post('/api/push/subscribe', async (req, res) => {
+  try {
+    const { label, ...sub } = req.body || {};
+    if (!sub.endpoint || !sub.keys?.p256dh || !sub.keys?.auth || !URL.canParse(sub.endpoint)) {
+      return res.status(400).json({ error: 'Invalid subscription' });
+    }
+
+    const { id, created } = await pushOperations.upsert(req.user.id, sub, label, req.get('user-agent'));
+    if (created) console.log('🔔 New push subscription added');
+    res.json({ ok: true, id });
+  } catch (err) {
+    console.error('POST /api/push/subscribe error:', err);
+    res.status(500).json({ error: 'Failed to save subscription' });
+  }
+});
+
+// Remove push subscription (called after pushManager.unsubscribe() in the browser)
+app.delete('/api/push/subscribe', async (req, res) => {
+  try {
+    const { endpoint } = req.body || {};
+    if (!endpoint) {
+      return res.status(400).json({ error: 'endpoint is required' });
+    }
+    const removed = await pushOperations.deleteByEndpoint(endpoint, req.user.id);
+    res.json({ ok: true, removed });
+  } catch (err) {
+    console.error('DELETE /api/push/subscribe error:', err);
+    res.status(500).json({ error: 'Failed to remove subscription' });
+  }
+});
+
+// List subscribed devices
+app.get('/api/push/devices', async (req, res) => {
+  try {
+    const subs = await pushOperations.list(req.user.id);
+    res.json(subs.map(toDevice));
+  } catch (err) {
+    console.error('GET /api/push/devices error:', err);
+    res.status(500).json({ error: 'Failed to fetch devices' });
+  }
+});
+
+// Remove a device by id (e.g. an old browser that is no longer around)
+app.delete('/api/push/devices/:id', async (req, res) => {
+  try {
+    const removed = await pushOperations.deleteById(req.params.id, req.user.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/push/devices/:id error:', err);
+    res.status(500).json({ error: 'Failed to remove device' });
+  }
+});
+
+// Send a test notification to one device (`id`) or to all of them
+app.post('/api/push/test', async (req, res) => {
+  try {
+    if (!pushConfigured()) {
+      return res.status(503).json({ error: 'Web Push is not configured on the server' });
+    }
+
+    const { id } = req.body || {};
+    let subs;
+    if (id) {
+      const sub = await pushOperations.get(id, req.user.id);
+      if (!sub) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      subs = [sub];
+    } else {
+      subs = await pushOperations.list(req.user.id);
+    }
+
+    const payload = {
+      title: '🔔 Test notification',
+      body: 'Push notifications are working for this device.',
+      data: {},
+      icon: '/icon-192.png',
+      badge: '/icon-192.png'
+    };
+    const results = [];
+    for (const sub of subs) {
+      results.push({ id: sub.id, label: sub.label, ...(await sendPush(sub, payload)) });
+    }
+    res.json({ ok: results.some(r => r.ok), results });
+  } catch (err) {
+    console.error('POST /api/push/test error:', err);
+    res.status(500).json({ error: 'Failed to send test notification' });
+  }
+});
+
+// Offline edits carry the updatedAt they were based on; a newer server copy is a conflict.
+// SQLite timestamps have whole seconds, so compare at that resolution.
+function isStaleEdit(task, baseUpdatedAt) {
+  if (!baseUpdatedAt) return false;
+  // Clients echo back either our own 'YYYY-MM-DD HH:MM:SS' (UTC) or an ISO string
+  const base = parseDbTimestamp(String(baseUpdatedAt));
+  const current = parseDbTimestamp(task.updatedAt);
+  if (!base || !current) return false;
+  return Math.floor(current.getTime() / 1000) > Math.floor(base.getTime() / 1000);
+}
+
+// List tasks: ?status=all|open|completed&overdue=true&undated=true&dueFrom=&dueTo=&q=&projectId=&tag=
+// &sort=created|updated|due|title&order=asc|desc&limit=&cursor=
+app.get('/api/tasks', async (req, res) => {
+  try {
+    const filters = parseTaskQuery(req.query);
+    const { tasks, nextCursor } = await dbOperations.queryTasks(req.user.id, filters);
+    res.json({ tasks, nextCursor });
+  } catch (err) {
+    console.error('GET /api/tasks error:', err);
+    if (err.status === 400) {
+      res.status(400).json({ error: err.message });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch tasks' });
+    }
+  }
+});
+
+// One task (with its subtasks), e.g. for a link from a notification
+app.get('/api/tasks/:id', async (req, res) => {
+  try {
+    const task = await dbOperations.getTask(req.params.id, req.user.id);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(task);
+  } catch (err) {
+    console.error('GET /api/tasks/:id error:', err);
+    res.status(500).json({ error: 'Failed to fetch task' });
+  }
+});
+
+// Create task
+app.post('/api/tasks', async (req, res) => {
+  try {
+    let { title, notes, dueDate, email, input, recurrence, reminderOffsets, estimateMinutes, priority, projectId, tags, parentId } = req.body || {};
+    let projectName = null;
+
+    // Offline clients pick the id themselves so a replayed create is not duplicated
+    const clientId = req.body?.id;
+    if (clientId !== undefined) {
+      if (typeof clientId !== 'string' || !uuidValidate(clientId)) {
+        return res.status(400).json({ error: 'id must be a UUID' });
+      }
+      const existing = await dbOperations.findTaskById(clientId);
+      if (existing) {
+        if (existing.userId !== req.user.id) return res.status(409).json({ error: 'Task id already in use' });
+        return res.json(await dbOperations.getTask(clientId, req.user.id, { includeDeleted: true }));
+      }
+    }
+
+    // Subtasks live one level below a top-level task and share its project
+    let parent = null;
+    if (parentId) {
+      parent = await dbOperations.getTask(parentId, req.user.id);
+      if (!parent) return res.status(400).json({ error: 'Parent task not found' });
+      if (parent.parentId) return res.status(400).json({ error: 'Subtasks cannot have subtasks' });
+    }
+    
+    const timeZone = await requestTimezone(req);
+
+    // Parse natural language input if provided
+    if (!title && input) {
+      const parsed = await parseInput(input, { timeZone, language: await requestLanguage(req) });
+      title = parsed.title;
+      // A date picked in the client overrides the one read from the text
+      dueDate = dueDate !== undefined ? dueDate : parsed.dueDate || null;
+      recurrence = recurrence || parsed.recurrence;
+      reminderOffsets = reminderOffsets || parsed.reminderOffsets;
+      email = email || parsed.email;
+      if (estimateMinutes === undefined) estimateMinutes = parsed.durationMinutes;
+      if (priority === undefined) priority = parsed.priority;
+      // "@project" in the text wins over the project the client was showing
+      if (parsed.project) {
+        projectName = parsed.project;
+        projectId = undefined;
+      }
+      tags = [...(Array.isArray(tags) ? tags : []), ...parsed.tags];
+    }
+    
+    if (!title || !title.trim()) {
+      return res.status(400).json({ error: 'title or input is required' });
+    }
+
+    // A subtask repeats with its parent rather than on its own
+    recurrence = parent ? null : normalizeRecurrence(recurrence);
+    if (recurrence && !dueDate) dueDate = firstOccurrence(recurrence, null, timeZone);
+
+    const id = clientId || uuidv4();
+    const task = {
+      id,
+      title: title.trim(),
+      notes: typeof notes === 'string' ? notes : '',
+      dueDate: dueDate || null,
+      completed: false,
+      email: email || undefined,
+      recurrence,
+      seriesId: id,
+      occurrence: 1,
+      reminderOffsets: normalizeReminderOffsets(reminderOffsets),
+      estimateMinutes: normalizeEstimateMinutes(estimateMinutes),
+      priority: normalizePriority(priority),
+      userId: req.user.id,
+      projectId: parent ? parent.projectId : await resolveProjectId(req.user.id, { projectId, projectName }),
+      parentId: parent ? parent.id : null,
+      position: parent ? await dbOperations.nextSubtaskPosition(parent.id) : 0
+    };
+
+    const savedTask = await dbOperations.createTask(task);
+    savedTask.tags = await tagOperations.setForTask(id, req.user.id, tags);
+    savedTask.trackedMinutes = 0;
+    await recordTaskCreated(savedTask, req.user.id);
+    await scheduleReminder(savedTask);
+
+    liveEvents.publish(req.user.id, 'task.created', savedTask);
+    await emitWebhookEvent(req.user.id, 'task.created', { task: savedTask });
+    res.json(savedTask);
+  } catch (err) {
+    console.error('POST /api/tasks error:', err);
+    if (err.status === 400) {
+      res.status(400).json({ error: err.message });
+    } else {
+      res.status(500).json({ error: 'Failed to create task' });
+    }
+  }
+});
+
+// Applies an edit (a PUT /api/tasks/:id body) to one of the user's tasks: parses natural-language
+// input, hands a completed recurring task's rule to the next instance, keeps subtasks, reminders
+// and history in step and tells the user's open tabs. Returns the saved task and any new instance.
+// `timeZone` is the requester's; the user's saved zone is used without one. `publish: false` leaves
+// telling the tabs to the caller (batches send one tasks.changed instead).
+async function applyTaskUpdate(userId, existingTask, changes, timeZone = null, { publish = true } = {}) {
+  const id = existingTask.id;
+  const zone = timeZone || await getUserTimezone(userId);
+  const {
+    title, notes, dueDate, completed, email, input, recurrence, reminderOffsets, estimateMinutes, priority, projectId, statusId,
+    tags, completeSubtasks
+  } = changes;
+
+  let nextTitle = title;
+  let nextProjectId = projectId !== undefined
+    ? await resolveProjectId(userId, { projectId })
+    : existingTask.projectId;
+  let nextTags = Array.isArray(tags) ? tags : null;
+  let nextDue = dueDate;
+  // `recurrence: null` stops the series
+  let nextRecurrence = recurrence !== undefined && !existingTask.parentId
+    ? normalizeRecurrence(recurrence)
+    : existingTask.recurrence;
+  // `reminderOffsets: null` goes back to the default reminders, `[]` turns them off
+  let nextOffsets = reminderOffsets !== undefined ? normalizeReminderOffsets(reminderOffsets) : existingTask.reminderOffsets;
+  let nextEmail = email !== undefined ? email : existingTask.email;
+  let nextEstimate = estimateMinutes !== undefined ? normalizeEstimateMinutes(estimateMinutes) : existingTask.estimateMinutes;
+  let nextPriority = priority !== undefined ? normalizePriority(priority) : existingTask.priority;
+
+  // A board column decides `completed`. Completing or reopening a task in a column of the other
+  // kind moves it to the first column of its new kind.
+  let nextCompleted = typeof completed === 'boolean' ? completed : existingTask.completed;
+  let nextStatusId = existingTask.statusId;
+  if (statusId !== undefined && !existingTask.parentId) {
+    const status = statusId ? await statusOperations.get(statusId, userId) : null;
+    if (statusId && !status) throw badRequest('Status not found');
+    nextStatusId = status ? status.id : null;
+    if (status) nextCompleted = status.done;
+  } else if (nextCompleted !== existingTask.completed && existingTask.statusId) {
+    const status = await statusOperations.get(existingTask.statusId, userId);
+    if (!status || status.done !== nextCompleted) {
+      const defaults = await statusOperations.defaults(userId);
+      nextStatusId = nextCompleted ? defaults.done : defaults.open;
+    }
+  }
+  
+  // Parse natural language input if provided
+  if (input && !title && dueDate === undefined) {
+    const parsed = await parseInput(input, { timeZone: zone, language: await getUserLanguage(userId) });
+    nextTitle = parsed.title;
+    nextDue = parsed.dueDate;
+    if (parsed.recurrence && recurrence === undefined && !existingTask.parentId) nextRecurrence = parsed.recurrence;
+    if (parsed.reminderOffsets && reminderOffsets === undefined) nextOffsets = parsed.reminderOffsets;
+    if (parsed.email && email === undefined) nextEmail = parsed.email;
+    if (parsed.durationMinutes && estimateMinutes === undefined) nextEstimate = parsed.durationMinutes;
+    if (parsed.priority && priority === undefined) nextPriority = parsed.priority;
+    if (parsed.project && projectId === undefined) {
+      nextProjectId = await resolveProjectId(userId, { projectName: parsed.project });
+    }
+    if (parsed.tags.length && !nextTags) nextTags = [...existingTask.tags, ...parsed.tags];
+  }
+
+  // Moving an instance sets the series' time of day again when it is handed over
+  if (nextDue !== undefined && nextRecurrence?.time && recurrence === undefined) {
+    const { time, ...rule } = nextRecurrence;
+    nextRecurrence = rule;
+  }
+
+  const updates = {
+    title: nextTitle !== undefined ? nextTitle.trim() : existingTask.title,
+    notes: typeof notes === 'string' ? notes : existingTask.notes,
+    dueDate: nextDue !== undefined ? nextDue : existingTask.dueDate,
+    completed: nextCompleted,
+    email: nextEmail,
+    recurrence: nextRecurrence,
+    reminderOffsets: nextOffsets,
+    projectId: nextProjectId,
+    statusId: nextStatusId,
+    estimateMinutes: nextEstimate,
+    priority: nextPriority
+  };
+
+  // Completing a recurring instance hands the rule over to the next one
+  let nextTask = null;
+  if (updates.completed && !existingTask.completed && updates.recurrence) {
+    const followingDue = nextDueDate({ ...existingTask, ...updates }, zone);
+    if (followingDue) {
+      nextTask = {
+        id: uuidv4(),
+        title: updates.title,
+        notes: updates.notes,
+        dueDate: followingDue,
+        completed: false,
+        email: updates.email,
+        recurrence: seriesRule(updates.recurrence, updates.dueDate, zone),
+        seriesId: existingTask.seriesId,
+        occurrence: existingTask.occurrence + 1,
+        reminderOffsets: updates.reminderOffsets,
+        estimateMinutes: updates.estimateMinutes,
+        priority: updates.priority,
+        userId: existingTask.userId,
+        projectId: updates.projectId
+      };
+    }
+    updates.recurrence = null;
+  }
+
+  await dbOperations.updateTask(id, updates);
+  updates.updatedAt = new Date().toISOString();
+  if (nextTags) updates.tags = await tagOperations.setForTask(id, userId, nextTags);
+
+  if (updates.projectId !== existingTask.projectId && existingTask.subtasks?.length) {
+    await dbOperations.setSubtasksProject(id, updates.projectId);
+  }
+
+  // `completeSubtasks: true` with a completion finishes the checklist too
+  if (completeSubtasks && updates.completed && existingTask.subtasks?.length) {
+    await dbOperations.completeSubtasks(id);
+    for (const subtask of existingTask.subtasks) {
+      if (subtask.completed) continue;
+      await cancelReminder(subtask.id);
+      await recordTaskUpdated(subtask, { ...subtask, completed: true }, userId);
+      await emitWebhookEvent(userId, 'task.completed', {
+        task: { ...subtask, completed: true },
+        oldValues: { completed: false },
+        newValues: { completed: true }
+      });
+    }
+    updates.subtasks = await dbOperations.listSubtasks(id);
+  }
+  // Finishing a task ends the time tracked on it
+  if (updates.completed && !existingTask.completed && await timeEntryOperations.stopForTask(id)) {
+    liveEvents.publish(userId, 'timer.changed', { running: null });
+  }
+  const updatedTask = { ...existingTask, ...updates };
+  await recordTaskUpdated(existingTask, updatedTask, userId);
+  
+  // Re-schedule reminders when their timing changed (a title edit should not re-send them)
+  const remindersChanged = updates.dueDate !== existingTask.dueDate ||
+    updates.completed !== existingTask.completed ||
+    JSON.stringify(updates.reminderOffsets) !== JSON.stringify(existingTask.reminderOffsets);
+  if (remindersChanged) {
+    await scheduleReminder(updatedTask, true);
+  }
+
+  if (nextTask) {
+    nextTask = await dbOperations.createTask(nextTask);
+    nextTask.trackedMinutes = 0;
+    nextTask.tags = await tagOperations.setForTask(nextTask.id, userId, updatedTask.tags);
+    await recordTaskCreated(nextTask, userId, 'recurrence');
+    await scheduleReminder(nextTask);
+
+    // The next instance gets a fresh copy of the checklist, shifted along with the parent
+    const shift = existingTask.dueDate
+      ? new Date(nextTask.dueDate).getTime() - new Date(existingTask.dueDate).getTime()
+      : 0;
+    nextTask.subtasks = [];
+    for (const subtask of existingTask.subtasks || []) {
+      const copy = await dbOperations.createTask({
+        id: uuidv4(),
+        title: subtask.title,
+        notes: subtask.notes,
+        dueDate: subtask.dueDate ? new Date(new Date(subtask.dueDate).getTime() + shift).toISOString() : null,
+        completed: false,
+        email: subtask.email,
+        recurrence: null,
+        reminderOffsets: subtask.reminderOffsets,
+        userId: existingTask.userId,
+        projectId: nextTask.projectId,
+        parentId: nextTask.id,
+        position: subtask.position
+      });
+      await recordTaskCreated(copy, userId, 'recurrence');
+      await scheduleReminder(copy);
+      nextTask.subtasks.push(copy);
+    }
+  }
+
+  if (publish) {
+    liveEvents.publish(userId, 'task.updated', updatedTask);
+    if (nextTask) liveEvents.publish(userId, 'task.created', nextTask);
+  }
+  // Webhooks hear about every change, including batch actions and board moves that publish no live event
+  const { oldValues, newValues } = diffTask(existingTask, updatedTask);
+  if (Object.keys(newValues).length) {
+    const event = updates.completed && !existingTask.completed ? 'task.completed' : 'task.updated';
+    await emitWebhookEvent(userId, event, { task: updatedTask, oldValues, newValues });
+  }
+  if (nextTask) await emitWebhookEvent(userId, 'task.created', { task: nextTask });
+  return { task: updatedTask, nextTask };
+}
+
+// Update task
+app.put('/api/tasks/:id', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const existingTask = await dbOperations.getTask(id, req.user.id);
+    
+    if (!existingTask) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (isStaleEdit(existingTask, req.body?.baseUpdatedAt)) {
+      return res.status(409).json({ error: 'Task was changed on another device', conflict: true, task: existingTask });
+    }
+
+    const { task: updatedTask, nextTask } = await applyTaskUpdate(
+      req.user.id, existingTask, req.body || {}, await requestTimezone(req)
+    );
+    res.json(nextTask ? { ...updatedTask, nextTask } : updatedTask);
+  } catch (err) {
+    console.error('PUT /api/tasks/:id error:', err);
+    if (err.message === 'Task not found') {
+      res.status(404).json({ error: 'Task not found' });
+    } else if (err.status === 400) {
+      res.status(400).json({ error: err.message });
+    } else {
+      res.status(500).json({ error: 'Failed to update task' });
+    }
+  }
+});
+
+// Remind again in { minutes } (on top of the task's scheduled reminders)
+app.post('/api/tasks/:id/snooze', async (req, res) => {
+  try {
+    const task = await dbOperations.getTask(req.params.id, req.user.id);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    const remindAt = await snoozeReminder(task, parseSnoozeMinutes(req.body?.minutes));
+    res.json({ ok: true, remindAt });
+  } catch (err) {
+    console.error('POST /api/tasks/:id/snooze error:', err);
+    if (err.status === 400) {
+      res.status(400).json({ error: err.message });
+    } else {
+      res.status(500).json({ error: 'Failed to snooze reminder' });
+    }
+  }
+});
+
+// Delete task: moves it to the trash, or removes it for good with ?permanent=true
+app.delete('/api/tasks/:id', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const permanent = req.query.permanent === 'true';
+    const existingTask = await dbOperations.getTask(id, req.user.id, { includeDeleted: permanent });
+    
+    if (!existingTask) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (isStaleEdit(existingTask, req.query.baseUpdatedAt)) {
+      return res.status(409).json({ error: 'Task was changed on another device', conflict: true, task: existingTask });
+    }
+    
+    let deletedAt = existingTask.deletedAt;
+    if (permanent) {
+      await dbOperations.purgeTask(id);
+    } else {
+      deletedAt = await dbOperations.trashTask(id);
+      await taskEventOperations.record(id, req.user.id, 'deleted', {
+        oldValues: { deletedAt: null },
+        newValues: { deletedAt }
+      });
+    }
+    await cancelReminder(id);
+    for (const subtask of existingTask.subtasks || []) {
+      await cancelReminder(subtask.id);
+    }
+    if (await timeEntryOperations.stopForTask(id)) {
+      liveEvents.publish(req.user.id, 'timer.changed', { running: null });
+    }
+    
+    // Already gone from every list if it was in the trash
+    if (!existingTask.deletedAt) {
+      liveEvents.publish(req.user.id, 'task.deleted', { id, parentId: existingTask.parentId });
+      await emitWebhookEvent(req.user.id, 'task.deleted', { task: { ...existingTask, deletedAt }, permanent });
+    }
+    res.json({ ok: true, permanent, deleted: { ...existingTask, deletedAt } });
+  } catch (err) {
+    console.error('DELETE /api/tasks/:id error:', err);
+    res.status(500).json({ error: 'Failed to delete task' });
+  }
+});
+
+const BATCH_ACTIONS = ['complete', 'uncomplete', 'delete', 'reschedule', 'retag'];
+
+// Checks a POST /api/tasks/batch body. Reschedule takes { when } in natural language (parsed once
+// for the whole batch) or { dueDate } (null clears it); retag takes { addTags, removeTags }.
+async function parseBatchRequest(body, timeZone, language) {
+  const { action, ids } = body || {};
+  if (!BATCH_ACTIONS.includes(action)) {
+    throw badRequest(`action must be one of ${BATCH_ACTIONS.join(', ')}`);
+  }
+  if (!Array.isArray(ids) || !ids.length || ids.some(id => typeof id !== 'string')) {
+    throw badRequest('ids must be a non-empty list of task ids');
+  }
+  const batch = { action, ids: [...new Set(ids)] };
+  if (batch.ids.length > BATCH_MAX_TASKS) {
+    throw badRequest(`Batches are limited to ${BATCH_MAX_TASKS} tasks`);
+  }
+
+  if (action === 'complete') {
+    batch.completeSubtasks = body.completeSubtasks === true;
+  } else if (action === 'reschedule') {
+    if (typeof body.when === 'string' && body.when.trim()) {
+      const parsed = await parseInput(body.when, { timeZone, language });
+      if (!parsed.dueDate) throw badRequest(`Couldn't find a date in "${body.when}"`);
+      batch.dueDate = parsed.dueDate;
+    } else if (body.dueDate === null) {
+      batch.dueDate = null;
+    } else {
+      batch.dueDate = parseDateParam(body.dueDate, 'dueDate');
+      if (!batch.dueDate) throw badRequest('reschedule needs "when" or "dueDate"');
+    }
+  } else if (action === 'retag') {
+    batch.addTags = normalizeTagNames(body.addTags);
+    batch.removeTags = new Set(normalizeTagNames(body.removeTags).map(name => name.toLowerCase()));
+    if (!batch.addTags.length && !batch.removeTags.size) {
+      throw badRequest('retag needs "addTags" or "removeTags"');
+    }
+  }
+  return batch;
+}
+
+// The applyTaskUpdate changes a batch makes to one task
+function batchChanges(batch, task) {
+  switch (batch.action) {
+    case 'complete':
+      return { completed: true, completeSubtasks: batch.completeSubtasks };
+    case 'uncomplete':
+      return { completed: false };
+    case 'reschedule':
+      return { dueDate: batch.dueDate };
+    case 'retag':
+      return {
+        tags: [...task.tags.filter(name => !batch.removeTags.has(name.toLowerCase())), ...batch.addTags]
+      };
+  }
+}
+
+// Runs a batch in one transaction and returns a result per id, in order. Missing tasks and rejected
+// changes fail on their own; any other error rolls the whole batch back.
+function applyTaskBatch(userId, batch, timeZone) {
+  return withTransaction(async () => {
+    const results = [];
+    const tasks = new Map();
+    for (const id of batch.ids) {
+      tasks.set(id, await dbOperations.getTask(id, userId));
+    }
+
+    for (const id of batch.ids) {
+      const task = tasks.get(id);
+      if (!task) {
+        results.push({ id, ok: false, error: 'Task not found' });
+        continue;
+      }
+
+      if (batch.action === 'delete') {
+        // A subtask picked along with its parent goes to the trash with it, so restoring the parent
+        // brings it back too
+        if (task.parentId && tasks.get(task.parentId)) {
+          results.push({ id, ok: true });
+          continue;
+        }
+        const deletedAt = await dbOperations.trashTask(id);
+        await taskEventOperations.record(id, userId, 'deleted', {
+          oldValues: { deletedAt: null },
+          newValues: { deletedAt }
+        });
+        await cancelReminder(id);
+        for (const subtask of task.subtasks || []) {
+          await cancelReminder(subtask.id);
+        }
+        if (await timeEntryOperations.stopForTask(id)) {
+          liveEvents.publish(userId, 'timer.changed', { running: null });
+        }
+        await emitWebhookEvent(userId, 'task.deleted', { task: { ...task, deletedAt }, permanent: false });
+        results.push({ id, ok: true, deletedAt });
+        continue;
+      }
+
+      try {
+        const { task: updated, nextTask } = await applyTaskUpdate(
+          userId, task, batchChanges(batch, task), timeZone, { publish: false }
+        );
+        results.push(nextTask ? { id, ok: true, task: updated, nextTask } : { id, ok: true, task: updated });
+      } catch (err) {
+        if (err.status !== 400) throw err;
+        results.push({ id, ok: false, error: err.message });
+      }
+    }
+    return results;
+  });
+}
+
+// One action on many tasks: { action: 'complete' | 'uncomplete' | 'delete' | 'reschedule' | 'retag', ids }
+app.post('/api/tasks/batch', async (req, res) => {
+  try {
+    const timeZone = await requestTimezone(req);
+    const batch = await parseBatchRequest(req.body, timeZone, await requestLanguage(req));
+    const results = await applyTaskBatch(req.user.id, batch, timeZone);
+    const succeeded = results.filter(result => result.ok).length;
+
+    console.log(`📦 Batch ${batch.action}: ${succeeded} of ${results.length} task(s)`);
+    if (succeeded) liveEvents.publish(req.user.id, 'tasks.changed', { reason: 'batch' });
+    res.json({ action: batch.action, results, succeeded, failed: results.length - succeeded });
+  } catch (err) {
+    console.error('POST /api/tasks/batch error:', err);
+    if (err.status === 400) {
+      res.status(400).json({ error: err.message });
+    } else {
+      res.status(500).json({ error: 'Failed to update tasks' });
+    }
+  }
+});
+
+// Restore a task from the trash, with the subtasks deleted along with it
+app.post('/api/tasks/:id/restore', async (req, res) => {
+  try {
+    const task = await dbOperations.getTask(req.params.id, req.user.id, { includeDeleted: true });
+    if (!task || !task.deletedAt) {
+      return res.status(404).json({ error: 'Task is not in the trash' });
+    }
+    if (task.parentId && !(await dbOperations.getTask(task.parentId, req.user.id))) {
+      return res.status(400).json({ error: 'Restore the parent task first' });
+    }
+
+    await dbOperations.restoreTask(task.id);
+    await taskEventOperations.record(task.id, req.user.id, 'restored', {
+      oldValues: { deletedAt: task.deletedAt },
+      newValues: { deletedAt: null }
+    });
+    const restored = await dbOperations.getTask(task.id, req.user.id);
+    for (const item of [restored, ...(restored.subtasks || [])]) {
+      await scheduleReminder(item, true);
+    }
+
+    liveEvents.publish(req.user.id, 'task.created', restored);
+    res.json(restored);
+  } catch (err) {
+    console.error('POST /api/tasks/:id/restore error:', err);
+    res.status(500).json({ error: 'Failed to restore task' });
+  }
+});
+
+// A task's audit trail, newest first (also works for tasks in the trash)
+app.get('/api/tasks/:id/history', async (req, res) => {
+  try {
+    const task = await dbOperations.getTask(req.params.id, req.user.id, { includeDeleted: true });
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(await taskEventOperations.listForTask(task.id));
+  } catch (err) {
+    console.error('GET /api/tasks/:id/history error:', err);
+    res.status(500).json({ error: 'Failed to fetch task history' });
+  }
+});
+
+// Trash: deleted tasks, purged automatically after TRASH_RETENTION_DAYS
+app.get('/api/trash', async (req, res) => {
+  try {
+    const tasks = await dbOperations.listTrash(req.user.id);
+    res.json({ tasks, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (err) {
+    console.error('GET /api/trash error:', err);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// Empty the trash
+app.delete('/api/trash', async (req, res) => {
+  try {
+    const purged = await dbOperations.purgeTrash({ userId: req.user.id });
+    res.json({ ok: true, purged });
+  } catch (err) {
+    console.error('DELETE /api/trash error:', err);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+// List a task's subtasks in checklist order
+app.get('/api/tasks/:id/subtasks', async (req, res) => {
+  try {
+    const task = await dbOperations.getTask(req.params.id, req.user.id);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(task.subtasks || []);
+  } catch (err) {
+    console.error('GET /api/tasks/:id/subtasks error:', err);
+    res.status(500).json({ error: 'Failed to fetch subtasks' });
+  }
+});
+
+// Reorder subtasks: { ids: [...] } lists every subtask id in the new order
+app.put('/api/tasks/:id/subtasks/order', async (req, res) => {
+  try {
+    const task = await dbOperations.getTask(req.params.id, req.user.id);
+    if (!task || task.parentId) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { ids } = req.body || {};
+    const current = new Set((task.subtasks || []).map(t => t.id));
+    if (!Array.isArray(ids) || ids.length !== current.size || new Set(ids).size !== ids.length ||
+        !ids.every(id => current.has(id))) {
+      return res.status(400).json({ error: 'ids must list each subtask exactly once' });
+    }
+
+    await dbOperations.reorderSubtasks(task.id, ids);
+    const subtasks = await dbOperations.listSubtasks(task.id);
+    liveEvents.publish(req.user.id, 'task.updated', { ...task, subtasks });
+    res.json(subtasks);
+  } catch (err) {
+    console.error('PUT /api/tasks/:id/subtasks/order error:', err);
+    res.status(500).json({ error: 'Failed to reorder subtasks' });
+  }
+});
+
+// Move a task on the board: { statusId, beforeId } puts it in that column (completing or reopening it
+// to match) ahead of `beforeId`, or last without one. Leaving out statusId reorders within the column.
+app.post('/api/tasks/:id/move', async (req, res) => {
+  try {
+    const existingTask = await dbOperations.getTask(req.params.id, req.user.id);
+    if (!existingTask || existingTask.parentId) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    const { statusId, beforeId } = req.body || {};
+    if (beforeId !== undefined && beforeId !== null && typeof beforeId !== 'string') {
+      return res.status(400).json({ error: 'beforeId must be a task id' });
+    }
+
+    let task = existingTask;
+    let nextTask = null;
+    if (statusId !== undefined && (statusId || null) !== existingTask.statusId) {
+      ({ task, nextTask } = await applyTaskUpdate(
+        req.user.id, existingTask, { statusId }, await requestTimezone(req), { publish: false }
+      ));
+    }
+    const defaults = await statusOperations.defaults(req.user.id);
+    const column = task.statusId || (task.completed ? defaults.done : defaults.open);
+    await dbOperations.placeInColumn(req.user.id, task.id, column, beforeId || null, defaults);
+
+    task = await dbOperations.getTask(task.id, req.user.id);
+    // Other tasks in the column were renumbered too
+    liveEvents.publish(req.user.id, 'tasks.changed', { reason: 'board.moved' });
+    res.json(nextTask ? { ...task, nextTask } : task);
+  } catch (err) {
+    console.error('POST /api/tasks/:id/move error:', err);
+    if (err.status === 400) {
+      res.status(400).json({ error: err.message });
+    } else {
+      res.status(500).json({ error: 'Failed to move task' });
+    }
+  }
+});
+
+// The running timer: { running: entry | null }. Timers live in the database, so one left running
+// (tab closed, server restarted) is still here; `stale` marks one that was probably forgotten.
+app.get('/api/timer', async (req, res) => {
+  try {
+    res.json({ running: await timeEntryOperations.running(req.user.id) });
+  } catch (err) {
+    console.error('GET /api/timer error:', err);
+    res.status(500).json({ error: 'Failed to fetch timer' });
+  }
+});
+
+// Start tracking time on a task. Only one timer runs at a time: the one on another task stops.
+app.post('/api/tasks/:id/timer', async (req, res) => {
+  try {
+    const task = await dbOperations.getTask(req.params.id, req.user.id);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    const { entry, stopped } = await startTimer(req.user.id, task);
+    liveEvents.publish(req.user.id, 'timer.changed', { running: entry, stopped });
+    res.status(201).json({ running: entry, stopped });
+  } catch (err) {
+    console.error('POST /api/tasks/:id/timer error:', err);
+    if (isUniqueViolation(err)) {
+      res.status(409).json({ error: 'Another timer was started at the same time' });
+    } else {
+      res.status(500).json({ error: 'Failed to start timer' });
+    }
+  }
+});
+
+// Stop the running timer. { endedAt } between its start and now recovers a timer that was left
+// running by recording when the work actually stopped.
+app.post('/api/timer/stop', async (req, res) => {
+  try {
+    const running = await timeEntryOperations.running(req.user.id);
+    if (!running) {
+      return res.status(404).json({ error: 'No timer is running' });
+    }
+    const now = new Date().toISOString();
+    const endedAt = parseDateParam(req.body?.endedAt, 'endedAt') || now;
+    if (endedAt <= running.startedAt || endedAt > now) {
+      return res.status(400).json({ error: 'endedAt must be after the timer started and not in the future' });
+    }
+    await timeEntryOperations.stop(running.id, endedAt);
+    const stopped = stoppedEntry(running, endedAt);
+    liveEvents.publish(req.user.id, 'timer.changed', { running: null, stopped });
+    res.json({ stopped });
+  } catch (err) {
+    console.error('POST /api/timer/stop error:', err);
+    if (err.status === 400) {
+      res.status(400).json({ error: err.message });
+    } else {
+      res.status(500).json({ error: 'Failed to stop timer' });
+    }
+  }
+});
+
+// Tracked time summed per task, project or day: ?groupBy=task|project|day&from&to&format=json|csv.
+// Days are the user's; a session counts towards the day it started.
+app.get('/api/reports/time', async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'task';
+    if (!TIME_REPORT_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy must be one of ${TIME_REPORT_GROUPS.join(', ')}` });
+    }
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to');
+    const timeZone = await requestTimezone(req);
+    const entries = await timeEntryOperations.listForReport(req.user.id, { from, to });
+    const report = buildTimeReport(entries, groupBy, timeZone);
+
+    if (format === 'csv') {
+      const date = new Date().toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="time-by-${groupBy}-${date}.csv"`);
+      return res.send(timeReportToCsv(report, groupBy));
+    }
+    res.json({ groupBy, from, to, timeZone, ...report });
+  } catch (err) {
+    console.error('GET /api/reports/time error:', err);
+    if (err.status === 400) {
+      res.status(400).json({ error: err.message });
+    } else {
+      res.status(500).json({ error: 'Failed to build time report' });
+    }
+  }
+});
+
+// Productivity over ?from=&to= (days in the user's zone, last 30 by default): completions per day
+// and week, on-time rate, overdue count, lead time and streaks
+app.get('/api/stats', async (req, res) => {
+  try {
+    const timeZone = await requestTimezone(req);
+    const range = parseStatsRange(req.query, timeZone);
+    const rows = await statsOperations.listCompleted(req.user.id);
+    res.json(buildStats(rows, range, timeZone, await statsOperations.countOverdue(req.user.id)));
+  } catch (err) {
+    console.error('GET /api/stats error:', err);
+    if (err.status === 400) {
+      res.status(400).json({ error: err.message });
+    } else {
+      res.status(500).json({ error: 'Failed to compute statistics' });
+    }
+  }
+});
+
+// Webhooks. Registrations come back without their secret, which is shown once on create and on
+// { rotateSecret: true }; each carries its latest delivery for an at-a-glance status.
+app.get('/api/webhooks', async (req, res) => {
+  try {
+    const hooks = await webhookOperations.list(req.user.id);
+    for (const hook of hooks) {
+      const [lastDelivery] = await webhookDeliveryOperations.listForWebhook(hook.id, 1);
+      hook.lastDelivery = lastDelivery || null;
+    }
+    res.json({ webhooks: hooks, events: WEBHOOK_EVENTS });
+  } catch (err) {
+    console.error('GET /api/webhooks error:', err);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// Register a webhook: { url, events, description?, active? }
+app.post('/api/webhooks', async (req, res) => {
+  try {
+    const hook = await webhookOperations.create(req.user.id, await parseWebhookInput(req.body));
+    res.status(201).json(hook);
+  } catch (err) {
+    console.error('POST /api/webhooks error:', err);
+    if (err.status === 400) {
+      res.status(400).json({ error: err.message });
+    } else {
+      res.status(500).json({ error: 'Failed to create webhook' });
+    }
+  }
+});
+
+// Change any of { url, events, description, active }; { rotateSecret: true } issues a new secret
+app.put('/api/webhooks/:id', async (req, res) => {
+  try {
+    const existing = await webhookOperations.get(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    await webhookOperations.update(existing.id, req.user.id, await parseWebhookInput(req.body, { partial: true }));
+    const hook = await webhookOperations.get(existing.id, req.user.id);
+    if (req.body?.rotateSecret === true) hook.secret = await webhookOperations.rotateSecret(existing.id);
+    res.json(hook);
+  } catch (err) {
+    console.error('PUT /api/webhooks/:id error:', err);
+    if (err.status === 400) {
+      res.status(400).json({ error: err.message });
+    } else {
+      res.status(500).json({ error: 'Failed to update webhook' });
+    }
+  }
+});
+
+app.delete('/api/webhooks/:id', async (req, res) => {
+  try {
+    const removed = await webhookOperations.delete(req.params.id, req.user.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/webhooks/:id error:', err);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Delivery log, newest first (?limit=, default 50)
+app.get('/api/webhooks/:id/deliveries', async (req, res) => {
+  try {
+    const hook = await webhookOperations.get(req.params.id, req.user.id);
+    if (!hook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json(await webhookDeliveryOperations.listForWebhook(hook.id, limit));
+  } catch (err) {
+    console.error('GET /api/webhooks/:id/deliveries error:', err);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+// Send a logged delivery again, as a new delivery with the same payload
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const hook = await webhookOperations.get(req.params.id, req.user.id);
+    const delivery = hook && await webhookDeliveryOperations.get(req.params.deliveryId, hook.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (!hook.active) {
+      return res.status(400).json({ error: 'Turn the webhook on before redelivering' });
+    }
+    // One still waiting for a retry is replaced rather than sent twice
+    if (delivery.status === 'pending') await webhookDeliveryOperations.setStatus(delivery.id, 'cancelled');
+    const id = await webhookDeliveryOperations.create(hook.id, delivery.event, delivery.payload, delivery.id);
+    webhookDispatcher.wake();
+    res.status(201).json(await webhookDeliveryOperations.get(id, hook.id));
+  } catch (err) {
+    console.error('POST /api/webhooks/:id/deliveries/:deliveryId/redeliver error:', err);
+    res.status(500).json({ error: 'Failed to redeliver' });
+  }
+});
+
+// Validates { name, color } for projects and tags; returns an error message or null
+function validateOrganizer({ name, color }) {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > 50) {
+    return 'name is required (max 50 characters)';
+  }
+  if (/[#@]/.test(name)) {
+    return 'name cannot contain "#" or "@"';
+  }
+  if (color !== undefined && color !== null && !/^#[0-9a-f]{6}$/i.test(color)) {
+    return 'color must be a hex value like #3b82f6';
+  }
+  return null;
+}
+
+const isUniqueViolation = (err) => err?.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(err.message);
+
+// List projects with task counts
+app.get('/api/projects', async (req, res) => {
+  try {
+    res.json(await projectOperations.list(req.user.id));
+  } catch (err) {
+    console.error('GET /api/projects error:', err);
+    res.status(500).json({ error: 'Failed to fetch projects' });
+  }
+});
+
+// Create project
+app.post('/api/projects', async (req, res) => {
+  try {
+    const { name, color } = req.body || {};
+    const invalid = validateOrganizer({ name, color });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    res.status(201).json(await projectOperations.create(req.user.id, { name: name.trim(), color }));
+  } catch (err) {
+    if (isUniqueViolation(err)) {
+      return res.status(409).json({ error: 'A project with this name already exists' });
+    }
+    console.error('POST /api/projects error:', err);
+    res.status(500).json({ error: 'Failed to create project' });
+  }
+});
+
+// Rename or recolor project
+app.put('/api/projects/:id', async (req, res) => {
+  try {
+    const existing = await projectOperations.get(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    const name = req.body?.name !== undefined ? req.body.name : existing.name;
+    const color = req.body?.color !== undefined ? req.body.color : existing.color;
+    const invalid = validateOrganizer({ name, color });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    await projectOperations.update(existing.id, req.user.id, { name: name.trim(), color });
+    res.json(await projectOperations.get(existing.id, req.user.id));
+  } catch (err) {
+    if (isUniqueViolation(err)) {
+      return res.status(409).json({ error: 'A project with this name already exists' });
+    }
+    console.error('PUT /api/projects/:id error:', err);
+    res.status(500).json({ error: 'Failed to update project' });
+  }
+});
+
+// Delete project (its tasks are kept without a project)
+app.delete('/api/projects/:id', async (req, res) => {
+  try {
+    const removed = await projectOperations.delete(req.params.id, req.user.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    liveEvents.publish(req.user.id, 'tasks.changed', { reason: 'project.deleted' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/projects/:id error:', err);
+    res.status(500).json({ error: 'Failed to delete project' });
+  }
+});
+
+// List tags with usage counts
+app.get('/api/tags', async (req, res) => {
+  try {
+    res.json(await tagOperations.list(req.user.id));
+  } catch (err) {
+    console.error('GET /api/tags error:', err);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// Create tag
+app.post('/api/tags', async (req, res) => {
+  try {
+    const { name, color } = req.body || {};
+    const invalid = validateOrganizer({ name, color });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    res.status(201).json(await tagOperations.create(req.user.id, { name: name.trim(), color }));
+  } catch (err) {
+    if (isUniqueViolation(err)) {
+      return res.status(409).json({ error: 'A tag with this name already exists' });
+    }
+    console.error('POST /api/tags error:', err);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+});
+
+// Rename or recolor tag
+app.put('/api/tags/:id', async (req, res) => {
+  try {
+    const existing = await tagOperations.get(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    const name = req.body?.name !== undefined ? req.body.name : existing.name;
+    const color = req.body?.color !== undefined ? req.body.color : existing.color;
+    const invalid = validateOrganizer({ name, color });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    await tagOperations.update(existing.id, req.user.id, { name: name.trim(), color });
+    liveEvents.publish(req.user.id, 'tasks.changed', { reason: 'tag.updated' });
+    res.json(await tagOperations.get(existing.id, req.user.id));
+  } catch (err) {
+    if (isUniqueViolation(err)) {
+      return res.status(409).json({ error: 'A tag with this name already exists' });
+    }
+    console.error('PUT /api/tags/:id error:', err);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
+
+// Delete tag (removes it from every task)
+app.delete('/api/tags/:id', async (req, res) => {
+  try {
+    const removed = await tagOperations.delete(req.params.id, req.user.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    liveEvents.publish(req.user.id, 'tasks.changed', { reason: 'tag.deleted' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/tags/:id error:', err);
+    res.status(500).json({ error: 'Failed to delete tag' });
   }
+});
+
+// Validates a column's { name, color, done } on top of the organizer rules
+function validateStatus({ name, color, done }) {
+  if (done !== undefined && typeof done !== 'boolean') return 'done must be true or false';
+  return validateOrganizer({ name, color });
 }
 
-// Groq setup (free tier available)
-let groqApiKey = process.env.GROQ_API_KEY;
-if (groqApiKey) {
-  console.log('🚀 Groq API key configured');
-} else if (PARSER_PROVIDER === 'groq') {
-  console.log('ℹ️ GROQ_API_KEY not set. Get free API key from: https://console.groq.com/');
+// Every board keeps a column for open tasks and one for completed tasks
+function checkBoardColumns(statuses) {
+  if (!statuses.some(status => !status.done) || !statuses.some(status => status.done)) {
+    return 'The board needs at least one open and one done column';
+  }
+  return null;
 }
 
-// ---- AI Parsing Functions ----
+// List board columns in order (a new user gets the default columns)
+app.get('/api/statuses', async (req, res) => {
+  try {
+    res.json(await statusOperations.list(req.user.id));
+  } catch (err) {
+    console.error('GET /api/statuses error:', err);
+    res.status(500).json({ error: 'Failed to fetch statuses' });
+  }
+});
 
-// Enhanced local parser with better time handling
-async function parseInputLocal(input) {
-  const out = { title: String(input || '').trim(), dueDate: null };
-  
+// Add a column at the end of the board
+app.post('/api/statuses', async (req, res) => {
   try {
-    // Use chrono with better configuration
-    const results = chrono.parse(out.title, new Date(), { 
-      forwardDate: true,
-      timezone: DEFAULT_TIMEZONE 
-    });
-    
-    if (results.length > 0) {
-      const first = results[0];
-      const dt = first.start?.date?.();
-      if (dt instanceof Date && !isNaN(dt.getTime())) {
-        // Convert to UTC for storage
-        const utc = zonedTimeToUtc(dt, DEFAULT_TIMEZONE);
-        out.dueDate = utc.toISOString();
-        
-        // Remove the time part from title if it was parsed
-        if (first.text) {
-          out.title = out.title.replace(first.text, '').trim();
-          // Clean up extra spaces
-          out.title = out.title.replace(/\s+/g, ' ').trim();
-        }
-      }
-    } else {
-      // Enhanced heuristics for relative times
-      const lower = out.title.toLowerCase();
-      const now = new Date();
-      
-      // Handle "in X hours/minutes"
-      const inTimeMatch = lower.match(/in (\d+) (hour|hours|minute|minutes|min)/);
-      if (inTimeMatch) {
-        const amount = parseInt(inTimeMatch[1]);
-        const unit = inTimeMatch[2];
-        const minutes = unit.startsWith('hour') ? amount * 60 : amount;
-        const dueTime = new Date(now.getTime() + minutes * 60 * 1000);
-        out.dueDate = dueTime.toISOString();
-        out.title = out.title.replace(/in \d+ (hour|hours|minute|minutes|min)/i, '').trim();
-      }
-      // Handle other relative times
-      else if (lower.includes('tomorrow')) {
-        const d = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 9, 0, 0);
-        out.dueDate = d.toISOString();
-      } else if (lower.includes('today')) {
-        const d = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 17, 0, 0);
-        out.dueDate = d.toISOString();
-      } else if (lower.includes('next week')) {
-        const d = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-        d.setHours(9, 0, 0, 0);
-        out.dueDate = d.toISOString();
-      }
+    const { name, color, done } = req.body || {};
+    const invalid = validateStatus({ name, color, done });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
+    await statusOperations.list(req.user.id);
+    res.status(201).json(await statusOperations.create(req.user.id, { name: name.trim(), color, done }));
   } catch (err) {
-    console.warn('⚠️ Local parsing error:', err?.message);
+    if (isUniqueViolation(err)) {
+      return res.status(409).json({ error: 'A column with this name already exists' });
+    }
+    console.error('POST /api/statuses error:', err);
+    res.status(500).json({ error: 'Failed to create status' });
   }
-  
-  return out;
-}
+});
 
-// Groq API parser (free alternative to OpenAI)
-async function parseInputGroq(input) {
-  if (!groqApiKey) {
-    console.log('ℹ️ Groq API key not configured, falling back to local parser');
-    return parseInputLocal(input);
-  }
-  
+// Reorder columns: { ids: [...] } lists every column id in the new order
+app.put('/api/statuses/order', async (req, res) => {
   try {
-    const systemPrompt = `You are a task parser. Extract task information from natural language input.
-Current time: ${new Date().toISOString()}
-Timezone: ${DEFAULT_TIMEZONE}
-
-Return ONLY valid JSON with these keys:
-- title: string (the cleaned task description)
-- dueDate: string in ISO format or null
+    const { ids } = req.body || {};
+    const current = new Set((await statusOperations.list(req.user.id)).map(status => status.id));
+    if (!Array.isArray(ids) || ids.length !== current.size || new Set(ids).size !== ids.length ||
+        !ids.every(id => current.has(id))) {
+      return res.status(400).json({ error: 'ids must list each column exactly once' });
+    }
 
-Examples:
-"Call mom in 2 hours" → {"title": "Call mom", "dueDate": "2024-01-15T14:00:00.000Z"}
-"Meeting tomorrow at 3pm" → {"title": "Meeting", "dueDate": "2024-01-16T15:00:00.000Z"}
-"Buy groceries" → {"title": "Buy groceries", "dueDate": null}`;
-
-    const response = await axios.post('https://api.groq.com/openai/v1/chat/completions', {
-      model: 'meta-llama/llama-4-maverick-17b-128e-instruct', // Free model
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: input }
-      ],
-    }, {
-      headers: {
-        'Authorization': `Bearer ${groqApiKey}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    await statusOperations.reorder(req.user.id, ids);
+    // Tasks without a status may land in another column
+    liveEvents.publish(req.user.id, 'tasks.changed', { reason: 'statuses.updated' });
+    res.json(await statusOperations.list(req.user.id));
+  } catch (err) {
+    console.error('PUT /api/statuses/order error:', err);
+    res.status(500).json({ error: 'Failed to reorder statuses' });
+  }
+});
 
-    const content = response.data.choices?.[0]?.message?.content?.trim();
-    if (!content) throw new Error('Empty response from Groq');
+// Rename, recolor or change whether a column holds completed tasks. Flipping `done` completes or
+// reopens the tasks in the column.
+app.put('/api/statuses/:id', async (req, res) => {
+  try {
+    const statuses = await statusOperations.list(req.user.id);
+    const existing = statuses.find(status => status.id === req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Status not found' });
+    }
+    const name = req.body?.name !== undefined ? req.body.name : existing.name;
+    const color = req.body?.color !== undefined ? req.body.color : existing.color;
+    const done = req.body?.done !== undefined ? req.body.done : existing.done;
+    const invalid = validateStatus({ name, color, done }) ||
+      checkBoardColumns(statuses.map(status => (status.id === existing.id ? { ...status, done } : status)));
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
 
-    // Extract JSON from response (in case there's extra text)
-    const jsonMatch = content.match(/\{.*\}/s);
-    const jsonStr = jsonMatch ? jsonMatch[0] : content;
-    
-    const parsed = JSON.parse(jsonStr);
-    
-    // Validate and normalize
-    const title = (typeof parsed.title === 'string' && parsed.title.trim()) 
-      ? parsed.title.trim() 
-      : String(input || '').trim();
-    
-    let dueDate = null;
-    if (parsed.dueDate) {
-      const d = new Date(parsed.dueDate);
-      if (!isNaN(d.getTime())) {
-        dueDate = d.toISOString();
+    await statusOperations.update(existing.id, req.user.id, { name: name.trim(), color, done });
+    if (done !== existing.done) {
+      const timeZone = await requestTimezone(req);
+      const rows = await dbAll(
+        'SELECT id FROM tasks WHERE status_id = ? AND user_id = ? AND deleted_at IS NULL', [existing.id, req.user.id]
+      );
+      for (const row of rows) {
+        const task = await dbOperations.getTask(row.id, req.user.id);
+        await applyTaskUpdate(req.user.id, task, { statusId: existing.id }, timeZone, { publish: false });
       }
+      liveEvents.publish(req.user.id, 'tasks.changed', { reason: 'statuses.updated' });
     }
-    
-    return { title, dueDate };
-    
+    res.json(await statusOperations.get(existing.id, req.user.id));
   } catch (err) {
-    console.warn('⚠️ Groq parsing failed, using local fallback:', err?.response?.status || err?.message || err);
-    return parseInputLocal(input);
+    if (isUniqueViolation(err)) {
+      return res.status(409).json({ error: 'A column with this name already exists' });
+    }
+    console.error('PUT /api/statuses/:id error:', err);
+    res.status(500).json({ error: 'Failed to update status' });
   }
-}
+});
 
-// OpenAI parser (existing logic)
-async function parseInputOpenAI(input) {
-  if (!openai) {
-    return parseInputGroq(input); // Fall back to Groq if available
-  }
-  
+// Delete a column; its tasks move to the first column of their kind
+app.delete('/api/statuses/:id', async (req, res) => {
   try {
-    const systemPrompt = `You are a task parser. Extract task information and due dates from natural language.
-Current time: ${new Date().toISOString()}
-Timezone: ${DEFAULT_TIMEZONE}
-
-Return ONLY valid JSON: {"title": "...", "dueDate": "ISO string or null"}
-
-Handle relative times like "in 1 hour", "tomorrow at 3pm", "next Friday", etc.`;
-
-    const resp = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: input }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.1,
-    });
+    const statuses = await statusOperations.list(req.user.id);
+    if (!statuses.some(status => status.id === req.params.id)) {
+      return res.status(404).json({ error: 'Status not found' });
+    }
+    const invalid = checkBoardColumns(statuses.filter(status => status.id !== req.params.id));
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
 
-    const content = resp.choices?.[0]?.message?.content?.trim();
-    if (!content) throw new Error('Empty completion');
+    await statusOperations.delete(req.params.id, req.user.id);
+    liveEvents.publish(req.user.id, 'tasks.changed', { reason: 'statuses.updated' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/statuses/:id error:', err);
+    res.status(500).json({ error: 'Failed to delete status' });
+  }
+});
 
-    const parsed = JSON.parse(content);
-    
-    const title = (typeof parsed.title === 'string' && parsed.title.trim()) 
-      ? parsed.title.trim() 
-      : String(input || '').trim();
-    
-    let dueDate = null;
-    if (parsed.dueDate) {
-      const d = new Date(parsed.dueDate);
-      if (!isNaN(d.getTime())) dueDate = d.toISOString();
+// Reminder delivery history for a task
+app.get('/api/tasks/:id/reminders', async (req, res) => {
+  try {
+    const task = await dbOperations.getTask(req.params.id, req.user.id);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
     }
-    
-    return { title, dueDate };
+    res.json(await reminderOperations.listForTask(task.id));
   } catch (err) {
-    console.warn('⚠️ OpenAI parse failed, using Groq fallback:', err?.status || err?.message || err);
-    return parseInputGroq(input);
+    console.error('GET /api/tasks/:id/reminders error:', err);
+    res.status(500).json({ error: 'Failed to fetch reminders' });
   }
-}
+});
 
-// Main parsing function with provider selection
-async function parseInput(input) {
-  switch (PARSER_PROVIDER) {
-    case 'openai':
-      return parseInputOpenAI(input);
-    case 'groq':
-      return parseInputGroq(input);
-    case 'local':
-      return parseInputLocal(input);
-    default:
-      // Default cascade: try Groq first, then local
-      if (groqApiKey) {
-        return parseInputGroq(input);
-      } else {
-        return parseInputLocal(input);
-      }
-  }
+// Per-user preferences
+async function getSettingsResponse(userId) {
+  return {
+    defaultReminderOffsets: await getDefaultReminderOffsets(userId),
+    timezone: await getUserTimezone(userId),
+    language: await getUserLanguage(userId),
+    languages: SUPPORTED_LANGUAGES,
+    digest: await getDigestSettings(userId)
+  };
 }
 
-// ---- Reminder Functions ----
-function scheduleReminder(task, replace = false) {
-  if (!task || !task.dueDate || task.completed) return;
-
-  const now = new Date();
-  const due = new Date(task.dueDate);
-  if (isNaN(due.getTime())) {
-    console.warn(`⚠️ Invalid dueDate for task ${task.id}:`, task.dueDate);
-    return;
-  }
-
-  if (replace) cancelReminder(task.id);
-
-  // Target time is 1 hour before due
-  const target = new Date(due.getTime() - 60 * 60 * 1000);
-  let delayMs = target.getTime() - now.getTime();
-
-  // If within next hour, send shortly
-  if (due > now && delayMs <= 0) {
-    delayMs = 5 * 1000; // 5s
-  }
-
-  // Skip if overdue
-  if (due <= now) {
-    console.log(`⏰ Skipping reminder for overdue task "${task.title}" (${task.id})`);
-    return;
+app.get('/api/settings', async (req, res) => {
+  try {
+    // Picks up the browser's language the first time the app loads
+    await requestLanguage(req);
+    res.json(await getSettingsResponse(req.user.id));
+  } catch (err) {
+    console.error('GET /api/settings error:', err);
+    res.status(500).json({ error: 'Failed to fetch settings' });
   }
+});
 
-  // Clamp to max setTimeout
-  const MAX_DELAY = 2 ** 31 - 1;
-  delayMs = Math.min(delayMs, MAX_DELAY);
-
-  const timeoutId = setTimeout(async () => {
-    try {
-      await sendReminder(task, due);
-    } catch (err) {
-      console.error('❌ sendReminder error:', err?.message || err);
-    } finally {
-      reminders.delete(task.id);
+app.put('/api/settings', async (req, res) => {
+  try {
+    const { defaultReminderOffsets, timezone, language, digest } = req.body || {};
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone such as Europe/London' });
     }
-  }, Math.max(0, delayMs));
+    // null goes back to following the browser's language
+    if (language !== undefined && language !== null && !isSupportedLanguage(language)) {
+      return res.status(400).json({ error: `language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
+    }
+    const nextDigest = digest !== undefined ? normalizeDigestSettings(digest, await getDigestSettings(req.user.id)) : null;
 
-  reminders.set(task.id, timeoutId);
-  console.log(`⏰ Reminder scheduled for "${task.title}" in ${Math.round(delayMs / 1000)}s`);
-}
+    if (defaultReminderOffsets !== undefined) {
+      const offsets = normalizeReminderOffsets(defaultReminderOffsets);
+      if (!offsets) {
+        return res.status(400).json({ error: 'defaultReminderOffsets must be an array of minutes' });
+      }
+      await settingsOperations.set(req.user.id, 'defaultReminderOffsets', offsets);
 
-function cancelReminder(taskId) {
-  const existing = reminders.get(taskId);
-  if (existing) {
-    clearTimeout(existing);
-    reminders.delete(taskId);
-    console.log(`🗑️ Cancelled reminder for task ${taskId}`);
+      // Tasks without their own list follow the new default
+      const tasks = await dbOperations.getAllTasks(req.user.id);
+      for (const task of tasks) {
+        if (!task.completed && task.dueDate && !task.reminderOffsets) {
+          await scheduleReminder(task, true);
+        }
+      }
+    }
+    if (timezone !== undefined) await settingsOperations.set(req.user.id, 'timezone', timezone);
+    if (language !== undefined) await settingsOperations.set(req.user.id, 'language', language);
+    if (nextDigest) await settingsOperations.set(req.user.id, 'digest', nextDigest);
+    res.json(await getSettingsResponse(req.user.id));
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error('PUT /api/settings error:', err);
+    res.status(500).json({ error: 'Failed to update settings' });
   }
-}
-
-async function sendReminder(task, due) {
-  const humanDue = due.toLocaleString('en-US', { 
-    hour: 'numeric', 
-    minute: '2-digit', 
-    day: '2-digit', 
-    month: 'short', 
-    year: 'numeric',
-    timeZone: DEFAULT_TIMEZONE
-  });
-  
-  console.log(`🔔 Reminder: "${task.title}" is due in 1 hour at ${humanDue}`);
+});
 
-  // Email notification
-  const toEmail = task.email || DEFAULT_NOTIFY_EMAIL;
-  if (transporter && toEmail) {
-    try {
-      await transporter.sendMail({
-        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
-        to: toEmail,
-        subject: `📋 Task Reminder: ${task.title}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #333;">⏰ Task Reminder</h2>
-            <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
-              <h3 style="margin: 0; color: #555;">"${task.title}"</h3>
-              <p style="margin: 10px 0 0 0; color: #666;">Due in 1 hour at ${humanDue}</p>
-            </div>
-            <p style="color: #888; font-size: 12px;">
-              This reminder was sent from your task manager. 
-            </p>
-          </div>
-        `,
-        text: `Task Reminder: "${task.title}" is due in 1 hour at ${humanDue}.`
-      });
-      console.log(`📧 Email sent to ${toEmail}`);
-    } catch (err) {
-      console.warn('⚠️ Email send failed:', err?.message || err);
+// Renders a digest for the signed-in user without sending it
+app.post('/api/digest/preview', async (req, res) => {
+  try {
+    const kind = (req.body && req.body.kind) || 'daily';
+    if (!DIGEST_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${DIGEST_KINDS.join(', ')}` });
     }
+    const digest = await buildDigest(req.user, kind);
+    res.json({ kind, subject: digest.subject, html: digest.html, text: digest.text, empty: digest.empty });
+  } catch (err) {
+    console.error('POST /api/digest/preview error:', err);
+    res.status(500).json({ error: 'Failed to build digest preview' });
   }
+});
 
-  // Web Push notification
-  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY && pushSubscriptions.length) {
-    const payload = JSON.stringify({
-      title: '📋 Task Reminder',
-      body: `"${task.title}" is due in 1 hour (${humanDue})`,
-      data: { taskId: task.id },
-      icon: '/icon-192x192.png',
-      badge: '/badge-72x72.png'
+// Email-to-task address and allow-listed senders
+app.get('/api/inbound', async (req, res) => {
+  try {
+    const token = await settingsOperations.get(req.user.id, 'inboundToken', null);
+    res.json({
+      available: INBOUND_EMAIL_ENABLED,
+      address: inboundAddress(token),
+      ...(await getInboundSettings(req.user.id))
     });
-    
-    for (const sub of [...pushSubscriptions]) {
-      try {
-        await webpush.sendNotification(sub, payload);
-      } catch (err) {
-        console.warn('⚠️ Push send failed; pruning subscription:', err?.statusCode || err?.message || err);
-        pushSubscriptions = pushSubscriptions.filter(s => s !== sub);
+  } catch (err) {
+    console.error('GET /api/inbound error:', err);
+    res.status(500).json({ error: 'Failed to fetch email settings' });
+  }
+});
+
+app.put('/api/inbound', async (req, res) => {
+  try {
+    const { senders, parseBody } = req.body || {};
+    const settings = await getInboundSettings(req.user.id);
+    if (senders !== undefined) {
+      if (!Array.isArray(senders) || senders.some(sender => typeof sender !== 'string')) {
+        return res.status(400).json({ error: 'senders must be an array of email addresses' });
       }
+      const addresses = senders.map(sender => sender.trim().toLowerCase()).filter(Boolean);
+      const invalid = addresses.find(address => parseAddresses(address)[0] !== address);
+      if (invalid) return res.status(400).json({ error: `Not an email address: ${invalid}` });
+      settings.senders = [...new Set(addresses)];
     }
+    if (parseBody !== undefined) settings.parseBody = Boolean(parseBody);
+    await settingsOperations.set(req.user.id, 'inboundEmail', settings);
+    res.json({ ...settings });
+  } catch (err) {
+    console.error('PUT /api/inbound error:', err);
+    res.status(500).json({ error: 'Failed to update email settings' });
   }
-}
-
-// ---- Routes ----
+});
 
-// Health check
-app.get('/api/health', async (req, res) => {
+// Issue (or rotate) the secret part of the user's inbound address
+app.post('/api/inbound/address', async (req, res) => {
   try {
-    const tasks = await dbOperations.getAllTasks();
-    res.json({
-      status: 'OK',
-      tasks: tasks.length,
-      reminders: reminders.size,
-      uptime: process.uptime(),
-      database: 'connected',
-      aiProvider: PARSER_PROVIDER,
-      emailConfigured: !!transporter,
-      pushConfigured: !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY)
-    });
+    if (!INBOUND_EMAIL_ENABLED) {
+      return res.status(400).json({ error: 'INBOUND_EMAIL_DOMAIN and INBOUND_EMAIL_SECRET are not configured' });
+    }
+    const token = crypto.randomBytes(12).toString('hex');
+    await settingsOperations.set(req.user.id, 'inboundToken', token);
+    res.json({ address: inboundAddress(token) });
   } catch (err) {
-    res.status(500).json({ 
-      status: 'ERROR', 
-      error: err.message,
-      database: 'error' 
-    });
+    console.error('POST /api/inbound/address error:', err);
+    res.status(500).json({ error: 'Failed to create email address' });
   }
 });
 
-// Save push subscription
-app.post('/api/push/subscribe', (req, res) => {
-  const sub = req.body;
-  if (!sub || !sub.endpoint) {
-    return res.status(400).json({ error: 'Invalid subscription' });
-  }
-  
-  const exists = pushSubscriptions.find(s => s.endpoint === sub.endpoint);
-  if (!exists) {
-    pushSubscriptions.push(sub);
-    console.log('🔔 New push subscription added');
+// Calendar feed status; the URL itself is only shown when a token is issued
+app.get('/api/calendar/feed', (req, res) => {
+  res.json({ enabled: req.user.calendarFeed });
+});
+
+// Issue (or rotate) the calendar feed URL
+app.post('/api/calendar/feed', async (req, res) => {
+  try {
+    const token = await userOperations.rotateCalendarToken(req.user.id);
+    const base = PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    res.json({ enabled: true, url: `${base}/api/calendar.ics?token=${token}` });
+  } catch (err) {
+    console.error('POST /api/calendar/feed error:', err);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
   }
-  res.json({ ok: true });
 });
 
-// List all tasks
-app.get('/api/tasks', async (req, res) => {
+app.delete('/api/calendar/feed', async (req, res) => {
   try {
-    const tasks = await dbOperations.getAllTasks();
-    res.json(tasks);
+    await userOperations.disableCalendarFeed(req.user.id);
+    res.json({ enabled: false });
   } catch (err) {
-    console.error('GET /api/tasks error:', err);
-    res.status(500).json({ error: 'Failed to fetch tasks' });
+    console.error('DELETE /api/calendar/feed error:', err);
+    res.status(500).json({ error: 'Failed to disable calendar feed' });
   }
 });
 
-// Create task
-app.post('/api/tasks', async (req, res) => {
+// Import an .ics file (sent as text/calendar, or JSON { ics }) as tasks
+app.post('/api/calendar/import', express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }), async (req, res) => {
   try {
-    let { title, dueDate, email, input } = req.body || {};
-    
-    // Parse natural language input if provided
-    if (!title && input) {
-      const parsed = await parseInput(input);
-      title = parsed.title;
-      dueDate = parsed.dueDate || null;
-    }
-    
-    if (!title || !title.trim()) {
-      return res.status(400).json({ error: 'title or input is required' });
+    const text = typeof req.body === 'string' ? req.body : req.body?.ics;
+    if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+      return res.status(400).json({ error: 'Expected an iCalendar (.ics) file' });
     }
+    const projectId = await resolveProjectId(req.user.id, { projectId: req.query.projectId });
 
-    const task = {
-      id: uuidv4(),
-      title: title.trim(),
-      dueDate: dueDate || null,
-      completed: false,
-      email: email || undefined
-    };
+    const created = [];
+    const skipped = [];
+    for (const item of parseCalendar(text, await requestTimezone(req))) {
+      if (!item.title) {
+        skipped.push({ uid: item.uid, reason: 'Missing SUMMARY' });
+        continue;
+      }
+      // Re-importing our own feed should not duplicate tasks
+      const ownId = item.uid?.endsWith(`@${ICS_UID_DOMAIN}`) ? item.uid.slice(0, -ICS_UID_DOMAIN.length - 1) : null;
+      if (ownId && (await dbOperations.getTask(ownId, req.user.id))) {
+        skipped.push({ uid: item.uid, title: item.title, reason: 'Task already exists' });
+        continue;
+      }
 
-    const savedTask = await dbOperations.createTask(task);
-    scheduleReminder(savedTask);
-    
-    res.json(savedTask);
+      const id = uuidv4();
+      const task = await dbOperations.createTask({
+        id,
+        title: item.title.slice(0, 500),
+        notes: item.notes,
+        dueDate: item.dueDate,
+        completed: item.completed,
+        recurrence: item.recurrence,
+        seriesId: id,
+        occurrence: 1,
+        reminderOffsets: item.reminderOffsets,
+        userId: req.user.id,
+        projectId
+      });
+      task.tags = await tagOperations.setForTask(id, req.user.id, item.tags);
+      await recordTaskCreated(task, req.user.id, 'calendar');
+      await scheduleReminder(task);
+      created.push({ ...task, warnings: item.warnings });
+    }
+
+    console.log(`📅 Imported ${created.length} task(s) from .ics (${skipped.length} skipped)`);
+    if (created.length) liveEvents.publish(req.user.id, 'tasks.changed', { reason: 'import' });
+    res.json({ imported: created.length, tasks: created, skipped });
   } catch (err) {
-    console.error('POST /api/tasks error:', err);
-    res.status(500).json({ error: 'Failed to create task' });
+    console.error('POST /api/calendar/import error:', err);
+    if (err.status === 400) {
+      res.status(400).json({ error: err.message });
+    } else {
+      res.status(500).json({ error: 'Failed to import calendar' });
+    }
   }
 });
 
-// Update task
-app.put('/api/tasks/:id', async (req, res) => {
+// Export all of the user's tasks: ?format=json|csv|md
+app.get('/api/export', async (req, res) => {
   try {
-    const id = req.params.id;
-    const existingTask = await dbOperations.getTask(id);
-    
-    if (!existingTask) {
-      return res.status(404).json({ error: 'Task not found' });
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: 'format must be json, csv or md' });
     }
 
-    const { title, dueDate, completed, email, input } = req.body || {};
-
-    let nextTitle = title;
-    let nextDue = dueDate;
-    
-    // Parse natural language input if provided
-    if (input && !title && dueDate === undefined) {
-      const parsed = await parseInput(input);
-      nextTitle = parsed.title;
-      nextDue = parsed.dueDate;
+    const rows = await exportTasks(req.user.id);
+    let body;
+    if (format === 'csv') {
+      body = tasksToCsv(rows);
+    } else if (format === 'md') {
+      body = tasksToMarkdown(rows, req.user);
+    } else {
+      body = JSON.stringify({
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        user: { email: req.user.email, name: req.user.name || null },
+        settings: { defaultReminderOffsets: await getDefaultReminderOffsets(req.user.id) },
+        projects: (await projectOperations.list(req.user.id)).map(({ name, color }) => ({ name, color })),
+        tags: (await tagOperations.list(req.user.id)).map(({ name, color }) => ({ name, color })),
+        statuses: (await statusOperations.list(req.user.id)).map(({ name, color, done }) => ({ name, color, done })),
+        tasks: rows
+      }, null, 2);
     }
 
-    const updates = {
-      title: nextTitle !== undefined ? nextTitle.trim() : existingTask.title,
-      dueDate: nextDue !== undefined ? nextDue : existingTask.dueDate,
-      completed: typeof completed === 'boolean' ? completed : existingTask.completed,
-      email: email !== undefined ? email : existingTask.email
-    };
-
-    await dbOperations.updateTask(id, updates);
-    const updatedTask = { ...existingTask, ...updates };
-    
-    // Re-schedule reminder
-    scheduleReminder(updatedTask, true);
-    
-    res.json(updatedTask);
+    const filename = `tasks-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].ext}`;
+    res.set('Content-Type', `${EXPORT_FORMATS[format].type}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
   } catch (err) {
-    console.error('PUT /api/tasks/:id error:', err);
-    if (err.message === 'Task not found') {
-      res.status(404).json({ error: 'Task not found' });
-    } else {
-      res.status(500).json({ error: 'Failed to update task' });
-    }
+    console.error('GET /api/export error:', err);
+    res.status(500).json({ error: 'Failed to export tasks' });
   }
 });
 
-// Delete task
-app.delete('/api/tasks/:id', async (req, res) => {
+// Import tasks: ?format=json|csv|text&dryRun=true. The body is the file's text (a JSON
+// export, CSV with a header row, or one task per line); small JSON bodies may be sent as JSON,
+// with `dryRun: true` next to their "tasks" list. Either dryRun makes it a dry run.
+app.post('/api/import', express.text({ type: ['text/*'], limit: '5mb' }), async (req, res) => {
   try {
-    const id = req.params.id;
-    const existingTask = await dbOperations.getTask(id);
-    
-    if (!existingTask) {
-      return res.status(404).json({ error: 'Task not found' });
+    let dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+    const body = req.body;
+    let format = req.query.format;
+    if (!format) {
+      if (typeof body !== 'string') format = 'json';
+      else if (req.is('text/csv')) format = 'csv';
+      else format = /^\s*[[{]/.test(body) ? 'json' : 'text';
     }
-    
-    await dbOperations.deleteTask(id);
-    cancelReminder(id);
-    
-    res.json({ ok: true, deleted: existingTask });
+
+    let records;
+    let projects;
+    let statuses;
+    if (format === 'json') {
+      let data = body;
+      if (typeof body === 'string') {
+        try {
+          data = JSON.parse(body);
+        } catch {
+          return res.status(400).json({ error: 'Body is not valid JSON' });
+        }
+      }
+      records = Array.isArray(data) ? data : data?.tasks;
+      projects = data?.projects;
+      statuses = data?.statuses;
+      if (!Array.isArray(data) && data?.dryRun !== undefined) {
+        if (typeof data.dryRun !== 'boolean') return res.status(400).json({ error: 'dryRun must be true or false' });
+        dryRun = dryRun || data.dryRun;
+      }
+      if (!Array.isArray(records)) {
+        return res.status(400).json({ error: 'Expected a list of tasks or an export with a "tasks" list' });
+      }
+    } else if (format === 'csv') {
+      records = csvToRecords(typeof body === 'string' ? body : '');
+    } else if (format === 'text') {
+      records = await textToRecords(
+        typeof body === 'string' ? body : '', await requestTimezone(req), await requestLanguage(req)
+      );
+    } else {
+      return res.status(400).json({ error: 'format must be json, csv or text' });
+    }
+
+    if (!records.length) {
+      return res.status(400).json({ error: 'Nothing to import' });
+    }
+    if (records.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ error: `Imports are limited to ${IMPORT_MAX_ROWS} tasks` });
+    }
+
+    const result = await importRecords(req.user.id, records, { dryRun, projects, statuses });
+    if (!dryRun) {
+      console.log(`📥 Imported ${result.created} of ${result.total} task(s) (${format})`);
+      if (result.created) liveEvents.publish(req.user.id, 'tasks.changed', { reason: 'import' });
+    }
+    res.json(result);
   } catch (err) {
-    console.error('DELETE /api/tasks/:id error:', err);
-    res.status(500).json({ error: 'Failed to delete task' });
+    console.error('POST /api/import error:', err);
+    res.status(500).json({ error: 'Failed to import tasks' });
   }
 });
 
@@ -685,11 +6923,15 @@ app.post('/api/parse', async (req, res) => {
       return res.status(400).json({ error: 'input is required' });
     }
     
-    const result = await parseInput(input);
+    const timeZone = await requestTimezone(req);
+    const language = await requestLanguage(req);
+    const result = await parseInput(input, { timeZone, language });
     res.json({ 
       input, 
       result, 
-      provider: PARSER_PROVIDER,
+      provider: result.provider,
+      timeZone,
+      language,
       timestamp: new Date().toISOString()
     });
   } catch (err) {
@@ -702,11 +6944,11 @@ app.post('/api/parse', async (req, res) => {
 process.on('SIGINT', () => {
   console.log('\n🔄 Shutting down gracefully...');
   
-  // Clear all reminders
-  for (const [taskId, timeoutId] of reminders) {
-    clearTimeout(timeoutId);
-  }
-  reminders.clear();
+  // Stop the reminder scheduler; pending reminders stay in the database
+  reminderScheduler.shutdown();
+  webhookDispatcher.shutdown();
+  digestScheduler.stop();
+  liveEvents.closeAll();
   
   // Close database
   db.close((err) => {
@@ -720,27 +6962,67 @@ process.on('SIGINT', () => {
 });
 
 // ---- Server Start ----
+async function purgeExpiredTrash() {
+  try {
+    const before = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const purged = await dbOperations.purgeTrash({ before });
+    if (purged) console.log(`🗑️ Purged ${purged} task(s) from the trash`);
+  } catch (err) {
+    console.error('❌ Failed to purge trash:', err);
+  }
+}
+
+async function purgeWebhookLog() {
+  try {
+    const purged = await webhookDeliveryOperations.purge(
+      new Date(Date.now() - WEBHOOK_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    );
+    if (purged) console.log(`🪝 Purged ${purged} old webhook deliveries`);
+  } catch (err) {
+    console.error('❌ Failed to purge webhook deliveries:', err);
+  }
+}
+
 async function startServer() {
   try {
-    // Load existing tasks and schedule reminders
-    const existingTasks = await dbOperations.getAllTasks();
-    console.log(`📋 Loaded ${existingTasks.length} existing tasks`);
+    await dbReady;
+
+    // Tasks created before reminders were persisted get their reminder rows now
+    const existingTasks = await dbOperations.listOpenDatedTasks();
+    console.log(`📋 Loaded ${existingTasks.length} open tasks with due dates`);
     
     let scheduledCount = 0;
     for (const task of existingTasks) {
-      if (!task.completed && task.dueDate) {
-        scheduleReminder(task, true);
+      if (!task.completed && task.dueDate && !(await reminderOperations.countForTask(task.id))) {
+        await scheduleReminder(task);
         scheduledCount++;
       }
     }
-    
-    console.log(`⏰ Scheduled ${scheduledCount} reminders`);
+    if (scheduledCount) console.log(`⏰ Scheduled ${scheduledCount} reminders for existing tasks`);
+
+    await catchUpMissedReminders();
+    reminderScheduler.start();
+
+    await purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+    await purgeWebhookLog();
+    setInterval(purgeWebhookLog, TRASH_PURGE_INTERVAL_MS);
+    // Deliveries that were pending when the server stopped go out now
+    webhookDispatcher.start();
+    console.log(`🪝 Webhook dispatcher running (${await webhookDeliveryOperations.countPending()} pending)`);
+    console.log(`⏰ Reminder scheduler running (${await reminderOperations.countPending()} pending)`);
+    const runningTimers = await timeEntryOperations.countRunning();
+    if (runningTimers) console.log(`⏱️ ${runningTimers} timer(s) still running; users can stop them from the app`);
+    if (transporter) digestScheduler.start();
     
     app.listen(PORT, () => {
       console.log(`🚀 Task Manager API running on http://localhost:${PORT}`);
       console.log(`🌍 Default timezone: ${DEFAULT_TIMEZONE}`);
-      console.log(`🤖 AI Parser: ${PARSER_PROVIDER}`);
+      console.log(`🤖 AI Parser: ${PARSER_PROVIDERS.filter(name => name === 'local' || llmClients[name]).join(' → ')}`);
       console.log(`📧 Email: ${transporter ? 'configured' : 'not configured'}`);
+      if (INBOUND_EMAIL_DOMAIN && !INBOUND_EMAIL_SECRET) {
+        console.warn('⚠️ INBOUND_EMAIL_DOMAIN is set without INBOUND_EMAIL_SECRET; email-to-task is off');
+      }
       console.log(`🔔 Push notifications: ${(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) ? 'enabled' : 'disabled'}`);
     });
   } catch (err) {
@@ -749,4 +7031,12 @@ async function startServer() {
   }
 }
 
-startServer();
\ No newline at end of file
+// Tests load this file for its helpers without starting the server
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  chronoToDate, zonedWallTime, zonedDayRange, nextOccurrence, parseReminderPhrase, parseRecurrence, parseLocalDetails, seriesRule,
+  checkWebhookTarget, webhookAgent, tasksToCsv, csvToRecords, validateImportRecord, app, dbReady
+};
\ No newline at end of file
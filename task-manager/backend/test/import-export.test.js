@@ -0,0 +1,144 @@
+// Exports load back as they were written, and imports report bad rows. Run with `npm test`.
+process.env.DB_PATH = ':memory:';
+// dotenv reads .env from the working directory; keep a developer's mail, push and LLM settings out
+process.chdir(__dirname);
+// Node 20's test runner reads its results from this process's stdout, and a server log written
+// while it is mid-message breaks them
+console.log = console.error;
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { tasksToCsv, csvToRecords, validateImportRecord, app, dbReady } = require('../server');
+
+const exportRow = {
+  id: 'a1',
+  title: 'Quarterly report, "final" draft',
+  notes: 'Line one\nLine two, with a comma',
+  dueDate: '2026-03-02T09:00:00.000Z',
+  completed: false,
+  status: 'Doing',
+  priority: 'high',
+  email: 'sam@example.com',
+  project: 'Work',
+  tags: ['finance', 'q1'],
+  recurrence: { freq: 'weekly', interval: 1, byWeekday: [1] },
+  reminderOffsets: [1440, 60],
+  estimateMinutes: 90,
+  parentId: null,
+  position: 3,
+  createdAt: '2026-02-01T08:00:00.000Z',
+  updatedAt: '2026-02-02T08:00:00.000Z'
+};
+
+test('a CSV export reads back into the same tasks', () => {
+  const [record] = csvToRecords(tasksToCsv([exportRow]));
+  assert.deepEqual(validateImportRecord(record), validateImportRecord(exportRow));
+  const { errors, task } = validateImportRecord(record);
+  assert.deepEqual(errors, []);
+  assert.equal(task.notes, exportRow.notes);
+  assert.deepEqual(task.tags, ['finance', 'q1']);
+  assert.deepEqual(task.reminderOffsets, [1440, 60]);
+  assert.equal(task.estimateMinutes, 90);
+});
+
+test('csvToRecords reads hand-written headers', () => {
+  assert.deepEqual(csvToRecords('Title,Due Date,Completed\r\nCall Sam,2026-03-02,yes\r\n'), [
+    { title: 'Call Sam', dueDate: '2026-03-02', completed: 'yes' }
+  ]);
+});
+
+test('validateImportRecord reports every problem in a row', () => {
+  const { errors } = validateImportRecord({
+    title: ' ', dueDate: 'someday', completed: 'maybe', email: 'sam', priority: 'urgent',
+    estimateMinutes: '1.5', reminderOffsets: '60;soon', timeEntries: [{ startedAt: '2026-03-02T10:00:00Z', endedAt: '2026-03-02T09:00:00Z' }]
+  });
+  assert.equal(errors.length, 8);
+  assert.equal(errors[0], 'title is required');
+  assert.match(errors.join('\n'), /dueDate "someday"[\s\S]*completed "maybe"[\s\S]*priority "urgent"[\s\S]*email "sam"/);
+});
+
+// ---- Through the API ----
+
+let server;
+let base;
+
+before(async () => {
+  await dbReady;
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => server.close());
+
+let users = 0;
+async function signUp() {
+  const res = await fetch(`${base}/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: `import${++users}@example.com`, password: 'secretpass1', name: 'Import' })
+  });
+  const { token } = await res.json();
+  return (path, { method = 'GET', body, type = 'application/json' } = {}) => fetch(`${base}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': type },
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+// What an export says about each task, without ids and times that change on import
+const comparable = (tasks) => tasks.map(({ id, parentId, seriesId, createdAt, updatedAt, timeEntries, ...task }) => ({
+  ...task,
+  parent: tasks.find(t => t.id === parentId)?.title || null,
+  timeEntries: timeEntries.length
+})).sort((a, b) => a.title.localeCompare(b.title));
+
+test('exports load back into another account, in JSON and in CSV', async () => {
+  const api = await signUp();
+  const { id: reportId } = await (await api('/tasks', {
+    method: 'POST',
+    body: { title: 'Quarterly report', notes: 'Numbers, "final"', priority: 'high', estimateMinutes: 90, tags: ['finance'], dueDate: '2030-03-02T09:00:00.000Z' }
+  })).json();
+  await api('/tasks', { method: 'POST', body: { title: 'Check totals', parentId: reportId } });
+  const statuses = await (await api('/statuses')).json();
+  await api(`/tasks/${reportId}/move`, { method: 'POST', body: { statusId: statuses.find(s => s.name === 'Doing').id } });
+  await api('/tasks', { method: 'POST', body: { title: 'Water plants', recurrence: { freq: 'daily', interval: 2 } } });
+  const exported = await (await api('/export?format=json')).json();
+
+  for (const format of ['json', 'csv']) {
+    const file = await (await api(`/export?format=${format}`)).text();
+    const copy = await signUp();
+    const res = await copy(`/import?format=${format}`, { method: 'POST', body: file, type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const result = await res.json();
+    assert.equal(res.status, 200);
+    assert.deepEqual([result.created, result.errors], [3, []]);
+    const reimported = await (await copy('/export?format=json')).json();
+    assert.deepEqual(comparable(reimported.tasks), comparable(exported.tasks), format);
+  }
+});
+
+test('an import creates the valid rows and reports the others by row', async () => {
+  const api = await signUp();
+  const res = await api('/import', {
+    method: 'POST',
+    body: { tasks: [{ title: 'Good' }, { title: 'Bad date', dueDate: 'someday' }, { title: '' }] }
+  });
+  const result = await res.json();
+  assert.deepEqual([result.total, result.valid, result.created], [3, 1, 1]);
+  assert.deepEqual(result.errors, [
+    { row: 2, errors: ['dueDate "someday" is not a date'] },
+    { row: 3, errors: ['title is required'] }
+  ]);
+});
+
+test('dryRun in the query or in a JSON body creates nothing', async () => {
+  const api = await signUp();
+  const tasks = [{ title: 'Only a preview' }];
+  for (const [path, body] of [['/import?dryRun=true', { tasks }], ['/import', { tasks, dryRun: true }], ['/import?dryRun=1', { tasks, dryRun: false }]]) {
+    const result = await (await api(path, { method: 'POST', body })).json();
+    assert.deepEqual([result.dryRun, result.valid, result.created], [true, 1, 0], path);
+    assert.equal(result.tasks[0].title, 'Only a preview');
+  }
+  assert.equal((await (await api('/import', { method: 'POST', body: { tasks, dryRun: 'yes' } })).status), 400);
+  assert.deepEqual((await (await api('/export?format=json')).json()).tasks, []);
+});
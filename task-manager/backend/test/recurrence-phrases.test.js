@@ -0,0 +1,46 @@
+// Repeat rules in the add-task text. Run with `npm test`.
+process.env.DB_PATH = ':memory:';
+// dotenv reads .env from the working directory; keep a developer's mail, push and LLM settings out
+process.chdir(__dirname);
+// Node 20's test runner reads its results from this process's stdout, and a server log written
+// while it is mid-message breaks them
+console.log = console.error;
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRecurrence } = require('../server');
+
+const ZONE = 'Europe/Berlin';
+const rule = (text) => parseRecurrence(text, ZONE).recurrence;
+
+test('parseRecurrence reads "every" and "each" phrases anywhere', () => {
+  assert.deepEqual(rule('every day review inbox'), { freq: 'daily', interval: 1 });
+  assert.deepEqual(rule('Stand-up each weekday at 9am'), { freq: 'weekly', interval: 1, byWeekday: [1, 2, 3, 4, 5] });
+  assert.deepEqual(rule('Pay rent every month'), { freq: 'monthly', interval: 1 });
+});
+
+test('parseRecurrence reads a bare adverb at the end of the text', () => {
+  const parsed = parseRecurrence('Water the plants daily', ZONE);
+  assert.deepEqual(parsed.recurrence, { freq: 'daily', interval: 1 });
+  assert.equal(parsed.text, 'Water the plants');
+  assert.deepEqual(rule('Back up the laptop weekly.'), { freq: 'weekly', interval: 1 });
+  assert.deepEqual(rule('Renew the domain annually'), { freq: 'yearly', interval: 1 });
+});
+
+test('parseRecurrence reads a bare adverb before a time, day or end condition', () => {
+  assert.deepEqual(rule('Take vitamins daily at 8am'), { freq: 'daily', interval: 1 });
+  assert.deepEqual(rule('Team sync weekly on Monday'), { freq: 'weekly', interval: 1, byWeekday: [1] });
+  assert.deepEqual(rule('Physio weekly for 6 times'), { freq: 'weekly', interval: 1, count: 6 });
+});
+
+test('parseRecurrence leaves an adverb used as an adjective in the title', () => {
+  for (const text of ['Review weekly report', 'Prepare daily standup notes', 'Send monthly invoice to Acme', 'yearly review with Sam']) {
+    assert.deepEqual(parseRecurrence(text, ZONE), { recurrence: null, text });
+  }
+});
+
+test('parseRecurrence still reads adverbs in German, French and Spanish', () => {
+  assert.deepEqual(rule('Blumen täglich gießen'), { freq: 'daily', interval: 1 });
+  assert.deepEqual(rule('Sauvegarde hebdomadairement'), { freq: 'weekly', interval: 1 });
+  assert.deepEqual(rule('Pagar alquiler mensualmente'), { freq: 'monthly', interval: 1 });
+});
@@ -0,0 +1,63 @@
+// "remind me ..." phrases in the add-task text. Run with `npm test`.
+process.env.DB_PATH = ':memory:';
+// dotenv reads .env from the working directory; keep a developer's mail, push and LLM settings out
+process.chdir(__dirname);
+// Node 20's test runner reads its results from this process's stdout, and a server log written
+// while it is mid-message breaks them
+console.log = console.error;
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReminderPhrase } = require('../server');
+
+const DAY = 24 * 60;
+
+test('parseReminderPhrase reads one offset', () => {
+  assert.deepEqual(parseReminderPhrase('Call mom tomorrow, remind me 30 minutes before'), {
+    reminderOffsets: [30],
+    text: 'Call mom tomorrow'
+  });
+  assert.deepEqual(parseReminderPhrase('Pay rent remind me a day before').reminderOffsets, [DAY]);
+});
+
+test('parseReminderPhrase reads amounts that share one "before"', () => {
+  assert.deepEqual(parseReminderPhrase('Dentist friday 3pm, remind me 1 day and 30 minutes before'), {
+    reminderOffsets: [DAY, 30],
+    text: 'Dentist friday 3pm'
+  });
+});
+
+test('parseReminderPhrase reads a list of offsets and the due time', () => {
+  assert.deepEqual(
+    parseReminderPhrase('Submit report friday 5pm, remind me 1 day before, 1 hour before and at due time'),
+    { reminderOffsets: [DAY, 60, 0], text: 'Submit report friday 5pm' }
+  );
+  assert.deepEqual(
+    parseReminderPhrase('Flight monday 9am remind me at due time, 2 hours before and 1 week before'),
+    { reminderOffsets: [7 * DAY, 120, 0], text: 'Flight monday 9am' }
+  );
+  assert.deepEqual(parseReminderPhrase('Standup 10am, remind me when it\'s due').reminderOffsets, [0]);
+});
+
+test('parseReminderPhrase leaves text after the list in the title', () => {
+  assert.deepEqual(parseReminderPhrase('Call Sam remind me 1 hour before about the contract'), {
+    reminderOffsets: [60],
+    text: 'Call Sam about the contract'
+  });
+});
+
+test('parseReminderPhrase reads lists in German, French and Spanish', () => {
+  assert.deepEqual(parseReminderPhrase('Zahnarzt Freitag, erinnere mich 1 Tag vorher, 2 Stunden vorher und bei Fälligkeit'), {
+    reminderOffsets: [DAY, 120, 0],
+    text: 'Zahnarzt Freitag'
+  });
+  assert.deepEqual(
+    parseReminderPhrase("Dentiste vendredi, rappelle-moi 1 jour avant et à l'échéance").reminderOffsets,
+    [DAY, 0]
+  );
+  assert.deepEqual(parseReminderPhrase('Dentista viernes, recuérdame 2 horas antes y 1 día antes').reminderOffsets, [DAY, 120]);
+});
+
+test('parseReminderPhrase leaves text without a reminder alone', () => {
+  assert.deepEqual(parseReminderPhrase('Buy milk tomorrow'), { reminderOffsets: null, text: 'Buy milk tomorrow' });
+});
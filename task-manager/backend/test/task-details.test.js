@@ -0,0 +1,37 @@
+// Priority, duration and recipient cues in the add-task text. Run with `npm test`.
+process.env.DB_PATH = ':memory:';
+// dotenv reads .env from the working directory; keep a developer's mail, push and LLM settings out
+process.chdir(__dirname);
+// Node 20's test runner reads its results from this process's stdout, and a server log written
+// while it is mid-message breaks them
+console.log = console.error;
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLocalDetails } = require('../server');
+
+test('parseLocalDetails takes the reminder recipient from "email", "notify" or "cc"', () => {
+  assert.deepEqual(parseLocalDetails('Send slides tomorrow, notify Sam@Example.com'), {
+    text: 'Send slides tomorrow',
+    priority: null,
+    durationMinutes: null,
+    email: 'sam@example.com'
+  });
+  assert.equal(parseLocalDetails('Renew passport email me@example.org').email, 'me@example.org');
+});
+
+test('parseLocalDetails leaves a bare address in the title and sends no reminders to it', () => {
+  const text = 'Reply to sam@client.com about the invoice tomorrow';
+  assert.deepEqual(parseLocalDetails(text), { text, priority: null, durationMinutes: null, email: null });
+});
+
+test('parseLocalDetails reads the priority and the estimate', () => {
+  assert.deepEqual(parseLocalDetails('Fix login bug !high (1h 30m)'), {
+    text: 'Fix login bug',
+    priority: 'high',
+    durationMinutes: 90,
+    email: null
+  });
+  assert.equal(parseLocalDetails('Call the bank !!').priority, 'high');
+  assert.equal(parseLocalDetails('Water plants !low').priority, 'low');
+});
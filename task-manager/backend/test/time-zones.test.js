@@ -0,0 +1,141 @@
+// Zoned date helpers across daylight saving changes:
+//   Europe/Berlin      forward 2026-03-29 02:00 → 03:00, back 2026-10-25 03:00 → 02:00
+//   America/New_York   forward 2026-03-08 02:00 → 03:00, back 2026-11-01 02:00 → 01:00
+// Run with `npm test`.
+process.env.DB_PATH = ':memory:';
+// chrono can't read a time that falls in a DST gap of the machine's own zone, whatever zone it is
+// told to use, so the results would depend on where the tests run
+process.env.TZ = 'UTC';
+// dotenv reads .env from the working directory; keep a developer's mail, push and LLM settings out
+process.chdir(__dirname);
+// Node 20's test runner reads its results from this process's stdout, and a server log written
+// while it is mid-message breaks them
+console.log = console.error;
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const chrono = require('chrono-node');
+const { chronoToDate, zonedWallTime, zonedDayRange, nextOccurrence, seriesRule } = require('../server');
+
+const BERLIN = 'Europe/Berlin';
+const NEW_YORK = 'America/New_York';
+const HOUR = 60 * 60 * 1000;
+
+const iso = (date) => date.toISOString();
+// chrono reads the wall clock on a fixed offset, the way the server calls it
+const parsed = (text) => chrono.parse(text, { instant: new Date('2026-01-01T00:00:00Z'), timezone: 0 })[0].start;
+
+test('chronoToDate reads the wall clock with the offset of the parsed day', () => {
+  assert.equal(iso(chronoToDate(parsed('March 28 2026 at 9am'), BERLIN)), '2026-03-28T08:00:00.000Z');
+  assert.equal(iso(chronoToDate(parsed('March 29 2026 at 9am'), BERLIN)), '2026-03-29T07:00:00.000Z');
+  assert.equal(iso(chronoToDate(parsed('October 25 2026 at 9am'), BERLIN)), '2026-10-25T08:00:00.000Z');
+  assert.equal(iso(chronoToDate(parsed('March 8 2026 at 9am'), NEW_YORK)), '2026-03-08T13:00:00.000Z');
+  assert.equal(iso(chronoToDate(parsed('November 1 2026 at 9am'), NEW_YORK)), '2026-11-01T14:00:00.000Z');
+});
+
+test('chronoToDate moves a time skipped by spring-forward past the jump', () => {
+  // 02:30 does not exist on these days; it becomes 03:30 summer time
+  assert.equal(iso(chronoToDate(parsed('March 29 2026 at 2:30am'), BERLIN)), '2026-03-29T01:30:00.000Z');
+  assert.equal(iso(chronoToDate(parsed('March 8 2026 at 2:30am'), NEW_YORK)), '2026-03-08T07:30:00.000Z');
+});
+
+test('chronoToDate takes the first of the two readings on fall-back', () => {
+  assert.equal(iso(chronoToDate(parsed('October 25 2026 at 2:30am'), BERLIN)), '2026-10-25T00:30:00.000Z');
+  assert.equal(iso(chronoToDate(parsed('November 1 2026 at 1:30am'), NEW_YORK)), '2026-11-01T05:30:00.000Z');
+});
+
+test('chronoToDate replaces the time of day when one is given', () => {
+  assert.equal(iso(chronoToDate(parsed('October 25 2026'), BERLIN, '23:59:59')), '2026-10-25T22:59:59.000Z');
+  assert.equal(iso(chronoToDate(parsed('March 29 2026'), BERLIN, '23:59:59')), '2026-03-29T21:59:59.000Z');
+});
+
+test('chronoToDate keeps an explicit offset', () => {
+  assert.equal(iso(chronoToDate(parsed('March 29 2026 at 2:30am UTC'), BERLIN)), '2026-03-29T02:30:00.000Z');
+});
+
+test('zonedWallTime lands on the wall clock time across a change', () => {
+  assert.equal(iso(zonedWallTime(1, '09:00', BERLIN, new Date('2026-03-28T12:00:00Z'))), '2026-03-29T07:00:00.000Z');
+  assert.equal(iso(zonedWallTime(1, '09:00', BERLIN, new Date('2026-10-24T12:00:00Z'))), '2026-10-25T08:00:00.000Z');
+  assert.equal(iso(zonedWallTime(1, '09:00', NEW_YORK, new Date('2026-03-07T17:00:00Z'))), '2026-03-08T13:00:00.000Z');
+  assert.equal(iso(zonedWallTime(7, '09:00', NEW_YORK, new Date('2026-10-30T13:00:00Z'))), '2026-11-06T14:00:00.000Z');
+});
+
+test('zonedWallTime counts days from the date in the zone, not in UTC', () => {
+  // 23:30 UTC on March 28 is already March 29 in Berlin
+  assert.equal(iso(zonedWallTime(0, '09:00', BERLIN, new Date('2026-03-28T23:30:00Z'))), '2026-03-29T07:00:00.000Z');
+  assert.equal(iso(zonedWallTime(0, '02:30', BERLIN, new Date('2026-03-29T12:00:00Z'))), '2026-03-29T01:30:00.000Z');
+});
+
+test('zonedDayRange spans 23 hours on spring-forward and 25 on fall-back', () => {
+  const spring = zonedDayRange(new Date('2026-03-29T12:00:00Z'), BERLIN);
+  assert.equal(spring.day, '2026-03-29');
+  assert.equal(iso(spring.start), '2026-03-28T23:00:00.000Z');
+  assert.equal(iso(spring.end), '2026-03-29T22:00:00.000Z');
+  assert.equal(spring.end - spring.start, 23 * HOUR);
+
+  const fall = zonedDayRange(new Date('2026-11-01T12:00:00Z'), NEW_YORK);
+  assert.equal(fall.day, '2026-11-01');
+  assert.equal(iso(fall.start), '2026-11-01T04:00:00.000Z');
+  assert.equal(iso(fall.end), '2026-11-02T05:00:00.000Z');
+  assert.equal(fall.end - fall.start, 25 * HOUR);
+});
+
+test('zonedDayRange starts at the first instant of a day whose midnight is skipped', () => {
+  // Chile moves its clocks forward at midnight: September 6 starts at 01:00
+  const day = zonedDayRange(new Date('2026-09-06T12:00:00Z'), 'America/Santiago');
+  assert.equal(iso(day.start), '2026-09-06T04:00:00.000Z');
+  assert.equal(day.end - day.start, 23 * HOUR);
+});
+
+test('nextOccurrence keeps the time of day across spring-forward', () => {
+  assert.equal(iso(nextOccurrence({ freq: 'daily' }, new Date('2026-03-28T08:00:00Z'), BERLIN)), '2026-03-29T07:00:00.000Z');
+  assert.equal(
+    iso(nextOccurrence({ freq: 'weekly' }, new Date('2026-03-02T14:00:00Z'), NEW_YORK)),
+    '2026-03-09T13:00:00.000Z'
+  );
+  assert.equal(
+    iso(nextOccurrence({ freq: 'weekly', byWeekday: [1, 3] }, new Date('2026-03-25T08:00:00Z'), BERLIN)),
+    '2026-03-30T07:00:00.000Z'
+  );
+});
+
+test('nextOccurrence keeps a series due in the spring-forward gap at its own time', () => {
+  // Daily at 02:30 in Berlin: March 29 has no 02:30 and is due at 03:30, the days after at 02:30 again
+  const rule = seriesRule({ freq: 'daily' }, '2026-03-28T01:30:00Z', BERLIN);
+  const dueDates = ['2026-03-28T01:30:00Z'];
+  for (let i = 0; i < 3; i++) dueDates.push(iso(nextOccurrence(rule, new Date(dueDates[i]), BERLIN)));
+  assert.deepEqual(dueDates.slice(1), ['2026-03-29T01:30:00.000Z', '2026-03-30T00:30:00.000Z', '2026-03-31T00:30:00.000Z']);
+
+  assert.equal(
+    iso(nextOccurrence(seriesRule({ freq: 'weekly' }, '2026-03-01T07:30:00Z', NEW_YORK), new Date('2026-03-08T07:30:00Z'), NEW_YORK)),
+    '2026-03-15T06:30:00.000Z'
+  );
+});
+
+test('seriesRule keeps a time the rule already has', () => {
+  assert.deepEqual(seriesRule({ freq: 'daily', time: '02:30:00' }, '2026-03-29T01:30:00Z', BERLIN), {
+    freq: 'daily',
+    time: '02:30:00'
+  });
+  assert.deepEqual(seriesRule({ freq: 'daily' }, null, BERLIN), { freq: 'daily' });
+});
+
+test('nextOccurrence keeps the time of day across fall-back', () => {
+  assert.equal(iso(nextOccurrence({ freq: 'daily' }, new Date('2026-10-24T07:00:00Z'), BERLIN)), '2026-10-25T08:00:00.000Z');
+  assert.equal(
+    iso(nextOccurrence({ freq: 'monthly' }, new Date('2026-10-15T13:00:00Z'), NEW_YORK)),
+    '2026-11-15T14:00:00.000Z'
+  );
+  assert.equal(
+    iso(nextOccurrence({ freq: 'yearly' }, new Date('2025-11-01T13:00:00Z'), NEW_YORK)),
+    '2026-11-01T14:00:00.000Z'
+  );
+});
+
+test('nextOccurrence clamps to the end of a shorter month', () => {
+  assert.equal(iso(nextOccurrence({ freq: 'monthly' }, new Date('2026-01-31T08:00:00Z'), BERLIN)), '2026-02-28T08:00:00.000Z');
+  assert.equal(
+    iso(nextOccurrence({ freq: 'monthly', byMonthDay: 31 }, new Date('2026-02-28T08:00:00Z'), BERLIN)),
+    '2026-03-31T07:00:00.000Z'
+  );
+});
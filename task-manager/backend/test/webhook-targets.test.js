@@ -0,0 +1,57 @@
+// Webhooks must not reach this server or the network it runs in. Run with `npm test`.
+process.env.DB_PATH = ':memory:';
+process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+// dotenv reads .env from the working directory; keep a developer's mail, push and LLM settings out
+process.chdir(__dirname);
+// Node 20's test runner reads its results from this process's stdout, and a server log written
+// while it is mid-message breaks them
+console.log = console.error;
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { checkWebhookTarget, webhookAgent } = require('../server');
+
+const blocked = { status: 400, blocked: true, message: 'url must point to a public address' };
+
+test('checkWebhookTarget refuses loopback and private addresses', async () => {
+  for (const url of [
+    'http://127.0.0.1:8080/hook', 'http://10.1.2.3/', 'http://172.16.0.1/', 'http://192.168.1.10/',
+    'http://169.254.169.254/latest/meta-data', 'http://0.0.0.0/', 'http://[::1]/', 'http://[fd00::1]/', 'http://[fe80::1]/'
+  ]) {
+    await assert.rejects(checkWebhookTarget(url), blocked, url);
+  }
+});
+
+test('checkWebhookTarget refuses IPv4-mapped IPv6 forms of reserved addresses', async () => {
+  for (const url of ['http://[::ffff:127.0.0.1]/', 'http://[::ffff:a00:1]/', 'http://[::ffff:192.168.0.1]:8080/']) {
+    await assert.rejects(checkWebhookTarget(url), blocked, url);
+  }
+});
+
+test('checkWebhookTarget accepts public addresses', async () => {
+  await checkWebhookTarget('https://93.184.215.14/hook');
+  await checkWebhookTarget('https://[2606:4700:4700::1111]/hook');
+});
+
+test('WEBHOOK_ALLOWED_HOSTS lets a listed host through, but not its address', async () => {
+  await checkWebhookTarget('http://localhost:3000/hook');
+  await checkWebhookTarget('http://LOCALHOST/hook');
+  await assert.rejects(checkWebhookTarget('http://127.0.0.1:3000/hook'), blocked);
+});
+
+test('webhookAgent checks the address a delivery connects to', async (t) => {
+  const server = http.createServer((req, res) => res.end('ok'));
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+
+  const response = await fetch(`http://localhost:${port}/hook`, { dispatcher: webhookAgent });
+  assert.equal(response.status, 200);
+  await response.body?.cancel();
+
+  await assert.rejects(
+    fetch(`http://127.0.0.1:${port}/hook`, { dispatcher: webhookAgent }),
+    err => err.cause?.blocked === true
+  );
+});
@@ -1,12 +1,140 @@
-// Basic service worker to support Web Push notifications.
+// Service worker: Web Push notifications, the offline app shell and replay of the
+// offline outbox through Background Sync.
 // This file must be served from the site root as /sw.js
 
+const SHELL_CACHE = 'task-manager-shell-v1';
+const SHELL_FILES = ['/', '/index.html', '/manifest.webmanifest', '/icon-192.png'];
+
+// Shared with App.tsx: the outbox of queued task mutations lives in IndexedDB
+const DB_NAME = 'task-manager';
+const DB_VERSION = 2;
+const OUTBOX_SYNC_TAG = 'task-outbox';
+const SESSION_KEY = 'session';
+
 self.addEventListener('install', (event) => {
-  self.skipWaiting();
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
 });
 
 self.addEventListener('activate', (event) => {
-  event.waitUntil(self.clients.claim());
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== SHELL_CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Same-origin GETs go to the network first so new builds show up right away; the cache
+// is the offline fallback. The API (another origin) is never cached here.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(SHELL_CACHE).then((cache) => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() =>
+        caches.match(request).then((cached) => {
+          if (cached) return cached;
+          if (request.mode === 'navigate') return caches.match('/index.html');
+          return Response.error();
+        })
+      )
+  );
+});
+
+// ---- Outbox replay ----
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      // Version 1 kept a bearer token in each entry and no owner, so its data can't be replayed safely
+      for (const name of Array.from(db.objectStoreNames)) db.deleteObjectStore(name);
+      db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true }).createIndex('userId', 'userId');
+      db.createObjectStore('conflicts', { keyPath: 'id', autoIncrement: true }).createIndex('userId', 'userId');
+      db.createObjectStore('cache');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idb(storeName, mode, fn) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req && req.result);
+        tx.onerror = () => reject(tx.error);
+      })
+  );
+}
+
+// Sends the signed-in account's queued mutations in order, with the token the app saved for
+// it. Stops at the first network or server error so the browser retries the sync later;
+// conflicts (409) and rejected edits (4xx) are recorded for the app to show. The page
+// replays the same outbox when it comes back online.
+async function replayOutbox() {
+  const session = await idb('cache', 'readonly', (store) => store.get(SESSION_KEY));
+  if (!session) return;
+  const entries = await idb('outbox', 'readonly', (store) => store.index('userId').getAll(session.userId));
+  for (const entry of entries) {
+    const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${session.token}` };
+    if (entry.timeZone) headers['X-Timezone'] = entry.timeZone;
+    const response = await fetch(entry.url, {
+      method: entry.method,
+      headers,
+      body: entry.body,
+    });
+
+    // An expired token can't be replayed here; the app retries once signed in again
+    if (response.status === 401) return;
+    if (response.status >= 500) throw new Error(`Sync failed with ${response.status}`);
+
+    if (!response.ok && !(entry.method === 'DELETE' && response.status === 404)) {
+      const data = await response.json().catch(() => ({}));
+      await idb('conflicts', 'readwrite', (store) =>
+        store.add({
+          userId: session.userId,
+          taskId: entry.taskId,
+          label: entry.label,
+          kind: response.status === 409 ? 'conflict' : 'rejected',
+          message: data.error || `Request failed with ${response.status}`,
+          server: data.task || null,
+          entry,
+        })
+      );
+    }
+    await idb('outbox', 'readwrite', (store) => store.delete(entry.id));
+  }
+}
+
+function notifyClients(message) {
+  return self.clients
+    .matchAll({ type: 'window', includeUncontrolled: true })
+    .then((clientList) => clientList.forEach((client) => client.postMessage(message)));
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+  const replay = () => replayOutbox().then(() => notifyClients({ type: 'outbox-synced' }));
+  // The page may be replaying at the same moment; the lock keeps requests from being sent twice
+  event.waitUntil(self.navigator.locks ? self.navigator.locks.request(OUTBOX_SYNC_TAG, replay) : replay());
 });
 
 self.addEventListener('push', (event) => {
@@ -24,18 +152,57 @@ self.addEventListener('push', (event) => {
     icon: data.icon || '/icon-192.png',
     badge: data.badge || '/icon-192.png',
     data: data.data || {},
+    // "Mark done" / "Snooze" buttons; browsers show at most Notification.maxActions of them
+    actions: (data.actions || []).slice(0, (self.Notification && self.Notification.maxActions) || 2),
   };
   event.waitUntil(self.registration.showNotification(title, options));
 });
 
+// Runs a notification button through the API with the token from the push payload
+function runNotificationAction(action, data, notification) {
+  const snooze = action.match(/^snooze-(\d+)$/);
+  const body = snooze
+    ? { token: data.actionToken, action: 'snooze', minutes: Number(snooze[1]) }
+    : { token: data.actionToken, action };
+  return fetch(data.actionUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+    .then((response) => {
+      if (!response.ok) throw new Error(`Notification action failed with ${response.status}`);
+    })
+    .catch(() =>
+      // Offline, or the token expired: put the reminder back with a way into the app
+      self.registration.showNotification(notification.title, {
+        body: data.actionFailed || "Couldn't update the task. Tap to open it.",
+        icon: '/icon-192.png',
+        badge: '/icon-192.png',
+        data: { taskId: data.taskId, url: data.url },
+      })
+    );
+}
+
 self.addEventListener('notificationclick', function (event) {
+  const data = event.notification.data || {};
   event.notification.close();
+
+  // Buttons act on the task without opening the app
+  if (event.action && data.actionUrl && data.actionToken) {
+    event.waitUntil(runNotificationAction(event.action, data, event.notification));
+    return;
+  }
+
   event.waitUntil(
     self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(function (clientList) {
       for (const client of clientList) {
-        if ('focus' in client) return client.focus();
+        if ('focus' in client) {
+          // An open app scrolls to the task itself instead of reloading
+          if (data.taskId) client.postMessage({ type: 'open-task', taskId: data.taskId });
+          return client.focus();
+        }
       }
-      if (self.clients.openWindow) return self.clients.openWindow('/');
+      if (self.clients.openWindow) return self.clients.openWindow(data.url || '/');
     })
   );
 });
@@ -1,55 +1,2794 @@
-import React, { useEffect, useState } from 'react';
-import { Plus, Edit2, Trash2, Clock, Check, AlertCircle, Bell } from 'lucide-react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Plus,
+  Edit2,
+  Trash2,
+  Clock,
+  Check,
+  AlertCircle,
+  Bell,
+  BellOff,
+  Repeat,
+  XCircle,
+  Send,
+  Smartphone,
+  LogOut,
+  Folder,
+  Inbox,
+  Tag as TagIcon,
+  Search,
+  ArrowUp,
+  ArrowDown,
+  ListChecks,
+  Play,
+  Square,
+  Timer,
+  BarChart3,
+  LayoutList,
+  SquareKanban,
+  ChevronUp,
+  ChevronDown,
+  CalendarDays,
+  Copy,
+  Upload,
+  Download,
+  Settings as SettingsIcon,
+  CloudOff,
+  WifiOff,
+  History as HistoryIcon,
+  Flag,
+  RotateCcw,
+  X,
+} from 'lucide-react';
+import {
+  I18nContext,
+  LANGUAGES,
+  LANGUAGE_STORAGE_KEY,
+  createI18n,
+  detectLanguage,
+  isLanguage,
+  useI18n,
+  type I18n,
+  type Language,
+  type MessageKey,
+} from './i18n';
+import { API_BASE, AUTH_EXPIRED_EVENT, DEVICE_TIMEZONE, TOKEN_STORAGE_KEY, apiFetch, parseServerDate } from './api';
+import type { DueRange, Priority, Recurrence, Task, TaskID, TaskStatus } from './types';
+import { CalendarView } from './CalendarView';
+import { KanbanBoard, compareBoardOrder, statusOfTask } from './KanbanBoard';
 
-const API_BASE = 'http://localhost:3001/api';
+// === Your VAPID public key (safe to expose on frontend) ===
+const VAPID_PUBLIC_KEY =
+  'BNK5Vhu8k9nVl2fmpz29ldA-JhXxV8fRXK_9JAmnqcSrEN-10ognhDIW2rLHrd_XfTvX3wqw_4OdZSM3BO7245A';
+
+// Utility: convert base64url string to Uint8Array (required by PushManager)
+
+function urlBase64ToUint8Array(base64String: string) {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  const output = new Uint8Array(raw.length);
+  for (let i = 0; i < raw.length; i++) {
+    output[i] = raw.charCodeAt(i);
+  }
+  return output;
+}
+
+// Types
+const PRIORITIES: Priority[] = ['low', 'medium', 'high'];
+const PRIORITY_COLORS: Record<Priority, string> = {
+  low: 'text-slate-600 bg-slate-100',
+  medium: 'text-amber-700 bg-amber-50',
+  high: 'text-red-700 bg-red-50',
+};
+
+interface TaskPage {
+  tasks: Task[];
+  nextCursor: string | null;
+}
+
+type StatusFilter = 'all' | 'open' | 'completed';
+type SortField = 'created' | 'updated' | 'due' | 'title';
+
+const TASK_PAGE_SIZE = 50;
+// The calendar loads the days it shows in pages of the most the server returns at once
+const TASK_PAGE_MAX = 500;
+
+type TaskView = 'list' | 'calendar' | 'board';
+const VIEW_STORAGE_KEY = 'taskManager.view';
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Live updates come over Server-Sent Events; polling is only the fallback while the stream is down
+const POLL_INTERVAL_MS = 30_000;
+const LIVE_RETRY_MAX_MS = 60_000;
+const LIVE_EVENT_TYPES = [
+  'task.created',
+  'task.updated',
+  'task.deleted',
+  'tasks.changed',
+  'reminder.fired',
+  'timer.changed',
+] as const;
+type LiveEventType = (typeof LIVE_EVENT_TYPES)[number];
+type LiveStatus = 'connecting' | 'live' | 'offline';
+
+// A time-tracking session; the server keeps at most one running (endedAt null) per user
+interface TimeEntry {
+  id: string;
+  taskId: TaskID;
+  taskTitle?: string;
+  startedAt: string;
+  endedAt: string | null;
+  minutes: number;
+  // Running for so long it was probably forgotten
+  stale: boolean;
+}
+
+interface TimerChangedEvent {
+  running: TimeEntry | null;
+  stopped?: TimeEntry;
+}
+
+interface ReminderFiredEvent {
+  taskId: string;
+  parentId?: string | null;
+  title: string;
+  dueDate: string;
+  offsetMinutes: number | null;
+}
+
+// Inserts or replaces a task (or subtask, under its parent) in a task list
+function upsertTask(tasks: Task[], task: Task): Task[] {
+  if (task.parentId) {
+    return tasks.map((t) => {
+      if (t.id !== task.parentId) return t;
+      const subtasks = t.subtasks ?? [];
+      return subtasks.some((s) => s.id === task.id)
+        ? { ...t, subtasks: subtasks.map((s) => (s.id === task.id ? task : s)) }
+        : { ...t, subtasks: [...subtasks, task] };
+    });
+  }
+  return tasks.some((t) => t.id === task.id)
+    ? tasks.map((t) => (t.id === task.id ? task : t))
+    : [...tasks, task];
+}
+
+function removeTask(tasks: Task[], taskId: TaskID): Task[] {
+  return tasks
+    .filter((t) => t.id !== taskId)
+    .map((t) =>
+      t.subtasks?.some((s) => s.id === taskId) ? { ...t, subtasks: t.subtasks.filter((s) => s.id !== taskId) } : t
+    );
+}
+
+function findTask(tasks: Task[], taskId: TaskID): Task | undefined {
+  for (const task of tasks) {
+    if (task.id === taskId) return task;
+    const subtask = task.subtasks?.find((s) => s.id === taskId);
+    if (subtask) return subtask;
+  }
+  return undefined;
+}
+
+// ---- Offline support ----
+// Creates, edits and deletes made while the API is unreachable go into an IndexedDB outbox
+// and are replayed later, here or by public/sw.js through Background Sync. The last task
+// list is kept there too so the app opens offline. Both files share this schema.
+// Everything is kept per account and cleared when that account signs out.
+const OFFLINE_DB_NAME = 'task-manager';
+const OFFLINE_DB_VERSION = 2;
+const OUTBOX_SYNC_TAG = 'task-outbox';
+// The signed-in account and its token, so the service worker can replay without a page open
+const SESSION_KEY = 'session';
+const taskSnapshotKey = (userId: string): string => `tasks:${userId}`;
+
+interface OutboxEntry {
+  id?: number;
+  taskId: TaskID;
+  method: 'POST' | 'PUT' | 'DELETE';
+  // `path` is replayed through apiFetch; the service worker needs the absolute `url`
+  path: string;
+  url: string;
+  body?: string;
+  // Account that queued it; only replayed while that account is signed in
+  userId: string;
+  // Zone the change was made in, for text like "tomorrow at 9" parsed on replay
+  timeZone?: string;
+  label: string;
+  queuedAt: string;
+}
+
+// A replayed change the server refused: 'conflict' when the task changed since it was queued
+interface SyncConflict {
+  id: number;
+  userId: string;
+  taskId: TaskID;
+  label: string;
+  kind: 'conflict' | 'rejected';
+  message: string;
+  server: Task | null;
+  entry: OutboxEntry;
+}
+
+function openOfflineDb(): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // Version 1 kept a bearer token in each entry and no owner, so its data can't be replayed safely
+      for (const name of Array.from(db.objectStoreNames)) db.deleteObjectStore(name);
+      db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true }).createIndex('userId', 'userId');
+      db.createObjectStore('conflicts', { keyPath: 'id', autoIncrement: true }).createIndex('userId', 'userId');
+      db.createObjectStore('cache');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function idbRequest<T>(
+  storeName: string,
+  mode: IDBTransactionMode,
+  run: (store: IDBObjectStore) => IDBRequest
+): Promise<T> {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = run(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result as T);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const offlineStore = {
+  outbox: (userId: string) =>
+    idbRequest<OutboxEntry[]>('outbox', 'readonly', (store) => store.index('userId').getAll(userId)),
+  enqueue: (entry: OutboxEntry) => idbRequest<number>('outbox', 'readwrite', (store) => store.add(entry)),
+  dequeue: (id: number) => idbRequest<void>('outbox', 'readwrite', (store) => store.delete(id)),
+  conflicts: (userId: string) =>
+    idbRequest<SyncConflict[]>('conflicts', 'readonly', (store) => store.index('userId').getAll(userId)),
+  addConflict: (conflict: Omit<SyncConflict, 'id'>) =>
+    idbRequest<number>('conflicts', 'readwrite', (store) => store.add(conflict)),
+  removeConflict: (id: number) => idbRequest<void>('conflicts', 'readwrite', (store) => store.delete(id)),
+  saveSnapshot: (userId: string, tasks: Task[]) =>
+    idbRequest<void>('cache', 'readwrite', (store) => store.put(tasks, taskSnapshotKey(userId))),
+  loadSnapshot: (userId: string) =>
+    idbRequest<Task[] | undefined>('cache', 'readonly', (store) => store.get(taskSnapshotKey(userId))),
+  saveSession: (userId: string, token: string) =>
+    idbRequest<void>('cache', 'readwrite', (store) => store.put({ userId, token }, SESSION_KEY)),
+};
+
+// Removes an account's outbox, conflicts and task list along with the service worker's session
+async function clearOfflineData(userId: string): Promise<void> {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['outbox', 'conflicts', 'cache'], 'readwrite');
+    for (const name of ['outbox', 'conflicts']) {
+      const store = tx.objectStore(name);
+      const keys = store.index('userId').getAllKeys(userId);
+      keys.onsuccess = () => keys.result.forEach((key) => store.delete(key));
+    }
+    tx.objectStore('cache').delete(taskSnapshotKey(userId));
+    tx.objectStore('cache').delete(SESSION_KEY);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// fetch() rejects with a TypeError when the server can't be reached at all
+const isNetworkError = (err: unknown): boolean => err instanceof TypeError;
+
+// Shows a queued change on a task list before the server has it
+function applyQueued(tasks: Task[], entry: OutboxEntry): Task[] {
+  const body = entry.body ? JSON.parse(entry.body) : {};
+  if (entry.method === 'DELETE') return removeTask(tasks, entry.taskId);
+  if (entry.method === 'POST') {
+    return upsertTask(tasks, {
+      id: entry.taskId,
+      title: body.title ?? body.input ?? entry.label,
+      dueDate: body.dueDate ?? null,
+      completed: false,
+      parentId: body.parentId ?? null,
+      projectId: body.projectId ?? null,
+      tags: [],
+      subtasks: [],
+    });
+  }
+  const task = findTask(tasks, entry.taskId);
+  if (!task) return tasks;
+  const { input, completeSubtasks, ...fields } = body;
+  delete fields.baseUpdatedAt;
+  const updated: Task = { ...task, ...fields, ...(input ? { title: input } : {}) };
+  if (completeSubtasks && updated.subtasks) {
+    updated.subtasks = updated.subtasks.map((s) => ({ ...s, completed: true }));
+  }
+  return upsertTask(tasks, updated);
+}
+
+// Sends the account's outbox in order and stops at the first failure so it can be retried. A lock
+// keeps this and the service worker from sending the same entry twice.
+async function replayOutbox(userId: string): Promise<void> {
+  const run = async (): Promise<void> => {
+    for (const entry of await offlineStore.outbox(userId)) {
+      const response = await apiFetch(entry.path, {
+        method: entry.method,
+        headers: { 'Content-Type': 'application/json', ...(entry.timeZone ? { 'X-Timezone': entry.timeZone } : {}) },
+        body: entry.body,
+      });
+      if (response.status === 401 || response.status >= 500) return;
+      if (!response.ok && !(entry.method === 'DELETE' && response.status === 404)) {
+        const data = await response.json().catch(() => ({}));
+        await offlineStore.addConflict({
+          userId,
+          taskId: entry.taskId,
+          label: entry.label,
+          kind: response.status === 409 ? 'conflict' : 'rejected',
+          message: data.error || `Request failed with ${response.status}`,
+          server: data.task ?? null,
+          entry,
+        });
+      }
+      await offlineStore.dequeue(entry.id!);
+    }
+  };
+  if (navigator.locks) await navigator.locks.request(OUTBOX_SYNC_TAG, run);
+  else await run();
+}
+
+// Asks the service worker to replay the outbox once the browser is back online
+async function requestBackgroundSync(): Promise<void> {
+  try {
+    const reg = (await navigator.serviceWorker?.getRegistration()) as
+      | (ServiceWorkerRegistration & { sync?: { register(tag: string): Promise<void> } })
+      | undefined;
+    await reg?.sync?.register(OUTBOX_SYNC_TAG);
+  } catch {
+    // Not supported: the app replays on the 'online' event instead
+  }
+}
+
+interface Project {
+  id: string;
+  name: string;
+  color?: string;
+  taskCount: number;
+  openCount: number;
+}
+
+interface TagInfo {
+  id: string;
+  name: string;
+  color?: string;
+  taskCount: number;
+}
+
+// 'all' shows every task, 'none' the tasks without a project
+type ProjectFilter = 'all' | 'none' | string;
+
+const PROJECT_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#6b7280'];
+const DEFAULT_TAG_COLOR = '#6366f1';
+
+interface User {
+  id: string;
+  email: string;
+  name?: string;
+  // Whether a calendar feed URL has been issued
+  calendarFeed?: boolean;
+}
+
+interface CalendarImportResult {
+  imported: number;
+  tasks: (Task & { warnings: string[] })[];
+  skipped: { uid: string | null; title?: string; reason: string }[];
+}
+
+interface AuthResponse {
+  user: User;
+  token: string;
+  expiresAt: string;
+}
+
+interface DigestSettings {
+  daily: boolean;
+  weekly: boolean;
+  time: string;
+  // 0 = Sunday
+  weeklyDay: number;
+}
+
+interface Settings {
+  defaultReminderOffsets: number[];
+  timezone: string;
+  language: Language;
+  digest: DigestSettings;
+}
+
+interface InboundEmailSettings {
+  // False when the server has no inbound mail domain configured
+  available: boolean;
+  address: string | null;
+  senders: string[];
+  parseBody: boolean;
+}
+
+interface DigestPreview {
+  subject: string;
+  html: string;
+  empty: boolean;
+}
+
+interface PushDevice {
+  id: string;
+  label?: string;
+  userAgent?: string;
+  endpointHost: string;
+  lastSuccessAt?: string;
+  lastError?: string;
+  createdAt: string;
+}
+
+// A readable default label such as "Chrome on Windows"
+function guessDeviceLabel(): string {
+  const ua = navigator.userAgent;
+  const browser = /Edg\//.test(ua)
+    ? 'Edge'
+    : /Firefox\//.test(ua)
+    ? 'Firefox'
+    : /Chrome\//.test(ua)
+    ? 'Chrome'
+    : /Safari\//.test(ua)
+    ? 'Safari'
+    : 'Browser';
+  const os = /Android/.test(ua)
+    ? 'Android'
+    : /iPhone|iPad/.test(ua)
+    ? 'iOS'
+    : /Windows/.test(ua)
+    ? 'Windows'
+    : /Mac OS X/.test(ua)
+    ? 'macOS'
+    : /Linux/.test(ua)
+    ? 'Linux'
+    : 'unknown OS';
+  return `${browser} on ${os}`;
+}
+
+// `completeSubtasks` with `completed: true` also finishes the checklist
+type UpdatePayload = Partial<Task> & { input?: string; completeSubtasks?: boolean };
+
+// `result` of POST /parse: what the server would make of the add-task text
+interface ParsedInput {
+  title: string;
+  dueDate: string | null;
+  recurrence: Recurrence | null;
+  reminderOffsets: number[] | null;
+  priority: Priority | null;
+  tags: string[];
+  durationMinutes: number | null;
+  email: string | null;
+  project: string | null;
+  // The words the due date was read from
+  datePhrase: string | null;
+  // 0-1 per field
+  confidence: Partial<Record<string, number>>;
+  // Which parser answered: 'local' or an LLM provider
+  provider: string;
+}
+
+const PARSE_PREVIEW_DEBOUNCE_MS = 500;
+// Dates the parser is less sure of than this get a "check this" hint
+const PARSE_LOW_CONFIDENCE = 0.5;
+
+// Completing a recurring task also returns the next instance of the series
+type UpdateResponse = Task & { nextTask?: Task };
+
+type BatchAction = 'complete' | 'uncomplete' | 'delete' | 'reschedule' | 'retag';
+
+// POST /tasks/batch: one result per id, in the order sent
+interface BatchResult {
+  id: TaskID;
+  ok: boolean;
+  error?: string;
+  task?: Task;
+  nextTask?: Task;
+  deletedAt?: string;
+}
+
+interface BatchResponse {
+  action: BatchAction;
+  results: BatchResult[];
+  succeeded: number;
+  failed: number;
+}
+
+type TaskEventAction = 'created' | 'updated' | 'completed' | 'reopened' | 'deleted' | 'restored';
+
+// One entry of GET /tasks/:id/history; old/new values hold only the fields that changed
+interface TaskEvent {
+  id: string;
+  taskId: TaskID;
+  action: TaskEventAction;
+  source: 'app' | 'import' | 'calendar' | 'recurrence' | 'email';
+  actor: { id: string; name?: string } | null;
+  oldValues: Partial<Task> | null;
+  newValues: Partial<Task> | null;
+  createdAt: string;
+}
+
+const HISTORY_ACTION_LABELS: Record<TaskEventAction, MessageKey> = {
+  created: 'history.created',
+  updated: 'history.updated',
+  completed: 'history.completed',
+  reopened: 'history.reopened',
+  deleted: 'history.deleted',
+  restored: 'history.restored',
+};
+
+const HISTORY_SOURCE_LABELS: Record<TaskEvent['source'], MessageKey | null> = {
+  app: null,
+  import: 'history.fromImport',
+  calendar: 'history.fromCalendar',
+  recurrence: 'history.fromRecurrence',
+  email: 'history.fromEmail',
+};
+
+// Fields shown in the timeline, in this order; `completed` is already in the action
+const HISTORY_FIELD_LABELS: [keyof Task, MessageKey][] = [
+  ['title', 'history.title'],
+  ['dueDate', 'history.dueDate'],
+  ['recurrence', 'history.recurrence'],
+  ['reminderOffsets', 'history.reminders'],
+  ['projectId', 'history.project'],
+  ['statusId', 'history.status'],
+  ['estimateMinutes', 'history.estimate'],
+  ['priority', 'history.priority'],
+  ['tags', 'history.tags'],
+  ['notes', 'history.notes'],
+];
+
+
+const UNDO_TIMEOUT_MS = 8000;
+// How long a task opened from a notification stays highlighted
+const HIGHLIGHT_MS = 4000;
+
+interface UndoAction {
+  message: string;
+  run: () => Promise<void>;
+}
+
+const REMINDER_PRESETS = [0, 5, 15, 30, 60, 120, 1440, 2880, 10080];
+
+// 90 -> "1 hour 30 min before", 0 -> "At due time"
+function formatOffset(minutes: number, { t }: I18n): string {
+  if (minutes === 0) return t('reminders.atDue');
+  const units: [MessageKey, number][] = [['unit.week', 10080], ['unit.day', 1440], ['unit.hour', 60], ['unit.min', 1]];
+  const parts: string[] = [];
+  let rest = minutes;
+  for (const [unit, size] of units) {
+    const n = Math.floor(rest / size);
+    if (n > 0 && parts.length < 2) {
+      parts.push(t(unit, { count: n }));
+      rest -= n * size;
+    }
+  }
+  return t('reminders.before', { time: parts.join(' ') });
+}
+
+// 80 -> "1h 20m"
+function formatDuration(minutes: number, { t }: I18n): string {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return t('time.minutes', { minutes: rest });
+  return rest ? t('time.hoursMinutes', { hours, minutes: rest }) : t('time.hours', { hours });
+}
+
+function ordinal(n: number): string {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+  return `${n}${suffix}`;
+}
+
+const RECURRENCE_EVERY: Record<Recurrence['freq'], MessageKey> = {
+  daily: 'recurrence.everyDaily',
+  weekly: 'recurrence.everyWeekly',
+  monthly: 'recurrence.everyMonthly',
+  yearly: 'recurrence.everyYearly',
+};
+
+// e.g. "Every 2 weeks on Mon, Thu", "Monthly on the 1st"
+function describeRecurrence(rule: Recurrence, { t, formatDate, weekdayName }: I18n): string {
+  let text = rule.interval > 1 ? t(RECURRENCE_EVERY[rule.freq], { count: rule.interval }) : t(`recurrence.${rule.freq}`);
+
+  if (rule.byWeekday?.length) {
+    const days = rule.byWeekday.join(',');
+    if (days === '1,2,3,4,5') text = rule.interval > 1 ? t('recurrence.onWeekdays', { rule: text }) : t('recurrence.weekdays');
+    else text = t('recurrence.onDays', { rule: text, days: rule.byWeekday.map((d) => weekdayName(d, 'short')).join(', ') });
+  } else if (rule.byMonthDay) {
+    text = t('recurrence.onMonthDay', { rule: text, day: rule.byMonthDay, ordinal: ordinal(rule.byMonthDay) });
+  }
+
+  if (rule.count) text = t('recurrence.count', { rule: text, count: rule.count });
+  if (rule.until) text = t('recurrence.until', { rule: text, date: formatDate(rule.until, { dateStyle: 'short' }) });
+  return text;
+}
+
+// <input type="datetime-local"> values are in the browser's zone, without seconds: "2024-01-15T14:00"
+function toLocalInputValue(iso?: string | null): string {
+  if (!iso) return '';
+  const date = new Date(iso);
+  if (isNaN(date.getTime())) return '';
+  const pad = (n: number): string => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function fromLocalInputValue(value: string): string | null {
+  const date = new Date(value);
+  return value && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+export default function TaskManager() {
+  const [user, setUser] = useState<User | null>(null);
+  const [checking, setChecking] = useState<boolean>(true);
+  // From the browser until the user's settings load; TaskBoard reports the saved one
+  const [language, setLanguage] = useState<Language>(detectLanguage);
+  const i18n = useMemo(() => createI18n(language), [language]);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+  }, [language]);
+
+  // Restore the session from a stored token
+  useEffect(() => {
+    (async () => {
+      try {
+        if (!localStorage.getItem(TOKEN_STORAGE_KEY)) return;
+        const response = await apiFetch('/auth/me');
+        if (response.ok) setUser((await response.json()).user);
+      } catch (err) {
+        console.error('Failed to restore session:', err);
+      } finally {
+        setChecking(false);
+      }
+    })();
+
+    const onExpired = () => setUser(null);
+    window.addEventListener(AUTH_EXPIRED_EVENT, onExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, onExpired);
+  }, []);
+
+  const handleAuthenticated = (auth: AuthResponse): void => {
+    localStorage.setItem(TOKEN_STORAGE_KEY, auth.token);
+    setUser(auth.user);
+  };
+
+  const handleLogout = async (): Promise<void> => {
+    try {
+      await apiFetch('/auth/logout', { method: 'POST' });
+    } catch (err) {
+      console.error('Failed to sign out:', err);
+    }
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    setUser(null);
+  };
+
+  if (checking) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100">
+        <div className="w-8 h-8 border-2 border-blue-600 border-t-transparent rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      {user ? (
+        <TaskBoard user={user} onLogout={handleLogout} onLanguageChange={setLanguage} />
+      ) : (
+        <AuthScreen onAuthenticated={handleAuthenticated} />
+      )}
+    </I18nContext.Provider>
+  );
+}
+
+function AuthScreen({ onAuthenticated }: { onAuthenticated: (auth: AuthResponse) => void }) {
+  const [mode, setMode] = useState<'login' | 'register'>('login');
+  const [email, setEmail] = useState<string>('');
+  const [password, setPassword] = useState<string>('');
+  const [name, setName] = useState<string>('');
+  const [loading, setLoading] = useState<boolean>(false);
+  const [error, setError] = useState<string>('');
+  const { t } = useI18n();
+
+  const submit = async (e: React.SyntheticEvent): Promise<void> => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const body = mode === 'register' ? { email, password, name: name.trim() || undefined } : { email, password };
+      const response = await fetch(`${API_BASE}/auth/${mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        onAuthenticated(data);
+      } else {
+        setError(data.error || t('auth.failed'));
+      }
+    } catch {
+      setError(t('common.networkError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-6 bg-gradient-to-br from-blue-50 to-indigo-100">
+      <form onSubmit={(e) => void submit(e)} className="w-full max-w-sm bg-white rounded-xl shadow-lg p-8 space-y-4">
+        <h1 className="text-3xl font-bold text-gray-800 text-center">{t('app.title')}</h1>
+        <p className="text-center text-gray-500">{mode === 'login' ? t('auth.signInTitle') : t('auth.registerTitle')}</p>
+
+        {mode === 'register' && (
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t('auth.name')}
+            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+          />
+        )}
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder={t('auth.email')}
+          autoComplete="email"
+          required
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder={t('auth.password')}
+          autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+          minLength={mode === 'register' ? 8 : undefined}
+          required
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+        />
+
+        {error && (
+          <div className="text-red-600 text-sm flex items-center gap-2">
+            <AlertCircle size={16} />
+            {error}
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          {loading ? t('auth.wait') : mode === 'login' ? t('auth.signIn') : t('auth.register')}
+        </button>
+
+        <button
+          type="button"
+          onClick={() => {
+            setMode(mode === 'login' ? 'register' : 'login');
+            setError('');
+          }}
+          className="w-full text-sm text-blue-600 hover:underline"
+        >
+          {mode === 'login' ? t('auth.toRegister') : t('auth.toSignIn')}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+interface ProjectSidebarProps {
+  projects: Project[];
+  tags: TagInfo[];
+  selectedProject: ProjectFilter;
+  selectedTag: string | null;
+  onSelectProject: (project: ProjectFilter) => void;
+  onSelectTag: (tag: string | null) => void;
+  onCreateProject: (name: string, color: string) => Promise<boolean>;
+  onDeleteProject: (project: Project) => Promise<void>;
+}
+
+function ProjectSidebar({
+  projects,
+  tags,
+  selectedProject,
+  selectedTag,
+  onSelectProject,
+  onSelectTag,
+  onCreateProject,
+  onDeleteProject,
+}: ProjectSidebarProps) {
+  const [newName, setNewName] = useState<string>('');
+  const [newColor, setNewColor] = useState<string>(PROJECT_COLORS[0]);
+  const { t } = useI18n();
+
+  const itemClass = (active: boolean): string =>
+    `w-full flex items-center justify-between gap-2 px-3 py-2 rounded-lg text-sm transition-colors ${
+      active ? 'bg-blue-100 text-blue-800 font-medium' : 'text-gray-700 hover:bg-gray-100'
+    }`;
+
+  const submit = async (e: React.SyntheticEvent): Promise<void> => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    if (await onCreateProject(newName.trim(), newColor)) setNewName('');
+  };
+
+  return (
+    <aside className="md:w-56 shrink-0 space-y-6">
+      <div>
+        <h2 className="px-3 mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">{t('sidebar.projects')}</h2>
+        <div className="space-y-1">
+          <button onClick={() => onSelectProject('all')} className={itemClass(selectedProject === 'all')}>
+            <span className="flex items-center gap-2">
+              <Folder size={16} />
+              {t('sidebar.allTasks')}
+            </span>
+          </button>
+          <button onClick={() => onSelectProject('none')} className={itemClass(selectedProject === 'none')}>
+            <span className="flex items-center gap-2">
+              <Inbox size={16} />
+              {t('sidebar.noProject')}
+            </span>
+          </button>
+          {projects.map((project) => (
+            <div key={project.id} className="group relative">
+              <button onClick={() => onSelectProject(project.id)} className={itemClass(selectedProject === project.id)}>
+                <span className="flex items-center gap-2 min-w-0">
+                  <span
+                    className="w-3 h-3 rounded-full shrink-0"
+                    style={{ backgroundColor: project.color || PROJECT_COLORS[7] }}
+                  />
+                  <span className="truncate">{project.name}</span>
+                </span>
+                <span className="text-xs text-gray-500 group-hover:invisible">{project.openCount}</span>
+              </button>
+              <button
+                onClick={() => void onDeleteProject(project)}
+                className="absolute right-2 top-1/2 -translate-y-1/2 hidden group-hover:block text-gray-400 hover:text-red-600"
+                title={t('sidebar.deleteProject')}
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <form onSubmit={(e) => void submit(e)} className="mt-3 px-3 space-y-2">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder={t('sidebar.newProject')}
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+          />
+          <div className="flex items-center gap-1">
+            {PROJECT_COLORS.map((color) => (
+              <button
+                key={color}
+                type="button"
+                onClick={() => setNewColor(color)}
+                className={`w-4 h-4 rounded-full ${newColor === color ? 'ring-2 ring-offset-1 ring-gray-400' : ''}`}
+                style={{ backgroundColor: color }}
+                title={color}
+              />
+            ))}
+            <button type="submit" disabled={!newName.trim()} className="ml-auto text-blue-600 disabled:opacity-40" title={t('sidebar.addProject')}>
+              <Plus size={16} />
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {tags.length > 0 && (
+        <div>
+          <h2 className="px-3 mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">{t('sidebar.tags')}</h2>
+          <div className="px-3 flex flex-wrap gap-1">
+            {tags.map((tag) => (
+              <button
+                key={tag.id}
+                onClick={() => onSelectTag(selectedTag === tag.name ? null : tag.name)}
+                className={`px-2 py-0.5 rounded-full text-xs ${
+                  selectedTag === tag.name ? 'ring-2 ring-offset-1 ring-gray-400' : ''
+                }`}
+                style={{ backgroundColor: `${tag.color || DEFAULT_TAG_COLOR}22`, color: tag.color || DEFAULT_TAG_COLOR }}
+              >
+                #{tag.name} <span className="opacity-60">{tag.taskCount}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </aside>
+  );
+}
+
+type ImportFormat = 'json' | 'csv' | 'text';
+
+interface ImportResult {
+  dryRun: boolean;
+  total: number;
+  valid: number;
+  created: number;
+  errors: { row: number; errors: string[] }[];
+}
+
+const EXPORT_OPTIONS: { format: 'json' | 'csv' | 'md'; label: MessageKey }[] = [
+  { format: 'json', label: 'settings.exportJson' },
+  { format: 'csv', label: 'settings.exportCsv' },
+  { format: 'md', label: 'settings.exportMarkdown' },
+];
+
+// tasks.csv -> 'csv'; anything that is not JSON or CSV goes line by line through the parser
+function importFormatFor(filename: string): ImportFormat {
+  const ext = filename.split('.').pop()?.toLowerCase();
+  if (ext === 'json') return 'json';
+  if (ext === 'csv') return 'csv';
+  return 'text';
+}
+
+interface SettingsPanelProps {
+  settings: Settings;
+  onSettingsChange: (settings: Settings) => void;
+  onImported: () => void;
+}
+
+// Account settings: language, digest emails, export downloads and import with a dry-run preview
+function SettingsPanel({ settings, onSettingsChange, onImported }: SettingsPanelProps) {
+  const { t, weekdayName } = useI18n();
+  const [languageStatus, setLanguageStatus] = useState<string>('');
+  const [digest, setDigest] = useState<DigestSettings>(settings.digest);
+  const [timezone, setTimezone] = useState<string>(settings.timezone);
+  const [digestStatus, setDigestStatus] = useState<string>('');
+  const [preview, setPreview] = useState<DigestPreview | null>(null);
+  const [inbound, setInbound] = useState<InboundEmailSettings | null>(null);
+  const [senders, setSenders] = useState<string>('');
+  const [inboundStatus, setInboundStatus] = useState<string>('');
+  const [importText, setImportText] = useState<string>('');
+  const [importFormat, setImportFormat] = useState<ImportFormat>('text');
+  const [importName, setImportName] = useState<string>('');
+  const [result, setResult] = useState<ImportResult | null>(null);
+  const [busy, setBusy] = useState<boolean>(false);
+  const [error, setError] = useState<string>('');
+
+  const download = async (format: 'json' | 'csv' | 'md'): Promise<void> => {
+    try {
+      const response = await apiFetch(`/export?format=${format}`);
+      if (!response.ok) return;
+      const filename =
+        response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] ?? `tasks.${format}`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to export tasks:', err);
+    }
+  };
+
+  // Settings load after the panel can already be open (from a digest email link)
+  useEffect(() => {
+    setDigest(settings.digest);
+    setTimezone(settings.timezone);
+  }, [settings]);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const response = await apiFetch('/inbound');
+        if (!response.ok) return;
+        const data: InboundEmailSettings = await response.json();
+        setInbound(data);
+        setSenders(data.senders.join('\n'));
+      } catch (err) {
+        console.error('Failed to fetch email-to-task settings:', err);
+      }
+    })();
+  }, []);
+
+  const saveInbound = async (parseBody: boolean): Promise<void> => {
+    if (!inbound) return;
+    setInboundStatus('');
+    try {
+      const response = await apiFetch('/inbound', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ senders: senders.split(/[\s,;]+/).filter(Boolean), parseBody }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setInboundStatus(data.error || t('common.failedToSave'));
+        return;
+      }
+      setInbound({ ...inbound, ...data });
+      setSenders(data.senders.join('\n'));
+      setInboundStatus(t('common.saved'));
+    } catch (err) {
+      console.error('Failed to save email-to-task settings:', err);
+      setInboundStatus(t('common.networkError'));
+    }
+  };
+
+  const issueInboundAddress = async (): Promise<void> => {
+    if (!inbound) return;
+    if (inbound.address && !confirm(t('settings.confirmNewAddress'))) return;
+    try {
+      const response = await apiFetch('/inbound/address', { method: 'POST' });
+      if (response.ok) {
+        const data: { address: string } = await response.json();
+        setInbound({ ...inbound, address: data.address });
+      }
+    } catch (err) {
+      console.error('Failed to create inbound address:', err);
+    }
+  };
+
+  // Switches the app right away; reminders and digests follow once it is saved
+  const saveLanguage = async (language: Language): Promise<void> => {
+    setLanguageStatus('');
+    try {
+      const response = await apiFetch('/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ language }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setLanguageStatus(data.error || t('common.failedToSave'));
+        return;
+      }
+      onSettingsChange(data);
+    } catch (err) {
+      console.error('Failed to save language:', err);
+      setLanguageStatus(t('common.networkError'));
+    }
+  };
+
+  const saveDigest = async (): Promise<void> => {
+    setDigestStatus('');
+    try {
+      const response = await apiFetch('/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ timezone: timezone.trim(), digest }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setDigestStatus(data.error || t('common.failedToSave'));
+        return;
+      }
+      onSettingsChange(data);
+      setDigestStatus(t('common.saved'));
+    } catch (err) {
+      console.error('Failed to save digest settings:', err);
+      setDigestStatus(t('common.networkError'));
+    }
+  };
+
+  const previewDigest = async (kind: 'daily' | 'weekly'): Promise<void> => {
+    try {
+      const response = await apiFetch('/digest/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ kind }),
+      });
+      if (response.ok) setPreview(await response.json());
+    } catch (err) {
+      console.error('Failed to preview digest:', err);
+    }
+  };
+
+  const runImport = async (dryRun: boolean): Promise<void> => {
+    if (!importText.trim()) return;
+    setBusy(true);
+    setError('');
+    try {
+      const response = await apiFetch(`/import?format=${importFormat}&dryRun=${dryRun}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: importText,
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || t('settings.importFailed'));
+        setResult(null);
+        return;
+      }
+      setResult(data);
+      if (!dryRun && data.created) {
+        onImported();
+        setImportText('');
+        setImportName('');
+      }
+    } catch (err) {
+      console.error('Failed to import tasks:', err);
+      setError(t('common.networkError'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-xl border border-gray-200 rounded-lg p-4 space-y-4 text-sm">
+      <div>
+        <h3 className="font-medium text-gray-800 mb-1">{t('settings.language')}</h3>
+        <p className="text-gray-500 mb-2">{t('settings.languageHint')}</p>
+        <div className="flex items-center gap-2">
+          <select
+            value={settings.language}
+            onChange={(e) => void saveLanguage(e.target.value as Language)}
+            className="px-2 py-1 border border-gray-300 rounded"
+          >
+            {LANGUAGES.map(({ code, label }) => (
+              <option key={code} value={code}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {languageStatus && <span className="text-gray-600">{languageStatus}</span>}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-medium text-gray-800 mb-1">{t('settings.digest')}</h3>
+        <p className="text-gray-500 mb-2">{t('settings.digestHint')}</p>
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mb-2">
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={digest.daily}
+              onChange={(e) => setDigest({ ...digest, daily: e.target.checked })}
+            />
+            {t('settings.dailyAt')}
+          </label>
+          <input
+            type="time"
+            value={digest.time}
+            onChange={(e) => e.target.value && setDigest({ ...digest, time: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded"
+          />
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={digest.weekly}
+              onChange={(e) => setDigest({ ...digest, weekly: e.target.checked })}
+            />
+            {t('settings.weeklyOn')}
+          </label>
+          <select
+            value={digest.weeklyDay}
+            onChange={(e) => setDigest({ ...digest, weeklyDay: Number(e.target.value) })}
+            className="px-2 py-1 border border-gray-300 rounded"
+          >
+            {[0, 1, 2, 3, 4, 5, 6].map((day) => (
+              <option key={day} value={day}>
+                {weekdayName(day)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center gap-2 mb-2">
+          <span className="text-gray-600">{t('settings.timeZone')}</span>
+          <input
+            value={timezone}
+            onChange={(e) => setTimezone(e.target.value)}
+            placeholder="Europe/London"
+            className="flex-1 px-2 py-1 border border-gray-300 rounded"
+          />
+          {timezone !== DEVICE_TIMEZONE && (
+            <button onClick={() => setTimezone(DEVICE_TIMEZONE)} className="text-blue-600 hover:underline">
+              {t('settings.useTimeZone', { zone: DEVICE_TIMEZONE })}
+            </button>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <button onClick={() => void saveDigest()} className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700">
+            {t('common.save')}
+          </button>
+          <button
+            onClick={() => void previewDigest('daily')}
+            className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-50"
+          >
+            {t('settings.previewDaily')}
+          </button>
+          <button
+            onClick={() => void previewDigest('weekly')}
+            className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-50"
+          >
+            {t('settings.previewWeekly')}
+          </button>
+          {digestStatus && <span className="text-gray-600">{digestStatus}</span>}
+        </div>
+        {preview && (
+          <div className="mt-2 border border-gray-200 rounded">
+            <div className="flex items-center justify-between px-2 py-1 bg-gray-50 text-gray-700">
+              <span className="truncate">
+                {preview.subject}
+                {preview.empty && <span className="text-gray-500">{t('settings.previewEmpty')}</span>}
+              </span>
+              <button onClick={() => setPreview(null)} className="p-1 text-gray-500 hover:text-gray-700" title={t('settings.closePreview')}>
+                <X size={14} />
+              </button>
+            </div>
+            <iframe title={t('settings.digestPreview')} srcDoc={preview.html} sandbox="" className="w-full h-72 bg-white" />
+          </div>
+        )}
+      </div>
+
+      {inbound && (
+        <div>
+          <h3 className="font-medium text-gray-800 mb-1">{t('settings.inbound')}</h3>
+          <p className="text-gray-500 mb-2">{t('settings.inboundHint')}</p>
+          {inbound.available ? (
+            <>
+              {inbound.address && (
+                <div className="flex gap-2 mb-2">
+                  <input
+                    readOnly
+                    value={inbound.address}
+                    onFocus={(e) => e.target.select()}
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded bg-gray-50 text-xs"
+                  />
+                  <button
+                    onClick={() => void navigator.clipboard?.writeText(inbound.address ?? '')}
+                    className="p-1 text-blue-600 hover:bg-blue-100 rounded"
+                    title={t('settings.copyAddress')}
+                  >
+                    <Copy size={16} />
+                  </button>
+                </div>
+              )}
+              <button
+                onClick={() => void issueInboundAddress()}
+                className="px-3 py-1 mb-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50"
+              >
+                {inbound.address ? t('settings.newAddress') : t('settings.createAddress')}
+              </button>
+            </>
+          ) : (
+            <p className="text-gray-500 mb-2">{t('settings.noAddress')}</p>
+          )}
+          <label className="block text-gray-600 mb-1">{t('settings.senders')}</label>
+          <textarea
+            value={senders}
+            onChange={(e) => setSenders(e.target.value)}
+            rows={2}
+            placeholder="me@example.com"
+            className="w-full px-2 py-1 border border-gray-300 rounded text-xs focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+          />
+          <div className="mt-1 flex flex-wrap items-center gap-3">
+            <label className="inline-flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={inbound.parseBody}
+                onChange={(e) => void saveInbound(e.target.checked)}
+              />
+              {t('settings.parseBody')}
+            </label>
+            <button
+              onClick={() => void saveInbound(inbound.parseBody)}
+              className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700"
+            >
+              {t('settings.saveSenders')}
+            </button>
+            {inboundStatus && <span className="text-gray-600">{inboundStatus}</span>}
+          </div>
+        </div>
+      )}
+
+      <WebhooksSection />
+
+      <div>
+        <h3 className="font-medium text-gray-800 mb-2">{t('settings.export')}</h3>
+        <div className="flex flex-wrap gap-2">
+          {EXPORT_OPTIONS.map(({ format, label }) => (
+            <button
+              key={format}
+              onClick={() => void download(format)}
+              className="inline-flex items-center gap-2 px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-50"
+            >
+              <Download size={16} />
+              {t(label)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-medium text-gray-800 mb-1">{t('settings.import')}</h3>
+        <p className="text-gray-500 mb-2">{t('settings.importHint')}</p>
+        <div className="flex items-center gap-2 mb-2">
+          <label className="inline-flex items-center gap-2 px-3 py-1 border border-blue-300 text-blue-700 rounded cursor-pointer hover:bg-blue-50">
+            <Upload size={16} />
+            {t('common.chooseFile')}
+            <input
+              type="file"
+              accept=".json,.csv,.txt,.md"
+              className="hidden"
+              onChange={async (e) => {
+                const file = e.target.files?.[0];
+                e.target.value = '';
+                if (!file) return;
+                setImportText(await file.text());
+                setImportFormat(importFormatFor(file.name));
+                setImportName(file.name);
+                setResult(null);
+              }}
+            />
+          </label>
+          {importName && <span className="text-gray-600 truncate">{importName}</span>}
+        </div>
+        <textarea
+          value={importText}
+          onChange={(e) => {
+            setImportText(e.target.value);
+            setResult(null);
+            if (!importName) setImportFormat('text');
+          }}
+          rows={4}
+          placeholder={t('settings.importPlaceholder')}
+          className="w-full px-2 py-1 border border-gray-300 rounded font-mono text-xs focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+        />
+        <div className="mt-2 flex gap-2">
+          <button
+            onClick={() => void runImport(true)}
+            disabled={busy || !importText.trim()}
+            className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            {t('common.preview')}
+          </button>
+          <button
+            onClick={() => void runImport(false)}
+            disabled={busy || !importText.trim()}
+            className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {busy ? t('settings.working') : t('settings.import')}
+          </button>
+        </div>
+
+        {error && (
+          <div className="mt-2 text-red-600 flex items-center gap-2">
+            <AlertCircle size={16} />
+            {error}
+          </div>
+        )}
+        {result && (
+          <div className="mt-2 text-gray-700">
+            {result.dryRun
+              ? t('settings.importReady', { valid: result.valid, total: result.total })
+              : t('settings.imported', { created: result.created, total: result.total })}
+            {result.errors.length > 0 && (
+              <ul className="mt-1 max-h-40 overflow-y-auto text-xs text-red-600 space-y-0.5">
+                {result.errors.map(({ row, errors }) => (
+                  <li key={row}>{t('settings.importRow', { row, errors: errors.join('; ') })}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+type WebhookEvent = 'task.created' | 'task.updated' | 'task.completed' | 'task.deleted' | 'reminder.fired';
+
+const WEBHOOK_EVENTS: { event: WebhookEvent; label: MessageKey }[] = [
+  { event: 'task.created', label: 'webhooks.taskCreated' },
+  { event: 'task.updated', label: 'webhooks.taskUpdated' },
+  { event: 'task.completed', label: 'webhooks.taskCompleted' },
+  { event: 'task.deleted', label: 'webhooks.taskDeleted' },
+  { event: 'reminder.fired', label: 'webhooks.reminderFired' },
+];
+
+interface WebhookDelivery {
+  id: string;
+  webhookId: string;
+  event: WebhookEvent;
+  status: 'pending' | 'delivered' | 'failed' | 'cancelled';
+  attempts: number;
+  // When a pending delivery is tried again
+  nextAttemptAt: string | null;
+  responseStatus: number | null;
+  lastError: string | null;
+  createdAt: string;
+}
+
+const DELIVERY_STATUS_LABELS: Record<WebhookDelivery['status'], MessageKey> = {
+  pending: 'webhooks.pending',
+  delivered: 'webhooks.delivered',
+  failed: 'webhooks.failed',
+  cancelled: 'webhooks.cancelled',
+};
+
+const DELIVERY_STATUS_COLORS: Record<WebhookDelivery['status'], string> = {
+  pending: 'text-orange-700 bg-orange-50',
+  delivered: 'text-green-700 bg-green-50',
+  failed: 'text-red-700 bg-red-50',
+  cancelled: 'text-gray-600 bg-gray-100',
+};
+
+interface Webhook {
+  id: string;
+  url: string;
+  description: string;
+  events: WebhookEvent[];
+  active: boolean;
+  lastDelivery?: WebhookDelivery | null;
+  // Only in the response that created or rotated it
+  secret?: string;
+}
+
+// Webhook registrations with their event filters, the signing secret (shown once) and a delivery
+// log per hook with redelivery
+function WebhooksSection() {
+  const { t, formatDate } = useI18n();
+  const [hooks, setHooks] = useState<Webhook[]>([]);
+  const [url, setUrl] = useState<string>('');
+  const [events, setEvents] = useState<WebhookEvent[]>(['task.created', 'task.completed']);
+  const [secret, setSecret] = useState<{ hookId: string; value: string } | null>(null);
+  const [openLog, setOpenLog] = useState<string | null>(null);
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+  const [error, setError] = useState<string>('');
+
+  const fetchHooks = async (): Promise<void> => {
+    try {
+      const response = await apiFetch('/webhooks');
+      if (response.ok) setHooks((await response.json()).webhooks);
+    } catch (err) {
+      console.error('Failed to fetch webhooks:', err);
+    }
+  };
+
+  useEffect(() => {
+    void fetchHooks();
+  }, []);
+
+  const fetchLog = async (hookId: string): Promise<void> => {
+    try {
+      const response = await apiFetch(`/webhooks/${hookId}/deliveries`);
+      if (response.ok) setDeliveries(await response.json());
+    } catch (err) {
+      console.error('Failed to fetch webhook deliveries:', err);
+    }
+  };
+
+  // Sends a change and puts the returned hook in the list; returns it, or null after an error
+  const save = async (path: string, method: string, body?: object): Promise<Webhook | null> => {
+    setError('');
+    try {
+      const response = await apiFetch(path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || t('webhooks.saveFailed'));
+        return null;
+      }
+      if (data.secret) setSecret({ hookId: data.id, value: data.secret });
+      void fetchHooks();
+      return data;
+    } catch (err) {
+      console.error('Failed to save webhook:', err);
+      setError(t('common.networkError'));
+      return null;
+    }
+  };
+
+  const create = async (): Promise<void> => {
+    if (await save('/webhooks', 'POST', { url: url.trim(), events })) setUrl('');
+  };
+
+  const remove = async (hook: Webhook): Promise<void> => {
+    if (!confirm(t('webhooks.confirmDelete', { url: hook.url }))) return;
+    if (await save(`/webhooks/${hook.id}`, 'DELETE')) {
+      if (openLog === hook.id) setOpenLog(null);
+      if (secret?.hookId === hook.id) setSecret(null);
+    }
+  };
+
+  const toggleLog = (hook: Webhook): void => {
+    if (openLog === hook.id) {
+      setOpenLog(null);
+      return;
+    }
+    setOpenLog(hook.id);
+    setDeliveries([]);
+    void fetchLog(hook.id);
+  };
+
+  const redeliver = async (delivery: WebhookDelivery): Promise<void> => {
+    if (await save(`/webhooks/${delivery.webhookId}/deliveries/${delivery.id}/redeliver`, 'POST')) {
+      void fetchLog(delivery.webhookId);
+    }
+  };
+
+  const toggleEvent = (event: WebhookEvent, list: WebhookEvent[]): WebhookEvent[] =>
+    list.includes(event) ? list.filter((e) => e !== event) : [...list, event];
+
+  const renderStatus = (delivery: WebhookDelivery) => (
+    <span className={`px-2 py-0.5 rounded-full text-xs ${DELIVERY_STATUS_COLORS[delivery.status]}`}>
+      {t(DELIVERY_STATUS_LABELS[delivery.status])}
+      {delivery.responseStatus && ` (${delivery.responseStatus})`}
+    </span>
+  );
+
+  return (
+    <div>
+      <h3 className="font-medium text-gray-800 mb-1">{t('settings.webhooks')}</h3>
+      <p className="text-gray-500 mb-2">{t('settings.webhooksHint')}</p>
+      {error && (
+        <div className="mb-2 text-red-600 flex items-center gap-2">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+      <div className="divide-y divide-gray-100 mb-2">
+        {hooks.map((hook) => (
+          <div key={hook.id} className="py-2">
+            <div className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={hook.active}
+                onChange={(e) => void save(`/webhooks/${hook.id}`, 'PUT', { active: e.target.checked })}
+                title={t('webhooks.active')}
+              />
+              <div className="flex-1 min-w-0">
+                <div className={`truncate ${hook.active ? 'text-gray-800' : 'text-gray-400'}`}>{hook.url}</div>
+                <div className="text-xs text-gray-500 truncate">{hook.events.join(', ')}</div>
+              </div>
+              {hook.lastDelivery && renderStatus(hook.lastDelivery)}
+              <button
+                onClick={() => toggleLog(hook)}
+                className="p-1 text-gray-600 hover:bg-gray-100 rounded"
+                title={t('webhooks.log')}
+              >
+                <HistoryIcon size={16} />
+              </button>
+              <button
+                onClick={() => void save(`/webhooks/${hook.id}`, 'PUT', { rotateSecret: true })}
+                className="p-1 text-blue-600 hover:bg-blue-100 rounded"
+                title={t('webhooks.rotateSecret')}
+              >
+                <RotateCcw size={16} />
+              </button>
+              <button
+                onClick={() => void remove(hook)}
+                className="p-1 text-red-600 hover:bg-red-100 rounded"
+                title={t('webhooks.delete')}
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+
+            {secret?.hookId === hook.id && (
+              <div className="mt-2">
+                <p className="text-xs text-gray-500 mb-1">{t('webhooks.secretOnce')}</p>
+                <div className="flex gap-2">
+                  <input
+                    readOnly
+                    value={secret.value}
+                    onFocus={(e) => e.target.select()}
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded bg-gray-50 text-xs font-mono"
+                  />
+                  <button
+                    onClick={() => void navigator.clipboard?.writeText(secret.value)}
+                    className="p-1 text-blue-600 hover:bg-blue-100 rounded"
+                    title={t('webhooks.copySecret')}
+                  >
+                    <Copy size={16} />
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {openLog === hook.id && (
+              <div className="mt-2 max-h-56 overflow-y-auto text-xs border border-gray-100 rounded">
+                {deliveries.length === 0 ? (
+                  <p className="p-2 text-gray-500 text-center">{t('webhooks.noDeliveries')}</p>
+                ) : (
+                  deliveries.map((delivery) => (
+                    <div key={delivery.id} className="p-2 flex items-center gap-2 border-b border-gray-50 last:border-0">
+                      <div className="flex-1 min-w-0">
+                        <div className="text-gray-800">
+                          {delivery.event}
+                          <span className="ml-2 text-gray-500">{formatDate(parseServerDate(delivery.createdAt))}</span>
+                        </div>
+                        {delivery.lastError && <div className="text-red-600 truncate">{delivery.lastError}</div>}
+                        {delivery.nextAttemptAt && (
+                          <div className="text-gray-500">
+                            {t('webhooks.retryAt', {
+                              date: formatDate(delivery.nextAttemptAt),
+                              attempts: delivery.attempts,
+                            })}
+                          </div>
+                        )}
+                      </div>
+                      {renderStatus(delivery)}
+                      <button
+                        onClick={() => void redeliver(delivery)}
+                        disabled={!hook.active}
+                        className="px-2 py-0.5 text-blue-700 rounded hover:bg-blue-50 disabled:opacity-50"
+                      >
+                        {t('webhooks.redeliver')}
+                      </button>
+                    </div>
+                  ))
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2 mb-1">
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="https://example.com/hooks/tasks"
+          className="flex-1 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+        />
+        <button
+          onClick={() => void create()}
+          disabled={!url.trim() || !events.length}
+          className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+        >
+          {t('webhooks.add')}
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-x-3 gap-y-1">
+        {WEBHOOK_EVENTS.map(({ event, label }) => (
+          <label key={event} className="inline-flex items-center gap-1 text-gray-600">
+            <input type="checkbox" checked={events.includes(event)} onChange={() => setEvents(toggleEvent(event, events))} />
+            {t(label)}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+interface CalendarPanelProps {
+  feedEnabled: boolean;
+  onImported: () => void;
+}
+
+// Subscribable feed URL (shown once when issued) and .ics import
+function CalendarPanel({ feedEnabled, onImported }: CalendarPanelProps) {
+  const [enabled, setEnabled] = useState<boolean>(feedEnabled);
+  const [feedUrl, setFeedUrl] = useState<string>('');
+  const [importing, setImporting] = useState<boolean>(false);
+  const [importResult, setImportResult] = useState<string>('');
+  const { t } = useI18n();
+
+  const issueFeed = async (): Promise<void> => {
+    if (enabled && !confirm(t('calendar.confirmNewFeed'))) return;
+    try {
+      const response = await apiFetch('/calendar/feed', { method: 'POST' });
+      if (response.ok) {
+        const data: { url: string } = await response.json();
+        setFeedUrl(data.url);
+        setEnabled(true);
+      }
+    } catch (err) {
+      console.error('Failed to create calendar feed:', err);
+    }
+  };
+
+  const disableFeed = async (): Promise<void> => {
+    if (!confirm(t('calendar.confirmDisable'))) return;
+    try {
+      const response = await apiFetch('/calendar/feed', { method: 'DELETE' });
+      if (response.ok) {
+        setEnabled(false);
+        setFeedUrl('');
+      }
+    } catch (err) {
+      console.error('Failed to disable calendar feed:', err);
+    }
+  };
+
+  const importFile = async (file: File): Promise<void> => {
+    setImporting(true);
+    setImportResult('');
+    try {
+      const response = await apiFetch('/calendar/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/calendar' },
+        body: await file.text(),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setImportResult(data.error || t('settings.importFailed'));
+        return;
+      }
+      const result = data as CalendarImportResult;
+      const warnings = result.tasks.reduce((n, task) => n + task.warnings.length, 0);
+      setImportResult(
+        t('calendar.imported', { count: result.imported }) +
+          (result.skipped.length ? t('calendar.skipped', { count: result.skipped.length }) : '') +
+          (warnings ? t('calendar.ignored', { count: warnings }) : '')
+      );
+      if (result.imported) onImported();
+    } catch (err) {
+      console.error('Failed to import calendar:', err);
+      setImportResult(t('common.networkError'));
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-xl border border-blue-100 rounded-lg p-4 space-y-4 text-sm">
+      <div>
+        <h3 className="font-medium text-gray-800 mb-1">{t('calendar.feed')}</h3>
+        <p className="text-gray-500 mb-2">{t('calendar.feedHint')}</p>
+        {feedUrl && (
+          <div className="flex gap-2 mb-2">
+            <input
+              readOnly
+              value={feedUrl}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 px-2 py-1 border border-gray-300 rounded bg-gray-50 text-xs"
+            />
+            <button
+              onClick={() => void navigator.clipboard?.writeText(feedUrl)}
+              className="p-1 text-blue-600 hover:bg-blue-100 rounded"
+              title={t('calendar.copyUrl')}
+            >
+              <Copy size={16} />
+            </button>
+          </div>
+        )}
+        {feedUrl && <p className="text-xs text-gray-500 mb-2">{t('calendar.private')}</p>}
+        <div className="flex gap-2">
+          <button onClick={() => void issueFeed()} className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700">
+            {enabled ? t('calendar.newFeed') : t('calendar.createFeed')}
+          </button>
+          {enabled && (
+            <button onClick={() => void disableFeed()} className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-50">
+              {t('calendar.disableFeed')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-medium text-gray-800 mb-1">{t('calendar.importIcs')}</h3>
+        <label className="inline-flex items-center gap-2 px-3 py-1 border border-blue-300 text-blue-700 rounded cursor-pointer hover:bg-blue-50">
+          <Upload size={16} />
+          {importing ? t('calendar.importing') : t('common.chooseFile')}
+          <input
+            type="file"
+            accept=".ics,text/calendar"
+            className="hidden"
+            disabled={importing}
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = '';
+              if (file) void importFile(file);
+            }}
+          />
+        </label>
+        {importResult && <p className="mt-2 text-gray-600">{importResult}</p>}
+      </div>
+    </div>
+  );
+}
+
+interface TrashPanelProps {
+  onRestored: (task: Task) => void;
+}
+
+// Deleted tasks: restore them or delete them for good before the server purges them
+function TrashPanel({ onRestored }: TrashPanelProps) {
+  const [trashed, setTrashed] = useState<Task[]>([]);
+  const [retentionDays, setRetentionDays] = useState<number | null>(null);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string>('');
+  const { t, formatDate } = useI18n();
+
+  const fetchTrash = async (): Promise<void> => {
+    try {
+      const response = await apiFetch('/trash');
+      if (response.ok) {
+        const data: { tasks: Task[]; retentionDays: number } = await response.json();
+        setTrashed(data.tasks);
+        setRetentionDays(data.retentionDays);
+      }
+    } catch (err) {
+      console.error('Failed to fetch trash:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    void fetchTrash();
+  }, []);
+
+  const restore = async (task: Task): Promise<void> => {
+    setError('');
+    try {
+      const response = await apiFetch(`/tasks/${task.id}/restore`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || t('trash.restoreFailed'));
+        return;
+      }
+      setTrashed((prev) => prev.filter((item) => item.id !== task.id));
+      onRestored(data);
+    } catch (err) {
+      console.error('Failed to restore task:', err);
+    }
+  };
+
+  const deleteForever = async (task: Task): Promise<void> => {
+    if (!confirm(t('trash.confirmDelete', { title: task.title }))) return;
+    try {
+      const response = await apiFetch(`/tasks/${task.id}?permanent=true`, { method: 'DELETE' });
+      if (response.ok) setTrashed((prev) => prev.filter((item) => item.id !== task.id));
+    } catch (err) {
+      console.error('Failed to delete task:', err);
+    }
+  };
+
+  const emptyTrash = async (): Promise<void> => {
+    if (!confirm(t('trash.confirmEmpty', { count: trashed.length }))) return;
+    try {
+      const response = await apiFetch('/trash', { method: 'DELETE' });
+      if (response.ok) setTrashed([]);
+    } catch (err) {
+      console.error('Failed to empty trash:', err);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-xl border border-gray-200 rounded-lg p-4 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-medium text-gray-800">{t('trash.title')}</h3>
+        {trashed.length > 0 && (
+          <button onClick={() => void emptyTrash()} className="px-3 py-1 text-red-600 rounded hover:bg-red-50">
+            {t('trash.empty')}
+          </button>
+        )}
+      </div>
+      {retentionDays !== null && (
+        <p className="text-gray-500 mb-2">{t('trash.retention', { days: retentionDays })}</p>
+      )}
+      {error && (
+        <div className="mb-2 text-red-600 flex items-center gap-2">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+      {loading ? (
+        <p className="text-gray-500 text-center">{t('common.loading')}</p>
+      ) : trashed.length === 0 ? (
+        <p className="text-gray-500 text-center">{t('trash.isEmpty')}</p>
+      ) : (
+        <div className="divide-y divide-gray-100 max-h-72 overflow-y-auto">
+          {trashed.map((task) => (
+            <div key={task.id} className="py-2 flex items-center gap-3">
+              <div className="flex-1 min-w-0">
+                <div className="text-gray-800 truncate">{task.title}</div>
+                <div className="text-xs text-gray-500">
+                  {task.deletedAt &&
+                    t(task.parentId ? 'trash.subtaskDeleted' : 'trash.deleted', {
+                      date: formatDate(parseServerDate(task.deletedAt)),
+                    })}
+                </div>
+              </div>
+              <button
+                onClick={() => void restore(task)}
+                className="inline-flex items-center gap-1 px-2 py-1 text-blue-700 rounded hover:bg-blue-50"
+              >
+                <RotateCcw size={14} />
+                {t('trash.restore')}
+              </button>
+              <button
+                onClick={() => void deleteForever(task)}
+                className="p-1 text-red-600 rounded hover:bg-red-50"
+                title={t('trash.deleteForever')}
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// 4000 seconds -> "1:06:40"
+function formatElapsed(seconds: number): string {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+interface TimerBannerProps {
+  entry: TimeEntry;
+  onOpen: (taskId: TaskID) => void;
+  onStop: (endedAt?: string) => void;
+}
+
+// The running timer, ticking every second. A timer left running (stale) can be stopped at the
+// time the work actually ended instead of now.
+function TimerBanner({ entry, onOpen, onStop }: TimerBannerProps) {
+  const { t, formatDate } = useI18n();
+  const [now, setNow] = useState<number>(Date.now());
+  const [endedAt, setEndedAt] = useState<string>('');
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const seconds = Math.max(0, Math.floor((now - parseServerDate(entry.startedAt).getTime()) / 1000));
+
+  return (
+    <div className="mb-4 p-3 bg-indigo-50 border border-indigo-200 rounded-lg text-sm">
+      <div className="flex items-center gap-3">
+        <Timer size={18} className="text-indigo-600 shrink-0" />
+        <button onClick={() => onOpen(entry.taskId)} className="flex-1 min-w-0 text-left text-indigo-900 truncate hover:underline">
+          {entry.taskTitle}
+        </button>
+        <span className="font-mono text-indigo-800">{formatElapsed(seconds)}</span>
+        <button
+          onClick={() => onStop()}
+          className="inline-flex items-center gap-1 px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700"
+        >
+          <Square size={14} />
+          {t('timer.stop')}
+        </button>
+      </div>
+      {entry.stale && (
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-indigo-900">
+          <span>{t('timer.stale', { date: formatDate(parseServerDate(entry.startedAt)) })}</span>
+          <input
+            type="datetime-local"
+            value={endedAt}
+            min={toLocalInputValue(entry.startedAt)}
+            max={toLocalInputValue(new Date(now).toISOString())}
+            onChange={(e) => setEndedAt(e.target.value)}
+            className="px-2 py-1 border border-indigo-200 rounded bg-white"
+            aria-label={t('timer.stoppedAt')}
+          />
+          <button
+            onClick={() => onStop(fromLocalInputValue(endedAt) ?? undefined)}
+            disabled={!endedAt}
+            className="px-3 py-1 border border-indigo-300 text-indigo-700 rounded hover:bg-indigo-100 disabled:opacity-50"
+          >
+            {t('timer.stopAt')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
 
-// === Your VAPID public key (safe to expose on frontend) ===
-const VAPID_PUBLIC_KEY =
-  'BNK5Vhu8k9nVl2fmpz29ldA-JhXxV8fRXK_9JAmnqcSrEN-10ognhDIW2rLHrd_XfTvX3wqw_4OdZSM3BO7245A';
+type TimeReportGroup = 'task' | 'project' | 'day';
 
-// Utility: convert base64url string to Uint8Array (required by PushManager)
+interface TimeReportRow {
+  taskId?: TaskID;
+  title?: string;
+  projectId?: string | null;
+  project?: string | null;
+  estimateMinutes?: number | null;
+  // YYYY-MM-DD in the user's time zone
+  day?: string;
+  minutes: number;
+  sessions: number;
+}
 
-function urlBase64ToUint8Array(base64String: string) {
-  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
-  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
-  const raw = window.atob(base64);
-  const output = new Uint8Array(raw.length);
-  for (let i = 0; i < raw.length; i++) {
-    output[i] = raw.charCodeAt(i);
-  }
-  return output;
+interface TimeReport {
+  groupBy: TimeReportGroup;
+  rows: TimeReportRow[];
+  totalMinutes: number;
 }
 
-// Types
-type TaskID = string | number;
+const TIME_REPORT_GROUPS: { value: TimeReportGroup; label: MessageKey }[] = [
+  { value: 'task', label: 'time.byTask' },
+  { value: 'project', label: 'time.byProject' },
+  { value: 'day', label: 'time.byDay' },
+];
 
-interface Task {
-  id: TaskID;
-  title: string;
-  dueDate?: string | null;
-  completed: boolean;
+// Tracked time summed per task, project or day, with a CSV download of the same report
+function TimeReportPanel() {
+  const i18n = useI18n();
+  const { t, formatDate } = i18n;
+  const [groupBy, setGroupBy] = useState<TimeReportGroup>('task');
+  const [from, setFrom] = useState<string>('');
+  const [to, setTo] = useState<string>('');
+  const [report, setReport] = useState<TimeReport | null>(null);
+  const [error, setError] = useState<string>('');
+
+  // Date inputs are local days; the range covers the whole of both days
+  const reportQuery = (format: 'json' | 'csv'): string => {
+    const params = new URLSearchParams({ groupBy, format });
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+    return params.toString();
+  };
+
+  useEffect(() => {
+    (async () => {
+      setError('');
+      try {
+        const response = await apiFetch(`/reports/time?${reportQuery('json')}`);
+        const data = await response.json();
+        if (!response.ok) {
+          setError(data.error || t('time.failed'));
+          return;
+        }
+        setReport(data);
+      } catch (err) {
+        console.error('Failed to fetch time report:', err);
+        setError(t('time.failed'));
+      }
+    })();
+  }, [groupBy, from, to]);
+
+  const download = async (): Promise<void> => {
+    try {
+      const response = await apiFetch(`/reports/time?${reportQuery('csv')}`);
+      if (!response.ok) return;
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] ?? 'time.csv';
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to export time report:', err);
+    }
+  };
+
+  const rowLabel = (row: TimeReportRow): string => {
+    if (row.day) return formatDate(new Date(`${row.day}T00:00:00`), { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+    if (row.taskId) return row.title ?? '';
+    return row.project ?? t('time.noProject');
+  };
+
+  return (
+    <div className="w-full max-w-xl border border-gray-200 rounded-lg p-4 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-medium text-gray-800">{t('time.title')}</h3>
+        <button
+          onClick={() => void download()}
+          disabled={!report?.rows.length}
+          className="inline-flex items-center gap-1 px-3 py-1 text-blue-700 rounded hover:bg-blue-50 disabled:opacity-50"
+        >
+          <Download size={14} />
+          {t('time.exportCsv')}
+        </button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <select
+          value={groupBy}
+          onChange={(e) => setGroupBy(e.target.value as TimeReportGroup)}
+          className="px-2 py-1 border border-gray-300 rounded"
+          aria-label={t('time.groupBy')}
+        >
+          {TIME_REPORT_GROUPS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {t(label)}
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded"
+          aria-label={t('time.from')}
+        />
+        <span className="text-gray-500">–</span>
+        <input
+          type="date"
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded"
+          aria-label={t('time.to')}
+        />
+      </div>
+      {error && (
+        <div className="mb-2 text-red-600 flex items-center gap-2">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+      {!report ? (
+        !error && <p className="text-gray-500 text-center">{t('common.loading')}</p>
+      ) : report.rows.length === 0 ? (
+        <p className="text-gray-500 text-center">{t('time.empty')}</p>
+      ) : (
+        <div className="max-h-72 overflow-y-auto">
+          <table className="w-full">
+            <thead className="text-xs text-gray-500 text-left">
+              <tr>
+                <th className="py-1 font-normal">{t(TIME_REPORT_GROUPS.find((g) => g.value === report.groupBy)!.label)}</th>
+                <th className="py-1 font-normal text-right">{t('time.sessions')}</th>
+                <th className="py-1 font-normal text-right">{t('time.tracked')}</th>
+                {report.groupBy === 'task' && <th className="py-1 font-normal text-right">{t('time.estimate')}</th>}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {report.rows.map((row) => (
+                <tr key={String(row.taskId ?? row.projectId ?? row.day ?? 'none')}>
+                  <td className="py-1 pr-2 text-gray-800 truncate max-w-[16rem]">{rowLabel(row)}</td>
+                  <td className="py-1 text-right text-gray-600">{row.sessions}</td>
+                  <td className="py-1 text-right text-gray-800">{formatDuration(row.minutes, i18n)}</td>
+                  {report.groupBy === 'task' && (
+                    <td
+                      className={`py-1 text-right ${
+                        row.estimateMinutes && row.minutes > row.estimateMinutes ? 'text-red-600' : 'text-gray-600'
+                      }`}
+                    >
+                      {row.estimateMinutes ? formatDuration(row.estimateMinutes, i18n) : '—'}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="border-t border-gray-200 font-medium text-gray-800">
+                <td className="py-1">{t('time.total')}</td>
+                <td />
+                <td className="py-1 text-right">{formatDuration(report.totalMinutes, i18n)}</td>
+                {report.groupBy === 'task' && <td />}
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
 }
 
-type UpdatePayload = Partial<Task> & { input?: string };
+interface StatsBucket {
+  completed: number;
+  // Only tasks with a due date count as on time or late
+  onTime: number;
+  late: number;
+}
 
-export default function TaskManager() {
+interface OnTimeStats {
+  onTime: number;
+  late: number;
+  // 0-1, null when nothing with a due date was completed
+  onTimeRate: number | null;
+}
+
+interface Stats {
+  // Calendar days in the user's time zone
+  from: string;
+  to: string;
+  totals: StatsBucket & { onTimeRate: number | null; overdue: number };
+  daily: (StatsBucket & { date: string })[];
+  weekly: (StatsBucket & { weekStart: string })[];
+  // Split by whether a reminder was sent for the task
+  reminders: { withReminder: OnTimeStats; withoutReminder: OnTimeStats };
+  leadTime: { averageHours: number | null; medianHours: number | null };
+  streaks: { current: number; longest: number };
+}
+
+const STATS_RANGES = [7, 30, 90, 365];
+
+// Today and the day `days` before it, as YYYY-MM-DD on this device
+function recentDays(days: number): { from: string; to: string } {
+  const today = new Date();
+  const from = new Date(today.getFullYear(), today.getMonth(), today.getDate() - days + 1);
+  const day = (date: Date): string => toLocalInputValue(date.toISOString()).slice(0, 10);
+  return { from: day(from), to: day(today) };
+}
+
+const formatRate = (rate: number | null): string => (rate === null ? '—' : `${Math.round(rate * 100)}%`);
+
+// Productivity dashboard: completions over time (on time, late, or without a due date), whether
+// tasks that got a reminder were finished on time more often, lead time and streaks
+function StatsDashboard() {
+  const { t, formatDate } = useI18n();
+  const [range, setRange] = useState<{ from: string; to: string }>(() => recentDays(30));
+  const [byWeek, setByWeek] = useState<boolean>(false);
+  const [stats, setStats] = useState<Stats | null>(null);
+  const [error, setError] = useState<string>('');
+
+  useEffect(() => {
+    (async () => {
+      setError('');
+      try {
+        const response = await apiFetch(`/stats?${new URLSearchParams(range)}`);
+        const data = await response.json();
+        if (!response.ok) {
+          setError(data.error || t('stats.failed'));
+          return;
+        }
+        setStats(data);
+      } catch (err) {
+        console.error('Failed to fetch stats:', err);
+        setError(t('stats.failed'));
+      }
+    })();
+  }, [range]);
+
+  const dayLabel = (day: string): string => formatDate(new Date(`${day}T00:00:00`), { day: 'numeric', month: 'short' });
+  const bars = stats
+    ? byWeek
+      ? stats.weekly.map((week) => ({ ...week, label: t('stats.weekOf', { date: dayLabel(week.weekStart) }) }))
+      : stats.daily.map((day) => ({ ...day, label: dayLabel(day.date) }))
+    : [];
+  const peak = Math.max(1, ...bars.map((bar) => bar.completed));
+
+  const summary: [MessageKey, string][] = stats
+    ? [
+        ['stats.completed', String(stats.totals.completed)],
+        ['stats.onTimeRate', formatRate(stats.totals.onTimeRate)],
+        ['stats.overdue', String(stats.totals.overdue)],
+        [
+          'stats.leadTime',
+          stats.leadTime.averageHours === null
+            ? '—'
+            : stats.leadTime.averageHours >= 48
+            ? t('stats.days', { count: Math.round(stats.leadTime.averageHours / 24) })
+            : t('stats.hours', { count: Math.round(stats.leadTime.averageHours) }),
+        ],
+        ['stats.currentStreak', t('stats.days', { count: stats.streaks.current })],
+        ['stats.longestStreak', t('stats.days', { count: stats.streaks.longest })],
+      ]
+    : [];
+
+  const reminderRows: [MessageKey, OnTimeStats][] = stats
+    ? [
+        ['stats.withReminder', stats.reminders.withReminder],
+        ['stats.withoutReminder', stats.reminders.withoutReminder],
+      ]
+    : [];
+
+  return (
+    <div className="w-full max-w-3xl border border-gray-200 rounded-lg p-4 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="font-medium text-gray-800">{t('stats.title')}</h3>
+        <div className="flex flex-wrap items-center gap-2">
+          {STATS_RANGES.map((days) => (
+            <button
+              key={days}
+              onClick={() => setRange(recentDays(days))}
+              className="px-2 py-1 border border-gray-300 rounded hover:bg-gray-50"
+            >
+              {t('stats.lastDays', { count: days })}
+            </button>
+          ))}
+          <input
+            type="date"
+            value={range.from}
+            max={range.to}
+            onChange={(e) => e.target.value && setRange((prev) => ({ ...prev, from: e.target.value }))}
+            className="px-2 py-1 border border-gray-300 rounded"
+            aria-label={t('time.from')}
+          />
+          <span className="text-gray-500">–</span>
+          <input
+            type="date"
+            value={range.to}
+            min={range.from}
+            onChange={(e) => e.target.value && setRange((prev) => ({ ...prev, to: e.target.value }))}
+            className="px-2 py-1 border border-gray-300 rounded"
+            aria-label={t('time.to')}
+          />
+        </div>
+      </div>
+      {error && (
+        <div className="mb-2 text-red-600 flex items-center gap-2">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+      {!stats ? (
+        !error && <p className="text-gray-500 text-center">{t('common.loading')}</p>
+      ) : (
+        <div className="space-y-5">
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+            {summary.map(([label, value]) => (
+              <div key={label} className="p-3 rounded-lg bg-gray-50">
+                <div className="text-xs text-gray-500">{t(label)}</div>
+                <div className="text-lg font-semibold text-gray-800">{value}</div>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="font-medium text-gray-700">{t('stats.completions')}</h4>
+              <div className="flex gap-1">
+                <button
+                  onClick={() => setByWeek(false)}
+                  className={`px-2 py-0.5 rounded ${!byWeek ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+                >
+                  {t('stats.perDay')}
+                </button>
+                <button
+                  onClick={() => setByWeek(true)}
+                  className={`px-2 py-0.5 rounded ${byWeek ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+                >
+                  {t('stats.perWeek')}
+                </button>
+              </div>
+            </div>
+            {/* Stacked bars: on time, late, then tasks without a due date */}
+            <div className="flex items-end gap-px h-40 border-b border-gray-200">
+              {bars.map((bar) => (
+                <div
+                  key={bar.label}
+                  className="flex-1 min-w-[2px] h-full flex flex-col justify-end"
+                  title={t('stats.barTitle', {
+                    label: bar.label,
+                    completed: bar.completed,
+                    onTime: bar.onTime,
+                    late: bar.late,
+                  })}
+                >
+                  <div className="bg-gray-300" style={{ height: `${((bar.completed - bar.onTime - bar.late) / peak) * 100}%` }} />
+                  <div className="bg-red-400" style={{ height: `${(bar.late / peak) * 100}%` }} />
+                  <div className="bg-green-500" style={{ height: `${(bar.onTime / peak) * 100}%` }} />
+                </div>
+              ))}
+            </div>
+            <div className="mt-1 flex justify-between text-xs text-gray-500">
+              <span>{bars[0]?.label}</span>
+              <span className="flex gap-3">
+                <span className="inline-flex items-center gap-1">
+                  <span className="w-2 h-2 bg-green-500" />
+                  {t('stats.onTime')}
+                </span>
+                <span className="inline-flex items-center gap-1">
+                  <span className="w-2 h-2 bg-red-400" />
+                  {t('stats.late')}
+                </span>
+                <span className="inline-flex items-center gap-1">
+                  <span className="w-2 h-2 bg-gray-300" />
+                  {t('stats.noDueDate')}
+                </span>
+              </span>
+              <span>{bars[bars.length - 1]?.label}</span>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="font-medium text-gray-700 mb-2">{t('stats.reminderEffect')}</h4>
+            <div className="space-y-2">
+              {reminderRows.map(([label, row]) => (
+                <div key={label} className="flex items-center gap-3">
+                  <span className="w-40 shrink-0 text-gray-600">{t(label)}</span>
+                  <div className="flex-1 h-4 rounded bg-gray-100 overflow-hidden">
+                    <div className="h-full bg-green-500" style={{ width: `${(row.onTimeRate ?? 0) * 100}%` }} />
+                  </div>
+                  <span className="w-40 shrink-0 text-right text-gray-700">
+                    {formatRate(row.onTimeRate)}
+                    <span className="ml-1 text-xs text-gray-500">
+                      {t('stats.onTimeOf', { onTime: row.onTime, total: row.onTime + row.late })}
+                    </span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Wraps the first case-insensitive match of `phrase` in a highlight
+function highlightPhrase(text: string, phrase: string | null): React.ReactNode {
+  const at = phrase ? text.toLowerCase().indexOf(phrase.toLowerCase()) : -1;
+  if (!phrase || at === -1) return text;
+  return (
+    <>
+      {text.slice(0, at)}
+      <mark className="bg-yellow-200 rounded px-0.5">{text.slice(at, at + phrase.length)}</mark>
+      {text.slice(at + phrase.length)}
+    </>
+  );
+}
+
+interface ParsePreviewProps {
+  input: string;
+  // A date picked by hand, shown instead of the parsed one (ISO)
+  dueOverride?: string | null;
+  // Only the due date and repeat rule, for date-only inputs
+  dateOnly?: boolean;
+  onParsed?: (result: ParsedInput | null) => void;
+}
+
+// How the server reads `input`, fetched from POST /parse as the user pauses typing
+function ParsePreview({ input, dueOverride, dateOnly = false, onParsed }: ParsePreviewProps) {
+  const [result, setResult] = useState<ParsedInput | null>(null);
+  const [pending, setPending] = useState<boolean>(false);
+  const i18n = useI18n();
+  const { t, formatDate } = i18n;
+  const onParsedRef = useRef(onParsed);
+  onParsedRef.current = onParsed;
+
+  useEffect(() => {
+    const text = input.trim();
+    if (!text) {
+      setResult(null);
+      setPending(false);
+      onParsedRef.current?.(null);
+      return;
+    }
+
+    setPending(true);
+    const controller = new AbortController();
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await apiFetch('/parse', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ input: text }),
+          signal: controller.signal,
+        });
+        if (!response.ok) return;
+        const data: { result: ParsedInput } = await response.json();
+        setResult(data.result);
+        onParsedRef.current?.(data.result);
+      } catch {
+        // Newer input aborted this one, or we're offline; the text is parsed again when saved
+      } finally {
+        if (!controller.signal.aborted) setPending(false);
+      }
+    }, PARSE_PREVIEW_DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timeout);
+      controller.abort();
+    };
+  }, [input]);
+
+  if (!input.trim() || (!result && !pending)) return null;
+
+  const due = dueOverride !== undefined && dueOverride !== null ? dueOverride : result?.dueDate;
+  const unsure = !dueOverride && (result?.confidence.dueDate ?? 1) < PARSE_LOW_CONFIDENCE;
+  return (
+    <div className={`mt-2 flex flex-wrap items-center gap-x-3 gap-y-1 text-sm text-gray-600 ${pending ? 'opacity-60' : ''}`}>
+      {result && (
+        <>
+          {!dateOnly && (
+            <span className="text-gray-800" title={t('preview.readAs', { title: result.title })}>
+              {highlightPhrase(input, result.datePhrase)}
+            </span>
+          )}
+          <span className="flex items-center gap-1">
+            <Clock size={14} />
+            {due
+              ? formatDate(due, { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+              : t('preview.noDueDate')}
+            {dueOverride && <span className="text-gray-400">{t('preview.picked')}</span>}
+            {unsure && (
+              <span className="text-orange-600" title={t('preview.unsure')}>
+                <AlertCircle size={14} />
+              </span>
+            )}
+          </span>
+          {result.recurrence && (
+            <span className="flex items-center gap-1">
+              <Repeat size={14} />
+              {describeRecurrence(result.recurrence, i18n)}
+            </span>
+          )}
+          {!dateOnly && result.project && <span className="text-blue-700">@{result.project}</span>}
+          {!dateOnly && result.tags.map((tag) => (
+            <span key={tag} className="text-purple-700">
+              #{tag}
+            </span>
+          ))}
+          {!dateOnly && result.priority && (
+            <span className="flex items-center gap-1">
+              <Flag size={14} />
+              {t('preview.priority', { priority: t(`priority.${result.priority}`) })}
+            </span>
+          )}
+          {!dateOnly && result.email && <span>{t('preview.notify', { email: result.email })}</span>}
+          <span className="text-xs text-gray-400">{t('preview.via', { provider: result.provider })}</span>
+        </>
+      )}
+      {pending && <div className="w-3 h-3 border-2 border-gray-400 border-t-transparent rounded-full animate-spin" />}
+    </div>
+  );
+}
+
+interface TaskBoardProps {
+  user: User;
+  onLogout: () => Promise<void>;
+  onLanguageChange: (language: Language) => void;
+}
+
+function TaskBoard({ user, onLogout, onLanguageChange }: TaskBoardProps) {
+  const i18n = useI18n();
+  const { t, formatDate } = i18n;
   const [tasks, setTasks] = useState<Task[]>([]);
   const [newTaskInput, setNewTaskInput] = useState<string>('');
   const [editingTask, setEditingTask] = useState<TaskID | null>(null);
-  const [editInput, setEditInput] = useState<string>('');
+  // Edits use structured fields; `editWhen` is free text that fills in the date picker
+  const [editTitle, setEditTitle] = useState<string>('');
+  const [editDue, setEditDue] = useState<string>('');
+  const [editWhen, setEditWhen] = useState<string>('');
+  // Minutes, as typed
+  const [editEstimate, setEditEstimate] = useState<string>('');
+  const [editPriority, setEditPriority] = useState<Priority | ''>('');
+  // Date picked for the new task instead of the one parsed from its text (datetime-local value)
+  const [newTaskDue, setNewTaskDue] = useState<string>('');
+  const [newTaskParsed, setNewTaskParsed] = useState<ParsedInput | null>(null);
   const [loading, setLoading] = useState<boolean>(false);
   const [error, setError] = useState<string>('');
+  const [settings, setSettings] = useState<Settings>({
+    defaultReminderOffsets: [60],
+    timezone: DEVICE_TIMEZONE,
+    digest: { daily: false, weekly: false, time: '08:00', weeklyDay: 1 },
+    language: i18n.language,
+  });
+  const [projects, setProjects] = useState<Project[]>([]);
+  const [tags, setTags] = useState<TagInfo[]>([]);
+  const [statuses, setStatuses] = useState<TaskStatus[]>([]);
+  const [selectedProject, setSelectedProject] = useState<ProjectFilter>('all');
+
+  // The same filtered tasks as a list, a calendar or a board
+  const [view, setView] = useState<TaskView>(() => {
+    const stored = localStorage.getItem(VIEW_STORAGE_KEY);
+    return stored === 'calendar' || stored === 'board' ? stored : 'list';
+  });
+  // Set by the calendar once it knows which days it shows
+  const [calendarRange, setCalendarRange] = useState<DueRange | null>(null);
+  const [selectedTag, setSelectedTag] = useState<string | null>(null);
+
+  // Filter bar; filtering, search and paging happen on the server
+  const [search, setSearch] = useState<string>('');
+  const [debouncedSearch, setDebouncedSearch] = useState<string>('');
+  const [statusFilter, setStatusFilter] = useState<StatusFilter>('all');
+  const [overdueOnly, setOverdueOnly] = useState<boolean>(false);
+  const [dueFrom, setDueFrom] = useState<string>('');
+  const [dueTo, setDueTo] = useState<string>('');
+  const [sortField, setSortField] = useState<SortField>('created');
+  const [sortOrder, setSortOrder] = useState<'asc' | 'desc'>('desc');
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loadingMore, setLoadingMore] = useState<boolean>(false);
+  // How many tasks are loaded, so the 30s refresh keeps every page the user has opened
+  const loadedCount = useRef<number>(0);
+
+  // Live updates
+  const [liveStatus, setLiveStatus] = useState<LiveStatus>('connecting');
+  const [reminderNotice, setReminderNotice] = useState<ReminderFiredEvent | null>(null);
+
+  // Offline outbox: queued changes and the ones the server refused on replay
+  const [online, setOnline] = useState<boolean>(navigator.onLine);
+  const [pendingIds, setPendingIds] = useState<Set<TaskID>>(new Set());
+  const [conflicts, setConflicts] = useState<SyncConflict[]>([]);
+  const outboxRef = useRef<OutboxEntry[]>([]);
+
+  // Undo toast after a delete or completion; history timelines are loaded when opened
+  const [undoAction, setUndoAction] = useState<UndoAction | null>(null);
+  const [histories, setHistories] = useState<Record<TaskID, TaskEvent[]>>({});
+  const [openHistories, setOpenHistories] = useState<Set<TaskID>>(new Set());
+  const [showTrash, setShowTrash] = useState<boolean>(false);
+  const [showTimeReport, setShowTimeReport] = useState<boolean>(false);
+  const [showStats, setShowStats] = useState<boolean>(false);
+
+  // The one running timer, if any; the server keeps it, so it survives reloads
+  const [runningTimer, setRunningTimer] = useState<TimeEntry | null>(null);
+
+  // Multi-select for bulk actions; shift-click selects the range from the last box clicked
+  const [selectedIds, setSelectedIds] = useState<Set<TaskID>>(new Set());
+  const lastSelectedRef = useRef<TaskID | null>(null);
+  const [bulkWhen, setBulkWhen] = useState<string>('');
+  const [bulkTags, setBulkTags] = useState<string>('');
+  const [bulkBusy, setBulkBusy] = useState<boolean>(false);
+  const [bulkError, setBulkError] = useState<string>('');
+  // Task opened from a notification (?task=<id>, or a message from the service worker)
+  const [highlightedTask, setHighlightedTask] = useState<TaskID | null>(() =>
+    new URLSearchParams(window.location.search).get('task')
+  );
+
+  // Checklists
+  const [expandedTasks, setExpandedTasks] = useState<Set<TaskID>>(new Set());
+  const [subtaskInputs, setSubtaskInputs] = useState<Record<TaskID, string>>({});
 
   // Push state
   const [pushEnabled, setPushEnabled] = useState<boolean>(false);
   const [pushChecking, setPushChecking] = useState<boolean>(true);
+  const [pushDevices, setPushDevices] = useState<PushDevice[]>([]);
+  const [showDevices, setShowDevices] = useState<boolean>(false);
+  const [showCalendar, setShowCalendar] = useState<boolean>(false);
+  // Digest emails link to ?settings=digest
+  const [showSettings, setShowSettings] = useState<boolean>(() =>
+    new URLSearchParams(window.location.search).has('settings')
+  );
+
+  // Undo callbacks run after later renders, so task lookups go through a ref
+  const tasksRef = useRef<Task[]>(tasks);
+  tasksRef.current = tasks;
+  const openHistoriesRef = useRef<Set<TaskID>>(openHistories);
+
+  // Tasks that leave the list (deleted, filtered out) leave the selection too
+  useEffect(() => {
+    setSelectedIds((prev) => {
+      if (!prev.size) return prev;
+      const next = new Set([...prev].filter((id) => tasks.some((task) => task.id === id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [tasks]);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedSearch(search.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [search]);
+
+  const buildTaskQuery = (cursor?: string | null, limit: number = TASK_PAGE_SIZE): string => {
+    const params = new URLSearchParams({ sort: sortField, order: sortOrder, limit: String(limit) });
+    if (statusFilter !== 'all') params.set('status', statusFilter);
+    if (overdueOnly) params.set('overdue', 'true');
+    // Date inputs are local days; the range covers the whole of both days
+    if (dueFrom) params.set('dueFrom', new Date(`${dueFrom}T00:00:00`).toISOString());
+    if (dueTo) params.set('dueTo', new Date(`${dueTo}T23:59:59.999`).toISOString());
+    if (debouncedSearch) params.set('q', debouncedSearch);
+    if (selectedProject !== 'all') params.set('projectId', selectedProject);
+    if (selectedTag) params.set('tag', selectedTag);
+    if (cursor) params.set('cursor', cursor);
+    return params.toString();
+  };
+
+  useEffect(() => {
+    void fetchOrganizers();
+    void fetchTimer();
+  }, []);
 
+  // Reload from the first page whenever the filters or the view change
   useEffect(() => {
+    loadedCount.current = 0;
     void fetchTasks();
-    const interval = setInterval(fetchTasks, 30_000);
+  }, [
+    statusFilter,
+    overdueOnly,
+    dueFrom,
+    dueTo,
+    debouncedSearch,
+    sortField,
+    sortOrder,
+    selectedProject,
+    selectedTag,
+    view,
+    calendarRange,
+  ]);
+
+  useEffect(() => {
+    localStorage.setItem(VIEW_STORAGE_KEY, view);
+  }, [view]);
+
+  useEffect(() => {
+    const goOnline = (): void => {
+      setOnline(true);
+      void syncNowRef.current();
+    };
+    const goOffline = (): void => setOnline(false);
+    // The service worker replayed the outbox through Background Sync
+    const onWorkerMessage = (event: MessageEvent): void => {
+      if (event.data?.type === 'outbox-synced') {
+        void refreshOfflineRef.current().then(() => fetchTasksRef.current());
+      } else if (event.data?.type === 'open-task') {
+        setHighlightedTask(event.data.taskId);
+      }
+    };
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    navigator.serviceWorker?.addEventListener('message', onWorkerMessage);
+    const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+    if (token) {
+      offlineStore.saveSession(user.id, token).catch((err) => console.error('Failed to save offline session:', err));
+    }
+    // Changes left over from the last visit
+    void refreshOfflineRef.current().then(() => {
+      if (outboxRef.current.length > 0) void syncNowRef.current();
+    });
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+      navigator.serviceWorker?.removeEventListener('message', onWorkerMessage);
+    };
+  }, []);
+
+  // Poll only while the live stream is unavailable; queued changes go out once the API answers again
+  useEffect(() => {
+    if (liveStatus === 'live') return;
+    const interval = setInterval(
+      () => void (outboxRef.current.length > 0 ? syncNowRef.current() : fetchTasksRef.current()),
+      POLL_INTERVAL_MS
+    );
     return () => clearInterval(interval);
+  }, [liveStatus]);
+
+  // Live event stream; reconnects with exponential backoff
+  useEffect(() => {
+    const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+    if (!token || typeof EventSource === 'undefined') {
+      setLiveStatus('offline');
+      return;
+    }
+
+    let source: EventSource | null = null;
+    let retryTimer: number | undefined;
+    let attempts = 0;
+    let closed = false;
+
+    const connect = (): void => {
+      source = new EventSource(`${API_BASE}/events?token=${encodeURIComponent(token)}`);
+      source.onopen = () => {
+        // Catch up on whatever happened while the stream was down, and send what was queued meanwhile
+        if (outboxRef.current.length > 0) void syncNowRef.current();
+        else if (attempts > 0) void fetchTasksRef.current();
+        attempts = 0;
+        setLiveStatus('live');
+      };
+      source.onerror = () => {
+        source?.close();
+        setLiveStatus('offline');
+        if (closed) return;
+        retryTimer = window.setTimeout(connect, Math.min(LIVE_RETRY_MAX_MS, 1000 * 2 ** attempts));
+        attempts += 1;
+      };
+      for (const type of LIVE_EVENT_TYPES) {
+        source.addEventListener(type, (event) => {
+          handleLiveEventRef.current(type, JSON.parse((event as MessageEvent).data));
+        });
+      }
+    };
+
+    connect();
+    return () => {
+      closed = true;
+      source?.close();
+      window.clearTimeout(retryTimer);
+    };
+  }, []);
+
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    if (url.searchParams.has('settings')) {
+      url.searchParams.delete('settings');
+      window.history.replaceState(null, '', url);
+    }
+    (async () => {
+      try {
+        const response = await apiFetch('/settings');
+        if (response.ok) setSettings(await response.json());
+      } catch (err) {
+        console.error('Failed to fetch settings:', err);
+      }
+    })();
   }, []);
 
+  // The saved language follows the account to other devices
+  useEffect(() => {
+    if (isLanguage(settings.language)) onLanguageChange(settings.language);
+  }, [settings.language]);
+
   // Check if there is an existing push subscription (to show correct button state)
   useEffect(() => {
     (async () => {
@@ -71,17 +2810,340 @@ export default function TaskManager() {
         setPushChecking(false);
       }
     })();
+    void fetchDevices();
   }, []);
 
+  const fetchDevices = async (): Promise<void> => {
+    try {
+      const response = await apiFetch('/push/devices');
+      if (response.ok) setPushDevices(await response.json());
+    } catch (err) {
+      console.error('Failed to fetch push devices:', err);
+    }
+  };
+
+  // Every task due in the calendar's days (the filter bar's dates can only narrow them) plus, for its
+  // "unscheduled" strip, the open undated ones. Null when the server turns a page down.
+  const fetchCalendarTasks = async (range: DueRange): Promise<Task[] | null> => {
+    const dated = new URLSearchParams(buildTaskQuery(null, TASK_PAGE_MAX));
+    // ISO timestamps in UTC sort like the instants they stand for
+    const from = dated.get('dueFrom');
+    const to = dated.get('dueTo');
+    dated.set('dueFrom', from && from > range.from ? from : range.from);
+    dated.set('dueTo', to && to < range.to ? to : range.to);
+    const queries = [dated];
+    if (statusFilter !== 'completed') {
+      const undated = new URLSearchParams(buildTaskQuery(null, TASK_PAGE_MAX));
+      undated.delete('dueFrom');
+      undated.delete('dueTo');
+      undated.set('undated', 'true');
+      undated.set('status', 'open');
+      queries.push(undated);
+    }
+
+    const loaded: Task[] = [];
+    for (const params of queries) {
+      let cursor: string | null = null;
+      do {
+        if (cursor) params.set('cursor', cursor);
+        const response = await apiFetch(`/tasks?${params}`);
+        if (!response.ok) return null;
+        const data: TaskPage = await response.json();
+        loaded.push(...data.tasks);
+        cursor = data.nextCursor;
+      } while (cursor);
+    }
+    return loaded;
+  };
+
   const fetchTasks = async (): Promise<void> => {
     try {
-      const response = await fetch(`${API_BASE}/tasks`);
+      if (view === 'calendar') {
+        if (!calendarRange) return;
+        const loaded = await fetchCalendarTasks(calendarRange);
+        if (loaded) {
+          setTasks(outboxRef.current.reduce(applyQueued, loaded));
+          setNextCursor(null);
+        }
+        return;
+      }
+      // The board pages like the list; a refresh keeps however many pages were loaded
+      const limit = Math.max(TASK_PAGE_SIZE, loadedCount.current);
+      const response = await apiFetch(`/tasks?${buildTaskQuery(null, limit)}`);
+      if (response.ok) {
+        const data: TaskPage = await response.json();
+        loadedCount.current = data.tasks.length;
+        // Changes still in the outbox stay visible on top of the server's copy
+        setTasks(outboxRef.current.reduce(applyQueued, data.tasks));
+        setNextCursor(data.nextCursor);
+        if (!filtersActive && selectedProject === 'all') {
+          offlineStore.saveSnapshot(user.id, data.tasks).catch((err) => console.error('Failed to save task snapshot:', err));
+        }
+      }
+    } catch (err) {
+      console.error('Failed to fetch tasks:', err);
+      // Offline with nothing on screen: show the last list we saw
+      if (isNetworkError(err) && loadedCount.current === 0) {
+        const snapshot = await offlineStore.loadSnapshot(user.id).catch(() => undefined);
+        if (snapshot) setTasks(outboxRef.current.reduce(applyQueued, snapshot));
+      }
+    }
+  };
+
+  const refreshOffline = async (): Promise<void> => {
+    try {
+      const [outbox, stored] = await Promise.all([offlineStore.outbox(user.id), offlineStore.conflicts(user.id)]);
+      outboxRef.current = outbox;
+      setPendingIds(new Set(outbox.map((entry) => entry.taskId)));
+      setConflicts(stored);
+    } catch (err) {
+      console.error('Failed to read the offline outbox:', err);
+    }
+  };
+
+  const syncNow = async (): Promise<void> => {
+    if (navigator.onLine) {
+      try {
+        await replayOutbox(user.id);
+      } catch (err) {
+        // Still unreachable; whatever is left stays queued
+        console.error('Failed to sync queued changes:', err);
+      }
+    }
+    await refreshOffline();
+    await fetchTasks();
+  };
+
+  // Changes go straight to the API unless earlier ones are still queued, so they replay in order
+  const shouldQueue = (): boolean => !navigator.onLine || outboxRef.current.length > 0;
+
+  const queueMutation = async (
+    change: Pick<OutboxEntry, 'taskId' | 'method' | 'path' | 'body' | 'label'>
+  ): Promise<void> => {
+    const entry: OutboxEntry = {
+      ...change,
+      url: `${API_BASE}${change.path}`,
+      userId: user.id,
+      timeZone: DEVICE_TIMEZONE,
+      queuedAt: new Date().toISOString(),
+    };
+    try {
+      entry.id = await offlineStore.enqueue(entry);
+    } catch (err) {
+      console.error('Failed to queue change:', err);
+      setError(t('offline.queueFailed'));
+      return;
+    }
+    outboxRef.current = [...outboxRef.current, entry];
+    setPendingIds((prev) => new Set(prev).add(entry.taskId));
+    setTasks((prev) => applyQueued(prev, entry));
+    if (navigator.onLine) void syncNow();
+    else void requestBackgroundSync();
+  };
+
+  // "Use mine" sends the change again without the version check; the other choices drop it
+  const resolveConflict = async (conflict: SyncConflict, keepMine: boolean): Promise<void> => {
+    await offlineStore.removeConflict(conflict.id).catch(() => undefined);
+    setConflicts((prev) => prev.filter((c) => c.id !== conflict.id));
+    if (keepMine) {
+      const { entry } = conflict;
+      const body = entry.body ? JSON.parse(entry.body) : undefined;
+      if (body) delete body.baseUpdatedAt;
+      await queueMutation({
+        taskId: entry.taskId,
+        method: entry.method,
+        path: entry.path.split('?')[0],
+        body: body ? JSON.stringify(body) : undefined,
+        label: entry.label,
+      });
+    } else if (conflict.server) {
+      const server = conflict.server;
+      setTasks((prev) => upsertTask(prev, server));
+    }
+  };
+
+  const loadMoreTasks = async (): Promise<void> => {
+    if (!nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const response = await apiFetch(`/tasks?${buildTaskQuery(nextCursor)}`);
+      if (response.ok) {
+        const data: TaskPage = await response.json();
+        setTasks((prev) => {
+          const seen = new Set(prev.map((t) => t.id));
+          const next = [...prev, ...data.tasks.filter((t) => !seen.has(t.id))];
+          loadedCount.current = next.length;
+          return next;
+        });
+        setNextCursor(data.nextCursor);
+      }
+    } catch (err) {
+      console.error('Failed to load more tasks:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const filtersActive =
+    !!search || statusFilter !== 'all' || overdueOnly || !!dueFrom || !!dueTo || !!selectedTag;
+
+  const clearFilters = (): void => {
+    setSearch('');
+    setStatusFilter('all');
+    setOverdueOnly(false);
+    setDueFrom('');
+    setDueTo('');
+    setSelectedTag(null);
+  };
+
+  // Events are applied in place on the unfiltered view; a filtered view can't tell whether
+  // a changed task still matches, so it refetches instead
+  const handleLiveEvent = (type: LiveEventType, data: unknown): void => {
+    if (type === 'reminder.fired') {
+      setReminderNotice(data as ReminderFiredEvent);
+      return;
+    }
+    if (type === 'timer.changed') {
+      const { running, stopped } = data as TimerChangedEvent;
+      setRunningTimer(running);
+      // A finished session adds to its task's tracked time
+      if (!running || stopped) void fetchTasks();
+      return;
+    }
+    void fetchOrganizers();
+    if (type === 'tasks.changed' || filtersActive || selectedProject !== 'all') {
+      void fetchTasks();
+      return;
+    }
+    if (type === 'task.deleted') {
+      setTasks((prev) => removeTask(prev, (data as { id: TaskID }).id));
+    } else {
+      const task = data as Task;
+      // Updates to tasks beyond the loaded pages are left for "Load more"
+      setTasks((prev) =>
+        type === 'task.updated' && !task.parentId && !prev.some((t) => t.id === task.id) ? prev : upsertTask(prev, task)
+      );
+    }
+  };
+
+  // The stream and the polling timer outlive renders, so they call through refs
+  const fetchTasksRef = useRef(fetchTasks);
+  fetchTasksRef.current = fetchTasks;
+  const handleLiveEventRef = useRef(handleLiveEvent);
+  handleLiveEventRef.current = handleLiveEvent;
+  const syncNowRef = useRef(syncNow);
+  syncNowRef.current = syncNow;
+  const refreshOfflineRef = useRef(refreshOffline);
+  refreshOfflineRef.current = refreshOffline;
+
+  // Brings the highlighted task into view, loading it (and its parent) when it isn't on a loaded page
+  useEffect(() => {
+    if (highlightedTask === null) return;
+    const url = new URL(window.location.href);
+    if (url.searchParams.has('task')) {
+      url.searchParams.delete('task');
+      window.history.replaceState(null, '', url);
+    }
+
+    let cancelled = false;
+    (async () => {
+      try {
+        let task = findTask(tasksRef.current, highlightedTask);
+        if (!task) {
+          const response = await apiFetch(`/tasks/${highlightedTask}`);
+          if (!response.ok) return;
+          task = (await response.json()) as Task;
+        }
+        if (task.parentId) {
+          const parentId = task.parentId;
+          if (!findTask(tasksRef.current, parentId)) {
+            const response = await apiFetch(`/tasks/${parentId}`);
+            if (response.ok) {
+              const parent: Task = await response.json();
+              setTasks((prev) => upsertTask(prev, parent));
+            }
+          }
+          setExpandedTasks((prev) => new Set(prev).add(parentId));
+        } else if (!findTask(tasksRef.current, task.id)) {
+          const loaded = task;
+          setTasks((prev) => upsertTask(prev, loaded));
+        }
+        if (cancelled) return;
+        requestAnimationFrame(() =>
+          document.getElementById(`task-${highlightedTask}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+        );
+      } catch (err) {
+        console.error('Failed to open task:', err);
+      }
+    })();
+
+    const timeout = setTimeout(() => setHighlightedTask(null), HIGHLIGHT_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [highlightedTask]);
+
+  useEffect(() => {
+    if (!undoAction) return;
+    const timeout = setTimeout(() => setUndoAction(null), UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timeout);
+  }, [undoAction]);
+
+  useEffect(() => {
+    if (!reminderNotice) return;
+    const timeout = setTimeout(() => setReminderNotice(null), 10_000);
+    return () => clearTimeout(timeout);
+  }, [reminderNotice]);
+
+  // Projects and tags (with counts) for the sidebar
+  const fetchOrganizers = async (): Promise<void> => {
+    try {
+      const [projectsRes, tagsRes, statusesRes] = await Promise.all([
+        apiFetch('/projects'),
+        apiFetch('/tags'),
+        apiFetch('/statuses'),
+      ]);
+      if (projectsRes.ok) setProjects(await projectsRes.json());
+      if (tagsRes.ok) setTags(await tagsRes.json());
+      if (statusesRes.ok) setStatuses(await statusesRes.json());
+    } catch (err) {
+      console.error('Failed to fetch projects, tags and statuses:', err);
+    }
+  };
+
+  const createProject = async (name: string, color: string): Promise<boolean> => {
+    try {
+      const response = await apiFetch('/projects', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, color }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || t('projects.createFailed'));
+        return false;
+      }
+      setProjects((prev) => [...prev, data].sort((a, b) => a.name.localeCompare(b.name)));
+      setSelectedProject(data.id);
+      return true;
+    } catch (err) {
+      console.error('Failed to create project:', err);
+      return false;
+    }
+  };
+
+  const deleteProject = async (project: Project): Promise<void> => {
+    if (!confirm(t('projects.confirmDelete', { name: project.name }))) return;
+    try {
+      const response = await apiFetch(`/projects/${project.id}`, { method: 'DELETE' });
       if (response.ok) {
-        const data: Task[] = await response.json();
-        setTasks(data);
+        setProjects((prev) => prev.filter((p) => p.id !== project.id));
+        setTasks((prev) => prev.map((task) => (task.projectId === project.id ? { ...task, projectId: null } : task)));
+        if (selectedProject === project.id) setSelectedProject('all');
       }
     } catch (err) {
-      console.error('Failed to fetch tasks:', err);
+      console.error('Failed to delete project:', err);
     }
   };
 
@@ -92,84 +3154,490 @@ export default function TaskManager() {
     setLoading(true);
     setError('');
 
+    // The id is chosen here so a create replayed from the outbox can't make a duplicate
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({
+      id,
+      input: newTaskInput,
+      dueDate: newTaskDue ? fromLocalInputValue(newTaskDue) : undefined,
+      // New tasks land in the project being viewed unless the input names one with @project
+      projectId: selectedProject !== 'all' && selectedProject !== 'none' ? selectedProject : undefined,
+    });
+    const queue = async (): Promise<void> => {
+      await queueMutation({ taskId: id, method: 'POST', path: '/tasks', body, label: newTaskInput });
+      setNewTaskInput('');
+      setNewTaskDue('');
+    };
+
     try {
-      const response = await fetch(`${API_BASE}/tasks`, {
+      if (shouldQueue()) {
+        await queue();
+        return;
+      }
+      const response = await apiFetch('/tasks', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ input: newTaskInput }),
+        body,
       });
 
       if (response.ok) {
         const newTask: Task = await response.json();
-        setTasks((prev) => [...prev, newTask]);
+        // The live stream may have delivered it already
+        setTasks((prev) => upsertTask(prev, newTask));
         setNewTaskInput('');
+        setNewTaskDue('');
+        void fetchOrganizers();
       } else {
         const errorData = await response.json();
-        setError(errorData.error || 'Failed to create task');
+        setError(errorData.error || t('add.failed'));
       }
-    } catch {
-      setError('Network error. Please try again.');
+    } catch (err) {
+      if (isNetworkError(err)) await queue();
+      else setError(t('common.networkError'));
     } finally {
       setLoading(false);
     }
   };
 
-  const updateTask = async (taskId: TaskID, updates: UpdatePayload): Promise<boolean> => {
+  // Resolves to the saved task (with the next instance of a completed series), or null on failure
+  const updateTask = async (taskId: TaskID, updates: UpdatePayload): Promise<UpdateResponse | null> => {
+    const task = findTask(tasksRef.current, taskId);
+    if (!task) return null;
+    const body = JSON.stringify({ ...updates, baseUpdatedAt: task.updatedAt });
+    const queue = async (): Promise<UpdateResponse> => {
+      await queueMutation({ taskId, method: 'PUT', path: `/tasks/${taskId}`, body, label: task.title });
+      return { ...task, ...updates };
+    };
+
     try {
-      const response = await fetch(`${API_BASE}/tasks/${taskId}`, {
+      if (shouldQueue()) return await queue();
+      const response = await apiFetch(`/tasks/${taskId}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(updates),
+        body,
       });
 
       if (response.ok) {
-        const updatedTask: Task = await response.json();
-        setTasks((prev) => prev.map((t) => (t.id === taskId ? updatedTask : t)));
-        return true;
+        const saved: UpdateResponse = await response.json();
+        const { nextTask, ...updatedTask } = saved;
+        void refreshHistory(taskId);
+        if (updatedTask.parentId) {
+          setTasks((prev) => upsertTask(prev, updatedTask));
+          return saved;
+        }
+        setTasks((prev) => {
+          const next = prev.map((t) => (t.id === taskId ? updatedTask : t));
+          return nextTask ? upsertTask(next, nextTask) : next;
+        });
+        void fetchOrganizers();
+        return saved;
+      }
+      if (response.status === 409) {
+        // Edited on another device since this copy was loaded: show the current version
+        const data = await response.json();
+        if (data.task) setTasks((prev) => upsertTask(prev, data.task));
+        alert(t('tasks.editConflict', { title: task.title }));
       }
     } catch (err) {
+      if (isNetworkError(err)) return queue();
       console.error('Failed to update task:', err);
     }
-    return false;
+    return null;
   };
 
-  const deleteTask = async (taskId: TaskID): Promise<void> => {
+  // Moves the task to the trash (with an undo toast); `permanent` skips the trash
+  const deleteTask = async (taskId: TaskID, { permanent = false }: { permanent?: boolean } = {}): Promise<void> => {
+    const task = findTask(tasksRef.current, taskId);
+    const params = new URLSearchParams();
+    if (task?.updatedAt) params.set('baseUpdatedAt', task.updatedAt);
+    if (permanent) params.set('permanent', 'true');
+    const query = params.toString();
+    const path = query ? `/tasks/${taskId}?${query}` : `/tasks/${taskId}`;
+    const queue = (): Promise<void> =>
+      queueMutation({ taskId, method: 'DELETE', path, label: task?.title ?? t('tasks.task') });
+
     try {
-      const response = await fetch(`${API_BASE}/tasks/${taskId}`, {
+      if (shouldQueue()) {
+        await queue();
+        return;
+      }
+      const response = await apiFetch(path, {
         method: 'DELETE',
       });
 
       if (response.ok) {
-        setTasks((prev) => prev.filter((t) => t.id !== taskId));
+        setTasks((prev) => removeTask(prev, taskId));
+        if (!permanent && task) {
+          setUndoAction({ message: t('undo.trashed', { title: task.title }), run: () => restoreTask(taskId) });
+        }
+      } else if (response.status === 409) {
+        const data = await response.json();
+        if (data.task) setTasks((prev) => upsertTask(prev, data.task));
+        alert(t('tasks.deleteConflict', { title: task?.title ?? t('tasks.task') }));
       }
     } catch (err) {
-      console.error('Failed to delete task:', err);
+      if (isNetworkError(err)) await queue();
+      else console.error('Failed to delete task:', err);
+    }
+  };
+
+  const restoreTask = async (taskId: TaskID): Promise<void> => {
+    try {
+      const response = await apiFetch(`/tasks/${taskId}/restore`, { method: 'POST' });
+      if (response.ok) {
+        const restored: Task = await response.json();
+        setTasks((prev) => upsertTask(prev, restored));
+        void refreshHistory(taskId);
+        void fetchOrganizers();
+      }
+    } catch (err) {
+      console.error('Failed to restore task:', err);
+    }
+  };
+
+  const toggleSelected = (taskId: TaskID, range: boolean, list: Task[]): void => {
+    const to = list.findIndex((task) => task.id === taskId);
+    const from = range ? list.findIndex((task) => task.id === lastSelectedRef.current) : -1;
+    const ids = from >= 0 && to >= 0
+      ? list.slice(Math.min(from, to), Math.max(from, to) + 1).map((task) => task.id)
+      : [taskId];
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      const select = !prev.has(taskId);
+      for (const id of ids) {
+        if (select) next.add(id);
+        else next.delete(id);
+      }
+      return next;
+    });
+    lastSelectedRef.current = taskId;
+  };
+
+  const clearSelection = (): void => {
+    setSelectedIds(new Set());
+    setBulkWhen('');
+    setBulkTags('');
+    setBulkError('');
+    lastSelectedRef.current = null;
+  };
+
+  // Runs one action on every selected task in a single request. Batches aren't queued offline;
+  // tasks the server couldn't change stay selected.
+  const runBatch = async (action: BatchAction, options: Record<string, unknown> = {}): Promise<void> => {
+    const ids = [...selectedIds];
+    if (!ids.length) return;
+    if (shouldQueue()) {
+      setBulkError(t('batch.offline'));
+      return;
+    }
+
+    setBulkBusy(true);
+    setBulkError('');
+    try {
+      const response = await apiFetch('/tasks/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, ids, ...options }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setBulkError(data.error || t('batch.failed'));
+        return;
+      }
+
+      const { results, succeeded, failed } = data as BatchResponse;
+      setTasks((prev) =>
+        results.reduce((list, result) => {
+          if (!result.ok) return list;
+          if (action === 'delete') return removeTask(list, result.id);
+          const next = result.task ? upsertTask(list, result.task) : list;
+          return result.nextTask ? upsertTask(next, result.nextTask) : next;
+        }, prev)
+      );
+      if (action === 'delete' || action === 'retag') void fetchOrganizers();
+
+      // Subtasks trashed along with their parent come back with it
+      const trashed = results.filter((result) => result.deletedAt);
+      if (trashed.length) {
+        setUndoAction({
+          message: t('undo.trashedMany', { count: trashed.length }),
+          run: async () => {
+            for (const result of trashed) await restoreTask(result.id);
+          },
+        });
+      }
+
+      const failures = results.filter((result) => !result.ok);
+      setSelectedIds(new Set(failures.map((result) => result.id)));
+      if (failed) setBulkError(t('batch.partial', { count: failed, reason: failures[0].error ?? '' }));
+      if (succeeded && action === 'reschedule') setBulkWhen('');
+      if (succeeded && action === 'retag') setBulkTags('');
+    } catch (err) {
+      console.error('Failed to run batch:', err);
+      setBulkError(t('common.networkError'));
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  // "#work -home" adds work and removes home
+  const retagSelected = (): void => {
+    const words = bulkTags.split(/[\s,]+/).filter(Boolean);
+    const removeTags = words.filter((word) => word.startsWith('-')).map((word) => word.slice(1));
+    const addTags = words.filter((word) => !word.startsWith('-')).map((word) => word.replace(/^[+#]/, ''));
+    void runBatch('retag', { addTags, removeTags });
+  };
+
+  // A board drag: the column and place go to the server in one move. Offline, only a change of
+  // column can be queued; the order within the column is left as it was.
+  const moveOnBoard = async (task: Task, statusId: string, beforeId: TaskID | null): Promise<void> => {
+    const status = statuses.find((item) => item.id === statusId);
+    const column = tasksRef.current
+      .filter((item) => item.id !== task.id && statusOfTask(item, statuses) === statusId)
+      .sort(compareBoardOrder);
+    const index = beforeId === null ? -1 : column.findIndex((item) => item.id === beforeId);
+    column.splice(index >= 0 ? index : column.length, 0, { ...task, statusId, completed: status?.done ?? task.completed });
+    // Shown right away; the server's copy replaces it
+    setTasks((prev) => column.reduce((list, item, position) => upsertTask(list, { ...item, position }), prev));
+
+    if (shouldQueue()) {
+      if (statusId !== statusOfTask(task, statuses)) await updateTask(task.id, { statusId });
+      return;
+    }
+    try {
+      const response = await apiFetch(`/tasks/${task.id}/move`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ statusId, beforeId }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || t('board.moveFailed'));
+      } else if (data.nextTask) {
+        setTasks((prev) => upsertTask(upsertTask(prev, data), data.nextTask));
+      }
+    } catch (err) {
+      console.error('Failed to move task:', err);
+    }
+    // The live stream brings the renumbered column when it's up
+    if (liveStatus !== 'live') void fetchTasks();
+  };
+
+  const fetchTimer = async (): Promise<void> => {
+    try {
+      const response = await apiFetch('/timer');
+      if (response.ok) setRunningTimer((await response.json()).running);
+    } catch (err) {
+      console.error('Failed to fetch timer:', err);
+    }
+  };
+
+  // Starting a timer stops the one running on another task. Timers aren't queued offline.
+  const startTimer = async (task: Task): Promise<void> => {
+    if (shouldQueue()) {
+      setError(t('timer.offline'));
+      return;
+    }
+    setError('');
+    try {
+      const response = await apiFetch(`/tasks/${task.id}/timer`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || t('timer.failed'));
+        return;
+      }
+      setRunningTimer(data.running);
+      // The live stream brings the stopped session's time when it's up
+      if (data.stopped && liveStatus !== 'live') void fetchTasks();
+    } catch (err) {
+      console.error('Failed to start timer:', err);
+      setError(t('timer.failed'));
+    }
+  };
+
+  // `endedAt` (ISO) records when a forgotten timer should have stopped
+  const stopTimer = async (endedAt?: string): Promise<void> => {
+    if (shouldQueue()) {
+      setError(t('timer.offline'));
+      return;
+    }
+    setError('');
+    try {
+      const response = await apiFetch('/timer/stop', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(endedAt ? { endedAt } : {}),
+      });
+      // 404: it was already stopped elsewhere
+      if (!response.ok && response.status !== 404) {
+        const data = await response.json();
+        setError(data.error || t('timer.failed'));
+        return;
+      }
+      setRunningTimer(null);
+      if (liveStatus !== 'live') void fetchTasks();
+    } catch (err) {
+      console.error('Failed to stop timer:', err);
+      setError(t('timer.failed'));
     }
   };
 
   const startEditing = (task: Task): void => {
     setEditingTask(task.id);
-    const dueDateStr = task.dueDate ? ` due ${new Date(task.dueDate).toLocaleString()}` : '';
-    setEditInput(task.title + dueDateStr);
+    setEditTitle(task.title);
+    setEditDue(toLocalInputValue(task.dueDate));
+    setEditWhen('');
+    setEditEstimate(task.estimateMinutes ? String(task.estimateMinutes) : '');
+    setEditPriority(task.priority ?? '');
+  };
+
+  const cancelEdit = (): void => {
+    setEditingTask(null);
+    setEditWhen('');
   };
 
   const saveEdit = async (): Promise<void> => {
-    if (!editingTask) return;
-    if (await updateTask(editingTask, { input: editInput })) {
-      setEditingTask(null);
-      setEditInput('');
-    }
+    if (!editingTask || !editTitle.trim()) return;
+    const task = findTask(tasksRef.current, editingTask);
+    const updates: UpdatePayload = { title: editTitle.trim() };
+    // Unchanged dates are left out so the seconds of the stored time survive
+    if (editDue !== toLocalInputValue(task?.dueDate)) updates.dueDate = fromLocalInputValue(editDue);
+    const estimate = editEstimate ? Math.round(Number(editEstimate)) : null;
+    if (estimate !== (task?.estimateMinutes ?? null)) updates.estimateMinutes = estimate;
+    if ((editPriority || null) !== (task?.priority ?? null)) updates.priority = editPriority || null;
+    if (await updateTask(editingTask, updates)) cancelEdit();
   };
 
   const toggleComplete = async (task: Task): Promise<void> => {
-    await updateTask(task.id, { completed: !task.completed });
+    const openSubtasks = task.subtasks?.filter((s) => !s.completed).length ?? 0;
+    const completeSubtasks =
+      !task.completed &&
+      openSubtasks > 0 &&
+      confirm(t('tasks.confirmSubtasks', { count: openSubtasks, title: task.title }));
+    const saved = await updateTask(task.id, {
+      completed: !task.completed,
+      ...(completeSubtasks ? { completeSubtasks } : {}),
+    });
+    if (!saved || task.completed) return;
+
+    // Undo reopens the task (handing its series back) and whatever subtasks it closed
+    const closedSubtasks = completeSubtasks ? (task.subtasks ?? []).filter((s) => !s.completed) : [];
+    setUndoAction({
+      message: t('undo.completed', { title: task.title }),
+      run: async () => {
+        await updateTask(task.id, { completed: false, ...(task.recurrence ? { recurrence: task.recurrence } : {}) });
+        if (saved.nextTask) await deleteTask(saved.nextTask.id, { permanent: true });
+        for (const subtask of closedSubtasks) await updateTask(subtask.id, { completed: false });
+      },
+    });
+  };
+
+  const refreshHistory = async (taskId: TaskID): Promise<void> => {
+    if (!openHistoriesRef.current.has(taskId)) return;
+    try {
+      const response = await apiFetch(`/tasks/${taskId}/history`);
+      if (response.ok) {
+        const events: TaskEvent[] = await response.json();
+        setHistories((prev) => ({ ...prev, [taskId]: events }));
+      }
+    } catch (err) {
+      console.error('Failed to fetch task history:', err);
+    }
+  };
+
+  const toggleHistory = (taskId: TaskID): void => {
+    const next = new Set(openHistories);
+    if (next.has(taskId)) next.delete(taskId);
+    else next.add(taskId);
+    openHistoriesRef.current = next;
+    setOpenHistories(next);
+    void refreshHistory(taskId);
+  };
+
+  const toggleExpanded = (taskId: TaskID): void => {
+    setExpandedTasks((prev) => {
+      const next = new Set(prev);
+      if (next.has(taskId)) next.delete(taskId);
+      else next.add(taskId);
+      return next;
+    });
+  };
+
+  // Subtask input goes through the same parser, so "Write changelog friday 3pm" gets a due date
+  const createSubtask = async (parent: Task): Promise<void> => {
+    const input = subtaskInputs[parent.id]?.trim();
+    if (!input) return;
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ id, input, parentId: parent.id });
+    const queue = async (): Promise<void> => {
+      await queueMutation({ taskId: id, method: 'POST', path: '/tasks', body, label: input });
+      setSubtaskInputs((prev) => ({ ...prev, [parent.id]: '' }));
+    };
+    try {
+      if (shouldQueue()) {
+        await queue();
+        return;
+      }
+      const response = await apiFetch('/tasks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+      });
+      if (response.ok) {
+        const subtask: Task = await response.json();
+        setTasks((prev) => upsertTask(prev, subtask));
+        setSubtaskInputs((prev) => ({ ...prev, [parent.id]: '' }));
+      }
+    } catch (err) {
+      if (isNetworkError(err)) await queue();
+      else console.error('Failed to create subtask:', err);
+    }
+  };
+
+  const moveSubtask = async (parent: Task, index: number, direction: -1 | 1): Promise<void> => {
+    const subtasks = [...(parent.subtasks ?? [])];
+    const target = index + direction;
+    if (target < 0 || target >= subtasks.length) return;
+    [subtasks[index], subtasks[target]] = [subtasks[target], subtasks[index]];
+    setTasks((prev) => prev.map((t) => (t.id === parent.id ? { ...t, subtasks } : t)));
+    try {
+      const response = await apiFetch(`/tasks/${parent.id}/subtasks/order`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: subtasks.map((s) => s.id) }),
+      });
+      if (response.ok) {
+        const ordered: Task[] = await response.json();
+        setTasks((prev) => prev.map((t) => (t.id === parent.id ? { ...t, subtasks: ordered } : t)));
+      }
+    } catch (err) {
+      console.error('Failed to reorder subtasks:', err);
+    }
+  };
+
+  const getReminderOffsets = (task: Task): number[] =>
+    task.reminderOffsets ?? settings.defaultReminderOffsets;
+
+  const addReminder = async (task: Task, offset: number): Promise<void> => {
+    const offsets = getReminderOffsets(task);
+    if (offsets.includes(offset)) return;
+    await updateTask(task.id, { reminderOffsets: [...offsets, offset].sort((a, b) => b - a) });
+  };
+
+  const removeReminder = async (task: Task, offset: number): Promise<void> => {
+    await updateTask(task.id, { reminderOffsets: getReminderOffsets(task).filter((o) => o !== offset) });
+  };
+
+  const stopSeries = async (task: Task): Promise<void> => {
+    if (!confirm(t('tasks.confirmStopSeries', { title: task.title }))) return;
+    await updateTask(task.id, { recurrence: null });
   };
 
   // Enable push: register SW, request permission, subscribe, send subscription to backend
   const enablePushNotifications = async (): Promise<void> => {
     try {
       if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
-        alert('Push notifications are not supported in this browser.');
+        alert(t('push.unsupported'));
         return;
       }
 
@@ -179,7 +3647,7 @@ export default function TaskManager() {
       // Ask permission
       const perm = await Notification.requestPermission();
       if (perm !== 'granted') {
-        alert('Notification permission denied.');
+        alert(t('push.denied'));
         return;
       }
 
@@ -190,10 +3658,10 @@ export default function TaskManager() {
       });
 
       // Send to backend
-      const resp = await fetch(`${API_BASE}/push/subscribe`, {
+      const resp = await apiFetch('/push/subscribe', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(sub),
+        body: JSON.stringify({ ...sub.toJSON(), label: guessDeviceLabel() }),
       });
 
       if (!resp.ok) {
@@ -201,10 +3669,90 @@ export default function TaskManager() {
       }
 
       setPushEnabled(true);
-      alert('Push notifications enabled!');
+      void fetchDevices();
+      alert(t('push.enabled'));
     } catch (err) {
       console.error('Failed to enable push notifications:', err);
-      alert('Error enabling push notifications. See console.');
+      alert(t('push.enableError'));
+    }
+  };
+
+  // This browser's subscription and offline data belong to the account signing out, so drop them first
+  const logout = async (): Promise<void> => {
+    // Queued changes go out first if they can; the rest is dropped with the offline data so the
+    // next person signing in on this browser neither sees nor sends it
+    try {
+      if (navigator.onLine && outboxRef.current.length > 0) await replayOutbox(user.id);
+      const left = await offlineStore.outbox(user.id);
+      if (left.length > 0 && !confirm(t('offline.logoutPending', { count: new Set(left.map((e) => e.taskId)).size }))) {
+        return;
+      }
+      await clearOfflineData(user.id);
+    } catch (err) {
+      console.error('Failed to clear offline data on logout:', err);
+    }
+
+    try {
+      const reg = await navigator.serviceWorker?.getRegistration();
+      const sub = await reg?.pushManager.getSubscription();
+      if (sub) {
+        await sub.unsubscribe();
+        await apiFetch('/push/subscribe', {
+          method: 'DELETE',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ endpoint: sub.endpoint }),
+        });
+      }
+    } catch (err) {
+      console.error('Failed to remove push subscription on logout:', err);
+    }
+    await onLogout();
+  };
+
+  // Disable push on this browser: unsubscribe locally, then forget the endpoint on the server
+  const disablePushNotifications = async (): Promise<void> => {
+    try {
+      const reg = await navigator.serviceWorker.getRegistration();
+      const sub = await reg?.pushManager.getSubscription();
+      if (sub) {
+        await sub.unsubscribe();
+        await apiFetch('/push/subscribe', {
+          method: 'DELETE',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ endpoint: sub.endpoint }),
+        });
+      }
+      setPushEnabled(false);
+      void fetchDevices();
+    } catch (err) {
+      console.error('Failed to disable push notifications:', err);
+      alert(t('push.disableError'));
+    }
+  };
+
+  const removeDevice = async (device: PushDevice): Promise<void> => {
+    if (!confirm(t('push.confirmRemove', { device: device.label || device.endpointHost }))) return;
+    try {
+      const response = await apiFetch(`/push/devices/${device.id}`, { method: 'DELETE' });
+      if (response.ok) setPushDevices((prev) => prev.filter((d) => d.id !== device.id));
+    } catch (err) {
+      console.error('Failed to remove push device:', err);
+    }
+  };
+
+  const sendTestNotification = async (deviceId?: string): Promise<void> => {
+    try {
+      const response = await apiFetch('/push/test', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: deviceId }),
+      });
+      const data = await response.json();
+      if (!response.ok) alert(data.error || t('push.testFailed'));
+      else if (!data.ok) alert(t('push.testUndelivered'));
+      void fetchDevices();
+    } catch (err) {
+      console.error('Failed to send test notification:', err);
     }
   };
 
@@ -216,11 +3764,11 @@ export default function TaskManager() {
     const isTomorrow =
       date.toDateString() === new Date(now.getTime() + 24 * 60 * 60 * 1000).toDateString();
 
-    const time = date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    const time = formatDate(date, { hour: 'numeric', minute: '2-digit' });
 
-    if (isToday) return `Today at ${time}`;
-    if (isTomorrow) return `Tomorrow at ${time}`;
-    return date.toLocaleDateString() + ' at ' + time;
+    if (isToday) return t('due.today', { time });
+    if (isTomorrow) return t('due.tomorrow', { time });
+    return t('due.on', { date: formatDate(date, { dateStyle: 'short' }), time });
   };
 
   type Status = 'completed' | 'no-due-date' | 'overdue' | 'due-soon' | 'upcoming';
@@ -253,27 +3801,464 @@ export default function TaskManager() {
     }
   };
 
-  const pendingTasks = tasks.filter((t) => !t.completed);
-  const completedTasks = tasks.filter((t) => t.completed);
+  const pendingTasks = tasks.filter((task) => !task.completed);
+  const completedTasks = tasks.filter((task) => task.completed);
+
+  const projectById = new Map(projects.map((p) => [p.id, p]));
+  const tagColor = (name: string): string =>
+    tags.find((tag) => tag.name.toLowerCase() === name.toLowerCase())?.color || DEFAULT_TAG_COLOR;
+
+  // Checklist under a pending task: progress, completion, ordering and a quick-add input
+  const renderPending = (task: Task) =>
+    pendingIds.has(task.id) && (
+      <span
+        className="ml-2 inline-flex items-center gap-1 text-xs font-normal text-amber-600"
+        title={t('offline.pendingTitle')}
+      >
+        <CloudOff size={12} />
+        {t('offline.pending')}
+      </span>
+    );
+
+  const renderSubtasks = (task: Task) => {
+    if (!expandedTasks.has(task.id)) return null;
+    const subtasks = task.subtasks ?? [];
+    return (
+      <div className="mt-3 space-y-1">
+        {subtasks.map((subtask, index) => (
+          <div
+            key={subtask.id}
+            id={`task-${subtask.id}`}
+            className={`group flex items-center gap-2 text-sm rounded ${
+              highlightedTask === subtask.id ? 'ring-2 ring-purple-400' : ''
+            }`}
+          >
+            <input
+              type="checkbox"
+              checked={subtask.completed}
+              onChange={() => void toggleComplete(subtask)}
+            />
+            <span className={`flex-1 ${subtask.completed ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+              {subtask.title}
+              {renderPending(subtask)}
+            </span>
+            {subtask.dueDate && !subtask.completed && (
+              <span className={`text-xs px-2 py-0.5 rounded-full ${getStatusColor(getTaskStatus(subtask))}`}>
+                {formatDueDate(subtask.dueDate)}
+              </span>
+            )}
+            <span className="hidden group-hover:flex items-center gap-1">
+              <button
+                onClick={() => void moveSubtask(task, index, -1)}
+                disabled={index === 0}
+                className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                title={t('tasks.moveUp')}
+              >
+                <ChevronUp size={14} />
+              </button>
+              <button
+                onClick={() => void moveSubtask(task, index, 1)}
+                disabled={index === subtasks.length - 1}
+                className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                title={t('tasks.moveDown')}
+              >
+                <ChevronDown size={14} />
+              </button>
+              <button
+                onClick={() => void deleteTask(subtask.id)}
+                className="text-gray-400 hover:text-red-600"
+                title={t('tasks.deleteSubtask')}
+              >
+                <Trash2 size={14} />
+              </button>
+            </span>
+          </div>
+        ))}
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            void createSubtask(task);
+          }}
+          className="flex items-center gap-2"
+        >
+          <Plus size={14} className="text-gray-400" />
+          <input
+            type="text"
+            value={subtaskInputs[task.id] ?? ''}
+            onChange={(e) => setSubtaskInputs((prev) => ({ ...prev, [task.id]: e.target.value }))}
+            placeholder={t('tasks.addSubtask')}
+            className="flex-1 px-2 py-1 text-sm border border-gray-200 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+          />
+        </form>
+      </div>
+    );
+  };
+
+  // Project name (when viewing all tasks) and tag chips shown on each card
+  const renderOrganizers = (task: Task) => {
+    const project = task.projectId ? projectById.get(task.projectId) : undefined;
+    if (!task.tags?.length && !(project && selectedProject === 'all')) return null;
+    return (
+      <div className="mt-2 flex flex-wrap items-center gap-1 text-xs">
+        {project && selectedProject === 'all' && (
+          <button
+            onClick={() => setSelectedProject(project.id)}
+            className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-gray-100 text-gray-700"
+          >
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: project.color || PROJECT_COLORS[7] }} />
+            {project.name}
+          </button>
+        )}
+        {task.tags?.map((tag) => (
+          <button
+            key={tag}
+            onClick={() => setSelectedTag(tag)}
+            className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full"
+            style={{ backgroundColor: `${tagColor(tag)}22`, color: tagColor(tag) }}
+          >
+            <TagIcon size={10} />
+            {tag}
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  // Tracked time against the estimate; the running session shows in the timer banner
+  const renderTimeTracked = (task: Task) => {
+    const running = runningTimer?.taskId === task.id;
+    const tracked = task.trackedMinutes ?? 0;
+    if (!running && !tracked && !task.estimateMinutes) return null;
+    const over = !!task.estimateMinutes && tracked > task.estimateMinutes;
+    return (
+      <div
+        className={`text-sm px-2 py-1 rounded-full inline-flex items-center gap-1 ${
+          running ? 'text-indigo-700 bg-indigo-50' : over ? 'text-red-700 bg-red-50' : 'text-gray-700 bg-gray-100'
+        }`}
+        title={running ? t('timer.running') : t('time.tracked')}
+      >
+        <Timer size={14} className={running ? 'animate-pulse' : ''} />
+        {task.estimateMinutes
+          ? t('time.ofEstimate', {
+              tracked: formatDuration(tracked, i18n),
+              estimate: formatDuration(task.estimateMinutes, i18n),
+            })
+          : formatDuration(tracked, i18n)}
+      </div>
+    );
+  };
+
+  const formatHistoryValue = (field: keyof Task, value: unknown): string => {
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length)) {
+      return t('common.none');
+    }
+    switch (field) {
+      case 'dueDate':
+        return formatDueDate(value as string) ?? t('common.none');
+      case 'recurrence':
+        return describeRecurrence(value as Recurrence, i18n);
+      case 'reminderOffsets':
+        return (value as number[]).map((offset) => formatOffset(offset, i18n)).join(', ');
+      case 'projectId':
+        return projectById.get(value as string)?.name ?? t('history.deletedProject');
+      case 'statusId':
+        return statuses.find((status) => status.id === value)?.name ?? t('history.deletedStatus');
+      case 'estimateMinutes':
+        return formatDuration(value as number, i18n);
+      case 'priority':
+        return t(`priority.${value as Priority}`);
+      case 'tags':
+        return (value as string[]).map((tag) => `#${tag}`).join(' ');
+      default: {
+        const text = String(value);
+        return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+      }
+    }
+  };
+
+  // Audit timeline, newest first; edits list each changed field as old -> new
+  const renderHistory = (task: Task) => {
+    if (!openHistories.has(task.id)) return null;
+    const events = histories[task.id];
+    return (
+      <ol className="mt-3 border-l-2 border-gray-200 pl-3 space-y-2 text-xs">
+        {!events ? (
+          <li className="text-gray-500">{t('history.loading')}</li>
+        ) : (
+          events.map((event) => {
+            const source = HISTORY_SOURCE_LABELS[event.source];
+            return (
+              <li key={event.id}>
+                <div className="text-gray-700">
+                  <span className="font-medium">{t(HISTORY_ACTION_LABELS[event.action])}</span>
+                  {source && ` ${t(source)}`}
+                  <span className="text-gray-400">
+                    {' · '}
+                    {formatDate(parseServerDate(event.createdAt))}
+                    {event.actor?.name && ` · ${event.actor.name}`}
+                  </span>
+                </div>
+                {event.action !== 'created' &&
+                  HISTORY_FIELD_LABELS.filter(([field]) => event.newValues && field in event.newValues).map(
+                    ([field, label]) => (
+                      <div key={field} className="text-gray-500">
+                        {t(label)}: <span className="line-through">{formatHistoryValue(field, event.oldValues?.[field])}</span>
+                        {' → '}
+                        {formatHistoryValue(field, event.newValues?.[field])}
+                      </div>
+                    )
+                  )}
+              </li>
+            );
+          })
+        )}
+      </ol>
+    );
+  };
 
   return (
-    <div className="max-w-4xl mx-auto p-6 bg-gradient-to-br from-blue-50 to-indigo-100 min-h-screen">
+    <div className="max-w-6xl mx-auto p-6 bg-gradient-to-br from-blue-50 to-indigo-100 min-h-screen">
       <div className="bg-white rounded-xl shadow-lg p-8">
         <header className="text-center mb-8">
-          <h1 className="text-4xl font-bold text-gray-800 mb-2">Smart Task Manager</h1>
+          <h1 className="text-4xl font-bold text-gray-800 mb-2">{t('app.title')}</h1>
+          <div className="flex items-center justify-center gap-3 text-sm text-gray-500">
+            <span>{t('header.signedInAs', { name: user.name || user.email })}</span>
+            <span
+              className={`flex items-center gap-1 ${liveStatus === 'live' ? 'text-green-600' : 'text-gray-400'}`}
+              title={liveStatus === 'live' ? t('header.liveTitle') : t('header.pollingTitle')}
+            >
+              <span className={`w-2 h-2 rounded-full ${liveStatus === 'live' ? 'bg-green-500' : 'bg-gray-300'}`} />
+              {liveStatus === 'live'
+                ? t('header.live')
+                : liveStatus === 'connecting'
+                  ? t('header.connecting')
+                  : t('header.offline')}
+            </span>
+            <button
+              onClick={() => void logout()}
+              className="flex items-center gap-1 text-gray-600 hover:text-red-600"
+              title={t('header.signOut')}
+            >
+              <LogOut size={14} />
+              {t('header.signOut')}
+            </button>
+          </div>
         </header>
 
+        {(!online || pendingIds.size > 0) && (
+          <div className="mb-6 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800 flex items-center gap-2">
+            <WifiOff size={16} className="shrink-0" />
+            <span className="flex-1">
+              {!online && t('offline.offline')}
+              {pendingIds.size > 0 && t('offline.waiting', { count: pendingIds.size })}
+            </span>
+            {online && (
+              <button onClick={() => void syncNow()} className="px-2 py-1 rounded hover:bg-amber-100">
+                {t('offline.retry')}
+              </button>
+            )}
+          </div>
+        )}
+
+        {conflicts.length > 0 && (
+          <div className="mb-6 p-3 bg-red-50 border border-red-200 rounded-lg text-sm space-y-2">
+            <div className="font-medium text-red-800 flex items-center gap-2">
+              <AlertCircle size={16} />
+              {t('offline.conflicts')}
+            </div>
+            {conflicts.map((conflict) => (
+              <div key={conflict.id} className="flex flex-wrap items-center gap-2 text-gray-700">
+                <span className="flex-1">
+                  <span className="font-medium">{conflict.label}</span>: {conflict.message}
+                </span>
+                {conflict.kind === 'conflict' && (
+                  <button
+                    onClick={() => void resolveConflict(conflict, true)}
+                    className="px-2 py-1 rounded bg-white border border-gray-200 hover:bg-gray-100"
+                  >
+                    {t('offline.useMine')}
+                  </button>
+                )}
+                <button
+                  onClick={() => void resolveConflict(conflict, false)}
+                  className="px-2 py-1 rounded bg-white border border-gray-200 hover:bg-gray-100"
+                >
+                  {conflict.kind === 'conflict' ? t('offline.keepServer') : t('common.dismiss')}
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {undoAction && (
+          <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 px-4 py-3 bg-gray-800 text-white text-sm rounded-lg shadow-lg flex items-center gap-4">
+            <span>{undoAction.message}</span>
+            <button
+              onClick={() => {
+                const { run } = undoAction;
+                setUndoAction(null);
+                void run();
+              }}
+              className="font-medium text-blue-300 hover:text-blue-200"
+            >
+              {t('undo.undo')}
+            </button>
+          </div>
+        )}
+
+        {reminderNotice && (
+          <div className="fixed top-4 right-4 z-50 max-w-sm p-4 bg-white border border-purple-200 rounded-lg shadow-lg flex items-start gap-3">
+            <Bell size={20} className="text-purple-600 shrink-0 mt-0.5" />
+            <div className="flex-1 text-sm">
+              <div className="font-medium text-gray-800">{reminderNotice.title}</div>
+              <div className="text-gray-500">{formatDueDate(reminderNotice.dueDate)}</div>
+            </div>
+            <button onClick={() => setReminderNotice(null)} className="text-gray-400 hover:text-gray-700" title={t('common.dismiss')}>
+              <XCircle size={16} />
+            </button>
+          </div>
+        )}
+
         {/* Push Notifications */}
-        <div className="mb-6 flex justify-center">
-          <button
-            onClick={enablePushNotifications}
-            disabled={pushEnabled || pushChecking}
-            className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
-            title="Enable browser notifications"
-          >
-            <Bell size={18} />
-            {pushChecking ? 'Checking...' : pushEnabled ? 'Push Enabled' : 'Enable Notifications'}
-          </button>
+        <div className="mb-6 flex flex-col items-center gap-3">
+          <div className="flex flex-wrap justify-center gap-2">
+            {pushEnabled ? (
+              <button
+                onClick={() => void disablePushNotifications()}
+                className="flex items-center gap-2 px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700"
+                title={t('push.disableTitle')}
+              >
+                <BellOff size={18} />
+                {t('push.disable')}
+              </button>
+            ) : (
+              <button
+                onClick={enablePushNotifications}
+                disabled={pushChecking}
+                className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+                title={t('push.enableTitle')}
+              >
+                <Bell size={18} />
+                {pushChecking ? t('push.checking') : t('push.enable')}
+              </button>
+            )}
+            <button
+              onClick={() => setShowDevices((v) => !v)}
+              className="flex items-center gap-2 px-4 py-2 border border-purple-300 text-purple-700 rounded-lg hover:bg-purple-50"
+            >
+              <Smartphone size={18} />
+              {t('push.devices', { count: pushDevices.length })}
+            </button>
+            <button
+              onClick={() => setShowCalendar((v) => !v)}
+              className="flex items-center gap-2 px-4 py-2 border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-50"
+            >
+              <CalendarDays size={18} />
+              {t('nav.calendar')}
+            </button>
+            <button
+              onClick={() => setShowStats((v) => !v)}
+              className="flex items-center gap-2 px-4 py-2 border border-green-300 text-green-700 rounded-lg hover:bg-green-50"
+            >
+              <BarChart3 size={18} />
+              {t('nav.stats')}
+            </button>
+            <button
+              onClick={() => setShowTimeReport((v) => !v)}
+              className="flex items-center gap-2 px-4 py-2 border border-indigo-300 text-indigo-700 rounded-lg hover:bg-indigo-50"
+            >
+              <Timer size={18} />
+              {t('nav.time')}
+            </button>
+            <button
+              onClick={() => setShowTrash((v) => !v)}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              <Trash2 size={18} />
+              {t('nav.trash')}
+            </button>
+            <button
+              onClick={() => setShowSettings((v) => !v)}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              <SettingsIcon size={18} />
+              {t('nav.settings')}
+            </button>
+          </div>
+
+          {showSettings && (
+            <SettingsPanel
+              settings={settings}
+              onSettingsChange={setSettings}
+              onImported={() => {
+                void fetchTasks();
+                void fetchOrganizers();
+              }}
+            />
+          )}
+
+          {showStats && <StatsDashboard />}
+
+          {showTimeReport && <TimeReportPanel />}
+
+          {showTrash && (
+            <TrashPanel
+              onRestored={(task) => {
+                setTasks((prev) => upsertTask(prev, task));
+                void fetchOrganizers();
+              }}
+            />
+          )}
+
+          {showCalendar && (
+            <CalendarPanel
+              feedEnabled={!!user.calendarFeed}
+              onImported={() => {
+                void fetchTasks();
+                void fetchOrganizers();
+              }}
+            />
+          )}
+
+          {showDevices && (
+            <div className="w-full max-w-xl border border-purple-100 rounded-lg divide-y divide-purple-50">
+              {pushDevices.length === 0 ? (
+                <p className="p-3 text-sm text-gray-500 text-center">{t('push.noDevices')}</p>
+              ) : (
+                pushDevices.map((device) => (
+                  <div key={device.id} className="p-3 flex items-center justify-between gap-3 text-sm">
+                    <div className="min-w-0">
+                      <div className="font-medium text-gray-800 truncate">{device.label || device.endpointHost}</div>
+                      <div className="text-xs text-gray-500">
+                        {device.lastSuccessAt
+                          ? t('push.lastDelivered', { date: formatDate(device.lastSuccessAt) })
+                          : t('push.nothingDelivered')}
+                        {device.lastError && (
+                          <span className="text-red-600">{t('push.lastError', { error: device.lastError })}</span>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex gap-1 shrink-0">
+                      <button
+                        onClick={() => void sendTestNotification(device.id)}
+                        className="p-2 text-purple-600 hover:bg-purple-100 rounded transition-colors"
+                        title={t('push.sendTest')}
+                      >
+                        <Send size={16} />
+                      </button>
+                      <button
+                        onClick={() => void removeDevice(device)}
+                        className="p-2 text-red-600 hover:bg-red-100 rounded transition-colors"
+                        title={t('push.removeDevice')}
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+          )}
         </div>
 
         {/* Add New Task */}
@@ -284,7 +4269,7 @@ export default function TaskManager() {
       type="text"
       value={newTaskInput}
       onChange={(e) => setNewTaskInput(e.target.value)}
-      placeholder="What needs to be done? (e.g., 'Doctor appointment tomorrow at 2pm')"
+      placeholder={t('add.placeholder')}
       className="w-full sm:flex-1 min-w-0 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-lg"
       disabled={loading}
       onKeyDown={(e) => {
@@ -304,9 +4289,31 @@ export default function TaskManager() {
       ) : (
         <Plus size={20} />
       )}
-      Add Task
+      {t('add.button')}
     </button>
   </div>
+  <ParsePreview
+    input={newTaskInput}
+    dueOverride={newTaskDue ? fromLocalInputValue(newTaskDue) : null}
+    onParsed={setNewTaskParsed}
+  />
+  {newTaskInput.trim() && (
+    <div className="mt-2 flex flex-wrap items-center gap-2 text-sm text-gray-600">
+      <label htmlFor="new-task-due">{newTaskParsed?.dueDate ? t('add.changeDate') : t('add.pickDate')}</label>
+      <input
+        id="new-task-due"
+        type="datetime-local"
+        value={newTaskDue || toLocalInputValue(newTaskParsed?.dueDate)}
+        onChange={(e) => setNewTaskDue(e.target.value)}
+        className="px-2 py-1 border border-gray-300 rounded"
+      />
+      {newTaskDue && (
+        <button onClick={() => setNewTaskDue('')} className="text-blue-600 hover:underline">
+          {t('add.useTextDate')}
+        </button>
+      )}
+    </div>
+  )}
   {error && (
     <div className="mt-2 text-red-600 text-sm flex items-center gap-2">
       <AlertCircle size={16} />
@@ -315,153 +4322,611 @@ export default function TaskManager() {
   )}
 </div>
 
-        {/* Task Lists */}
-        <div className="grid md:grid-cols-2 gap-8">
-          {/* Pending Tasks */}
-          <div>
-            <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
-              <Clock size={24} />
-              Pending ({pendingTasks.length})
-            </h2>
-
-            {pendingTasks.length === 0 ? (
-              <div className="text-center py-8 text-gray-500">
-                <Clock size={48} className="mx-auto mb-4 opacity-50" />
-                <p>No pending tasks. Add one above!</p>
+        {runningTimer && (
+          <TimerBanner
+            key={runningTimer.id}
+            entry={runningTimer}
+            onOpen={setHighlightedTask}
+            onStop={(endedAt) => void stopTimer(endedAt)}
+          />
+        )}
+
+        {/* Projects sidebar + task lists */}
+        <div className="flex flex-col md:flex-row gap-8">
+          <ProjectSidebar
+            projects={projects}
+            tags={tags}
+            selectedProject={selectedProject}
+            selectedTag={selectedTag}
+            onSelectProject={setSelectedProject}
+            onSelectTag={setSelectedTag}
+            onCreateProject={createProject}
+            onDeleteProject={deleteProject}
+          />
+
+          <div className="flex-1 min-w-0">
+            {/* Search + filter bar */}
+            <div className="mb-6 p-3 bg-white rounded-lg shadow-sm space-y-3">
+              <div className="relative">
+                <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                <input
+                  type="search"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  placeholder={t('filters.search')}
+                  className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                />
               </div>
-            ) : (
-              <div className="space-y-3">
-                {pendingTasks.map((task) => {
-                  const status = getTaskStatus(task);
-                  const isEditing = editingTask === task.id;
-
-                  return (
-                    <div
-                      key={task.id}
-                      className={`p-4 rounded-lg border-2 transition-all ${
-                        status === 'overdue'
-                          ? 'border-red-200 bg-red-50'
-                          : status === 'due-soon'
-                          ? 'border-orange-200 bg-orange-50'
-                          : 'border-gray-200 bg-white hover:border-blue-300'
-                      }`}
+              <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+                <select
+                  value={statusFilter}
+                  onChange={(e) => setStatusFilter(e.target.value as StatusFilter)}
+                  className="px-2 py-1 border border-gray-300 rounded bg-white"
+                  title={t('filters.status')}
+                >
+                  <option value="all">{t('filters.allStatuses')}</option>
+                  <option value="open">{t('filters.open')}</option>
+                  <option value="completed">{t('filters.completed')}</option>
+                </select>
+                <label className="flex items-center gap-1">
+                  <input type="checkbox" checked={overdueOnly} onChange={(e) => setOverdueOnly(e.target.checked)} />
+                  {t('filters.overdueOnly')}
+                </label>
+                <label className="flex items-center gap-1">
+                  {t('filters.dueFrom')}
+                  <input
+                    type="date"
+                    value={dueFrom}
+                    onChange={(e) => setDueFrom(e.target.value)}
+                    className="px-2 py-1 border border-gray-300 rounded"
+                  />
+                </label>
+                <label className="flex items-center gap-1">
+                  {t('filters.dueTo')}
+                  <input
+                    type="date"
+                    value={dueTo}
+                    onChange={(e) => setDueTo(e.target.value)}
+                    className="px-2 py-1 border border-gray-300 rounded"
+                  />
+                </label>
+                <div className="flex items-center gap-1 ml-auto">
+                  <select
+                    value={sortField}
+                    onChange={(e) => {
+                      const field = e.target.value as SortField;
+                      setSortField(field);
+                      setSortOrder(field === 'created' || field === 'updated' ? 'desc' : 'asc');
+                    }}
+                    className="px-2 py-1 border border-gray-300 rounded bg-white"
+                    title={t('filters.sortBy')}
+                  >
+                    <option value="created">{t('filters.newest')}</option>
+                    <option value="updated">{t('filters.updated')}</option>
+                    <option value="due">{t('filters.dueDate')}</option>
+                    <option value="title">{t('filters.title')}</option>
+                  </select>
+                  <button
+                    onClick={() => setSortOrder((prev) => (prev === 'asc' ? 'desc' : 'asc'))}
+                    className="p-1 text-gray-600 hover:bg-gray-100 rounded"
+                    title={sortOrder === 'asc' ? t('filters.ascending') : t('filters.descending')}
+                  >
+                    {sortOrder === 'asc' ? <ArrowUp size={16} /> : <ArrowDown size={16} />}
+                  </button>
+                </div>
+              </div>
+              {filtersActive && (
+                <div className="flex items-center gap-2 text-sm text-gray-600">
+                  {selectedTag && (
+                    <span>
+                      {t('filters.tag')} <span className="font-medium">#{selectedTag}</span>
+                    </span>
+                  )}
+                  <button onClick={clearFilters} className="inline-flex items-center gap-1 text-gray-500 hover:text-gray-800">
+                    <XCircle size={14} />
+                    {t('filters.clear')}
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {/* View switcher */}
+            <div className="mb-6 flex rounded-lg border border-gray-300 overflow-hidden w-fit text-sm">
+              {(
+                [
+                  ['list', LayoutList, 'views.list'],
+                  ['calendar', CalendarDays, 'views.calendar'],
+                  ['board', SquareKanban, 'views.board'],
+                ] as const
+              ).map(([option, Icon, label]) => (
+                <button
+                  key={option}
+                  onClick={() => setView(option)}
+                  className={`flex items-center gap-1 px-3 py-1.5 ${
+                    view === option ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  <Icon size={16} />
+                  {t(label)}
+                </button>
+              ))}
+            </div>
+
+            {view === 'calendar' && (
+              <CalendarView
+                tasks={tasks}
+                onReschedule={(task, dueDate) => void updateTask(task.id, { dueDate })}
+                onRangeChange={(range) =>
+                  setCalendarRange((prev) => (prev?.from === range.from && prev.to === range.to ? prev : range))
+                }
+              />
+            )}
+            {view === 'board' && (
+              <KanbanBoard
+                tasks={tasks}
+                statuses={statuses}
+                onMove={(task, statusId, beforeId) => void moveOnBoard(task, statusId, beforeId)}
+                onStatusesChanged={() => {
+                  void fetchOrganizers();
+                  void fetchTasks();
+                }}
+              />
+            )}
+
+            {/* Bulk actions for the selected tasks */}
+            {view === 'list' && selectedIds.size > 0 && (
+              <div className="sticky top-0 z-40 mb-6 p-3 bg-blue-50 border border-blue-200 rounded-lg shadow-sm text-sm">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-medium text-blue-800">{t('batch.selected', { count: selectedIds.size })}</span>
+                  <button
+                    onClick={() => setSelectedIds(new Set(tasks.map((task) => task.id)))}
+                    className="text-blue-600 hover:underline"
+                  >
+                    {t('batch.selectAll')}
+                  </button>
+                  <button onClick={clearSelection} className="text-gray-600 hover:underline">
+                    {t('batch.clear')}
+                  </button>
+                  <div className="flex flex-wrap gap-2 ml-auto">
+                    <button
+                      onClick={() => void runBatch('complete')}
+                      disabled={bulkBusy}
+                      className="flex items-center gap-1 px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
                     >
-                      {isEditing ? (
-                        <div className="space-y-3">
-                          <input
-                            type="text"
-                            value={editInput}
-                            onChange={(e: React.ChangeEvent<HTMLInputElement>) => setEditInput(e.target.value)}
-                            className="w-full px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
-                            onKeyDown={(e: React.KeyboardEvent<HTMLInputElement>) => {
-                              if (e.key === 'Enter') void saveEdit();
-                              if (e.key === 'Escape') {
-                                setEditingTask(null);
-                                setEditInput('');
-                              }
-                            }}
-                            autoFocus
-                          />
-                          <div className="flex gap-2">
-                            <button
-                              onClick={() => void saveEdit()}
-                              className="px-3 py-1 bg-green-600 text-white rounded text-sm hover:bg-green-700"
-                            >
-                              Save
-                            </button>
-                            <button
-                              onClick={() => {
-                                setEditingTask(null);
-                                setEditInput('');
-                              }}
-                              className="px-3 py-1 bg-gray-600 text-white rounded text-sm hover:bg-gray-700"
-                            >
-                              Cancel
-                            </button>
-                          </div>
-                        </div>
-                      ) : (
-                        <div className="flex items-center justify-between">
-                          <div className="flex-1">
-                            <h3 className="font-medium text-gray-800 mb-1">{task.title}</h3>
-                            {task.dueDate && (
-                              <div className={`text-sm px-2 py-1 rounded-full inline-block ${getStatusColor(status)}`}>
-                                {formatDueDate(task.dueDate)}
+                      <Check size={14} />
+                      {t('batch.complete')}
+                    </button>
+                    <button
+                      onClick={() => void runBatch('uncomplete')}
+                      disabled={bulkBusy}
+                      className="flex items-center gap-1 px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 disabled:opacity-50"
+                    >
+                      <Clock size={14} />
+                      {t('batch.uncomplete')}
+                    </button>
+                    <button
+                      onClick={() => void runBatch('delete')}
+                      disabled={bulkBusy}
+                      className="flex items-center gap-1 px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50"
+                    >
+                      <Trash2 size={14} />
+                      {t('batch.delete')}
+                    </button>
+                  </div>
+                </div>
+                <div className="mt-2 flex flex-wrap items-center gap-2">
+                  <input
+                    type="text"
+                    value={bulkWhen}
+                    onChange={(e) => setBulkWhen(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' && bulkWhen.trim()) void runBatch('reschedule', { when: bulkWhen });
+                    }}
+                    placeholder={t('batch.whenPlaceholder')}
+                    className="flex-1 min-w-[12rem] px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                  />
+                  <button
+                    onClick={() => void runBatch('reschedule', { when: bulkWhen })}
+                    disabled={bulkBusy || !bulkWhen.trim()}
+                    className="flex items-center gap-1 px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    <CalendarDays size={14} />
+                    {t('batch.reschedule')}
+                  </button>
+                  <input
+                    type="text"
+                    value={bulkTags}
+                    onChange={(e) => setBulkTags(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' && bulkTags.trim()) retagSelected();
+                    }}
+                    placeholder={t('batch.tagsPlaceholder')}
+                    className="flex-1 min-w-[10rem] px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                  />
+                  <button
+                    onClick={retagSelected}
+                    disabled={bulkBusy || !bulkTags.trim()}
+                    className="flex items-center gap-1 px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    <TagIcon size={14} />
+                    {t('batch.retag')}
+                  </button>
+                </div>
+                <ParsePreview input={bulkWhen} dateOnly />
+                {bulkError && (
+                  <div className="mt-2 text-red-600 flex items-center gap-2">
+                    <AlertCircle size={16} />
+                    {bulkError}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Task Lists */}
+            {view === 'list' && (
+              <div className="grid md:grid-cols-2 gap-8">
+                {/* Pending Tasks */}
+                <div>
+                  <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                    <Clock size={24} />
+                    {t('tasks.pending', { count: pendingTasks.length })}
+                  </h2>
+
+                  {pendingTasks.length === 0 ? (
+                    <div className="text-center py-8 text-gray-500">
+                      <Clock size={48} className="mx-auto mb-4 opacity-50" />
+                      <p>{t('tasks.noPending')}</p>
+                    </div>
+                  ) : (
+                    <div className="space-y-3">
+                      {pendingTasks.map((task) => {
+                        const status = getTaskStatus(task);
+                        const isEditing = editingTask === task.id;
+
+                        return (
+                          <div
+                            key={task.id}
+                            id={`task-${task.id}`}
+                            className={`p-4 rounded-lg border-2 transition-all ${
+                              status === 'overdue'
+                                ? 'border-red-200 bg-red-50'
+                                : status === 'due-soon'
+                                ? 'border-orange-200 bg-orange-50'
+                                : 'border-gray-200 bg-white hover:border-blue-300'
+                            } ${highlightedTask === task.id ? 'ring-4 ring-purple-400' : ''}`}
+                          >
+                            {isEditing ? (
+                              <div className="space-y-3">
+                                <input
+                                  type="text"
+                                  value={editTitle}
+                                  onChange={(e: React.ChangeEvent<HTMLInputElement>) => setEditTitle(e.target.value)}
+                                  className="w-full px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                                  onKeyDown={(e: React.KeyboardEvent<HTMLInputElement>) => {
+                                    if (e.key === 'Enter') void saveEdit();
+                                    if (e.key === 'Escape') cancelEdit();
+                                  }}
+                                  autoFocus
+                                />
+                                <div className="flex flex-wrap items-center gap-2 text-sm">
+                                  <input
+                                    type="datetime-local"
+                                    value={editDue}
+                                    onChange={(e) => setEditDue(e.target.value)}
+                                    className="px-2 py-1 border border-gray-300 rounded"
+                                    aria-label={t('tasks.dueDate')}
+                                  />
+                                  {editDue && (
+                                    <button onClick={() => setEditDue('')} className="text-gray-600 hover:underline">
+                                      {t('tasks.noDueDate')}
+                                    </button>
+                                  )}
+                                  <input
+                                    type="text"
+                                    value={editWhen}
+                                    onChange={(e) => setEditWhen(e.target.value)}
+                                    onKeyDown={(e) => {
+                                      if (e.key === 'Escape') cancelEdit();
+                                    }}
+                                    placeholder={t('tasks.whenPlaceholder')}
+                                    className="flex-1 min-w-[12rem] px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                                  />
+                                  <label className="inline-flex items-center gap-1 text-gray-600">
+                                    <Timer size={14} />
+                                    <input
+                                      type="number"
+                                      min={1}
+                                      step={5}
+                                      value={editEstimate}
+                                      onChange={(e) => setEditEstimate(e.target.value)}
+                                      placeholder={t('time.estimatePlaceholder')}
+                                      className="w-24 px-2 py-1 border border-gray-300 rounded"
+                                      aria-label={t('time.estimate')}
+                                    />
+                                  </label>
+                                  <label className="inline-flex items-center gap-1 text-gray-600">
+                                    <Flag size={14} />
+                                    <select
+                                      value={editPriority}
+                                      onChange={(e) => setEditPriority(e.target.value as Priority | '')}
+                                      className="px-2 py-1 border border-gray-300 rounded"
+                                      aria-label={t('priority.label')}
+                                    >
+                                      <option value="">{t('priority.none')}</option>
+                                      {PRIORITIES.map((priority) => (
+                                        <option key={priority} value={priority}>
+                                          {t(`priority.${priority}`)}
+                                        </option>
+                                      ))}
+                                    </select>
+                                  </label>
+                                </div>
+                                <ParsePreview
+                                  input={editWhen}
+                                  dateOnly
+                                  onParsed={(result) => {
+                                    if (result?.dueDate) setEditDue(toLocalInputValue(result.dueDate));
+                                  }}
+                                />
+                                <div className="flex gap-2">
+                                  <button
+                                    onClick={() => void saveEdit()}
+                                    disabled={!editTitle.trim()}
+                                    className="px-3 py-1 bg-green-600 text-white rounded text-sm hover:bg-green-700 disabled:opacity-50"
+                                  >
+                                    {t('common.save')}
+                                  </button>
+                                  <button
+                                    onClick={cancelEdit}
+                                    className="px-3 py-1 bg-gray-600 text-white rounded text-sm hover:bg-gray-700"
+                                  >
+                                    {t('common.cancel')}
+                                  </button>
+                                </div>
+                              </div>
+                            ) : (
+                              <div className="flex items-center justify-between">
+                                <input
+                                  type="checkbox"
+                                  checked={selectedIds.has(task.id)}
+                                  onChange={(e) => toggleSelected(task.id, (e.nativeEvent as MouseEvent).shiftKey, pendingTasks)}
+                                  className="mr-3 h-4 w-4 shrink-0"
+                                  title={t('batch.select')}
+                                />
+                                <div className="flex-1">
+                                  <h3 className="font-medium text-gray-800 mb-1">
+                                    {task.title}
+                                    {renderPending(task)}
+                                  </h3>
+                                  {task.notes && <p className="text-sm text-gray-500 mb-1 whitespace-pre-line">{task.notes}</p>}
+                                  <div className="flex flex-wrap items-center gap-2">
+                                    {task.dueDate && (
+                                      <div className={`text-sm px-2 py-1 rounded-full inline-block ${getStatusColor(status)}`}>
+                                        {formatDueDate(task.dueDate)}
+                                      </div>
+                                    )}
+                                    {task.priority && (
+                                      <div
+                                        className={`text-sm px-2 py-1 rounded-full inline-flex items-center gap-1 ${PRIORITY_COLORS[task.priority]}`}
+                                      >
+                                        <Flag size={14} />
+                                        {t('preview.priority', { priority: t(`priority.${task.priority}`) })}
+                                      </div>
+                                    )}
+                                    {task.recurrence && (
+                                      <div className="text-sm px-2 py-1 rounded-full inline-flex items-center gap-1 text-purple-700 bg-purple-50">
+                                        <Repeat size={14} />
+                                        {describeRecurrence(task.recurrence, i18n)}
+                                        <button
+                                          onClick={() => void stopSeries(task)}
+                                          className="ml-1 text-purple-400 hover:text-purple-700"
+                                          title={t('tasks.stopSeries')}
+                                        >
+                                          <XCircle size={14} />
+                                        </button>
+                                      </div>
+                                    )}
+                                    {!!task.subtasks?.length && (
+                                      <button
+                                        onClick={() => toggleExpanded(task.id)}
+                                        className="text-sm px-2 py-1 rounded-full inline-flex items-center gap-1 text-teal-700 bg-teal-50"
+                                        title={expandedTasks.has(task.id) ? t('tasks.hideChecklist') : t('tasks.showChecklist')}
+                                      >
+                                        <ListChecks size={14} />
+                                        {task.subtasks.filter((s) => s.completed).length}/{task.subtasks.length}
+                                      </button>
+                                    )}
+                                    {renderTimeTracked(task)}
+                                  </div>
+                                  {task.dueDate && (
+                                    <div className="mt-2 flex flex-wrap items-center gap-1 text-xs">
+                                      <Bell size={12} className="text-gray-400" />
+                                      {getReminderOffsets(task).map((offset) => (
+                                        <span
+                                          key={offset}
+                                          className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-gray-100 text-gray-600"
+                                        >
+                                          {formatOffset(offset, i18n)}
+                                          <button
+                                            onClick={() => void removeReminder(task, offset)}
+                                            className="text-gray-400 hover:text-red-600"
+                                            title={t('tasks.removeReminder')}
+                                          >
+                                            <XCircle size={12} />
+                                          </button>
+                                        </span>
+                                      ))}
+                                      <select
+                                        value=""
+                                        onChange={(e) => void addReminder(task, Number(e.target.value))}
+                                        className="px-1 py-0.5 rounded border border-gray-200 bg-white text-gray-600"
+                                        title={t('tasks.addReminder')}
+                                      >
+                                        <option value="" disabled>
+                                          {t('tasks.reminderOption')}
+                                        </option>
+                                        {REMINDER_PRESETS.filter((o) => !getReminderOffsets(task).includes(o)).map((o) => (
+                                          <option key={o} value={o}>
+                                            {formatOffset(o, i18n)}
+                                          </option>
+                                        ))}
+                                      </select>
+                                    </div>
+                                  )}
+                                  {renderOrganizers(task)}
+                                  {renderSubtasks(task)}
+                                  {renderHistory(task)}
+                                </div>
+                                <div className="flex gap-2 ml-4">
+                                  {runningTimer?.taskId === task.id ? (
+                                    <button
+                                      onClick={() => void stopTimer()}
+                                      className="p-2 text-indigo-600 bg-indigo-50 hover:bg-indigo-100 rounded transition-colors"
+                                      title={t('timer.stop')}
+                                    >
+                                      <Square size={18} />
+                                    </button>
+                                  ) : (
+                                    <button
+                                      onClick={() => void startTimer(task)}
+                                      className="p-2 text-indigo-600 hover:bg-indigo-100 rounded transition-colors"
+                                      title={t('timer.start')}
+                                    >
+                                      <Play size={18} />
+                                    </button>
+                                  )}
+                                  <button
+                                    onClick={() => void toggleComplete(task)}
+                                    className="p-2 text-green-600 hover:bg-green-100 rounded transition-colors"
+                                    title={t('tasks.markComplete')}
+                                  >
+                                    <Check size={18} />
+                                  </button>
+                                  <button
+                                    onClick={() => toggleExpanded(task.id)}
+                                    className="p-2 text-teal-600 hover:bg-teal-100 rounded transition-colors"
+                                    title={t('tasks.checklist')}
+                                  >
+                                    <ListChecks size={18} />
+                                  </button>
+                                  <button
+                                    onClick={() => toggleHistory(task.id)}
+                                    className="p-2 text-gray-600 hover:bg-gray-100 rounded transition-colors"
+                                    title={t('tasks.history')}
+                                  >
+                                    <HistoryIcon size={18} />
+                                  </button>
+                                  <button
+                                    onClick={() => startEditing(task)}
+                                    className="p-2 text-blue-600 hover:bg-blue-100 rounded transition-colors"
+                                    title={t('tasks.edit')}
+                                  >
+                                    <Edit2 size={18} />
+                                  </button>
+                                  <button
+                                    onClick={() => void deleteTask(task.id)}
+                                    className="p-2 text-red-600 hover:bg-red-100 rounded transition-colors"
+                                    title={t('tasks.delete')}
+                                  >
+                                    <Trash2 size={18} />
+                                  </button>
+                                </div>
                               </div>
                             )}
                           </div>
-                          <div className="flex gap-2 ml-4">
-                            <button
-                              onClick={() => void toggleComplete(task)}
-                              className="p-2 text-green-600 hover:bg-green-100 rounded transition-colors"
-                              title="Mark as complete"
-                            >
-                              <Check size={18} />
-                            </button>
-                            <button
-                              onClick={() => startEditing(task)}
-                              className="p-2 text-blue-600 hover:bg-blue-100 rounded transition-colors"
-                              title="Edit task"
-                            >
-                              <Edit2 size={18} />
-                            </button>
-                            <button
-                              onClick={() => void deleteTask(task.id)}
-                              className="p-2 text-red-600 hover:bg-red-100 rounded transition-colors"
-                              title="Delete task"
-                            >
-                              <Trash2 size={18} />
-                            </button>
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+
+                {/* Completed Tasks */}
+                <div>
+                  <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                    <Check size={24} />
+                    {t('tasks.completed', { count: completedTasks.length })}
+                  </h2>
+
+                  {completedTasks.length === 0 ? (
+                    <div className="text-center py-8 text-gray-500">
+                      <Check size={48} className="mx-auto mb-4 opacity-50" />
+                      <p>{t('tasks.noCompleted')}</p>
+                    </div>
+                  ) : (
+                    <div className="space-y-3">
+                      {completedTasks.map((task) => (
+                        <div
+                          key={task.id}
+                          id={`task-${task.id}`}
+                          className={`p-4 rounded-lg border-2 border-green-200 bg-green-50 opacity-75 ${
+                            highlightedTask === task.id ? 'ring-4 ring-purple-400' : ''
+                          }`}
+                        >
+                          <div className="flex items-center justify-between">
+                            <input
+                              type="checkbox"
+                              checked={selectedIds.has(task.id)}
+                              onChange={(e) => toggleSelected(task.id, (e.nativeEvent as MouseEvent).shiftKey, completedTasks)}
+                              className="mr-3 h-4 w-4 shrink-0"
+                              title={t('batch.select')}
+                            />
+                            <div className="flex-1">
+                              <h3 className="font-medium text-gray-700 mb-1">
+                                <span className="line-through">{task.title}</span>
+                                {renderPending(task)}
+                              </h3>
+                              <div className="text-sm text-green-600">
+                                {t('tasks.completedBadge')}
+                                {!!task.trackedMinutes && (
+                                  <span className="ml-2 text-gray-500">
+                                    {t('time.trackedTotal', { duration: formatDuration(task.trackedMinutes, i18n) })}
+                                  </span>
+                                )}
+                              </div>
+                              {renderOrganizers(task)}
+                              {renderHistory(task)}
+                            </div>
+                            <div className="flex gap-2 ml-4">
+                              <button
+                                onClick={() => void toggleComplete(task)}
+                                className="p-2 text-gray-600 hover:bg-gray-100 rounded transition-colors"
+                                title={t('tasks.markPending')}
+                              >
+                                <Clock size={18} />
+                              </button>
+                              <button
+                                onClick={() => toggleHistory(task.id)}
+                                className="p-2 text-gray-600 hover:bg-gray-100 rounded transition-colors"
+                                title={t('tasks.history')}
+                              >
+                                <HistoryIcon size={18} />
+                              </button>
+                              <button
+                                onClick={() => void deleteTask(task.id)}
+                                className="p-2 text-red-600 hover:bg-red-100 rounded transition-colors"
+                                title={t('tasks.delete')}
+                              >
+                                <Trash2 size={18} />
+                              </button>
+                            </div>
                           </div>
                         </div>
-                      )}
+                      ))}
                     </div>
-                  );
-                })}
+                  )}
+                </div>
               </div>
             )}
-          </div>
 
-          {/* Completed Tasks */}
-          <div>
-            <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
-              <Check size={24} />
-              Completed ({completedTasks.length})
-            </h2>
-
-            {completedTasks.length === 0 ? (
-              <div className="text-center py-8 text-gray-500">
-                <Check size={48} className="mx-auto mb-4 opacity-50" />
-                <p>No completed tasks yet.</p>
-              </div>
-            ) : (
-              <div className="space-y-3">
-                {completedTasks.map((task) => (
-                  <div key={task.id} className="p-4 rounded-lg border-2 border-green-200 bg-green-50 opacity-75">
-                    <div className="flex items-center justify-between">
-                      <div className="flex-1">
-                        <h3 className="font-medium text-gray-700 line-through mb-1">{task.title}</h3>
-                        <div className="text-sm text-green-600">✓ Completed</div>
-                      </div>
-                      <div className="flex gap-2 ml-4">
-                        <button
-                          onClick={() => void toggleComplete(task)}
-                          className="p-2 text-gray-600 hover:bg-gray-100 rounded transition-colors"
-                          title="Mark as pending"
-                        >
-                          <Clock size={18} />
-                        </button>
-                        <button
-                          onClick={() => void deleteTask(task.id)}
-                          className="p-2 text-red-600 hover:bg-red-100 rounded transition-colors"
-                          title="Delete task"
-                        >
-                          <Trash2 size={18} />
-                        </button>
-                      </div>
-                    </div>
-                  </div>
-                ))}
+            {nextCursor && (
+              <div className="mt-6 text-center">
+                <button
+                  onClick={() => void loadMoreTasks()}
+                  disabled={loadingMore}
+                  className="px-4 py-2 bg-white text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-50 disabled:opacity-50"
+                >
+                  {loadingMore ? t('common.loading') : t('tasks.loadMore')}
+                </button>
               </div>
             )}
           </div>
@@ -469,16 +4934,21 @@ export default function TaskManager() {
 
         {/* Examples */}
         <div className="mt-8 p-4 bg-blue-50 rounded-lg">
-          <h3 className="font-semibold text-blue-800 mb-2">💡 Natural Language Examples:</h3>
+          <h3 className="font-semibold text-blue-800 mb-2">{t('examples.title')}</h3>
           <div className="text-sm text-blue-700 grid md:grid-cols-2 gap-2">
-            <div>• "Call dentist tomorrow at 2pm"</div>
-            <div>• "Team meeting in 3 hours"</div>
-            <div>• "Submit report by 5pm today"</div>
-            <div>• "Grocery shopping tomorrow"</div>
-            <div>• "Pick up kids at 3:30pm"</div>
-            <div>• "Deadline 12/15 at 6pm"</div>
+            {t('examples.list')
+              .split('|')
+              .map((example) => (
+                <div key={example}>• "{example}"</div>
+              ))}
           </div>
-          <p className="text-xs text-blue-600 mt-2">⏰ You’ll get automatic reminders 1 hour before each due time!</p>
+          <p className="text-xs text-blue-600 mt-2">
+            {t('examples.reminders', {
+              list: settings.defaultReminderOffsets.length
+                ? settings.defaultReminderOffsets.map((o) => formatOffset(o, i18n)).join(', ')
+                : t('common.none'),
+            })}
+          </p>
         </div>
       </div>
     </div>
@@ -0,0 +1,223 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { useI18n } from './i18n';
+import type { DueRange, Task } from './types';
+
+type CalendarMode = 'month' | 'week';
+
+// Undated tasks dropped on a day of the month grid get this time
+const CALENDAR_DEFAULT_HOUR = 9;
+const CALENDAR_HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const CALENDAR_MAX_PER_DAY = 4;
+// Height of an hour row in the week grid (h-12); the grid opens scrolled to the morning
+const CALENDAR_HOUR_HEIGHT = 48;
+
+const startOfDay = (date: Date): Date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date: Date, days: number): Date => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+interface CalendarViewProps {
+  tasks: Task[];
+  onReschedule: (task: Task, dueDate: string) => void;
+  // Called with the days on screen whenever they change, so the parent can load their tasks
+  onRangeChange: (range: DueRange) => void;
+}
+
+// Month and week planner over the loaded tasks, by due date in the browser's zone. Dropping a task on
+// a day keeps its time of day; dropping it on an hour of the week sets the hour too.
+export function CalendarView({ tasks, onReschedule, onRangeChange }: CalendarViewProps) {
+  const i18n = useI18n();
+  const { t, formatDate, weekdayName } = i18n;
+  const [mode, setMode] = useState<CalendarMode>('month');
+  const [anchor, setAnchor] = useState<Date>(() => startOfDay(new Date()));
+  const [dropTarget, setDropTarget] = useState<string | null>(null);
+  const weekGridRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    if (mode === 'week' && weekGridRef.current) weekGridRef.current.scrollTop = 8 * CALENDAR_HOUR_HEIGHT;
+  }, [mode]);
+
+  const weekStartsOn = i18n.language === 'en' ? 0 : 1;
+  const startOfWeek = (date: Date): Date => addDays(date, -((date.getDay() - weekStartsOn + 7) % 7));
+  const first = startOfWeek(mode === 'month' ? new Date(anchor.getFullYear(), anchor.getMonth(), 1) : anchor);
+  const days = Array.from({ length: mode === 'month' ? 42 : 7 }, (_, index) => addDays(first, index));
+  const today = new Date().toDateString();
+
+  const rangeFrom = days[0].toISOString();
+  const rangeTo = new Date(addDays(days[days.length - 1], 1).getTime() - 1).toISOString();
+  useEffect(() => {
+    onRangeChange({ from: rangeFrom, to: rangeTo });
+  }, [rangeFrom, rangeTo]);
+
+  const byDay = new Map<string, Task[]>();
+  for (const task of tasks) {
+    if (!task.dueDate) continue;
+    const key = new Date(task.dueDate).toDateString();
+    byDay.set(key, [...(byDay.get(key) ?? []), task]);
+  }
+  for (const list of byDay.values()) {
+    list.sort((a, b) => new Date(a.dueDate!).getTime() - new Date(b.dueDate!).getTime());
+  }
+  const unscheduled = tasks.filter((task) => !task.dueDate && !task.completed);
+
+  const shift = (direction: number): void =>
+    setAnchor((prev) =>
+      mode === 'month' ? new Date(prev.getFullYear(), prev.getMonth() + direction, 1) : addDays(prev, 7 * direction)
+    );
+
+  const dragOver = (e: React.DragEvent, key: string): void => {
+    e.preventDefault();
+    if (dropTarget !== key) setDropTarget(key);
+  };
+
+  const drop = (e: React.DragEvent, day: Date, hour?: number): void => {
+    e.preventDefault();
+    setDropTarget(null);
+    const task = tasks.find((item) => String(item.id) === e.dataTransfer.getData('text/plain'));
+    if (!task) return;
+    const current = task.dueDate ? new Date(task.dueDate) : null;
+    const due = new Date(day);
+    due.setHours(hour ?? current?.getHours() ?? CALENDAR_DEFAULT_HOUR, current?.getMinutes() ?? 0);
+    if (current && due.getTime() === current.getTime()) return;
+    onReschedule(task, due.toISOString());
+  };
+
+  const renderChip = (task: Task, showTime: boolean) => {
+    const overdue = !task.completed && task.dueDate && new Date(task.dueDate) < new Date();
+    return (
+      <div
+        key={task.id}
+        draggable
+        onDragStart={(e) => e.dataTransfer.setData('text/plain', String(task.id))}
+        onDragEnd={() => setDropTarget(null)}
+        className={`truncate px-1.5 py-0.5 rounded text-xs cursor-move ${
+          task.completed
+            ? 'bg-green-50 text-green-700 line-through'
+            : overdue
+            ? 'bg-red-50 text-red-700'
+            : 'bg-blue-50 text-blue-800'
+        }`}
+        title={task.title}
+      >
+        {showTime && task.dueDate && (
+          <span className="font-medium mr-1">{formatDate(task.dueDate, { hour: 'numeric', minute: '2-digit' })}</span>
+        )}
+        {task.title}
+      </div>
+    );
+  };
+
+  const title =
+    mode === 'month'
+      ? formatDate(anchor, { month: 'long', year: 'numeric' })
+      : `${formatDate(days[0], { dateStyle: 'medium' })} – ${formatDate(days[6], { dateStyle: 'medium' })}`;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={() => shift(-1)} className="p-1 rounded hover:bg-gray-100" title={t('planner.previous')}>
+          <ChevronLeft size={18} />
+        </button>
+        <button onClick={() => setAnchor(startOfDay(new Date()))} className="px-2 py-1 text-sm rounded border border-gray-300 hover:bg-gray-50">
+          {t('planner.today')}
+        </button>
+        <button onClick={() => shift(1)} className="p-1 rounded hover:bg-gray-100" title={t('planner.next')}>
+          <ChevronRight size={18} />
+        </button>
+        <h2 className="text-lg font-semibold text-gray-800 ml-2">{title}</h2>
+        <div className="ml-auto flex rounded border border-gray-300 overflow-hidden text-sm">
+          {(['month', 'week'] as CalendarMode[]).map((option) => (
+            <button
+              key={option}
+              onClick={() => setMode(option)}
+              className={`px-3 py-1 ${mode === option ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              {t(option === 'month' ? 'planner.month' : 'planner.week')}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {mode === 'month' ? (
+        <div className="grid grid-cols-7 border-l border-t border-gray-200 text-sm">
+          {days.slice(0, 7).map((day) => (
+            <div key={`head-${day.getDay()}`} className="px-2 py-1 border-r border-b border-gray-200 bg-gray-50 text-xs font-medium text-gray-600">
+              {weekdayName(day.getDay(), 'short')}
+            </div>
+          ))}
+          {days.map((day) => {
+            const key = day.toDateString();
+            const dayTasks = byDay.get(key) ?? [];
+            return (
+              <div
+                key={key}
+                onDragOver={(e) => dragOver(e, key)}
+                onDrop={(e) => drop(e, day)}
+                className={`min-h-[6rem] p-1 border-r border-b border-gray-200 space-y-1 ${
+                  dropTarget === key ? 'bg-blue-100' : day.getMonth() === anchor.getMonth() ? 'bg-white' : 'bg-gray-50'
+                }`}
+              >
+                <div className={`text-xs ${key === today ? 'font-bold text-blue-600' : 'text-gray-500'}`}>{day.getDate()}</div>
+                {dayTasks.slice(0, CALENDAR_MAX_PER_DAY).map((task) => renderChip(task, true))}
+                {dayTasks.length > CALENDAR_MAX_PER_DAY && (
+                  <div className="text-xs text-gray-500">{t('planner.more', { count: dayTasks.length - CALENDAR_MAX_PER_DAY })}</div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="border border-gray-200 rounded text-sm">
+          <div className="grid grid-cols-[3rem_repeat(7,minmax(0,1fr))] border-b border-gray-200 bg-gray-50">
+            <div />
+            {days.map((day) => (
+              <div
+                key={day.toDateString()}
+                className={`px-2 py-1 text-xs font-medium ${day.toDateString() === today ? 'text-blue-600' : 'text-gray-600'}`}
+              >
+                {weekdayName(day.getDay(), 'short')} {day.getDate()}
+              </div>
+            ))}
+          </div>
+          <div ref={weekGridRef} className="max-h-[32rem] overflow-y-auto">
+            {CALENDAR_HOURS.map((hour) => (
+              <div key={hour} className="grid grid-cols-[3rem_repeat(7,minmax(0,1fr))] h-12 border-b border-gray-100">
+                <div className="pr-1 text-right text-xs text-gray-400">
+                  {formatDate(new Date(2024, 0, 1, hour), { hour: 'numeric' })}
+                </div>
+                {days.map((day) => {
+                  const key = `${day.toDateString()}|${hour}`;
+                  const slotTasks = (byDay.get(day.toDateString()) ?? []).filter(
+                    (task) => new Date(task.dueDate!).getHours() === hour
+                  );
+                  return (
+                    <div
+                      key={key}
+                      onDragOver={(e) => dragOver(e, key)}
+                      onDrop={(e) => drop(e, day, hour)}
+                      className={`border-l border-gray-100 p-0.5 space-y-0.5 overflow-hidden ${dropTarget === key ? 'bg-blue-100' : ''}`}
+                    >
+                      {slotTasks.map((task) => renderChip(task, false))}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {unscheduled.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-1">{t('planner.unscheduled')}</h3>
+          <div className="flex flex-wrap gap-1">
+            {unscheduled.map((task) => (
+              <div key={task.id} className="max-w-[12rem]">
+                {renderChip(task, false)}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { AlertCircle, Check, ChevronLeft, ChevronRight, Trash2 } from 'lucide-react';
+import { apiFetch, parseServerDate } from './api';
+import { useI18n } from './i18n';
+import type { Task, TaskID, TaskStatus } from './types';
+
+// Board column of a task; like the server, tasks without a status sit in the first column of their kind
+export function statusOfTask(task: Task, statuses: TaskStatus[]): string | undefined {
+  if (task.statusId && statuses.some((status) => status.id === task.statusId)) return task.statusId;
+  return statuses.find((status) => status.done === task.completed)?.id;
+}
+
+// Manual order within a column; ties go to the newest task, as on the server
+export function compareBoardOrder(a: Task, b: Task): number {
+  const created = (task: Task): number => (task.createdAt ? parseServerDate(task.createdAt).getTime() : 0);
+  return (a.position ?? 0) - (b.position ?? 0) || created(b) - created(a);
+}
+
+interface KanbanBoardProps {
+  tasks: Task[];
+  statuses: TaskStatus[];
+  onMove: (task: Task, statusId: string, beforeId: TaskID | null) => void;
+  onStatusesChanged: () => void;
+}
+
+// One column per status with its tasks in manual order. Dropping a card on another card puts it
+// above that card; dropping it on a column's free space puts it last.
+export function KanbanBoard({ tasks, statuses, onMove, onStatusesChanged }: KanbanBoardProps) {
+  const { t, formatDate } = useI18n();
+  const [dropTarget, setDropTarget] = useState<string | null>(null);
+  const [newColumn, setNewColumn] = useState<string>('');
+  const [renaming, setRenaming] = useState<{ id: string; name: string } | null>(null);
+  const [error, setError] = useState<string>('');
+
+  const columns = statuses.map((status) => ({
+    status,
+    tasks: tasks.filter((task) => statusOfTask(task, statuses) === status.id).sort(compareBoardOrder),
+  }));
+
+  const dragOver = (e: React.DragEvent, key: string): void => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (dropTarget !== key) setDropTarget(key);
+  };
+
+  const drop = (e: React.DragEvent, statusId: string, beforeId: TaskID | null): void => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTarget(null);
+    const task = tasks.find((item) => String(item.id) === e.dataTransfer.getData('text/plain'));
+    if (task && task.id !== beforeId) onMove(task, statusId, beforeId);
+  };
+
+  const saveColumns = async (path: string, method: string, body?: unknown): Promise<boolean> => {
+    setError('');
+    try {
+      const response = await apiFetch(path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setError(data.error || t('board.saveFailed'));
+        return false;
+      }
+      onStatusesChanged();
+      return true;
+    } catch (err) {
+      console.error('Failed to update board columns:', err);
+      setError(t('common.networkError'));
+      return false;
+    }
+  };
+
+  const addColumn = async (): Promise<void> => {
+    if (newColumn.trim() && (await saveColumns('/statuses', 'POST', { name: newColumn.trim() }))) setNewColumn('');
+  };
+
+  const renameColumn = async (): Promise<void> => {
+    if (!renaming) return;
+    const name = renaming.name.trim();
+    if (name && name !== statuses.find((status) => status.id === renaming.id)?.name) {
+      if (!(await saveColumns(`/statuses/${renaming.id}`, 'PUT', { name }))) return;
+    }
+    setRenaming(null);
+  };
+
+  const toggleDone = (status: TaskStatus, count: number): void => {
+    const message = status.done ? 'board.confirmOpen' : 'board.confirmDone';
+    if (count && !confirm(t(message, { name: status.name, count }))) return;
+    void saveColumns(`/statuses/${status.id}`, 'PUT', { done: !status.done });
+  };
+
+  const deleteColumn = (status: TaskStatus): void => {
+    if (!confirm(t('board.confirmDelete', { name: status.name }))) return;
+    void saveColumns(`/statuses/${status.id}`, 'DELETE');
+  };
+
+  const moveColumn = (index: number, direction: number): void => {
+    const ids = statuses.map((status) => status.id);
+    [ids[index], ids[index + direction]] = [ids[index + direction], ids[index]];
+    void saveColumns('/statuses/order', 'PUT', { ids });
+  };
+
+  return (
+    <div className="space-y-3">
+      {error && (
+        <div className="text-red-600 text-sm flex items-center gap-2">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+      <div className="flex gap-4 overflow-x-auto pb-2">
+        {columns.map(({ status, tasks: columnTasks }, index) => (
+          <div
+            key={status.id}
+            onDragOver={(e) => dragOver(e, status.id)}
+            onDrop={(e) => drop(e, status.id, null)}
+            className={`w-72 shrink-0 rounded-lg p-3 ${dropTarget === status.id ? 'bg-blue-100' : 'bg-gray-100'}`}
+          >
+            <div className="flex items-center gap-1 mb-3 text-sm">
+              <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: status.color || '#6b7280' }} />
+              {renaming?.id === status.id ? (
+                <input
+                  type="text"
+                  value={renaming.name}
+                  onChange={(e) => setRenaming({ id: status.id, name: e.target.value })}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') void renameColumn();
+                    if (e.key === 'Escape') setRenaming(null);
+                  }}
+                  onBlur={() => void renameColumn()}
+                  className="flex-1 min-w-0 px-1 border border-gray-300 rounded"
+                  autoFocus
+                />
+              ) : (
+                <button
+                  onClick={() => setRenaming({ id: status.id, name: status.name })}
+                  className="flex-1 min-w-0 truncate text-left font-semibold text-gray-800"
+                  title={t('board.rename')}
+                >
+                  {status.name}
+                </button>
+              )}
+              <span className="text-xs text-gray-500">{columnTasks.length}</span>
+              <button
+                onClick={() => toggleDone(status, columnTasks.length)}
+                className={`p-1 rounded hover:bg-gray-200 ${status.done ? 'text-green-600' : 'text-gray-400'}`}
+                title={status.done ? t('board.markOpen') : t('board.markDone')}
+              >
+                <Check size={14} />
+              </button>
+              <button
+                onClick={() => moveColumn(index, -1)}
+                disabled={index === 0}
+                className="p-1 rounded text-gray-500 hover:bg-gray-200 disabled:opacity-30"
+                title={t('board.moveLeft')}
+              >
+                <ChevronLeft size={14} />
+              </button>
+              <button
+                onClick={() => moveColumn(index, 1)}
+                disabled={index === statuses.length - 1}
+                className="p-1 rounded text-gray-500 hover:bg-gray-200 disabled:opacity-30"
+                title={t('board.moveRight')}
+              >
+                <ChevronRight size={14} />
+              </button>
+              <button
+                onClick={() => deleteColumn(status)}
+                className="p-1 rounded text-gray-400 hover:text-red-600 hover:bg-gray-200"
+                title={t('board.delete')}
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+
+            <div className="space-y-2 min-h-[3rem]">
+              {columnTasks.map((task) => (
+                <div
+                  key={task.id}
+                  draggable
+                  onDragStart={(e) => e.dataTransfer.setData('text/plain', String(task.id))}
+                  onDragEnd={() => setDropTarget(null)}
+                  onDragOver={(e) => dragOver(e, `task-${task.id}`)}
+                  onDrop={(e) => drop(e, status.id, task.id)}
+                  className={`p-2 bg-white rounded border text-sm cursor-move ${
+                    dropTarget === `task-${task.id}` ? 'border-t-4 border-t-blue-500 border-gray-200' : 'border-gray-200'
+                  }`}
+                >
+                  <div className={`font-medium ${task.completed ? 'text-gray-500 line-through' : 'text-gray-800'}`}>{task.title}</div>
+                  {(task.dueDate || (task.tags?.length ?? 0) > 0) && (
+                    <div className="mt-1 flex flex-wrap gap-1 text-xs text-gray-500">
+                      {task.dueDate && <span>{formatDate(task.dueDate, { dateStyle: 'short', timeStyle: 'short' })}</span>}
+                      {task.tags?.map((tag) => (
+                        <span key={tag}>#{tag}</span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+              {columnTasks.length === 0 && <div className="text-xs text-gray-400 text-center py-3">{t('board.empty')}</div>}
+            </div>
+          </div>
+        ))}
+
+        <div className="w-60 shrink-0">
+          <input
+            type="text"
+            value={newColumn}
+            onChange={(e) => setNewColumn(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') void addColumn();
+            }}
+            placeholder={t('board.addColumn')}
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+// The backend's address and the fetch wrapper every request goes through
+
+export const API_BASE = 'http://localhost:3001/api';
+export const TOKEN_STORAGE_KEY = 'taskManager.token';
+export const AUTH_EXPIRED_EVENT = 'taskManager:auth-expired';
+// Sent with every request so "tomorrow at 9" means 9am where the user is; dates are shown in it too
+export const DEVICE_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// fetch() against the API with the signed-in user's bearer token.
+// A 401 drops the stored token and tells the app to show the login screen.
+export async function apiFetch(path: string, init: RequestInit = {}): Promise<Response> {
+  const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+  const headers = new Headers(init.headers);
+  if (token) headers.set('Authorization', `Bearer ${token}`);
+  if (!headers.has('X-Timezone')) headers.set('X-Timezone', DEVICE_TIMEZONE);
+
+  const response = await fetch(`${API_BASE}${path}`, { ...init, headers });
+  if (response.status === 401 && token) {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  }
+  return response;
+}
+
+// Server timestamps are UTC, either ISO or SQLite's "YYYY-MM-DD HH:MM:SS"
+export function parseServerDate(value: string): Date {
+  return new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+}
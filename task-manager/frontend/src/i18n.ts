@@ -0,0 +1,1779 @@
+import { createContext, useContext } from 'react';
+
+// UI strings and date formatting in the user's language. English is the source; the other
+// catalogs may leave keys out, which then show in English.
+
+export type Language = 'en' | 'de' | 'fr' | 'es';
+
+export const LANGUAGES: { code: Language; label: string }[] = [
+  { code: 'en', label: 'English' },
+  { code: 'de', label: 'Deutsch' },
+  { code: 'fr', label: 'Français' },
+  { code: 'es', label: 'Español' },
+];
+
+const LOCALES: Record<Language, string> = { en: 'en-US', de: 'de-DE', fr: 'fr-FR', es: 'es-ES' };
+
+// Remembered so the sign-in screen matches the language of the last session
+export const LANGUAGE_STORAGE_KEY = 'taskManager.language';
+
+// A message is a string, or { one, other } picked by params.count; "{name}" is replaced by params.name
+type Message = string | { one: string; other: string };
+type Params = Record<string, string | number>;
+
+const en = {
+  'app.title': 'Smart Task Manager',
+  'common.save': 'Save',
+  'common.saved': 'Saved',
+  'common.cancel': 'Cancel',
+  'common.dismiss': 'Dismiss',
+  'common.loading': 'Loading...',
+  'common.none': 'none',
+  'common.networkError': 'Network error. Please try again.',
+  'common.failedToSave': 'Failed to save',
+  'common.chooseFile': 'Choose file',
+  'common.preview': 'Preview',
+
+  'auth.signInTitle': 'Sign in to your tasks',
+  'auth.registerTitle': 'Create an account',
+  'auth.name': 'Name (optional)',
+  'auth.email': 'Email',
+  'auth.password': 'Password',
+  'auth.failed': 'Authentication failed',
+  'auth.wait': 'Please wait...',
+  'auth.signIn': 'Sign in',
+  'auth.register': 'Create account',
+  'auth.toRegister': "Don't have an account? Register",
+  'auth.toSignIn': 'Already have an account? Sign in',
+
+  'header.signedInAs': 'Signed in as {name}',
+  'header.liveTitle': 'Changes appear instantly',
+  'header.pollingTitle': 'Refreshing every 30 seconds',
+  'header.live': 'Live',
+  'header.connecting': 'Connecting...',
+  'header.offline': 'Offline',
+  'header.signOut': 'Sign out',
+
+  'sidebar.projects': 'Projects',
+  'sidebar.allTasks': 'All tasks',
+  'sidebar.noProject': 'No project',
+  'sidebar.deleteProject': 'Delete project',
+  'sidebar.newProject': 'New project',
+  'sidebar.addProject': 'Add project',
+  'sidebar.tags': 'Tags',
+  'projects.createFailed': 'Failed to create project',
+  'projects.confirmDelete': 'Delete project "{name}"? Its tasks will be kept without a project.',
+
+  'settings.language': 'Language',
+  'settings.languageHint': 'Used for the app, reminder emails and notifications. Tasks can be typed in any of these languages.',
+  'settings.digest': 'Email digest',
+  'settings.digestHint':
+    "A morning agenda of overdue, today's and this week's tasks, and a weekly summary of what you completed.",
+  'settings.dailyAt': 'Daily at',
+  'settings.weeklyOn': 'Weekly on',
+  'settings.timeZone': 'Time zone',
+  'settings.useTimeZone': 'Use {zone}',
+  'settings.previewDaily': 'Preview daily',
+  'settings.previewWeekly': 'Preview weekly',
+  'settings.previewEmpty': ' (nothing to send, so this would be skipped)',
+  'settings.closePreview': 'Close preview',
+  'settings.digestPreview': 'Digest preview',
+  'settings.inbound': 'Email to task',
+  'settings.inboundHint':
+    'Forward an email to turn its subject into a task. The message is kept in the task notes and you get a confirmation reply.',
+  'settings.copyAddress': 'Copy address',
+  'settings.newAddress': 'New address',
+  'settings.createAddress': 'Create my address',
+  'settings.confirmNewAddress': 'Create a new address? Mail sent to the old one will be rejected.',
+  'settings.noAddress': 'No personal address is available on this server; use allowed senders.',
+  'settings.senders': 'Also accept mail from these senders (one per line)',
+  'settings.parseBody': 'Read dates and #tags from the first line of the message too',
+  'settings.webhooks': 'Webhooks',
+  'settings.webhooksHint': 'Send signed POST requests to another service when tasks change. Failed deliveries are retried with backoff.',
+  'webhooks.taskCreated': 'Task created',
+  'webhooks.taskUpdated': 'Task updated',
+  'webhooks.taskCompleted': 'Task completed',
+  'webhooks.taskDeleted': 'Task deleted',
+  'webhooks.reminderFired': 'Reminder sent',
+  'webhooks.pending': 'Pending',
+  'webhooks.delivered': 'Delivered',
+  'webhooks.failed': 'Failed',
+  'webhooks.cancelled': 'Cancelled',
+  'webhooks.active': 'Active',
+  'webhooks.log': 'Delivery log',
+  'webhooks.rotateSecret': 'Rotate signing secret',
+  'webhooks.delete': 'Delete webhook',
+  'webhooks.confirmDelete': 'Delete the webhook for {url}?',
+  'webhooks.secretOnce': "Signing secret — copy it now, it won't be shown again:",
+  'webhooks.copySecret': 'Copy secret',
+  'webhooks.noDeliveries': 'No deliveries yet',
+  'webhooks.retryAt': 'Retry at {date} (attempt {attempts})',
+  'webhooks.redeliver': 'Redeliver',
+  'webhooks.add': 'Add',
+  'webhooks.saveFailed': "Couldn't save the webhook",
+  'settings.saveSenders': 'Save senders',
+  'settings.export': 'Export',
+  'settings.exportJson': 'JSON backup',
+  'settings.exportCsv': 'CSV',
+  'settings.exportMarkdown': 'Markdown',
+  'settings.import': 'Import',
+  'settings.importHint': 'Upload a JSON backup or CSV file, or paste one task per line (e.g. "Call dentist tomorrow at 2pm").',
+  'settings.importPlaceholder': 'Pay rent every 1st of the month\nDentist Friday 3pm #health',
+  'settings.importFailed': 'Import failed',
+  'settings.working': 'Working...',
+  'settings.importReady': '{valid} of {total} rows are ready to import.',
+  'settings.imported': 'Imported {created} of {total} rows.',
+  'settings.importRow': 'Row {row}: {errors}',
+
+  'calendar.feed': 'Calendar feed',
+  'calendar.feedHint': 'Subscribe from Google Calendar, Apple Calendar or Outlook to see dated tasks and their reminders.',
+  'calendar.copyUrl': 'Copy URL',
+  'calendar.private': 'Keep this URL private; anyone with it can read your tasks.',
+  'calendar.newFeed': 'New feed URL',
+  'calendar.createFeed': 'Create feed URL',
+  'calendar.disableFeed': 'Disable feed',
+  'calendar.confirmNewFeed': 'Create a new feed URL? Calendars subscribed to the old URL will stop updating.',
+  'calendar.confirmDisable': 'Disable the calendar feed? Subscribed calendars will stop updating.',
+  'calendar.importIcs': 'Import .ics',
+  'calendar.importing': 'Importing...',
+  'calendar.imported': { one: 'Imported {count} task', other: 'Imported {count} tasks' },
+  'calendar.skipped': ', skipped {count}',
+  'calendar.ignored': {
+    one: ' ({count} unsupported field ignored)',
+    other: ' ({count} unsupported fields ignored)',
+  },
+
+  'trash.title': 'Trash',
+  'trash.empty': 'Empty trash',
+  'trash.retention': "Tasks are deleted for good {days} days after they're moved here.",
+  'trash.isEmpty': 'The trash is empty.',
+  'trash.deleted': 'Deleted {date}',
+  'trash.subtaskDeleted': 'Subtask, deleted {date}',
+  'trash.restore': 'Restore',
+  'trash.deleteForever': 'Delete for good',
+  'trash.restoreFailed': 'Failed to restore task',
+  'trash.confirmDelete': 'Delete "{title}" for good? This cannot be undone.',
+  'trash.confirmEmpty': {
+    one: 'Delete the task in the trash for good?',
+    other: 'Delete all {count} tasks in the trash for good?',
+  },
+
+  'preview.readAs': 'Read as "{title}"',
+  'preview.noDueDate': 'No due date',
+  'preview.picked': '(picked)',
+  'preview.unsure': "The parser isn't sure about this date",
+  'preview.priority': '{priority} priority',
+  'preview.notify': 'notify {email}',
+  'preview.via': 'via {provider}',
+  'priority.low': 'Low',
+  'priority.medium': 'Medium',
+  'priority.high': 'High',
+  'priority.none': 'No priority',
+  'priority.label': 'Priority',
+
+  'push.enable': 'Enable Notifications',
+  'push.enableTitle': 'Enable browser notifications',
+  'push.checking': 'Checking...',
+  'push.disable': 'Disable on this device',
+  'push.disableTitle': 'Stop notifications on this browser',
+  'push.devices': 'Devices ({count})',
+  'push.noDevices': 'No devices receive notifications yet.',
+  'push.lastDelivered': 'Last delivered {date}',
+  'push.nothingDelivered': 'Nothing delivered yet',
+  'push.lastError': ' · Last error: {error}',
+  'push.sendTest': 'Send test notification',
+  'push.removeDevice': 'Remove device',
+  'push.confirmRemove': 'Stop sending notifications to "{device}"?',
+  'push.unsupported': 'Push notifications are not supported in this browser.',
+  'push.denied': 'Notification permission denied.',
+  'push.enabled': 'Push notifications enabled!',
+  'push.enableError': 'Error enabling push notifications. See console.',
+  'push.disableError': 'Error disabling push notifications. See console.',
+  'push.testFailed': 'Failed to send test notification',
+  'push.testUndelivered': 'Test notification could not be delivered. See the device list for details.',
+  'nav.calendar': 'Calendar',
+  'nav.trash': 'Trash',
+  'nav.settings': 'Settings',
+  'nav.time': 'Time',
+  'nav.stats': 'Stats',
+
+  'offline.offline': "You're offline. Changes are saved on this device. ",
+  'offline.waiting': {
+    one: '{count} task has changes waiting to sync.',
+    other: '{count} tasks have changes waiting to sync.',
+  },
+  'offline.retry': 'Retry now',
+  'offline.conflicts': 'Some offline changes could not be applied',
+  'offline.useMine': 'Use mine',
+  'offline.keepServer': 'Keep server version',
+  'offline.queueFailed': 'Could not save the change for later. Please try again.',
+  'offline.pending': 'Pending sync',
+  'offline.pendingTitle': "Saved on this device; it will sync when you're back online",
+  'offline.logoutPending': {
+    one: "{count} task has changes that haven't synced yet. Sign out and discard them?",
+    other: "{count} tasks have changes that haven't synced yet. Sign out and discard them?",
+  },
+
+  'undo.undo': 'Undo',
+  'undo.trashed': 'Moved "{title}" to the trash',
+  'undo.completed': 'Completed "{title}"',
+  'undo.trashedMany': { one: 'Moved {count} task to the trash', other: 'Moved {count} tasks to the trash' },
+
+  'batch.select': 'Select (shift-click selects a range)',
+  'batch.selected': '{count} selected',
+  'batch.selectAll': 'Select all',
+  'batch.clear': 'Clear selection',
+  'batch.complete': 'Complete',
+  'batch.uncomplete': 'Reopen',
+  'batch.delete': 'Delete',
+  'batch.whenPlaceholder': 'New date, e.g. tomorrow 9am',
+  'batch.reschedule': 'Reschedule',
+  'batch.tagsPlaceholder': 'Tags, e.g. #work -home',
+  'batch.retag': 'Retag',
+  'batch.offline': 'Bulk actions need a connection.',
+  'batch.failed': 'Failed to update the selected tasks',
+  'batch.partial': {
+    one: '{count} task could not be changed: {reason}',
+    other: '{count} tasks could not be changed: {reason}',
+  },
+
+  'views.list': 'List',
+  'views.calendar': 'Calendar',
+  'views.board': 'Board',
+
+  'planner.month': 'Month',
+  'planner.week': 'Week',
+  'planner.today': 'Today',
+  'planner.previous': 'Previous',
+  'planner.next': 'Next',
+  'planner.more': '+{count} more',
+  'planner.unscheduled': 'No due date (drag onto the calendar to schedule)',
+
+  'board.addColumn': '+ Add column',
+  'board.rename': 'Rename column',
+  'board.markDone': 'Mark as a done column',
+  'board.markOpen': 'Mark as an open column',
+  'board.confirmDone': {
+    one: 'Make "{name}" a done column? Its {count} task will be completed.',
+    other: 'Make "{name}" a done column? Its {count} tasks will be completed.',
+  },
+  'board.confirmOpen': {
+    one: 'Make "{name}" an open column? Its {count} task will be reopened.',
+    other: 'Make "{name}" an open column? Its {count} tasks will be reopened.',
+  },
+  'board.confirmDelete': 'Delete the column "{name}"? Its tasks move to the first column of their kind.',
+  'board.moveLeft': 'Move column left',
+  'board.moveRight': 'Move column right',
+  'board.delete': 'Delete column',
+  'board.empty': 'Drop tasks here',
+  'board.saveFailed': 'Failed to update the columns',
+  'board.moveFailed': 'Failed to move the task',
+
+  'timer.start': 'Start timer',
+  'timer.stop': 'Stop timer',
+  'timer.running': 'Timer running',
+  'timer.stale': 'This timer has been running since {date}. Forgot to stop it?',
+  'timer.stoppedAt': 'Stopped at',
+  'timer.stopAt': 'Stop at this time',
+  'timer.offline': 'Timers need a connection.',
+  'timer.failed': 'Failed to update the timer',
+
+  'time.minutes': '{minutes}m',
+  'time.hours': '{hours}h',
+  'time.hoursMinutes': '{hours}h {minutes}m',
+  'time.ofEstimate': '{tracked} of {estimate}',
+  'time.tracked': 'Tracked',
+  'time.trackedTotal': '{duration} tracked',
+  'time.estimate': 'Estimate',
+  'time.estimatePlaceholder': 'Est. min',
+  'time.title': 'Tracked time',
+  'time.groupBy': 'Group by',
+  'time.byTask': 'Task',
+  'time.byProject': 'Project',
+  'time.byDay': 'Day',
+  'time.from': 'From',
+  'time.to': 'To',
+  'time.sessions': 'Sessions',
+  'time.total': 'Total',
+  'time.noProject': 'No project',
+  'time.empty': 'No time tracked in this range.',
+  'time.exportCsv': 'Export CSV',
+  'time.failed': 'Failed to load the time report',
+
+  'stats.title': 'Productivity',
+  'stats.failed': 'Failed to load statistics',
+  'stats.lastDays': { one: 'Last day', other: 'Last {count} days' },
+  'stats.completed': 'Completed',
+  'stats.onTimeRate': 'On time',
+  'stats.overdue': 'Overdue now',
+  'stats.leadTime': 'Avg. time to finish',
+  'stats.currentStreak': 'Current streak',
+  'stats.longestStreak': 'Longest streak',
+  'stats.days': { one: '{count} day', other: '{count} days' },
+  'stats.hours': { one: '{count} hour', other: '{count} hours' },
+  'stats.completions': 'Completed tasks',
+  'stats.perDay': 'Per day',
+  'stats.perWeek': 'Per week',
+  'stats.weekOf': 'Week of {date}',
+  'stats.barTitle': '{label}: {completed} completed, {onTime} on time, {late} late',
+  'stats.onTime': 'On time',
+  'stats.late': 'Late',
+  'stats.noDueDate': 'No due date',
+  'stats.reminderEffect': 'On-time rate with and without reminders',
+  'stats.withReminder': 'Reminder sent',
+  'stats.withoutReminder': 'No reminder',
+  'stats.onTimeOf': '({onTime} of {total})',
+
+  'add.placeholder': "What needs to be done? (e.g., 'Doctor appointment tomorrow at 2pm')",
+  'add.button': 'Add Task',
+  'add.changeDate': 'Change the date:',
+  'add.pickDate': 'Pick a date:',
+  'add.useTextDate': 'Use the date from the text',
+  'add.failed': 'Failed to create task',
+
+  'filters.search': 'Search titles and notes...',
+  'filters.status': 'Status',
+  'filters.allStatuses': 'All statuses',
+  'filters.open': 'Open',
+  'filters.completed': 'Completed',
+  'filters.overdueOnly': 'Overdue only',
+  'filters.dueFrom': 'Due from',
+  'filters.dueTo': 'to',
+  'filters.sortBy': 'Sort by',
+  'filters.newest': 'Newest',
+  'filters.updated': 'Recently updated',
+  'filters.dueDate': 'Due date',
+  'filters.title': 'Title',
+  'filters.ascending': 'Ascending',
+  'filters.descending': 'Descending',
+  'filters.tag': 'Tag',
+  'filters.clear': 'Clear filters',
+
+  'tasks.pending': 'Pending ({count})',
+  'tasks.noPending': 'No pending tasks. Add one above!',
+  'tasks.completed': 'Completed ({count})',
+  'tasks.noCompleted': 'No completed tasks yet.',
+  'tasks.completedBadge': '✓ Completed',
+  'tasks.loadMore': 'Load more',
+  'tasks.task': 'Task',
+  'tasks.markComplete': 'Mark as complete',
+  'tasks.markPending': 'Mark as pending',
+  'tasks.checklist': 'Checklist',
+  'tasks.showChecklist': 'Show checklist',
+  'tasks.hideChecklist': 'Hide checklist',
+  'tasks.history': 'History',
+  'tasks.edit': 'Edit task',
+  'tasks.delete': 'Delete task',
+  'tasks.stopSeries': 'Stop series',
+  'tasks.confirmStopSeries': 'Stop repeating "{title}"? This instance will be kept.',
+  'tasks.confirmSubtasks': {
+    one: 'Also complete {count} open subtask of "{title}"?',
+    other: 'Also complete {count} open subtasks of "{title}"?',
+  },
+  'tasks.editConflict': '"{title}" was changed on another device. Your edit was not saved.',
+  'tasks.deleteConflict': '"{title}" was changed on another device, so it was not deleted.',
+  'tasks.dueDate': 'Due date',
+  'tasks.noDueDate': 'No due date',
+  'tasks.whenPlaceholder': 'or type a date, e.g. next Friday 5pm',
+  'tasks.addSubtask': 'Add a subtask...',
+  'tasks.moveUp': 'Move up',
+  'tasks.moveDown': 'Move down',
+  'tasks.deleteSubtask': 'Delete subtask',
+  'tasks.removeReminder': 'Remove reminder',
+  'tasks.addReminder': 'Add reminder',
+  'tasks.reminderOption': '+ Reminder',
+
+  'due.today': 'Today at {time}',
+  'due.tomorrow': 'Tomorrow at {time}',
+  'due.on': '{date} at {time}',
+
+  'reminders.atDue': 'At due time',
+  'reminders.before': '{time} before',
+  'unit.week': { one: '{count} week', other: '{count} weeks' },
+  'unit.day': { one: '{count} day', other: '{count} days' },
+  'unit.hour': { one: '{count} hour', other: '{count} hours' },
+  'unit.min': { one: '{count} min', other: '{count} min' },
+
+  'recurrence.daily': 'Daily',
+  'recurrence.weekly': 'Weekly',
+  'recurrence.monthly': 'Monthly',
+  'recurrence.yearly': 'Yearly',
+  'recurrence.everyDaily': 'Every {count} days',
+  'recurrence.everyWeekly': 'Every {count} weeks',
+  'recurrence.everyMonthly': 'Every {count} months',
+  'recurrence.everyYearly': 'Every {count} years',
+  'recurrence.weekdays': 'Weekdays',
+  'recurrence.onWeekdays': '{rule} on weekdays',
+  'recurrence.onDays': '{rule} on {days}',
+  'recurrence.onMonthDay': '{rule} on the {ordinal}',
+  'recurrence.count': '{rule}, {count} times',
+  'recurrence.until': '{rule}, until {date}',
+
+  'history.loading': 'Loading history...',
+  'history.created': 'Created',
+  'history.updated': 'Edited',
+  'history.completed': 'Completed',
+  'history.reopened': 'Reopened',
+  'history.deleted': 'Moved to trash',
+  'history.restored': 'Restored from trash',
+  'history.fromImport': 'from an import',
+  'history.fromCalendar': 'from a calendar file',
+  'history.fromRecurrence': 'as the next in its series',
+  'history.fromEmail': 'from an email',
+  'history.title': 'Title',
+  'history.dueDate': 'Due',
+  'history.recurrence': 'Repeats',
+  'history.reminders': 'Reminders',
+  'history.project': 'Project',
+  'history.tags': 'Tags',
+  'history.notes': 'Notes',
+  'history.deletedProject': 'a deleted project',
+  'history.status': 'Column',
+  'history.deletedStatus': 'a deleted column',
+  'history.estimate': 'Estimate',
+  'history.priority': 'Priority',
+
+  'examples.title': '💡 Natural Language Examples:',
+  'examples.list':
+    'Call dentist tomorrow at 2pm|Team meeting in 3 hours|Submit report by 5pm today|Grocery shopping tomorrow|' +
+    'Pick up kids at 3:30pm|Deadline 12/15 at 6pm|Pay rent every 1st of the month|Standup every weekday at 9am|' +
+    'Dentist Friday 3pm, remind me 1 day before|Write report Friday #work @Office',
+  'examples.reminders': '⏰ Default reminders: {list} — add or remove reminders on each task.',
+} satisfies Record<string, Message>;
+
+export type MessageKey = keyof typeof en;
+
+const de: Partial<Record<MessageKey, Message>> = {
+  'app.title': 'Smart Task Manager',
+  'common.save': 'Speichern',
+  'common.saved': 'Gespeichert',
+  'common.cancel': 'Abbrechen',
+  'common.dismiss': 'Schließen',
+  'common.loading': 'Wird geladen...',
+  'common.none': 'keine',
+  'common.networkError': 'Netzwerkfehler. Bitte versuche es erneut.',
+  'common.failedToSave': 'Speichern fehlgeschlagen',
+  'common.chooseFile': 'Datei auswählen',
+  'common.preview': 'Vorschau',
+
+  'auth.signInTitle': 'Bei deinen Aufgaben anmelden',
+  'auth.registerTitle': 'Konto erstellen',
+  'auth.name': 'Name (optional)',
+  'auth.email': 'E-Mail',
+  'auth.password': 'Passwort',
+  'auth.failed': 'Anmeldung fehlgeschlagen',
+  'auth.wait': 'Bitte warten...',
+  'auth.signIn': 'Anmelden',
+  'auth.register': 'Konto erstellen',
+  'auth.toRegister': 'Noch kein Konto? Registrieren',
+  'auth.toSignIn': 'Schon ein Konto? Anmelden',
+
+  'header.signedInAs': 'Angemeldet als {name}',
+  'header.liveTitle': 'Änderungen erscheinen sofort',
+  'header.pollingTitle': 'Aktualisierung alle 30 Sekunden',
+  'header.live': 'Live',
+  'header.connecting': 'Verbinde...',
+  'header.offline': 'Offline',
+  'header.signOut': 'Abmelden',
+
+  'sidebar.projects': 'Projekte',
+  'sidebar.allTasks': 'Alle Aufgaben',
+  'sidebar.noProject': 'Ohne Projekt',
+  'sidebar.deleteProject': 'Projekt löschen',
+  'sidebar.newProject': 'Neues Projekt',
+  'sidebar.addProject': 'Projekt hinzufügen',
+  'sidebar.tags': 'Tags',
+  'projects.createFailed': 'Projekt konnte nicht erstellt werden',
+  'projects.confirmDelete': 'Projekt „{name}“ löschen? Die Aufgaben bleiben ohne Projekt erhalten.',
+
+  'settings.language': 'Sprache',
+  'settings.languageHint':
+    'Gilt für die App, Erinnerungs-E-Mails und Benachrichtigungen. Aufgaben können in jeder dieser Sprachen eingegeben werden.',
+  'settings.digest': 'E-Mail-Zusammenfassung',
+  'settings.digestHint':
+    'Morgens eine Übersicht über überfällige, heutige und diese Woche fällige Aufgaben, und wöchentlich ein Rückblick auf das Erledigte.',
+  'settings.dailyAt': 'Täglich um',
+  'settings.weeklyOn': 'Wöchentlich am',
+  'settings.timeZone': 'Zeitzone',
+  'settings.useTimeZone': '{zone} verwenden',
+  'settings.previewDaily': 'Tägliche Vorschau',
+  'settings.previewWeekly': 'Wöchentliche Vorschau',
+  'settings.previewEmpty': ' (nichts zu senden, sie würde übersprungen)',
+  'settings.closePreview': 'Vorschau schließen',
+  'settings.digestPreview': 'Vorschau der Zusammenfassung',
+  'settings.inbound': 'E-Mail zu Aufgabe',
+  'settings.inboundHint':
+    'Leite eine E-Mail weiter, um aus ihrem Betreff eine Aufgabe zu machen. Die Nachricht landet in den Notizen und du bekommst eine Bestätigung.',
+  'settings.copyAddress': 'Adresse kopieren',
+  'settings.newAddress': 'Neue Adresse',
+  'settings.createAddress': 'Meine Adresse erstellen',
+  'settings.confirmNewAddress': 'Neue Adresse erstellen? E-Mails an die alte Adresse werden abgelehnt.',
+  'settings.noAddress': 'Dieser Server bietet keine persönliche Adresse an; nutze erlaubte Absender.',
+  'settings.senders': 'Auch E-Mails von diesen Absendern annehmen (einer pro Zeile)',
+  'settings.parseBody': 'Datum und #Tags auch aus der ersten Zeile der Nachricht lesen',
+  'settings.webhooks': 'Webhooks',
+  'settings.webhooksHint': 'Sende signierte POST-Anfragen an einen anderen Dienst, wenn sich Aufgaben ändern. Fehlgeschlagene Zustellungen werden mit wachsendem Abstand wiederholt.',
+  'webhooks.taskCreated': 'Aufgabe erstellt',
+  'webhooks.taskUpdated': 'Aufgabe geändert',
+  'webhooks.taskCompleted': 'Aufgabe erledigt',
+  'webhooks.taskDeleted': 'Aufgabe gelöscht',
+  'webhooks.reminderFired': 'Erinnerung gesendet',
+  'webhooks.pending': 'Ausstehend',
+  'webhooks.delivered': 'Zugestellt',
+  'webhooks.failed': 'Fehlgeschlagen',
+  'webhooks.cancelled': 'Abgebrochen',
+  'webhooks.active': 'Aktiv',
+  'webhooks.log': 'Zustellprotokoll',
+  'webhooks.rotateSecret': 'Signaturschlüssel erneuern',
+  'webhooks.delete': 'Webhook löschen',
+  'webhooks.confirmDelete': 'Webhook für {url} löschen?',
+  'webhooks.secretOnce': 'Signaturschlüssel – kopiere ihn jetzt, er wird nicht noch einmal angezeigt:',
+  'webhooks.copySecret': 'Schlüssel kopieren',
+  'webhooks.noDeliveries': 'Noch keine Zustellungen',
+  'webhooks.retryAt': 'Neuer Versuch um {date} (Versuch {attempts})',
+  'webhooks.redeliver': 'Erneut senden',
+  'webhooks.add': 'Hinzufügen',
+  'webhooks.saveFailed': 'Webhook konnte nicht gespeichert werden',
+  'settings.saveSenders': 'Absender speichern',
+  'settings.export': 'Export',
+  'settings.exportJson': 'JSON-Sicherung',
+  'settings.exportCsv': 'CSV',
+  'settings.exportMarkdown': 'Markdown',
+  'settings.import': 'Import',
+  'settings.importHint':
+    'Lade eine JSON-Sicherung oder CSV-Datei hoch, oder füge eine Aufgabe pro Zeile ein (z. B. „Zahnarzt anrufen morgen um 14 Uhr“).',
+  'settings.importPlaceholder': 'Miete zahlen jeden Monat am 1.\nZahnarzt Freitag 15 Uhr #gesundheit',
+  'settings.importFailed': 'Import fehlgeschlagen',
+  'settings.working': 'Wird verarbeitet...',
+  'settings.importReady': '{valid} von {total} Zeilen können importiert werden.',
+  'settings.imported': '{created} von {total} Zeilen importiert.',
+  'settings.importRow': 'Zeile {row}: {errors}',
+
+  'calendar.feed': 'Kalender-Feed',
+  'calendar.feedHint':
+    'Abonniere ihn in Google Kalender, Apple Kalender oder Outlook, um Aufgaben mit Datum und ihre Erinnerungen zu sehen.',
+  'calendar.copyUrl': 'URL kopieren',
+  'calendar.private': 'Halte diese URL geheim; wer sie kennt, kann deine Aufgaben lesen.',
+  'calendar.newFeed': 'Neue Feed-URL',
+  'calendar.createFeed': 'Feed-URL erstellen',
+  'calendar.disableFeed': 'Feed deaktivieren',
+  'calendar.confirmNewFeed': 'Neue Feed-URL erstellen? Kalender mit der alten URL werden nicht mehr aktualisiert.',
+  'calendar.confirmDisable': 'Kalender-Feed deaktivieren? Abonnierte Kalender werden nicht mehr aktualisiert.',
+  'calendar.importIcs': '.ics importieren',
+  'calendar.importing': 'Wird importiert...',
+  'calendar.imported': { one: '{count} Aufgabe importiert', other: '{count} Aufgaben importiert' },
+  'calendar.skipped': ', {count} übersprungen',
+  'calendar.ignored': {
+    one: ' ({count} nicht unterstütztes Feld ignoriert)',
+    other: ' ({count} nicht unterstützte Felder ignoriert)',
+  },
+
+  'trash.title': 'Papierkorb',
+  'trash.empty': 'Papierkorb leeren',
+  'trash.retention': 'Aufgaben werden {days} Tage nach dem Verschieben hierher endgültig gelöscht.',
+  'trash.isEmpty': 'Der Papierkorb ist leer.',
+  'trash.deleted': 'Gelöscht am {date}',
+  'trash.subtaskDeleted': 'Unteraufgabe, gelöscht am {date}',
+  'trash.restore': 'Wiederherstellen',
+  'trash.deleteForever': 'Endgültig löschen',
+  'trash.restoreFailed': 'Aufgabe konnte nicht wiederhergestellt werden',
+  'trash.confirmDelete': '„{title}“ endgültig löschen? Das kann nicht rückgängig gemacht werden.',
+  'trash.confirmEmpty': {
+    one: 'Die Aufgabe im Papierkorb endgültig löschen?',
+    other: 'Alle {count} Aufgaben im Papierkorb endgültig löschen?',
+  },
+
+  'preview.readAs': 'Gelesen als „{title}“',
+  'preview.noDueDate': 'Kein Fälligkeitsdatum',
+  'preview.picked': '(gewählt)',
+  'preview.unsure': 'Der Parser ist sich bei diesem Datum nicht sicher',
+  'preview.priority': 'Priorität {priority}',
+  'preview.notify': '{email} benachrichtigen',
+  'preview.via': 'über {provider}',
+  'priority.low': 'niedrig',
+  'priority.medium': 'mittel',
+  'priority.high': 'hoch',
+  'priority.none': 'Keine Priorität',
+  'priority.label': 'Priorität',
+
+  'push.enable': 'Benachrichtigungen aktivieren',
+  'push.enableTitle': 'Browser-Benachrichtigungen aktivieren',
+  'push.checking': 'Wird geprüft...',
+  'push.disable': 'Auf diesem Gerät deaktivieren',
+  'push.disableTitle': 'Benachrichtigungen in diesem Browser beenden',
+  'push.devices': 'Geräte ({count})',
+  'push.noDevices': 'Noch keine Geräte erhalten Benachrichtigungen.',
+  'push.lastDelivered': 'Zuletzt zugestellt {date}',
+  'push.nothingDelivered': 'Noch nichts zugestellt',
+  'push.lastError': ' · Letzter Fehler: {error}',
+  'push.sendTest': 'Testbenachrichtigung senden',
+  'push.removeDevice': 'Gerät entfernen',
+  'push.confirmRemove': 'Keine Benachrichtigungen mehr an „{device}“ senden?',
+  'push.unsupported': 'Dieser Browser unterstützt keine Push-Benachrichtigungen.',
+  'push.denied': 'Benachrichtigungen wurden nicht erlaubt.',
+  'push.enabled': 'Push-Benachrichtigungen aktiviert!',
+  'push.enableError': 'Fehler beim Aktivieren der Push-Benachrichtigungen. Siehe Konsole.',
+  'push.disableError': 'Fehler beim Deaktivieren der Push-Benachrichtigungen. Siehe Konsole.',
+  'push.testFailed': 'Testbenachrichtigung konnte nicht gesendet werden',
+  'push.testUndelivered': 'Testbenachrichtigung konnte nicht zugestellt werden. Details in der Geräteliste.',
+  'nav.calendar': 'Kalender',
+  'nav.trash': 'Papierkorb',
+  'nav.settings': 'Einstellungen',
+  'nav.time': 'Zeit',
+  'nav.stats': 'Statistik',
+
+  'offline.offline': 'Du bist offline. Änderungen werden auf diesem Gerät gespeichert. ',
+  'offline.waiting': {
+    one: '{count} Aufgabe hat Änderungen, die noch synchronisiert werden.',
+    other: '{count} Aufgaben haben Änderungen, die noch synchronisiert werden.',
+  },
+  'offline.retry': 'Jetzt erneut versuchen',
+  'offline.conflicts': 'Einige Offline-Änderungen konnten nicht übernommen werden',
+  'offline.useMine': 'Meine verwenden',
+  'offline.keepServer': 'Serverversion behalten',
+  'offline.queueFailed': 'Die Änderung konnte nicht für später gespeichert werden. Bitte versuche es erneut.',
+  'offline.pending': 'Sync ausstehend',
+  'offline.pendingTitle': 'Auf diesem Gerät gespeichert; wird synchronisiert, sobald du wieder online bist',
+  'offline.logoutPending': {
+    one: '{count} Aufgabe hat noch nicht synchronisierte Änderungen. Abmelden und sie verwerfen?',
+    other: '{count} Aufgaben haben noch nicht synchronisierte Änderungen. Abmelden und sie verwerfen?',
+  },
+
+  'undo.undo': 'Rückgängig',
+  'undo.trashed': '„{title}“ in den Papierkorb verschoben',
+  'undo.completed': '„{title}“ erledigt',
+  'undo.trashedMany': {
+    one: '{count} Aufgabe in den Papierkorb verschoben',
+    other: '{count} Aufgaben in den Papierkorb verschoben',
+  },
+
+  'batch.select': 'Auswählen (Umschalt-Klick wählt einen Bereich)',
+  'batch.selected': '{count} ausgewählt',
+  'batch.selectAll': 'Alle auswählen',
+  'batch.clear': 'Auswahl aufheben',
+  'batch.complete': 'Erledigen',
+  'batch.uncomplete': 'Wieder öffnen',
+  'batch.delete': 'Löschen',
+  'batch.whenPlaceholder': 'Neues Datum, z. B. morgen 9 Uhr',
+  'batch.reschedule': 'Verschieben',
+  'batch.tagsPlaceholder': 'Tags, z. B. #arbeit -privat',
+  'batch.retag': 'Tags ändern',
+  'batch.offline': 'Sammelaktionen brauchen eine Verbindung.',
+  'batch.failed': 'Die ausgewählten Aufgaben konnten nicht geändert werden',
+  'batch.partial': {
+    one: '{count} Aufgabe konnte nicht geändert werden: {reason}',
+    other: '{count} Aufgaben konnten nicht geändert werden: {reason}',
+  },
+
+  'views.list': 'Liste',
+  'views.calendar': 'Kalender',
+  'views.board': 'Board',
+
+  'planner.month': 'Monat',
+  'planner.week': 'Woche',
+  'planner.today': 'Heute',
+  'planner.previous': 'Zurück',
+  'planner.next': 'Weiter',
+  'planner.more': '+{count} weitere',
+  'planner.unscheduled': 'Ohne Fälligkeit (zum Planen in den Kalender ziehen)',
+
+  'board.addColumn': '+ Spalte hinzufügen',
+  'board.rename': 'Spalte umbenennen',
+  'board.markDone': 'Als Erledigt-Spalte markieren',
+  'board.markOpen': 'Als offene Spalte markieren',
+  'board.confirmDone': {
+    one: '„{name}“ zur Erledigt-Spalte machen? Ihre {count} Aufgabe wird erledigt.',
+    other: '„{name}“ zur Erledigt-Spalte machen? Ihre {count} Aufgaben werden erledigt.',
+  },
+  'board.confirmOpen': {
+    one: '„{name}“ zur offenen Spalte machen? Ihre {count} Aufgabe wird wieder geöffnet.',
+    other: '„{name}“ zur offenen Spalte machen? Ihre {count} Aufgaben werden wieder geöffnet.',
+  },
+  'board.confirmDelete': 'Spalte „{name}“ löschen? Ihre Aufgaben kommen in die erste Spalte ihrer Art.',
+  'board.moveLeft': 'Spalte nach links',
+  'board.moveRight': 'Spalte nach rechts',
+  'board.delete': 'Spalte löschen',
+  'board.empty': 'Aufgaben hierher ziehen',
+  'board.saveFailed': 'Die Spalten konnten nicht geändert werden',
+  'board.moveFailed': 'Die Aufgabe konnte nicht verschoben werden',
+
+  'timer.start': 'Timer starten',
+  'timer.stop': 'Timer stoppen',
+  'timer.running': 'Timer läuft',
+  'timer.stale': 'Dieser Timer läuft seit {date}. Vergessen, ihn zu stoppen?',
+  'timer.stoppedAt': 'Gestoppt um',
+  'timer.stopAt': 'Zu dieser Zeit stoppen',
+  'timer.offline': 'Timer brauchen eine Verbindung.',
+  'timer.failed': 'Timer konnte nicht aktualisiert werden',
+
+  'time.minutes': '{minutes} min',
+  'time.hours': '{hours} h',
+  'time.hoursMinutes': '{hours} h {minutes} min',
+  'time.ofEstimate': '{tracked} von {estimate}',
+  'time.tracked': 'Erfasst',
+  'time.trackedTotal': '{duration} erfasst',
+  'time.estimate': 'Schätzung',
+  'time.estimatePlaceholder': 'Min.',
+  'time.title': 'Erfasste Zeit',
+  'time.groupBy': 'Gruppieren nach',
+  'time.byTask': 'Aufgabe',
+  'time.byProject': 'Projekt',
+  'time.byDay': 'Tag',
+  'time.from': 'Von',
+  'time.to': 'Bis',
+  'time.sessions': 'Sitzungen',
+  'time.total': 'Gesamt',
+  'time.noProject': 'Kein Projekt',
+  'time.empty': 'In diesem Zeitraum wurde keine Zeit erfasst.',
+  'time.exportCsv': 'CSV exportieren',
+  'time.failed': 'Zeitbericht konnte nicht geladen werden',
+
+  'stats.title': 'Produktivität',
+  'stats.failed': 'Statistik konnte nicht geladen werden',
+  'stats.lastDays': { one: 'Letzter Tag', other: 'Letzte {count} Tage' },
+  'stats.completed': 'Erledigt',
+  'stats.onTimeRate': 'Pünktlich',
+  'stats.overdue': 'Jetzt überfällig',
+  'stats.leadTime': 'Ø Zeit bis erledigt',
+  'stats.currentStreak': 'Aktuelle Serie',
+  'stats.longestStreak': 'Längste Serie',
+  'stats.days': { one: '{count} Tag', other: '{count} Tage' },
+  'stats.hours': { one: '{count} Stunde', other: '{count} Stunden' },
+  'stats.completions': 'Erledigte Aufgaben',
+  'stats.perDay': 'Pro Tag',
+  'stats.perWeek': 'Pro Woche',
+  'stats.weekOf': 'Woche ab {date}',
+  'stats.barTitle': '{label}: {completed} erledigt, {onTime} pünktlich, {late} verspätet',
+  'stats.onTime': 'Pünktlich',
+  'stats.late': 'Verspätet',
+  'stats.noDueDate': 'Ohne Fälligkeit',
+  'stats.reminderEffect': 'Pünktlichkeit mit und ohne Erinnerungen',
+  'stats.withReminder': 'Erinnerung gesendet',
+  'stats.withoutReminder': 'Keine Erinnerung',
+  'stats.onTimeOf': '({onTime} von {total})',
+
+  'add.placeholder': 'Was ist zu tun? (z. B. „Arzttermin morgen um 14 Uhr“)',
+  'add.button': 'Aufgabe hinzufügen',
+  'add.changeDate': 'Datum ändern:',
+  'add.pickDate': 'Datum wählen:',
+  'add.useTextDate': 'Datum aus dem Text verwenden',
+  'add.failed': 'Aufgabe konnte nicht erstellt werden',
+
+  'filters.search': 'Titel und Notizen durchsuchen...',
+  'filters.status': 'Status',
+  'filters.allStatuses': 'Alle',
+  'filters.open': 'Offen',
+  'filters.completed': 'Erledigt',
+  'filters.overdueOnly': 'Nur überfällige',
+  'filters.dueFrom': 'Fällig von',
+  'filters.dueTo': 'bis',
+  'filters.sortBy': 'Sortieren nach',
+  'filters.newest': 'Neueste',
+  'filters.updated': 'Zuletzt geändert',
+  'filters.dueDate': 'Fälligkeit',
+  'filters.title': 'Titel',
+  'filters.ascending': 'Aufsteigend',
+  'filters.descending': 'Absteigend',
+  'filters.tag': 'Tag',
+  'filters.clear': 'Filter zurücksetzen',
+
+  'tasks.pending': 'Offen ({count})',
+  'tasks.noPending': 'Keine offenen Aufgaben. Füge oben eine hinzu!',
+  'tasks.completed': 'Erledigt ({count})',
+  'tasks.noCompleted': 'Noch keine erledigten Aufgaben.',
+  'tasks.completedBadge': '✓ Erledigt',
+  'tasks.loadMore': 'Mehr laden',
+  'tasks.task': 'Aufgabe',
+  'tasks.markComplete': 'Als erledigt markieren',
+  'tasks.markPending': 'Als offen markieren',
+  'tasks.checklist': 'Checkliste',
+  'tasks.showChecklist': 'Checkliste anzeigen',
+  'tasks.hideChecklist': 'Checkliste ausblenden',
+  'tasks.history': 'Verlauf',
+  'tasks.edit': 'Aufgabe bearbeiten',
+  'tasks.delete': 'Aufgabe löschen',
+  'tasks.stopSeries': 'Serie beenden',
+  'tasks.confirmStopSeries': '„{title}“ nicht mehr wiederholen? Dieser Termin bleibt erhalten.',
+  'tasks.confirmSubtasks': {
+    one: 'Auch {count} offene Unteraufgabe von „{title}“ erledigen?',
+    other: 'Auch {count} offene Unteraufgaben von „{title}“ erledigen?',
+  },
+  'tasks.editConflict': '„{title}“ wurde auf einem anderen Gerät geändert. Deine Änderung wurde nicht gespeichert.',
+  'tasks.deleteConflict': '„{title}“ wurde auf einem anderen Gerät geändert und daher nicht gelöscht.',
+  'tasks.dueDate': 'Fälligkeitsdatum',
+  'tasks.noDueDate': 'Kein Fälligkeitsdatum',
+  'tasks.whenPlaceholder': 'oder Datum eingeben, z. B. nächsten Freitag 17 Uhr',
+  'tasks.addSubtask': 'Unteraufgabe hinzufügen...',
+  'tasks.moveUp': 'Nach oben',
+  'tasks.moveDown': 'Nach unten',
+  'tasks.deleteSubtask': 'Unteraufgabe löschen',
+  'tasks.removeReminder': 'Erinnerung entfernen',
+  'tasks.addReminder': 'Erinnerung hinzufügen',
+  'tasks.reminderOption': '+ Erinnerung',
+
+  'due.today': 'Heute um {time}',
+  'due.tomorrow': 'Morgen um {time}',
+  'due.on': '{date} um {time}',
+
+  'reminders.atDue': 'Zur Fälligkeit',
+  'reminders.before': '{time} vorher',
+  'unit.week': { one: '{count} Woche', other: '{count} Wochen' },
+  'unit.day': { one: '{count} Tag', other: '{count} Tage' },
+  'unit.hour': { one: '{count} Stunde', other: '{count} Stunden' },
+  'unit.min': { one: '{count} Min.', other: '{count} Min.' },
+
+  'recurrence.daily': 'Täglich',
+  'recurrence.weekly': 'Wöchentlich',
+  'recurrence.monthly': 'Monatlich',
+  'recurrence.yearly': 'Jährlich',
+  'recurrence.everyDaily': 'Alle {count} Tage',
+  'recurrence.everyWeekly': 'Alle {count} Wochen',
+  'recurrence.everyMonthly': 'Alle {count} Monate',
+  'recurrence.everyYearly': 'Alle {count} Jahre',
+  'recurrence.weekdays': 'Werktags',
+  'recurrence.onWeekdays': '{rule} werktags',
+  'recurrence.onDays': '{rule} am {days}',
+  'recurrence.onMonthDay': '{rule} am {day}.',
+  'recurrence.count': '{rule}, {count}-mal',
+  'recurrence.until': '{rule}, bis {date}',
+
+  'history.loading': 'Verlauf wird geladen...',
+  'history.created': 'Erstellt',
+  'history.updated': 'Bearbeitet',
+  'history.completed': 'Erledigt',
+  'history.reopened': 'Wieder geöffnet',
+  'history.deleted': 'In den Papierkorb verschoben',
+  'history.restored': 'Aus dem Papierkorb wiederhergestellt',
+  'history.fromImport': 'aus einem Import',
+  'history.fromCalendar': 'aus einer Kalenderdatei',
+  'history.fromRecurrence': 'als nächster Termin der Serie',
+  'history.fromEmail': 'aus einer E-Mail',
+  'history.title': 'Titel',
+  'history.dueDate': 'Fällig',
+  'history.recurrence': 'Wiederholung',
+  'history.reminders': 'Erinnerungen',
+  'history.project': 'Projekt',
+  'history.tags': 'Tags',
+  'history.notes': 'Notizen',
+  'history.deletedProject': 'ein gelöschtes Projekt',
+  'history.status': 'Spalte',
+  'history.deletedStatus': 'eine gelöschte Spalte',
+  'history.estimate': 'Schätzung',
+  'history.priority': 'Priorität',
+
+  'examples.title': '💡 Beispiele in natürlicher Sprache:',
+  'examples.list':
+    'Zahnarzt anrufen morgen um 14 Uhr|Teammeeting in 3 Stunden|Bericht abgeben heute um 17 Uhr|Einkaufen morgen|' +
+    'Kinder abholen um 15:30|Abgabe am 15. Dezember um 18 Uhr|Miete zahlen jeden Monat am 1.|Standup werktags um 9 Uhr|' +
+    'Zahnarzt Freitag 15 Uhr, erinnere mich 1 Tag vorher|Bericht schreiben Freitag #arbeit @Büro',
+  'examples.reminders': '⏰ Standard-Erinnerungen: {list} — Erinnerungen lassen sich pro Aufgabe hinzufügen oder entfernen.',
+};
+
+const fr: Partial<Record<MessageKey, Message>> = {
+  'app.title': 'Smart Task Manager',
+  'common.save': 'Enregistrer',
+  'common.saved': 'Enregistré',
+  'common.cancel': 'Annuler',
+  'common.dismiss': 'Ignorer',
+  'common.loading': 'Chargement...',
+  'common.none': 'aucun',
+  'common.networkError': 'Erreur réseau. Veuillez réessayer.',
+  'common.failedToSave': "Échec de l'enregistrement",
+  'common.chooseFile': 'Choisir un fichier',
+  'common.preview': 'Aperçu',
+
+  'auth.signInTitle': 'Connectez-vous à vos tâches',
+  'auth.registerTitle': 'Créer un compte',
+  'auth.name': 'Nom (facultatif)',
+  'auth.email': 'E-mail',
+  'auth.password': 'Mot de passe',
+  'auth.failed': "Échec de l'authentification",
+  'auth.wait': 'Veuillez patienter...',
+  'auth.signIn': 'Se connecter',
+  'auth.register': 'Créer le compte',
+  'auth.toRegister': "Pas encore de compte ? S'inscrire",
+  'auth.toSignIn': 'Déjà un compte ? Se connecter',
+
+  'header.signedInAs': 'Connecté en tant que {name}',
+  'header.liveTitle': 'Les modifications apparaissent immédiatement',
+  'header.pollingTitle': 'Actualisation toutes les 30 secondes',
+  'header.live': 'En direct',
+  'header.connecting': 'Connexion...',
+  'header.offline': 'Hors ligne',
+  'header.signOut': 'Se déconnecter',
+
+  'sidebar.projects': 'Projets',
+  'sidebar.allTasks': 'Toutes les tâches',
+  'sidebar.noProject': 'Sans projet',
+  'sidebar.deleteProject': 'Supprimer le projet',
+  'sidebar.newProject': 'Nouveau projet',
+  'sidebar.addProject': 'Ajouter un projet',
+  'sidebar.tags': 'Étiquettes',
+  'projects.createFailed': 'Impossible de créer le projet',
+  'projects.confirmDelete': 'Supprimer le projet « {name} » ? Ses tâches seront conservées sans projet.',
+
+  'settings.language': 'Langue',
+  'settings.languageHint':
+    "Utilisée pour l'application, les e-mails de rappel et les notifications. Les tâches peuvent être saisies dans chacune de ces langues.",
+  'settings.digest': 'Résumé par e-mail',
+  'settings.digestHint':
+    'Chaque matin, les tâches en retard, du jour et de la semaine, et chaque semaine un récapitulatif de ce que vous avez terminé.',
+  'settings.dailyAt': 'Chaque jour à',
+  'settings.weeklyOn': 'Chaque semaine le',
+  'settings.timeZone': 'Fuseau horaire',
+  'settings.useTimeZone': 'Utiliser {zone}',
+  'settings.previewDaily': 'Aperçu quotidien',
+  'settings.previewWeekly': 'Aperçu hebdomadaire',
+  'settings.previewEmpty': ' (rien à envoyer, il serait ignoré)',
+  'settings.closePreview': "Fermer l'aperçu",
+  'settings.digestPreview': 'Aperçu du résumé',
+  'settings.inbound': 'E-mail vers tâche',
+  'settings.inboundHint':
+    'Transférez un e-mail pour transformer son objet en tâche. Le message est conservé dans les notes et vous recevez une confirmation.',
+  'settings.copyAddress': "Copier l'adresse",
+  'settings.newAddress': 'Nouvelle adresse',
+  'settings.createAddress': 'Créer mon adresse',
+  'settings.confirmNewAddress': "Créer une nouvelle adresse ? Les e-mails envoyés à l'ancienne seront refusés.",
+  'settings.noAddress': "Ce serveur ne propose pas d'adresse personnelle ; utilisez les expéditeurs autorisés.",
+  'settings.senders': 'Accepter aussi les e-mails de ces expéditeurs (un par ligne)',
+  'settings.parseBody': 'Lire aussi les dates et #étiquettes de la première ligne du message',
+  'settings.webhooks': 'Webhooks',
+  'settings.webhooksHint': 'Envoyer des requêtes POST signées à un autre service quand les tâches changent. Les envois échoués sont réessayés avec un délai croissant.',
+  'webhooks.taskCreated': 'Tâche créée',
+  'webhooks.taskUpdated': 'Tâche modifiée',
+  'webhooks.taskCompleted': 'Tâche terminée',
+  'webhooks.taskDeleted': 'Tâche supprimée',
+  'webhooks.reminderFired': 'Rappel envoyé',
+  'webhooks.pending': 'En attente',
+  'webhooks.delivered': 'Livré',
+  'webhooks.failed': 'Échec',
+  'webhooks.cancelled': 'Annulé',
+  'webhooks.active': 'Actif',
+  'webhooks.log': 'Journal des envois',
+  'webhooks.rotateSecret': 'Renouveler le secret de signature',
+  'webhooks.delete': 'Supprimer le webhook',
+  'webhooks.confirmDelete': 'Supprimer le webhook pour {url} ?',
+  'webhooks.secretOnce': 'Secret de signature — copiez-le maintenant, il ne sera plus affiché :',
+  'webhooks.copySecret': 'Copier le secret',
+  'webhooks.noDeliveries': 'Aucun envoi pour le moment',
+  'webhooks.retryAt': 'Nouvel essai le {date} (tentative {attempts})',
+  'webhooks.redeliver': 'Renvoyer',
+  'webhooks.add': 'Ajouter',
+  'webhooks.saveFailed': "Impossible d'enregistrer le webhook",
+  'settings.saveSenders': 'Enregistrer les expéditeurs',
+  'settings.export': 'Exporter',
+  'settings.exportJson': 'Sauvegarde JSON',
+  'settings.exportCsv': 'CSV',
+  'settings.exportMarkdown': 'Markdown',
+  'settings.import': 'Importer',
+  'settings.importHint':
+    'Envoyez une sauvegarde JSON ou un fichier CSV, ou collez une tâche par ligne (par ex. « Appeler le dentiste demain à 14h »).',
+  'settings.importPlaceholder': 'Payer le loyer tous les mois le 1er\nDentiste vendredi 15h #santé',
+  'settings.importFailed': "Échec de l'import",
+  'settings.working': 'Traitement...',
+  'settings.importReady': '{valid} lignes sur {total} sont prêtes à être importées.',
+  'settings.imported': '{created} lignes sur {total} importées.',
+  'settings.importRow': 'Ligne {row} : {errors}',
+
+  'calendar.feed': 'Flux de calendrier',
+  'calendar.feedHint':
+    'Abonnez-vous depuis Google Agenda, Apple Calendrier ou Outlook pour voir les tâches datées et leurs rappels.',
+  'calendar.copyUrl': "Copier l'URL",
+  'calendar.private': 'Gardez cette URL privée ; toute personne qui la connaît peut lire vos tâches.',
+  'calendar.newFeed': 'Nouvelle URL de flux',
+  'calendar.createFeed': 'Créer une URL de flux',
+  'calendar.disableFeed': 'Désactiver le flux',
+  'calendar.confirmNewFeed':
+    "Créer une nouvelle URL de flux ? Les calendriers abonnés à l'ancienne URL ne seront plus mis à jour.",
+  'calendar.confirmDisable': 'Désactiver le flux de calendrier ? Les calendriers abonnés ne seront plus mis à jour.',
+  'calendar.importIcs': 'Importer un .ics',
+  'calendar.importing': 'Import en cours...',
+  'calendar.imported': { one: '{count} tâche importée', other: '{count} tâches importées' },
+  'calendar.skipped': ', {count} ignorées',
+  'calendar.ignored': {
+    one: ' ({count} champ non pris en charge ignoré)',
+    other: ' ({count} champs non pris en charge ignorés)',
+  },
+
+  'trash.title': 'Corbeille',
+  'trash.empty': 'Vider la corbeille',
+  'trash.retention': 'Les tâches sont supprimées définitivement {days} jours après leur arrivée ici.',
+  'trash.isEmpty': 'La corbeille est vide.',
+  'trash.deleted': 'Supprimée le {date}',
+  'trash.subtaskDeleted': 'Sous-tâche, supprimée le {date}',
+  'trash.restore': 'Restaurer',
+  'trash.deleteForever': 'Supprimer définitivement',
+  'trash.restoreFailed': 'Impossible de restaurer la tâche',
+  'trash.confirmDelete': 'Supprimer « {title} » définitivement ? Cette action est irréversible.',
+  'trash.confirmEmpty': {
+    one: 'Supprimer définitivement la tâche de la corbeille ?',
+    other: 'Supprimer définitivement les {count} tâches de la corbeille ?',
+  },
+
+  'preview.readAs': 'Lu comme « {title} »',
+  'preview.noDueDate': "Pas d'échéance",
+  'preview.picked': '(choisie)',
+  'preview.unsure': "L'analyseur n'est pas sûr de cette date",
+  'preview.priority': 'Priorité {priority}',
+  'preview.notify': 'prévenir {email}',
+  'preview.via': 'via {provider}',
+  'priority.low': 'basse',
+  'priority.medium': 'moyenne',
+  'priority.high': 'haute',
+  'priority.none': 'Sans priorité',
+  'priority.label': 'Priorité',
+
+  'push.enable': 'Activer les notifications',
+  'push.enableTitle': 'Activer les notifications du navigateur',
+  'push.checking': 'Vérification...',
+  'push.disable': 'Désactiver sur cet appareil',
+  'push.disableTitle': 'Arrêter les notifications sur ce navigateur',
+  'push.devices': 'Appareils ({count})',
+  'push.noDevices': 'Aucun appareil ne reçoit encore de notifications.',
+  'push.lastDelivered': 'Dernière remise le {date}',
+  'push.nothingDelivered': 'Rien de remis pour le moment',
+  'push.lastError': ' · Dernière erreur : {error}',
+  'push.sendTest': 'Envoyer une notification de test',
+  'push.removeDevice': "Retirer l'appareil",
+  'push.confirmRemove': 'Ne plus envoyer de notifications à « {device} » ?',
+  'push.unsupported': 'Les notifications push ne sont pas prises en charge par ce navigateur.',
+  'push.denied': 'Autorisation de notification refusée.',
+  'push.enabled': 'Notifications push activées !',
+  'push.enableError': "Erreur lors de l'activation des notifications push. Voir la console.",
+  'push.disableError': 'Erreur lors de la désactivation des notifications push. Voir la console.',
+  'push.testFailed': "Impossible d'envoyer la notification de test",
+  'push.testUndelivered': "La notification de test n'a pas pu être remise. Voir la liste des appareils.",
+  'nav.calendar': 'Calendrier',
+  'nav.trash': 'Corbeille',
+  'nav.settings': 'Paramètres',
+  'nav.time': 'Temps',
+  'nav.stats': 'Statistiques',
+
+  'offline.offline': 'Vous êtes hors ligne. Les modifications sont enregistrées sur cet appareil. ',
+  'offline.waiting': {
+    one: '{count} tâche a des modifications en attente de synchronisation.',
+    other: '{count} tâches ont des modifications en attente de synchronisation.',
+  },
+  'offline.retry': 'Réessayer',
+  'offline.conflicts': "Certaines modifications hors ligne n'ont pas pu être appliquées",
+  'offline.useMine': 'Garder la mienne',
+  'offline.keepServer': 'Garder la version du serveur',
+  'offline.queueFailed': "Impossible d'enregistrer la modification pour plus tard. Veuillez réessayer.",
+  'offline.pending': 'Synchro en attente',
+  'offline.pendingTitle': 'Enregistrée sur cet appareil ; elle sera synchronisée à votre retour en ligne',
+  'offline.logoutPending': {
+    one: '{count} tâche a des modifications non synchronisées. Se déconnecter et les abandonner ?',
+    other: '{count} tâches ont des modifications non synchronisées. Se déconnecter et les abandonner ?',
+  },
+
+  'undo.undo': 'Annuler',
+  'undo.trashed': '« {title} » déplacée dans la corbeille',
+  'undo.completed': '« {title} » terminée',
+  'undo.trashedMany': {
+    one: '{count} tâche déplacée dans la corbeille',
+    other: '{count} tâches déplacées dans la corbeille',
+  },
+
+  'batch.select': 'Sélectionner (Maj-clic sélectionne une plage)',
+  'batch.selected': '{count} sélectionnée(s)',
+  'batch.selectAll': 'Tout sélectionner',
+  'batch.clear': 'Effacer la sélection',
+  'batch.complete': 'Terminer',
+  'batch.uncomplete': 'Rouvrir',
+  'batch.delete': 'Supprimer',
+  'batch.whenPlaceholder': 'Nouvelle date, p. ex. demain 9h',
+  'batch.reschedule': 'Replanifier',
+  'batch.tagsPlaceholder': 'Tags, p. ex. #travail -maison',
+  'batch.retag': 'Modifier les tags',
+  'batch.offline': 'Les actions groupées nécessitent une connexion.',
+  'batch.failed': 'Impossible de modifier les tâches sélectionnées',
+  'batch.partial': {
+    one: "{count} tâche n'a pas pu être modifiée : {reason}",
+    other: "{count} tâches n'ont pas pu être modifiées : {reason}",
+  },
+
+  'views.list': 'Liste',
+  'views.calendar': 'Calendrier',
+  'views.board': 'Tableau',
+
+  'planner.month': 'Mois',
+  'planner.week': 'Semaine',
+  'planner.today': "Aujourd'hui",
+  'planner.previous': 'Précédent',
+  'planner.next': 'Suivant',
+  'planner.more': '+{count} de plus',
+  'planner.unscheduled': "Sans échéance (glissez sur le calendrier pour planifier)",
+
+  'board.addColumn': '+ Ajouter une colonne',
+  'board.rename': 'Renommer la colonne',
+  'board.markDone': 'En faire une colonne terminée',
+  'board.markOpen': 'En faire une colonne ouverte',
+  'board.confirmDone': {
+    one: 'Faire de « {name} » une colonne terminée ? Sa tâche sera terminée.',
+    other: 'Faire de « {name} » une colonne terminée ? Ses {count} tâches seront terminées.',
+  },
+  'board.confirmOpen': {
+    one: 'Faire de « {name} » une colonne ouverte ? Sa tâche sera rouverte.',
+    other: 'Faire de « {name} » une colonne ouverte ? Ses {count} tâches seront rouvertes.',
+  },
+  'board.confirmDelete': 'Supprimer la colonne « {name} » ? Ses tâches iront dans la première colonne de leur type.',
+  'board.moveLeft': 'Déplacer la colonne à gauche',
+  'board.moveRight': 'Déplacer la colonne à droite',
+  'board.delete': 'Supprimer la colonne',
+  'board.empty': 'Déposez des tâches ici',
+  'board.saveFailed': 'Impossible de modifier les colonnes',
+  'board.moveFailed': 'Impossible de déplacer la tâche',
+
+  'timer.start': 'Démarrer le minuteur',
+  'timer.stop': 'Arrêter le minuteur',
+  'timer.running': 'Minuteur en cours',
+  'timer.stale': "Ce minuteur tourne depuis le {date}. Oublié de l'arrêter ?",
+  'timer.stoppedAt': 'Arrêté à',
+  'timer.stopAt': 'Arrêter à cette heure',
+  'timer.offline': 'Les minuteurs nécessitent une connexion.',
+  'timer.failed': 'Impossible de mettre à jour le minuteur',
+
+  'time.minutes': '{minutes} min',
+  'time.hours': '{hours} h',
+  'time.hoursMinutes': '{hours} h {minutes} min',
+  'time.ofEstimate': '{tracked} sur {estimate}',
+  'time.tracked': 'Suivi',
+  'time.trackedTotal': '{duration} suivies',
+  'time.estimate': 'Estimation',
+  'time.estimatePlaceholder': 'Est. min',
+  'time.title': 'Temps suivi',
+  'time.groupBy': 'Regrouper par',
+  'time.byTask': 'Tâche',
+  'time.byProject': 'Projet',
+  'time.byDay': 'Jour',
+  'time.from': 'Du',
+  'time.to': 'Au',
+  'time.sessions': 'Sessions',
+  'time.total': 'Total',
+  'time.noProject': 'Sans projet',
+  'time.empty': 'Aucun temps suivi sur cette période.',
+  'time.exportCsv': 'Exporter en CSV',
+  'time.failed': 'Impossible de charger le rapport de temps',
+
+  'stats.title': 'Productivité',
+  'stats.failed': 'Impossible de charger les statistiques',
+  'stats.lastDays': { one: 'Dernier jour', other: '{count} derniers jours' },
+  'stats.completed': 'Terminées',
+  'stats.onTimeRate': 'À temps',
+  'stats.overdue': 'En retard actuellement',
+  'stats.leadTime': 'Délai moyen de réalisation',
+  'stats.currentStreak': 'Série en cours',
+  'stats.longestStreak': 'Plus longue série',
+  'stats.days': { one: '{count} jour', other: '{count} jours' },
+  'stats.hours': { one: '{count} heure', other: '{count} heures' },
+  'stats.completions': 'Tâches terminées',
+  'stats.perDay': 'Par jour',
+  'stats.perWeek': 'Par semaine',
+  'stats.weekOf': 'Semaine du {date}',
+  'stats.barTitle': '{label} : {completed} terminées, {onTime} à temps, {late} en retard',
+  'stats.onTime': 'À temps',
+  'stats.late': 'En retard',
+  'stats.noDueDate': 'Sans échéance',
+  'stats.reminderEffect': 'Taux de ponctualité avec et sans rappels',
+  'stats.withReminder': 'Rappel envoyé',
+  'stats.withoutReminder': 'Sans rappel',
+  'stats.onTimeOf': '({onTime} sur {total})',
+
+  'add.placeholder': 'Que faut-il faire ? (par ex. « Rendez-vous chez le médecin demain à 14h »)',
+  'add.button': 'Ajouter la tâche',
+  'add.changeDate': 'Modifier la date :',
+  'add.pickDate': 'Choisir une date :',
+  'add.useTextDate': 'Utiliser la date du texte',
+  'add.failed': 'Impossible de créer la tâche',
+
+  'filters.search': 'Rechercher dans les titres et les notes...',
+  'filters.status': 'Statut',
+  'filters.allStatuses': 'Tous les statuts',
+  'filters.open': 'Ouvertes',
+  'filters.completed': 'Terminées',
+  'filters.overdueOnly': 'En retard uniquement',
+  'filters.dueFrom': 'Échéance du',
+  'filters.dueTo': 'au',
+  'filters.sortBy': 'Trier par',
+  'filters.newest': 'Plus récentes',
+  'filters.updated': 'Modifiées récemment',
+  'filters.dueDate': 'Échéance',
+  'filters.title': 'Titre',
+  'filters.ascending': 'Croissant',
+  'filters.descending': 'Décroissant',
+  'filters.tag': 'Étiquette',
+  'filters.clear': 'Effacer les filtres',
+
+  'tasks.pending': 'À faire ({count})',
+  'tasks.noPending': 'Aucune tâche à faire. Ajoutez-en une ci-dessus !',
+  'tasks.completed': 'Terminées ({count})',
+  'tasks.noCompleted': 'Aucune tâche terminée pour le moment.',
+  'tasks.completedBadge': '✓ Terminée',
+  'tasks.loadMore': 'Charger plus',
+  'tasks.task': 'Tâche',
+  'tasks.markComplete': 'Marquer comme terminée',
+  'tasks.markPending': 'Marquer comme à faire',
+  'tasks.checklist': 'Liste de contrôle',
+  'tasks.showChecklist': 'Afficher la liste',
+  'tasks.hideChecklist': 'Masquer la liste',
+  'tasks.history': 'Historique',
+  'tasks.edit': 'Modifier la tâche',
+  'tasks.delete': 'Supprimer la tâche',
+  'tasks.stopSeries': 'Arrêter la série',
+  'tasks.confirmStopSeries': 'Ne plus répéter « {title} » ? Cette occurrence sera conservée.',
+  'tasks.confirmSubtasks': {
+    one: 'Terminer aussi {count} sous-tâche ouverte de « {title} » ?',
+    other: 'Terminer aussi les {count} sous-tâches ouvertes de « {title} » ?',
+  },
+  'tasks.editConflict': "« {title} » a été modifiée sur un autre appareil. Votre modification n'a pas été enregistrée.",
+  'tasks.deleteConflict': "« {title} » a été modifiée sur un autre appareil, elle n'a donc pas été supprimée.",
+  'tasks.dueDate': 'Échéance',
+  'tasks.noDueDate': "Pas d'échéance",
+  'tasks.whenPlaceholder': 'ou saisissez une date, par ex. vendredi prochain 17h',
+  'tasks.addSubtask': 'Ajouter une sous-tâche...',
+  'tasks.moveUp': 'Monter',
+  'tasks.moveDown': 'Descendre',
+  'tasks.deleteSubtask': 'Supprimer la sous-tâche',
+  'tasks.removeReminder': 'Retirer le rappel',
+  'tasks.addReminder': 'Ajouter un rappel',
+  'tasks.reminderOption': '+ Rappel',
+
+  'due.today': "Aujourd'hui à {time}",
+  'due.tomorrow': 'Demain à {time}',
+  'due.on': '{date} à {time}',
+
+  'reminders.atDue': "À l'échéance",
+  'reminders.before': '{time} avant',
+  'unit.week': { one: '{count} semaine', other: '{count} semaines' },
+  'unit.day': { one: '{count} jour', other: '{count} jours' },
+  'unit.hour': { one: '{count} heure', other: '{count} heures' },
+  'unit.min': { one: '{count} min', other: '{count} min' },
+
+  'recurrence.daily': 'Tous les jours',
+  'recurrence.weekly': 'Toutes les semaines',
+  'recurrence.monthly': 'Tous les mois',
+  'recurrence.yearly': 'Tous les ans',
+  'recurrence.everyDaily': 'Tous les {count} jours',
+  'recurrence.everyWeekly': 'Toutes les {count} semaines',
+  'recurrence.everyMonthly': 'Tous les {count} mois',
+  'recurrence.everyYearly': 'Tous les {count} ans',
+  'recurrence.weekdays': 'En semaine',
+  'recurrence.onWeekdays': '{rule} en semaine',
+  'recurrence.onDays': '{rule} le {days}',
+  'recurrence.onMonthDay': '{rule} le {day}',
+  'recurrence.count': '{rule}, {count} fois',
+  'recurrence.until': "{rule}, jusqu'au {date}",
+
+  'history.loading': "Chargement de l'historique...",
+  'history.created': 'Créée',
+  'history.updated': 'Modifiée',
+  'history.completed': 'Terminée',
+  'history.reopened': 'Rouverte',
+  'history.deleted': 'Déplacée dans la corbeille',
+  'history.restored': 'Restaurée depuis la corbeille',
+  'history.fromImport': 'depuis un import',
+  'history.fromCalendar': 'depuis un fichier de calendrier',
+  'history.fromRecurrence': 'comme occurrence suivante de sa série',
+  'history.fromEmail': 'depuis un e-mail',
+  'history.title': 'Titre',
+  'history.dueDate': 'Échéance',
+  'history.recurrence': 'Répétition',
+  'history.reminders': 'Rappels',
+  'history.project': 'Projet',
+  'history.tags': 'Étiquettes',
+  'history.notes': 'Notes',
+  'history.deletedProject': 'un projet supprimé',
+  'history.status': 'Colonne',
+  'history.deletedStatus': 'une colonne supprimée',
+  'history.estimate': 'Estimation',
+  'history.priority': 'Priorité',
+
+  'examples.title': '💡 Exemples en langage naturel :',
+  'examples.list':
+    'Appeler le dentiste demain à 14h|Réunion d’équipe dans 3 heures|Rendre le rapport aujourd’hui à 17h|Courses demain|' +
+    'Chercher les enfants à 15h30|Date limite le 15/12 à 18h|Payer le loyer tous les mois le 1er|Point quotidien en semaine à 9h|' +
+    'Dentiste vendredi 15h, rappelle-moi 1 jour avant|Écrire le rapport vendredi #travail @Bureau',
+  'examples.reminders': '⏰ Rappels par défaut : {list} — ajoutez ou retirez des rappels sur chaque tâche.',
+};
+
+const es: Partial<Record<MessageKey, Message>> = {
+  'app.title': 'Smart Task Manager',
+  'common.save': 'Guardar',
+  'common.saved': 'Guardado',
+  'common.cancel': 'Cancelar',
+  'common.dismiss': 'Descartar',
+  'common.loading': 'Cargando...',
+  'common.none': 'ninguno',
+  'common.networkError': 'Error de red. Inténtalo de nuevo.',
+  'common.failedToSave': 'No se pudo guardar',
+  'common.chooseFile': 'Elegir archivo',
+  'common.preview': 'Vista previa',
+
+  'auth.signInTitle': 'Inicia sesión en tus tareas',
+  'auth.registerTitle': 'Crear una cuenta',
+  'auth.name': 'Nombre (opcional)',
+  'auth.email': 'Correo electrónico',
+  'auth.password': 'Contraseña',
+  'auth.failed': 'Error de autenticación',
+  'auth.wait': 'Espera...',
+  'auth.signIn': 'Iniciar sesión',
+  'auth.register': 'Crear cuenta',
+  'auth.toRegister': '¿No tienes cuenta? Regístrate',
+  'auth.toSignIn': '¿Ya tienes cuenta? Inicia sesión',
+
+  'header.signedInAs': 'Sesión iniciada como {name}',
+  'header.liveTitle': 'Los cambios aparecen al instante',
+  'header.pollingTitle': 'Se actualiza cada 30 segundos',
+  'header.live': 'En vivo',
+  'header.connecting': 'Conectando...',
+  'header.offline': 'Sin conexión',
+  'header.signOut': 'Cerrar sesión',
+
+  'sidebar.projects': 'Proyectos',
+  'sidebar.allTasks': 'Todas las tareas',
+  'sidebar.noProject': 'Sin proyecto',
+  'sidebar.deleteProject': 'Eliminar proyecto',
+  'sidebar.newProject': 'Nuevo proyecto',
+  'sidebar.addProject': 'Añadir proyecto',
+  'sidebar.tags': 'Etiquetas',
+  'projects.createFailed': 'No se pudo crear el proyecto',
+  'projects.confirmDelete': '¿Eliminar el proyecto «{name}»? Sus tareas se conservarán sin proyecto.',
+
+  'settings.language': 'Idioma',
+  'settings.languageHint':
+    'Se usa en la aplicación, los correos de recordatorio y las notificaciones. Las tareas se pueden escribir en cualquiera de estos idiomas.',
+  'settings.digest': 'Resumen por correo',
+  'settings.digestHint':
+    'Por la mañana, las tareas vencidas, de hoy y de esta semana, y cada semana un resumen de lo que completaste.',
+  'settings.dailyAt': 'Cada día a las',
+  'settings.weeklyOn': 'Cada semana el',
+  'settings.timeZone': 'Zona horaria',
+  'settings.useTimeZone': 'Usar {zone}',
+  'settings.previewDaily': 'Vista previa diaria',
+  'settings.previewWeekly': 'Vista previa semanal',
+  'settings.previewEmpty': ' (no hay nada que enviar, así que se omitiría)',
+  'settings.closePreview': 'Cerrar vista previa',
+  'settings.digestPreview': 'Vista previa del resumen',
+  'settings.inbound': 'Correo a tarea',
+  'settings.inboundHint':
+    'Reenvía un correo para convertir su asunto en una tarea. El mensaje se guarda en las notas y recibes una respuesta de confirmación.',
+  'settings.copyAddress': 'Copiar dirección',
+  'settings.newAddress': 'Nueva dirección',
+  'settings.createAddress': 'Crear mi dirección',
+  'settings.confirmNewAddress': '¿Crear una nueva dirección? Se rechazará el correo enviado a la anterior.',
+  'settings.noAddress': 'Este servidor no ofrece direcciones personales; usa remitentes permitidos.',
+  'settings.senders': 'Aceptar también correo de estos remitentes (uno por línea)',
+  'settings.parseBody': 'Leer también fechas y #etiquetas de la primera línea del mensaje',
+  'settings.webhooks': 'Webhooks',
+  'settings.webhooksHint': 'Envía solicitudes POST firmadas a otro servicio cuando cambian las tareas. Los envíos fallidos se reintentan con espera creciente.',
+  'webhooks.taskCreated': 'Tarea creada',
+  'webhooks.taskUpdated': 'Tarea actualizada',
+  'webhooks.taskCompleted': 'Tarea completada',
+  'webhooks.taskDeleted': 'Tarea eliminada',
+  'webhooks.reminderFired': 'Recordatorio enviado',
+  'webhooks.pending': 'Pendiente',
+  'webhooks.delivered': 'Entregado',
+  'webhooks.failed': 'Fallido',
+  'webhooks.cancelled': 'Cancelado',
+  'webhooks.active': 'Activo',
+  'webhooks.log': 'Registro de envíos',
+  'webhooks.rotateSecret': 'Renovar el secreto de firma',
+  'webhooks.delete': 'Eliminar webhook',
+  'webhooks.confirmDelete': '¿Eliminar el webhook de {url}?',
+  'webhooks.secretOnce': 'Secreto de firma: cópialo ahora, no se volverá a mostrar:',
+  'webhooks.copySecret': 'Copiar secreto',
+  'webhooks.noDeliveries': 'Aún no hay envíos',
+  'webhooks.retryAt': 'Reintento el {date} (intento {attempts})',
+  'webhooks.redeliver': 'Reenviar',
+  'webhooks.add': 'Añadir',
+  'webhooks.saveFailed': 'No se pudo guardar el webhook',
+  'settings.saveSenders': 'Guardar remitentes',
+  'settings.export': 'Exportar',
+  'settings.exportJson': 'Copia de seguridad JSON',
+  'settings.exportCsv': 'CSV',
+  'settings.exportMarkdown': 'Markdown',
+  'settings.import': 'Importar',
+  'settings.importHint':
+    'Sube una copia de seguridad JSON o un archivo CSV, o pega una tarea por línea (p. ej. «Llamar al dentista mañana a las 14:00»).',
+  'settings.importPlaceholder': 'Pagar el alquiler cada mes el día 1\nDentista viernes 15:00 #salud',
+  'settings.importFailed': 'No se pudo importar',
+  'settings.working': 'Procesando...',
+  'settings.importReady': '{valid} de {total} filas están listas para importar.',
+  'settings.imported': 'Se importaron {created} de {total} filas.',
+  'settings.importRow': 'Fila {row}: {errors}',
+
+  'calendar.feed': 'Feed de calendario',
+  'calendar.feedHint':
+    'Suscríbete desde Google Calendar, Calendario de Apple u Outlook para ver las tareas con fecha y sus recordatorios.',
+  'calendar.copyUrl': 'Copiar URL',
+  'calendar.private': 'Mantén esta URL en privado; cualquiera que la tenga puede leer tus tareas.',
+  'calendar.newFeed': 'Nueva URL del feed',
+  'calendar.createFeed': 'Crear URL del feed',
+  'calendar.disableFeed': 'Desactivar feed',
+  'calendar.confirmNewFeed': '¿Crear una nueva URL del feed? Los calendarios suscritos a la anterior dejarán de actualizarse.',
+  'calendar.confirmDisable': '¿Desactivar el feed de calendario? Los calendarios suscritos dejarán de actualizarse.',
+  'calendar.importIcs': 'Importar .ics',
+  'calendar.importing': 'Importando...',
+  'calendar.imported': { one: 'Se importó {count} tarea', other: 'Se importaron {count} tareas' },
+  'calendar.skipped': ', {count} omitidas',
+  'calendar.ignored': {
+    one: ' ({count} campo no compatible ignorado)',
+    other: ' ({count} campos no compatibles ignorados)',
+  },
+
+  'trash.title': 'Papelera',
+  'trash.empty': 'Vaciar papelera',
+  'trash.retention': 'Las tareas se eliminan definitivamente {days} días después de moverlas aquí.',
+  'trash.isEmpty': 'La papelera está vacía.',
+  'trash.deleted': 'Eliminada el {date}',
+  'trash.subtaskDeleted': 'Subtarea, eliminada el {date}',
+  'trash.restore': 'Restaurar',
+  'trash.deleteForever': 'Eliminar definitivamente',
+  'trash.restoreFailed': 'No se pudo restaurar la tarea',
+  'trash.confirmDelete': '¿Eliminar «{title}» definitivamente? No se puede deshacer.',
+  'trash.confirmEmpty': {
+    one: '¿Eliminar definitivamente la tarea de la papelera?',
+    other: '¿Eliminar definitivamente las {count} tareas de la papelera?',
+  },
+
+  'preview.readAs': 'Leído como «{title}»',
+  'preview.noDueDate': 'Sin fecha límite',
+  'preview.picked': '(elegida)',
+  'preview.unsure': 'El analizador no está seguro de esta fecha',
+  'preview.priority': 'Prioridad {priority}',
+  'preview.notify': 'avisar a {email}',
+  'preview.via': 'vía {provider}',
+  'priority.low': 'baja',
+  'priority.medium': 'media',
+  'priority.high': 'alta',
+  'priority.none': 'Sin prioridad',
+  'priority.label': 'Prioridad',
+
+  'push.enable': 'Activar notificaciones',
+  'push.enableTitle': 'Activar las notificaciones del navegador',
+  'push.checking': 'Comprobando...',
+  'push.disable': 'Desactivar en este dispositivo',
+  'push.disableTitle': 'Dejar de recibir notificaciones en este navegador',
+  'push.devices': 'Dispositivos ({count})',
+  'push.noDevices': 'Todavía ningún dispositivo recibe notificaciones.',
+  'push.lastDelivered': 'Última entrega {date}',
+  'push.nothingDelivered': 'Aún no se ha entregado nada',
+  'push.lastError': ' · Último error: {error}',
+  'push.sendTest': 'Enviar notificación de prueba',
+  'push.removeDevice': 'Quitar dispositivo',
+  'push.confirmRemove': '¿Dejar de enviar notificaciones a «{device}»?',
+  'push.unsupported': 'Este navegador no admite notificaciones push.',
+  'push.denied': 'Permiso de notificaciones denegado.',
+  'push.enabled': '¡Notificaciones push activadas!',
+  'push.enableError': 'Error al activar las notificaciones push. Consulta la consola.',
+  'push.disableError': 'Error al desactivar las notificaciones push. Consulta la consola.',
+  'push.testFailed': 'No se pudo enviar la notificación de prueba',
+  'push.testUndelivered': 'No se pudo entregar la notificación de prueba. Consulta la lista de dispositivos.',
+  'nav.calendar': 'Calendario',
+  'nav.trash': 'Papelera',
+  'nav.settings': 'Ajustes',
+  'nav.time': 'Tiempo',
+  'nav.stats': 'Estadísticas',
+
+  'offline.offline': 'Estás sin conexión. Los cambios se guardan en este dispositivo. ',
+  'offline.waiting': {
+    one: '{count} tarea tiene cambios pendientes de sincronizar.',
+    other: '{count} tareas tienen cambios pendientes de sincronizar.',
+  },
+  'offline.retry': 'Reintentar ahora',
+  'offline.conflicts': 'Algunos cambios sin conexión no se pudieron aplicar',
+  'offline.useMine': 'Usar los míos',
+  'offline.keepServer': 'Mantener la versión del servidor',
+  'offline.queueFailed': 'No se pudo guardar el cambio para más tarde. Inténtalo de nuevo.',
+  'offline.pending': 'Sincronización pendiente',
+  'offline.pendingTitle': 'Guardado en este dispositivo; se sincronizará cuando vuelvas a estar en línea',
+  'offline.logoutPending': {
+    one: '{count} tarea tiene cambios sin sincronizar. ¿Cerrar sesión y descartarlos?',
+    other: '{count} tareas tienen cambios sin sincronizar. ¿Cerrar sesión y descartarlos?',
+  },
+
+  'undo.undo': 'Deshacer',
+  'undo.trashed': '«{title}» se movió a la papelera',
+  'undo.completed': '«{title}» completada',
+  'undo.trashedMany': {
+    one: '{count} tarea se movió a la papelera',
+    other: '{count} tareas se movieron a la papelera',
+  },
+
+  'batch.select': 'Seleccionar (Mayús-clic selecciona un rango)',
+  'batch.selected': '{count} seleccionadas',
+  'batch.selectAll': 'Seleccionar todas',
+  'batch.clear': 'Quitar selección',
+  'batch.complete': 'Completar',
+  'batch.uncomplete': 'Reabrir',
+  'batch.delete': 'Eliminar',
+  'batch.whenPlaceholder': 'Nueva fecha, p. ej. mañana 9am',
+  'batch.reschedule': 'Reprogramar',
+  'batch.tagsPlaceholder': 'Etiquetas, p. ej. #trabajo -casa',
+  'batch.retag': 'Cambiar etiquetas',
+  'batch.offline': 'Las acciones en lote necesitan conexión.',
+  'batch.failed': 'No se pudieron cambiar las tareas seleccionadas',
+  'batch.partial': {
+    one: 'No se pudo cambiar {count} tarea: {reason}',
+    other: 'No se pudieron cambiar {count} tareas: {reason}',
+  },
+
+  'views.list': 'Lista',
+  'views.calendar': 'Calendario',
+  'views.board': 'Tablero',
+
+  'planner.month': 'Mes',
+  'planner.week': 'Semana',
+  'planner.today': 'Hoy',
+  'planner.previous': 'Anterior',
+  'planner.next': 'Siguiente',
+  'planner.more': '+{count} más',
+  'planner.unscheduled': 'Sin fecha (arrastra al calendario para programar)',
+
+  'board.addColumn': '+ Añadir columna',
+  'board.rename': 'Renombrar columna',
+  'board.markDone': 'Marcar como columna de terminadas',
+  'board.markOpen': 'Marcar como columna abierta',
+  'board.confirmDone': {
+    one: '¿Convertir «{name}» en columna de terminadas? Su {count} tarea se completará.',
+    other: '¿Convertir «{name}» en columna de terminadas? Sus {count} tareas se completarán.',
+  },
+  'board.confirmOpen': {
+    one: '¿Convertir «{name}» en columna abierta? Su {count} tarea se reabrirá.',
+    other: '¿Convertir «{name}» en columna abierta? Sus {count} tareas se reabrirán.',
+  },
+  'board.confirmDelete': '¿Eliminar la columna «{name}»? Sus tareas pasan a la primera columna de su tipo.',
+  'board.moveLeft': 'Mover columna a la izquierda',
+  'board.moveRight': 'Mover columna a la derecha',
+  'board.delete': 'Eliminar columna',
+  'board.empty': 'Suelta tareas aquí',
+  'board.saveFailed': 'No se pudieron cambiar las columnas',
+  'board.moveFailed': 'No se pudo mover la tarea',
+
+  'timer.start': 'Iniciar temporizador',
+  'timer.stop': 'Detener temporizador',
+  'timer.running': 'Temporizador en marcha',
+  'timer.stale': 'Este temporizador está en marcha desde el {date}. ¿Olvidaste detenerlo?',
+  'timer.stoppedAt': 'Detenido a las',
+  'timer.stopAt': 'Detener a esta hora',
+  'timer.offline': 'Los temporizadores necesitan conexión.',
+  'timer.failed': 'No se pudo actualizar el temporizador',
+
+  'time.minutes': '{minutes} min',
+  'time.hours': '{hours} h',
+  'time.hoursMinutes': '{hours} h {minutes} min',
+  'time.ofEstimate': '{tracked} de {estimate}',
+  'time.tracked': 'Registrado',
+  'time.trackedTotal': '{duration} registrado',
+  'time.estimate': 'Estimación',
+  'time.estimatePlaceholder': 'Est. min',
+  'time.title': 'Tiempo registrado',
+  'time.groupBy': 'Agrupar por',
+  'time.byTask': 'Tarea',
+  'time.byProject': 'Proyecto',
+  'time.byDay': 'Día',
+  'time.from': 'Desde',
+  'time.to': 'Hasta',
+  'time.sessions': 'Sesiones',
+  'time.total': 'Total',
+  'time.noProject': 'Sin proyecto',
+  'time.empty': 'No hay tiempo registrado en este periodo.',
+  'time.exportCsv': 'Exportar CSV',
+  'time.failed': 'No se pudo cargar el informe de tiempo',
+
+  'stats.title': 'Productividad',
+  'stats.failed': 'No se pudieron cargar las estadísticas',
+  'stats.lastDays': { one: 'Último día', other: 'Últimos {count} días' },
+  'stats.completed': 'Completadas',
+  'stats.onTimeRate': 'A tiempo',
+  'stats.overdue': 'Vencidas ahora',
+  'stats.leadTime': 'Tiempo medio hasta completar',
+  'stats.currentStreak': 'Racha actual',
+  'stats.longestStreak': 'Racha más larga',
+  'stats.days': { one: '{count} día', other: '{count} días' },
+  'stats.hours': { one: '{count} hora', other: '{count} horas' },
+  'stats.completions': 'Tareas completadas',
+  'stats.perDay': 'Por día',
+  'stats.perWeek': 'Por semana',
+  'stats.weekOf': 'Semana del {date}',
+  'stats.barTitle': '{label}: {completed} completadas, {onTime} a tiempo, {late} con retraso',
+  'stats.onTime': 'A tiempo',
+  'stats.late': 'Con retraso',
+  'stats.noDueDate': 'Sin fecha límite',
+  'stats.reminderEffect': 'Puntualidad con y sin recordatorios',
+  'stats.withReminder': 'Recordatorio enviado',
+  'stats.withoutReminder': 'Sin recordatorio',
+  'stats.onTimeOf': '({onTime} de {total})',
+
+  'add.placeholder': '¿Qué hay que hacer? (p. ej. «Cita con el médico mañana a las 14:00»)',
+  'add.button': 'Añadir tarea',
+  'add.changeDate': 'Cambiar la fecha:',
+  'add.pickDate': 'Elegir una fecha:',
+  'add.useTextDate': 'Usar la fecha del texto',
+  'add.failed': 'No se pudo crear la tarea',
+
+  'filters.search': 'Buscar en títulos y notas...',
+  'filters.status': 'Estado',
+  'filters.allStatuses': 'Todos los estados',
+  'filters.open': 'Abiertas',
+  'filters.completed': 'Completadas',
+  'filters.overdueOnly': 'Solo vencidas',
+  'filters.dueFrom': 'Vencen desde',
+  'filters.dueTo': 'hasta',
+  'filters.sortBy': 'Ordenar por',
+  'filters.newest': 'Más recientes',
+  'filters.updated': 'Actualizadas recientemente',
+  'filters.dueDate': 'Fecha límite',
+  'filters.title': 'Título',
+  'filters.ascending': 'Ascendente',
+  'filters.descending': 'Descendente',
+  'filters.tag': 'Etiqueta',
+  'filters.clear': 'Borrar filtros',
+
+  'tasks.pending': 'Pendientes ({count})',
+  'tasks.noPending': 'No hay tareas pendientes. ¡Añade una arriba!',
+  'tasks.completed': 'Completadas ({count})',
+  'tasks.noCompleted': 'Aún no hay tareas completadas.',
+  'tasks.completedBadge': '✓ Completada',
+  'tasks.loadMore': 'Cargar más',
+  'tasks.task': 'Tarea',
+  'tasks.markComplete': 'Marcar como completada',
+  'tasks.markPending': 'Marcar como pendiente',
+  'tasks.checklist': 'Lista de comprobación',
+  'tasks.showChecklist': 'Mostrar lista',
+  'tasks.hideChecklist': 'Ocultar lista',
+  'tasks.history': 'Historial',
+  'tasks.edit': 'Editar tarea',
+  'tasks.delete': 'Eliminar tarea',
+  'tasks.stopSeries': 'Detener serie',
+  'tasks.confirmStopSeries': '¿Dejar de repetir «{title}»? Se conservará esta repetición.',
+  'tasks.confirmSubtasks': {
+    one: '¿Completar también {count} subtarea abierta de «{title}»?',
+    other: '¿Completar también {count} subtareas abiertas de «{title}»?',
+  },
+  'tasks.editConflict': '«{title}» se cambió en otro dispositivo. Tu edición no se guardó.',
+  'tasks.deleteConflict': '«{title}» se cambió en otro dispositivo, así que no se eliminó.',
+  'tasks.dueDate': 'Fecha límite',
+  'tasks.noDueDate': 'Sin fecha límite',
+  'tasks.whenPlaceholder': 'o escribe una fecha, p. ej. el próximo viernes a las 17:00',
+  'tasks.addSubtask': 'Añadir una subtarea...',
+  'tasks.moveUp': 'Subir',
+  'tasks.moveDown': 'Bajar',
+  'tasks.deleteSubtask': 'Eliminar subtarea',
+  'tasks.removeReminder': 'Quitar recordatorio',
+  'tasks.addReminder': 'Añadir recordatorio',
+  'tasks.reminderOption': '+ Recordatorio',
+
+  'due.today': 'Hoy a las {time}',
+  'due.tomorrow': 'Mañana a las {time}',
+  'due.on': '{date} a las {time}',
+
+  'reminders.atDue': 'A la hora límite',
+  'reminders.before': '{time} antes',
+  'unit.week': { one: '{count} semana', other: '{count} semanas' },
+  'unit.day': { one: '{count} día', other: '{count} días' },
+  'unit.hour': { one: '{count} hora', other: '{count} horas' },
+  'unit.min': { one: '{count} min', other: '{count} min' },
+
+  'recurrence.daily': 'Cada día',
+  'recurrence.weekly': 'Cada semana',
+  'recurrence.monthly': 'Cada mes',
+  'recurrence.yearly': 'Cada año',
+  'recurrence.everyDaily': 'Cada {count} días',
+  'recurrence.everyWeekly': 'Cada {count} semanas',
+  'recurrence.everyMonthly': 'Cada {count} meses',
+  'recurrence.everyYearly': 'Cada {count} años',
+  'recurrence.weekdays': 'Entre semana',
+  'recurrence.onWeekdays': '{rule} entre semana',
+  'recurrence.onDays': '{rule} los {days}',
+  'recurrence.onMonthDay': '{rule} el día {day}',
+  'recurrence.count': '{rule}, {count} veces',
+  'recurrence.until': '{rule}, hasta el {date}',
+
+  'history.loading': 'Cargando historial...',
+  'history.created': 'Creada',
+  'history.updated': 'Editada',
+  'history.completed': 'Completada',
+  'history.reopened': 'Reabierta',
+  'history.deleted': 'Movida a la papelera',
+  'history.restored': 'Restaurada de la papelera',
+  'history.fromImport': 'desde una importación',
+  'history.fromCalendar': 'desde un archivo de calendario',
+  'history.fromRecurrence': 'como la siguiente de su serie',
+  'history.fromEmail': 'desde un correo',
+  'history.title': 'Título',
+  'history.dueDate': 'Vence',
+  'history.recurrence': 'Se repite',
+  'history.reminders': 'Recordatorios',
+  'history.project': 'Proyecto',
+  'history.tags': 'Etiquetas',
+  'history.notes': 'Notas',
+  'history.deletedProject': 'un proyecto eliminado',
+  'history.status': 'Columna',
+  'history.deletedStatus': 'una columna eliminada',
+  'history.estimate': 'Estimación',
+  'history.priority': 'Prioridad',
+
+  'examples.title': '💡 Ejemplos en lenguaje natural:',
+  'examples.list':
+    'Llamar al dentista mañana a las 14:00|Reunión de equipo en 3 horas|Entregar el informe hoy a las 17:00|Hacer la compra mañana|' +
+    'Recoger a los niños a las 15:30|Plazo el 15/12 a las 18:00|Pagar el alquiler cada mes el día 1|Reunión diaria entre semana a las 9:00|' +
+    'Dentista el viernes a las 15:00, recuérdame 1 día antes|Escribir el informe el viernes #trabajo @Oficina',
+  'examples.reminders': '⏰ Recordatorios predeterminados: {list}; añade o quita recordatorios en cada tarea.',
+};
+
+const MESSAGES: Record<Language, Partial<Record<MessageKey, Message>>> = { en, de, fr, es };
+
+export function isLanguage(value: unknown): value is Language {
+  return LANGUAGES.some(({ code }) => code === value);
+}
+
+// The last session's language, else the first supported one the browser asks for
+export function detectLanguage(): Language {
+  const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+  if (isLanguage(stored)) return stored;
+  const preferred = (navigator.languages?.length ? navigator.languages : [navigator.language])
+    .map((tag) => tag.toLowerCase().split('-')[0])
+    .find(isLanguage);
+  return preferred ?? 'en';
+}
+
+export interface I18n {
+  language: Language;
+  locale: string;
+  t: (key: MessageKey, params?: Params) => string;
+  // Dates and times in the browser's zone, formatted for the language
+  formatDate: (date: Date | string, options?: Intl.DateTimeFormatOptions) => string;
+  // 0 = Sunday, like Date.getDay()
+  weekdayName: (day: number, width?: 'long' | 'short') => string;
+}
+
+export function createI18n(language: Language): I18n {
+  const locale = LOCALES[language];
+  const plurals = new Intl.PluralRules(locale);
+  return {
+    language,
+    locale,
+    t: (key, params = {}) => {
+      const message = MESSAGES[language][key] ?? en[key];
+      const text =
+        typeof message === 'string'
+          ? message
+          : plurals.select(Number(params.count)) === 'one'
+            ? message.one
+            : message.other;
+      return text.replace(/\{(\w+)\}/g, (match, name: string) => (name in params ? String(params[name]) : match));
+    },
+    formatDate: (date, options = { dateStyle: 'medium', timeStyle: 'short' }) =>
+      new Date(date).toLocaleString(locale, options),
+    // 7 January 2024 was a Sunday
+    weekdayName: (day, width = 'long') =>
+      new Date(Date.UTC(2024, 0, 7 + day)).toLocaleDateString(locale, { weekday: width, timeZone: 'UTC' }),
+  };
+}
+
+export const I18nContext = createContext<I18n>(createI18n('en'));
+
+export function useI18n(): I18n {
+  return useContext(I18nContext);
+}
@@ -8,3 +8,10 @@ ReactDOM.createRoot(document.getElementById('root')!).render(
     <TaskManager />
   </React.StrictMode>
 )
+
+// The service worker serves the app shell offline, replays queued changes and shows push notifications
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => console.error('Service worker registration failed:', err))
+  })
+}
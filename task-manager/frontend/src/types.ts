@@ -0,0 +1,62 @@
+// Task data as the API sends it
+
+export type TaskID = string | number;
+
+export interface Recurrence {
+  freq: 'daily' | 'weekly' | 'monthly' | 'yearly';
+  interval: number;
+  byWeekday?: number[];
+  byMonthDay?: number;
+  until?: string;
+  count?: number;
+  // "HH:mm:ss" on the wall clock, set by the server once the series hands over to its next instance
+  time?: string;
+}
+
+export interface Task {
+  id: TaskID;
+  title: string;
+  dueDate?: string | null;
+  completed: boolean;
+  recurrence?: Recurrence | null;
+  seriesId?: TaskID;
+  occurrence?: number;
+  // Minutes before due; null means the default reminders apply
+  reminderOffsets?: number[] | null;
+  projectId?: string | null;
+  tags?: string[];
+  notes?: string;
+  // Checklist items are tasks with a parent; top-level tasks come back with their subtasks
+  parentId?: string | null;
+  // Checklist order for subtasks, board order within the column for top-level tasks
+  position?: number;
+  subtasks?: Task[];
+  // Board column (see TaskStatus)
+  statusId?: string | null;
+  // Optional estimate; the parser reads one from "(2h)"
+  estimateMinutes?: number | null;
+  // The parser reads one from "!high"
+  priority?: Priority | null;
+  // Time tracked so far, summed by the server from the finished sessions
+  trackedMinutes?: number;
+  createdAt?: string;
+  // Sent back as baseUpdatedAt so the server can spot edits made on another device
+  updatedAt?: string;
+  // Only set on tasks in the trash
+  deletedAt?: string;
+}
+
+export type Priority = 'low' | 'medium' | 'high';
+
+// A board column. Tasks in a `done` column are completed; tasks without a status sit in the
+// first open column, or the first done one once completed.
+export interface TaskStatus {
+  id: string;
+  name: string;
+  color?: string;
+  done: boolean;
+  position: number;
+}
+
+// First and last instant the calendar shows, as ISO timestamps
+export type DueRange = { from: string; to: string };